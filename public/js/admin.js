@@ -1,5 +1,23 @@
 // Admin page functionality
 
+// Logged-in user and the business being managed
+let currentUser = null;
+let currentBusinessId = null;
+
+// Last loaded on-call schedule, used to pick technicians by number
+let onCallSchedule = null;
+
+// Weekly hours as last loaded, and the schedule being edited (null for new)
+let hoursData = null;
+let editingHoursId = null;
+
+// Service types as last loaded, and the one being edited (null for new)
+let serviceTypes = [];
+let editingServiceTypeId = null;
+
+// Last loaded message templates, by "type:part"
+let messageTemplates = {};
+
 document.addEventListener('DOMContentLoaded', () => {
   // Check for URL params (success/error messages)
   const params = new URLSearchParams(window.location.search);
@@ -17,6 +35,7 @@ document.addEventListener('DOMContentLoaded', () => {
       'expired_state': 'Authorization expired. Please try again.',
       'callback_failed': 'Failed to connect Google Calendar. Please try again.',
       'access_denied': 'Access was denied. Please approve the permissions to continue.',
+      'account_in_use': 'That Google account is already connected to another business. Sign in with a different account.',
     };
     const error = params.get('error');
     showAlert(errorMessages[error] || `Error: ${error}`, 'error');
@@ -25,9 +44,236 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // Load data
+  loadCurrentUser()
+    .then(loadBusinesses)
+    .then(loadBusinessData);
+});
+
+/**
+ * Loads everything scoped to the selected business
+ */
+function loadBusinessData() {
   loadAccounts();
   loadAppointments();
-});
+  loadOnCall();
+  loadHours();
+  loadServiceTypes();
+  loadClosures();
+  loadEscalations();
+  loadSmsMessages();
+  loadSmsConsent();
+  loadNotifications();
+  if (currentUser.role === 'owner') {
+    loadChannels();
+    loadTemplates();
+    loadEmergencyRules();
+    loadEscalationContacts();
+    loadUsers();
+  }
+}
+
+/**
+ * Fetches an admin API endpoint for the selected business, sending the
+ * user to the login page if their session has expired
+ */
+async function apiFetch(url, options = {}) {
+  const headers = { ...options.headers };
+  if (currentBusinessId) {
+    headers['X-Business-Id'] = currentBusinessId;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+
+  if (response.status === 401) {
+    window.location.href = '/admin/login';
+    throw new Error('Session expired');
+  }
+
+  return response;
+}
+
+/**
+ * Loads the logged-in user and applies their role to the page
+ */
+async function loadCurrentUser() {
+  const response = await apiFetch('/admin/api/me');
+  const user = await response.json();
+
+  document.getElementById('current-user').textContent = `${user.email} (${user.role})`;
+  document.body.classList.add(`role-${user.role}`);
+  if (user.businessId) {
+    // Users tied to a business never see other businesses
+    document.body.classList.add('business-user');
+  }
+
+  currentUser = user;
+  return user;
+}
+
+/**
+ * Loads the businesses the user can manage into the selector and the
+ * Businesses card
+ */
+async function loadBusinesses() {
+  const select = document.getElementById('business-select');
+  const container = document.getElementById('businesses-list');
+
+  try {
+    const response = await apiFetch('/admin/api/businesses');
+    const businesses = await response.json();
+
+    // Platform admins pick up where they left off
+    if (!currentUser.businessId && businesses.length > 0) {
+      const saved = localStorage.getItem('businessId');
+      currentBusinessId = businesses.some(business => String(business.id) === saved)
+        ? saved
+        : String(businesses[0].id);
+    }
+
+    select.innerHTML = businesses.map(business => `
+      <option value="${business.id}" ${String(business.id) === currentBusinessId ? 'selected' : ''}>
+        ${escapeHtml(business.name || 'Default business')}
+      </option>
+    `).join('');
+    select.classList.toggle('hidden', businesses.length < 2);
+    updateConnectLink();
+
+    container.innerHTML = businesses.map(business => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(business.name || 'Default business')}</span>
+          <span class="account-badge ${business.phoneNumber ? 'active' : 'inactive'}">
+            ${escapeHtml(business.phoneNumber || 'No number')}
+          </span>
+          ${business.isDefault ? '<span class="account-badge inactive">Default</span>' : ''}
+        </div>
+        <div class="account-actions">
+          <button class="btn btn-secondary btn-small" onclick="editBusiness(${business.id})">
+            Edit
+          </button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load businesses:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load businesses. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Switches the page to another business
+ */
+function switchBusiness(businessId) {
+  currentBusinessId = businessId;
+  localStorage.setItem('businessId', businessId);
+  updateConnectLink();
+  loadBusinessData();
+}
+
+/**
+ * Points the Connect Google Calendar button at the selected business
+ */
+function updateConnectLink() {
+  const link = document.getElementById('connect-calendar');
+  link.href = currentBusinessId
+    ? `/auth/google/authorize?businessId=${encodeURIComponent(currentBusinessId)}`
+    : '/auth/google/authorize';
+}
+
+/**
+ * Adds a business
+ */
+async function addBusiness() {
+  const name = prompt('Business name:');
+  if (!name) {
+    return;
+  }
+
+  const phoneNumber = prompt('Phone number callers dial (the Vapi number):');
+  if (phoneNumber === null) {
+    return;
+  }
+
+  const ownerPhone = prompt('Owner phone for lead texts:');
+  if (!ownerPhone) {
+    return;
+  }
+
+  const ownerEmail = prompt('Owner email for lead emails:');
+  if (!ownerEmail) {
+    return;
+  }
+
+  await saveBusiness('/admin/api/businesses', 'POST', { name, phoneNumber, ownerPhone, ownerEmail });
+}
+
+/**
+ * Edits a business's name, numbers and owner contacts
+ */
+async function editBusiness(id) {
+  const response = await apiFetch('/admin/api/businesses');
+  const business = (await response.json()).find(b => b.id === id);
+  if (!business) {
+    return;
+  }
+
+  // Only the default business falls back to the env settings when blank
+  const blank = business.isDefault ? ' (blank = use the default)' : '';
+  const updates = {};
+  const fields = [
+    ['name', `Business name${blank}`],
+    ['phoneNumber', 'Phone number callers dial'],
+    ['ownerPhone', `Owner phone for lead texts${blank}`],
+    ['ownerEmail', `Owner email for lead emails${blank}`],
+  ];
+
+  for (const [field, label] of fields) {
+    const value = prompt(`${label}:`, business[field] || '');
+    if (value === null) {
+      return;
+    }
+    updates[field] = value;
+  }
+
+  await saveBusiness(`/admin/api/businesses/${id}`, 'PUT', updates);
+}
+
+/**
+ * Sends a business create/update and refreshes the list
+ */
+async function saveBusiness(url, method, body) {
+  try {
+    const response = await apiFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save business');
+    }
+
+    showAlert(`Saved ${data.name || 'business'}.`, 'success');
+    loadBusinesses();
+  } catch (error) {
+    console.error('Failed to save business:', error);
+    showAlert(error.message || 'Failed to save business. Please try again.', 'error');
+  }
+}
+
+/**
+ * Signs out and returns to the login page
+ */
+async function logout() {
+  await fetch('/admin/api/logout', { method: 'POST' });
+  window.location.href = '/admin/login';
+}
 
 /**
  * Shows an alert message
@@ -43,6 +289,19 @@ function showAlert(message, type) {
   }, 5000);
 }
 
+/**
+ * Escapes text for use in innerHTML. Everything that came from the API,
+ * including what callers said, goes through this before it's shown.
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Loads and displays connected accounts
  */
@@ -50,7 +309,7 @@ async function loadAccounts() {
   const container = document.getElementById('accounts-list');
 
   try {
-    const response = await fetch('/admin/api/accounts');
+    const response = await apiFetch('/admin/api/accounts');
     const accounts = await response.json();
 
     if (accounts.length === 0) {
@@ -67,18 +326,18 @@ async function loadAccounts() {
       <div class="account-item" data-id="${account.id}">
         <div class="account-info">
           <div class="account-status ${account.isActive ? 'active' : ''}"></div>
-          <span class="account-email">${account.email}</span>
+          <span class="account-email">${escapeHtml(account.email)}</span>
           <span class="account-badge ${account.isActive ? 'active' : 'inactive'}">
             ${account.isActive ? 'Active' : 'Inactive'}
           </span>
         </div>
-        <div class="account-actions">
+        <div class="account-actions owner-only">
           ${!account.isActive ? `
             <button class="btn btn-secondary btn-small" onclick="activateAccount(${account.id})">
               Set Active
             </button>
           ` : ''}
-          <button class="btn btn-danger btn-small" onclick="removeAccount(${account.id}, '${account.email}')">
+          <button class="btn btn-danger btn-small" data-email="${escapeHtml(account.email)}" onclick="removeAccount(${account.id}, this.dataset.email)">
             Disconnect
           </button>
         </div>
@@ -94,6 +353,26 @@ async function loadAccounts() {
   }
 }
 
+// Names for the texts sent to customers about an appointment
+const reminderLabels = {
+  confirmation: 'Confirmation',
+  reminder_24h: '24h reminder',
+  reminder_2h: '2h reminder',
+};
+
+/**
+ * Describes a customer text for an appointment, e.g. "24h reminder pending"
+ */
+function formatReminder(reminder) {
+  const label = reminderLabels[reminder.kind] || reminder.kind;
+
+  if (reminder.status === 'skipped') {
+    return `${label} skipped (${reminder.skipReason})`;
+  }
+
+  return `${label} ${reminder.status}`;
+}
+
 /**
  * Loads and displays recent appointments
  */
@@ -101,7 +380,7 @@ async function loadAppointments() {
   const container = document.getElementById('appointments-list');
 
   try {
-    const response = await fetch('/admin/api/appointments?limit=10');
+    const response = await apiFetch('/admin/api/appointments?limit=10');
     const appointments = await response.json();
 
     if (appointments.length === 0) {
@@ -125,15 +404,40 @@ async function loadAppointments() {
         minute: '2-digit',
       });
 
+      const isCancelled = apt.status === 'cancelled';
+
       return `
-        <div class="appointment-item">
+        <div class="appointment-item ${isCancelled ? 'cancelled' : ''}">
           <div class="appointment-info">
-            <div class="appointment-time">${formattedDate} at ${formattedTime}</div>
-            <div class="appointment-name">${apt.callerName} - ${apt.phoneNumber}</div>
+            <div class="appointment-time">
+              ${formattedDate} at ${formattedTime}
+              ${isCancelled ? '<span class="account-badge inactive">Cancelled</span>' : ''}
+              ${!isCancelled && apt.customerConfirmedAt ? '<span class="account-badge active">Confirmed</span>' : ''}
+            </div>
+            <div class="appointment-name">${escapeHtml(apt.callerName)} - ${escapeHtml(apt.phoneNumber)}</div>
+            ${apt.serviceType ? `
+              <div class="appointment-issue">${escapeHtml(apt.serviceType)}</div>
+            ` : ''}
             ${apt.issueDescription ? `
-              <div class="appointment-issue">${apt.issueDescription.substring(0, 100)}${apt.issueDescription.length > 100 ? '...' : ''}</div>
+              <div class="appointment-issue">${escapeHtml(apt.issueDescription.substring(0, 100))}${apt.issueDescription.length > 100 ? '...' : ''}</div>
+            ` : ''}
+            ${isCancelled && apt.cancellationReason ? `
+              <div class="appointment-issue">Reason: ${escapeHtml(apt.cancellationReason)}</div>
+            ` : ''}
+            ${apt.reminders && apt.reminders.length > 0 ? `
+              <div class="appointment-issue">Texts: ${escapeHtml(apt.reminders.map(formatReminder).join(' · '))}</div>
             ` : ''}
           </div>
+          ${!isCancelled && startDate > new Date() ? `
+            <div class="account-actions owner-only">
+              <button class="btn btn-secondary btn-small" onclick="rescheduleAppointment(${apt.id})">
+                Reschedule
+              </button>
+              <button class="btn btn-danger btn-small" onclick="cancelAppointment(${apt.id})">
+                Cancel
+              </button>
+            </div>
+          ` : ''}
         </div>
       `;
     }).join('');
@@ -148,47 +452,1811 @@ async function loadAppointments() {
 }
 
 /**
- * Activates a Google account
+ * Loads and displays notifications that failed and are retrying or dead
  */
-async function activateAccount(id) {
+async function loadNotifications() {
+  const container = document.getElementById('notifications-list');
+
   try {
-    const response = await fetch(`/admin/api/accounts/${id}/activate`, {
+    const response = await apiFetch('/admin/api/notifications?limit=20');
+    const messages = await response.json();
+
+    if (messages.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          All notifications have been delivered.
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = messages.map(message => {
+      const isDead = message.status === 'dead';
+      const nextAttempt = message.nextAttemptAt
+        ? new Date(message.nextAttemptAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+        : null;
+
+      return `
+        <div class="appointment-item">
+          <div class="appointment-info">
+            <div class="appointment-time">
+              ${escapeHtml(message.channel.toUpperCase())} to ${escapeHtml(message.recipient)}
+              <span class="account-badge ${isDead ? 'dead' : 'inactive'}">
+                ${isDead ? 'Dead letter' : 'Retrying'}
+              </span>
+            </div>
+            <div class="appointment-name">
+              ${escapeHtml(message.kind)} - ${message.attempts} attempt${message.attempts === 1 ? '' : 's'}
+              ${!isDead && nextAttempt ? ` - next try at ${nextAttempt}` : ''}
+            </div>
+            ${message.lastError ? `
+              <div class="appointment-issue">Error: ${escapeHtml(message.lastError)}</div>
+            ` : ''}
+          </div>
+          <div class="account-actions owner-only">
+            <button class="btn btn-secondary btn-small" onclick="resendNotification(${message.id})">
+              Resend
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load notifications:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load notifications. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Resends a failed notification now
+ */
+async function resendNotification(id) {
+  try {
+    const response = await apiFetch(`/admin/api/notifications/${id}/resend`, {
       method: 'POST',
     });
 
+    const data = await response.json().catch(() => ({}));
+
     if (!response.ok) {
-      throw new Error('Failed to activate account');
+      throw new Error(data.error || 'Failed to resend notification');
     }
 
-    showAlert('Account activated successfully!', 'success');
-    loadAccounts();
+    if (data.success) {
+      showAlert('Notification sent.', 'success');
+    } else {
+      showAlert(`Resend failed: ${data.error}. It will be retried automatically.`, 'error');
+    }
+    loadNotifications();
   } catch (error) {
-    console.error('Failed to activate account:', error);
-    showAlert('Failed to activate account. Please try again.', 'error');
+    console.error('Failed to resend notification:', error);
+    showAlert(error.message || 'Failed to resend notification. Please try again.', 'error');
   }
 }
 
 /**
- * Removes a Google account
+ * Formats a timestamp for the on-call card
  */
-async function removeAccount(id, email) {
-  if (!confirm(`Are you sure you want to disconnect ${email}?`)) {
-    return;
+function formatShortDateTime(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Loads who is on call now, the weekly rotation, technicians and overrides
+ */
+async function loadOnCall() {
+  const container = document.getElementById('on-call-list');
+
+  try {
+    const response = await apiFetch('/admin/api/on-call');
+    const schedule = await response.json();
+    onCallSchedule = schedule;
+
+    const current = schedule.current
+      ? `${escapeHtml(schedule.current.name)} (${schedule.current.source === 'override' ? 'override' : 'rotation'}
+         until ${formatShortDateTime(schedule.current.until)})`
+      : 'Nobody - alerts go to the owner';
+
+    const rotation = schedule.rotation && schedule.rotation.technicians.length > 0
+      ? `${escapeHtml(schedule.rotation.technicians.map(technician => technician.name).join(' → '))},
+         handing off weekly from ${escapeHtml(schedule.rotation.startsAt.replace('T', ' '))} (${escapeHtml(schedule.timezone)})`
+      : 'No rotation set up';
+
+    const technicians = schedule.technicians.map((technician, index) => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${index + 1}. ${escapeHtml(technician.name)}</span>
+          <span class="account-badge inactive">${escapeHtml(technician.phone)}</span>
+          ${technician.rotationPosition !== null ? '<span class="account-badge active">In rotation</span>' : ''}
+        </div>
+        <div class="account-actions owner-only">
+          <button class="btn btn-danger btn-small" data-name="${escapeHtml(technician.name)}" onclick="removeTechnician(${technician.id}, this.dataset.name)">
+            Remove
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    const overrides = schedule.overrides.map(override => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(override.technicianName)}</span>
+          <span class="account-badge inactive">
+            ${formatShortDateTime(override.startsAt)} - ${formatShortDateTime(override.endsAt)}
+          </span>
+          ${override.reason ? `<span class="account-date">${escapeHtml(override.reason)}</span>` : ''}
+        </div>
+        <div class="account-actions owner-only">
+          <button class="btn btn-danger btn-small" onclick="removeOverride(${override.id})">
+            Remove
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">On call now: ${current}</span>
+        </div>
+      </div>
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-date">Rotation: ${rotation}</span>
+        </div>
+      </div>
+      ${technicians}
+      ${overrides}
+    `;
+  } catch (error) {
+    console.error('Failed to load on-call schedule:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load on-call schedule. Please refresh the page.
+      </div>
+    `;
   }
+}
 
+/**
+ * Sends an on-call change to the API and reloads the card
+ */
+async function saveOnCall(url, method, body, successMessage) {
   try {
-    const response = await fetch(`/admin/api/accounts/${id}`, {
-      method: 'DELETE',
+    const response = await apiFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
     });
 
+    const data = await response.json().catch(() => ({}));
+
     if (!response.ok) {
-      throw new Error('Failed to remove account');
+      throw new Error(data.error || 'Failed to update on-call schedule');
     }
 
-    showAlert('Account disconnected successfully!', 'success');
-    loadAccounts();
+    showAlert(successMessage, 'success');
+    loadOnCall();
   } catch (error) {
-    console.error('Failed to remove account:', error);
-    showAlert('Failed to disconnect account. Please try again.', 'error');
+    console.error('Failed to update on-call schedule:', error);
+    showAlert(error.message || 'Failed to update on-call schedule. Please try again.', 'error');
+  }
+}
+
+/**
+ * Adds a technician who can be put on call
+ */
+async function addTechnician() {
+  const name = prompt('Technician name:');
+  if (!name) {
+    return;
+  }
+
+  const phone = prompt('Their mobile number:');
+  if (!phone) {
+    return;
+  }
+
+  await saveOnCall('/admin/api/technicians', 'POST', { name, phone }, `Added ${name}.`);
+}
+
+/**
+ * Removes a technician
+ */
+async function removeTechnician(id, name) {
+  if (!confirm(`Remove ${name}? They will be taken out of the rotation and any overrides.`)) {
+    return;
+  }
+
+  await saveOnCall(`/admin/api/technicians/${id}`, 'DELETE', null, 'Technician removed.');
+}
+
+/**
+ * Replaces the weekly rotation, picking technicians by their number in the list
+ */
+async function editRotation() {
+  if (!onCallSchedule || onCallSchedule.technicians.length === 0) {
+    showAlert('Add technicians first.', 'error');
+    return;
+  }
+
+  const numbers = prompt('Technician numbers in rotation order, e.g. 1,3,2:');
+  if (!numbers) {
+    return;
+  }
+
+  const technicianIds = numbers.split(',')
+    .map(n => onCallSchedule.technicians[parseInt(n.trim(), 10) - 1]?.id)
+    .filter(Boolean);
+
+  const startsAt = prompt(
+    `When the first technician's week starts, in ${onCallSchedule.timezone} (YYYY-MM-DD HH:MM).\n`
+    + 'Each handoff happens at this day and time every week:',
+    onCallSchedule.rotation?.startsAt.replace('T', ' ') || ''
+  );
+  if (!startsAt) {
+    return;
+  }
+
+  await saveOnCall('/admin/api/on-call/rotation', 'PUT', { technicianIds, startsAt }, 'Rotation saved.');
+}
+
+/**
+ * Puts a technician on call for a period, e.g. holiday cover or a swap
+ */
+async function addOverride() {
+  if (!onCallSchedule || onCallSchedule.technicians.length === 0) {
+    showAlert('Add technicians first.', 'error');
+    return;
+  }
+
+  const number = prompt('Number of the technician who will be on call:');
+  const technician = onCallSchedule.technicians[parseInt(number, 10) - 1];
+  if (!technician) {
+    return;
+  }
+
+  const startsAt = prompt(`Start, in ${onCallSchedule.timezone} (YYYY-MM-DD HH:MM):`);
+  if (!startsAt) {
+    return;
+  }
+
+  const endsAt = prompt(`End, in ${onCallSchedule.timezone} (YYYY-MM-DD HH:MM):`);
+  if (!endsAt) {
+    return;
+  }
+
+  const reason = prompt('Reason (optional, e.g. "Holiday" or "Swap with Sam"):') || '';
+
+  await saveOnCall('/admin/api/on-call/overrides', 'POST', {
+    technicianId: technician.id,
+    startsAt,
+    endsAt,
+    reason,
+  }, `${technician.name} will be on call for that period.`);
+}
+
+/**
+ * Removes an on-call override
+ */
+async function removeOverride(id) {
+  if (!confirm('Remove this override?')) {
+    return;
+  }
+
+  await saveOnCall(`/admin/api/on-call/overrides/${id}`, 'DELETE', null, 'Override removed.');
+}
+
+const weekdayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Loads regular and seasonal weekly hours
+ */
+async function loadHours() {
+  const container = document.getElementById('hours-list');
+
+  try {
+    const response = await apiFetch('/admin/api/hours');
+    hoursData = await response.json();
+
+    const usingSettings = !hoursData.schedules.some(schedule => !schedule.startsOn);
+
+    const schedules = hoursData.schedules.map(schedule => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(schedule.name)}</span>
+          ${schedule.startsOn
+            ? `<span class="account-badge inactive">${escapeHtml(schedule.startsOn)} to ${escapeHtml(schedule.endsOn)}</span>`
+            : '<span class="account-badge active">Regular</span>'}
+          <span class="account-date">${escapeHtml(schedule.description)}</span>
+        </div>
+        <div class="account-actions owner-only">
+          <button class="btn btn-secondary btn-small" onclick="editHours(${schedule.id})">Edit</button>
+          <button class="btn btn-danger btn-small" data-name="${escapeHtml(schedule.name)}" onclick="removeHours(${schedule.id}, this.dataset.name)">
+            Remove
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">This week: ${escapeHtml(hoursData.current)} (${escapeHtml(hoursData.timezone)})</span>
+          ${usingSettings ? '<span class="account-date">From the business settings until regular hours are saved here</span>' : ''}
+        </div>
+      </div>
+      ${schedules}
+    `;
+
+    resetHoursForm();
+  } catch (error) {
+    console.error('Failed to load hours:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load hours. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Fills the hours form from a schedule
+ */
+function fillHoursForm(schedule) {
+  document.getElementById('hours-name').value = schedule.name;
+  document.getElementById('hours-starts-on').value = schedule.startsOn || '';
+  document.getElementById('hours-ends-on').value = schedule.endsOn || '';
+
+  document.getElementById('hours-days').innerHTML = weekdayNames.map((name, index) => {
+    const periods = schedule.intervals
+      .filter(interval => interval.weekday === index + 1)
+      .map(interval => `${interval.startTime}-${interval.endTime}`)
+      .join(', ');
+
+    return `
+      <label for="hours-day-${index + 1}">${name}</label>
+      <input id="hours-day-${index + 1}" value="${escapeHtml(periods)}" placeholder="e.g. 07:00-12:00, 13:00-18:00">
+    `;
+  }).join('');
+}
+
+/**
+ * Starts a new schedule: the regular hours if there are none yet, otherwise
+ * seasonal hours starting from the regular ones
+ */
+function resetHoursForm() {
+  if (!hoursData) {
+    return;
+  }
+
+  const hasRegular = hoursData.schedules.some(schedule => !schedule.startsOn);
+  editingHoursId = null;
+  fillHoursForm({
+    ...hoursData.regular,
+    name: hasRegular ? '' : 'Regular hours',
+  });
+}
+
+/**
+ * Loads a saved schedule into the form for editing
+ */
+function editHours(id) {
+  const schedule = hoursData.schedules.find(item => item.id === id);
+  if (!schedule) {
+    return;
+  }
+
+  editingHoursId = id;
+  fillHoursForm(schedule);
+  document.getElementById('hours-name').focus();
+}
+
+/**
+ * Saves the schedule in the form, adding it or updating the one being edited
+ */
+async function saveHours() {
+  const intervals = [];
+
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    const text = document.getElementById(`hours-day-${weekday}`).value;
+
+    for (const period of text.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [startTime, endTime] = period.split('-').map(part => part.trim());
+      intervals.push({ weekday, startTime, endTime });
+    }
+  }
+
+  try {
+    const response = await apiFetch(editingHoursId ? `/admin/api/hours/${editingHoursId}` : '/admin/api/hours', {
+      method: editingHoursId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('hours-name').value,
+        startsOn: document.getElementById('hours-starts-on').value,
+        endsOn: document.getElementById('hours-ends-on').value,
+        intervals,
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save hours');
+    }
+
+    showAlert(`Saved ${data.name}.`, 'success');
+    loadHours();
+  } catch (error) {
+    console.error('Failed to save hours:', error);
+    showAlert(error.message || 'Failed to save hours. Please try again.', 'error');
+  }
+}
+
+/**
+ * Deletes a schedule
+ */
+async function removeHours(id, name) {
+  if (!confirm(`Remove ${name}?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/hours/${id}`, { method: 'DELETE' });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to remove hours');
+    }
+
+    showAlert(`Removed ${name}.`, 'success');
+    loadHours();
+  } catch (error) {
+    console.error('Failed to remove hours:', error);
+    showAlert(error.message || 'Failed to remove hours. Please try again.', 'error');
+  }
+}
+
+/**
+ * Describes when a service can be booked, for the services list
+ */
+function describeServiceRules(serviceType) {
+  const parts = [`${serviceType.durationMinutes} min`];
+
+  if (serviceType.bufferBeforeMinutes || serviceType.bufferAfterMinutes) {
+    parts.push(`${serviceType.bufferBeforeMinutes} min before, ${serviceType.bufferAfterMinutes} min after`);
+  }
+  if (serviceType.allowedDays) {
+    parts.push(serviceType.allowedDays.map(day => weekdayNames[day - 1].substring(0, 3)).join(', '));
+  }
+  if (serviceType.earliestStart || serviceType.latestEnd) {
+    parts.push(`${serviceType.earliestStart || 'opening'} to ${serviceType.latestEnd || 'closing'}`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Loads the service types the business books
+ */
+async function loadServiceTypes() {
+  const container = document.getElementById('service-types-list');
+
+  try {
+    const response = await apiFetch('/admin/api/service-types');
+    const data = await response.json();
+    serviceTypes = data.serviceTypes;
+
+    if (serviceTypes.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          No services yet. Every appointment is booked for ${escapeHtml(String(data.defaultDurationMinutes))} minutes.
+        </div>
+      `;
+    } else {
+      container.innerHTML = serviceTypes.map(serviceType => `
+        <div class="account-item">
+          <div class="account-info">
+            <span class="account-email">${escapeHtml(serviceType.name)}</span>
+            <span class="account-badge ${serviceType.voiceBookable ? 'active' : 'inactive'}">
+              ${serviceType.voiceBookable ? 'Booked by phone' : 'Callback only'}
+            </span>
+            <span class="account-date">${escapeHtml(describeServiceRules(serviceType))}</span>
+            ${serviceType.description ? `<span class="account-date">${escapeHtml(serviceType.description)}</span>` : ''}
+          </div>
+          <div class="account-actions owner-only">
+            <button class="btn btn-secondary btn-small" onclick="editServiceType(${serviceType.id})">Edit</button>
+            <button class="btn btn-danger btn-small" data-name="${escapeHtml(serviceType.name)}" onclick="removeServiceType(${serviceType.id}, this.dataset.name)">
+              Remove
+            </button>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    resetServiceTypeForm();
+  } catch (error) {
+    console.error('Failed to load services:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load services. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Fills the service form from a service type
+ */
+function fillServiceTypeForm(serviceType) {
+  document.getElementById('service-type-name').value = serviceType.name || '';
+  document.getElementById('service-type-description').value = serviceType.description || '';
+  document.getElementById('service-type-duration').value = serviceType.durationMinutes ?? '';
+  document.getElementById('service-type-buffer-before').value = serviceType.bufferBeforeMinutes ?? '';
+  document.getElementById('service-type-buffer-after').value = serviceType.bufferAfterMinutes ?? '';
+  document.getElementById('service-type-days').value = (serviceType.allowedDays || []).join(',');
+  document.getElementById('service-type-earliest-start').value = serviceType.earliestStart || '';
+  document.getElementById('service-type-latest-end').value = serviceType.latestEnd || '';
+  document.getElementById('service-type-voice-bookable').checked = serviceType.voiceBookable !== false;
+}
+
+/**
+ * Clears the service form for a new service
+ */
+function resetServiceTypeForm() {
+  editingServiceTypeId = null;
+  fillServiceTypeForm({});
+}
+
+/**
+ * Loads a saved service type into the form for editing
+ */
+function editServiceType(id) {
+  const serviceType = serviceTypes.find(item => item.id === id);
+  if (!serviceType) {
+    return;
+  }
+
+  editingServiceTypeId = id;
+  fillServiceTypeForm(serviceType);
+  document.getElementById('service-type-name').focus();
+}
+
+/**
+ * Saves the service in the form, adding it or updating the one being edited
+ */
+async function saveServiceType() {
+  try {
+    const url = editingServiceTypeId ? `/admin/api/service-types/${editingServiceTypeId}` : '/admin/api/service-types';
+    const response = await apiFetch(url, {
+      method: editingServiceTypeId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('service-type-name').value,
+        description: document.getElementById('service-type-description').value,
+        durationMinutes: document.getElementById('service-type-duration').value,
+        bufferBeforeMinutes: document.getElementById('service-type-buffer-before').value,
+        bufferAfterMinutes: document.getElementById('service-type-buffer-after').value,
+        allowedDays: document.getElementById('service-type-days').value,
+        earliestStart: document.getElementById('service-type-earliest-start').value,
+        latestEnd: document.getElementById('service-type-latest-end').value,
+        voiceBookable: document.getElementById('service-type-voice-bookable').checked,
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save service');
+    }
+
+    showAlert(`Saved ${data.name}.`, 'success');
+    loadServiceTypes();
+  } catch (error) {
+    console.error('Failed to save service:', error);
+    showAlert(error.message || 'Failed to save service. Please try again.', 'error');
+  }
+}
+
+/**
+ * Deletes a service type. Appointments booked for it keep its name.
+ */
+async function removeServiceType(id, name) {
+  if (!confirm(`Remove ${name}? Appointments already booked for it stay on the calendar.`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/service-types/${id}`, { method: 'DELETE' });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to remove service');
+    }
+
+    showAlert(`Removed ${name}.`, 'success');
+    loadServiceTypes();
+  } catch (error) {
+    console.error('Failed to remove service:', error);
+    showAlert(error.message || 'Failed to remove service. Please try again.', 'error');
+  }
+}
+
+const recurrenceLabels = {
+  none: '',
+  'yearly-date': 'Every year',
+  'yearly-weekday': 'Every year, same weekday',
+  'yearly-last-weekday': 'Every year, last such weekday',
+};
+
+/**
+ * Loads the business's closures and the closed days coming up
+ */
+async function loadClosures() {
+  const container = document.getElementById('closures-list');
+
+  try {
+    const response = await apiFetch('/admin/api/closures');
+    const data = await response.json();
+
+    const upcoming = data.upcoming.length > 0
+      ? data.upcoming.map(day => escapeHtml(day.message)).join('<br>')
+      : 'No closures in the next 60 days';
+
+    const closures = data.closures.map(closure => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(closure.name)}</span>
+          <span class="account-badge inactive">
+            ${escapeHtml(closure.startDate)}${closure.endDate !== closure.startDate ? ` to ${escapeHtml(closure.endDate)}` : ''}
+            ${closure.startTime ? `, ${escapeHtml(closure.startTime)}-${escapeHtml(closure.endTime)}` : ''}
+          </span>
+          ${recurrenceLabels[closure.recurrence] ? `<span class="account-badge active">${recurrenceLabels[closure.recurrence]}</span>` : ''}
+          ${closure.source === 'ical' ? '<span class="account-date">Imported</span>' : ''}
+        </div>
+        <div class="account-actions owner-only">
+          <button class="btn btn-danger btn-small" data-name="${escapeHtml(closure.name)}" onclick="removeClosure(${closure.id}, this.dataset.name)">
+            Remove
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-date">Coming up (${escapeHtml(data.timezone)}):<br>${upcoming}</span>
+        </div>
+      </div>
+      ${closures}
+    `;
+  } catch (error) {
+    console.error('Failed to load closures:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load closures. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Adds a closure from the form
+ */
+async function addClosure() {
+  const name = document.getElementById('closure-name');
+  const startDate = document.getElementById('closure-start-date').value;
+
+  try {
+    const response = await apiFetch('/admin/api/closures', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: name.value,
+        startDate,
+        endDate: document.getElementById('closure-end-date').value || startDate,
+        recurrence: document.getElementById('closure-recurrence').value,
+        startTime: document.getElementById('closure-start-time').value,
+        endTime: document.getElementById('closure-end-time').value,
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to add closure');
+    }
+
+    showAlert(`Added "${data.name}".`, 'success');
+    name.value = '';
+    loadClosures();
+  } catch (error) {
+    console.error('Failed to add closure:', error);
+    showAlert(error.message || 'Failed to add closure. Please try again.', 'error');
+  }
+}
+
+/**
+ * Deletes a closure
+ */
+async function removeClosure(id, name) {
+  if (!confirm(`Remove the closure "${name}"?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/closures/${id}`, { method: 'DELETE' });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to remove closure');
+    }
+
+    showAlert('Closure removed.', 'success');
+    loadClosures();
+  } catch (error) {
+    console.error('Failed to remove closure:', error);
+    showAlert(error.message || 'Failed to remove closure. Please try again.', 'error');
+  }
+}
+
+/**
+ * Imports closures from the chosen .ics file and lists any events skipped
+ */
+async function importClosures() {
+  const file = document.getElementById('closure-ics').files[0];
+  const result = document.getElementById('closure-import-result');
+
+  if (!file) {
+    showAlert('Choose an .ics file first.', 'error');
+    return;
+  }
+
+  try {
+    const response = await apiFetch('/admin/api/closures/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/calendar' },
+      body: await file.text(),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to import closures');
+    }
+
+    result.innerHTML = data.skipped.length > 0
+      ? `Skipped:<br>${data.skipped.map(event => `${escapeHtml(event.name)}: ${escapeHtml(event.reason)}`).join('<br>')}`
+      : 'Every event was imported.';
+    result.classList.remove('hidden');
+
+    showAlert(`Imported ${data.imported.length} closure${data.imported.length === 1 ? '' : 's'}.`, 'success');
+    loadClosures();
+  } catch (error) {
+    console.error('Failed to import closures:', error);
+    showAlert(error.message || 'Failed to import closures. Please try again.', 'error');
+  }
+}
+
+/**
+ * Loads recent emergency escalations and each person paged
+ */
+async function loadEscalations() {
+  const container = document.getElementById('escalations-list');
+
+  try {
+    const response = await apiFetch('/admin/api/escalations?limit=10');
+    const escalations = await response.json();
+
+    if (escalations.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          No emergencies have been escalated.
+        </div>
+      `;
+      return;
+    }
+
+    const statusBadges = {
+      active: '<span class="account-badge dead">Waiting for ACK</span>',
+      acknowledged: '<span class="account-badge active">Acknowledged</span>',
+      exhausted: '<span class="account-badge dead">Nobody acknowledged</span>',
+    };
+    const stepLabels = { paged: 'paged', acknowledged: 'acknowledged', timed_out: 'no response' };
+
+    container.innerHTML = escalations.map(escalation => {
+      const startedAt = new Date(escalation.createdAt).toLocaleString('en-US', {
+        dateStyle: 'short',
+        timeStyle: 'short',
+      });
+
+      const steps = escalation.steps.map(step => {
+        const pagedAt = new Date(step.pagedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return `${escapeHtml(step.contactName)} (${stepLabels[step.status]} ${pagedAt})`;
+      }).join(' → ');
+
+      return `
+        <div class="appointment-item">
+          <div class="appointment-info">
+            <div class="appointment-time">
+              ${startedAt} ${statusBadges[escalation.status]}
+            </div>
+            <div class="appointment-name">${escapeHtml(escalation.callerName || 'Unknown')} - ${escapeHtml(escalation.phoneNumber || 'No phone')}</div>
+            <div class="appointment-issue">${steps}</div>
+            ${escalation.acknowledgedBy ? `
+              <div class="appointment-issue">Acknowledged by ${escapeHtml(escalation.acknowledgedBy)} via ${escapeHtml(escalation.acknowledgedVia)}</div>
+            ` : ''}
+          </div>
+          ${escalation.status === 'active' ? `
+            <div class="account-actions owner-only">
+              <button class="btn btn-secondary btn-small" onclick="acknowledgeEscalation(${escalation.id})">
+                Acknowledge
+              </button>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load escalations:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load escalations. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Acknowledges an emergency so no one else is paged
+ */
+async function acknowledgeEscalation(id) {
+  if (!confirm('Acknowledge this emergency? No one else will be paged.')) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/escalations/${id}/acknowledge`, {
+      method: 'POST',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to acknowledge escalation');
+    }
+
+    showAlert('Emergency acknowledged.', 'success');
+    loadEscalations();
+  } catch (error) {
+    console.error('Failed to acknowledge escalation:', error);
+    showAlert(error.message || 'Failed to acknowledge escalation. Please try again.', 'error');
+  }
+}
+
+/**
+ * Loads recent texts to and from the Twilio number
+ */
+async function loadSmsMessages() {
+  const container = document.getElementById('sms-messages-list');
+
+  try {
+    const response = await apiFetch('/admin/api/sms-messages?limit=20');
+    const messages = await response.json();
+
+    if (messages.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          No text messages yet.
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = messages.map(message => {
+      const sentAt = new Date(message.createdAt).toLocaleString('en-US', {
+        dateStyle: 'short',
+        timeStyle: 'short',
+      });
+      const direction = message.direction === 'inbound' ? `From ${message.phone}` : `Reply to ${message.phone}`;
+
+      return `
+        <div class="appointment-item">
+          <div class="appointment-info">
+            <div class="appointment-time">
+              ${sentAt}
+              ${message.command ? `<span class="account-badge active">${escapeHtml(message.command)}</span>` : ''}
+            </div>
+            <div class="appointment-name">${escapeHtml(direction)}</div>
+            <div class="appointment-issue">${escapeHtml(message.body)}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load text messages:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load text messages. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Loads customers' text consent history, optionally for one number
+ */
+async function loadSmsConsent(phone) {
+  const container = document.getElementById('sms-consent-list');
+
+  try {
+    const query = phone ? `?phone=${encodeURIComponent(phone)}` : '';
+    const response = await apiFetch(`/admin/api/sms-consent${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load consent history');
+    }
+
+    const current = phone ? `
+      <div class="empty-state">
+        ${data.current
+          ? `${escapeHtml(data.current.phone)} is ${data.current.status === 'revoked' ? 'opted out' : 'opted in'} (${escapeHtml(data.current.source)})`
+          : `No consent recorded for ${escapeHtml(phone)}. Customers are texted about their bookings unless they opt out.`}
+      </div>
+    ` : '';
+
+    if (data.events.length === 0) {
+      container.innerHTML = current || `
+        <div class="empty-state">
+          No consent recorded yet.
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = current + data.events.map(event => {
+      const recordedAt = new Date(event.createdAt).toLocaleString('en-US', {
+        dateStyle: 'short',
+        timeStyle: 'short',
+      });
+      const badge = event.status === 'revoked'
+        ? '<span class="account-badge dead">Opted out</span>'
+        : '<span class="account-badge active">Opted in</span>';
+
+      return `
+        <div class="appointment-item">
+          <div class="appointment-info">
+            <div class="appointment-time">${recordedAt} ${badge}</div>
+            <div class="appointment-name">${escapeHtml(event.phone)}</div>
+            <div class="appointment-issue">${escapeHtml(event.source)}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load consent history:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        ${escapeHtml(error.message || 'Failed to load consent history. Please refresh the page.')}
+      </div>
+    `;
+  }
+}
+
+/**
+ * Shows the consent history of one phone number
+ */
+function lookUpConsent() {
+  const phone = prompt('Phone number to look up (leave blank for everyone):');
+  if (phone === null) {
+    return;
+  }
+
+  loadSmsConsent(phone.trim() || undefined);
+}
+
+/**
+ * Loads the business's message templates into the editor
+ */
+async function loadTemplates() {
+  const select = document.getElementById('template-select');
+  const selected = select.value;
+
+  try {
+    const response = await apiFetch('/admin/api/templates');
+    const types = await response.json();
+
+    if (!response.ok) {
+      throw new Error(types.error || 'Failed to load message templates');
+    }
+
+    messageTemplates = {};
+    select.innerHTML = '';
+
+    for (const type of types) {
+      const group = document.createElement('optgroup');
+      group.label = type.label;
+
+      for (const part of type.parts) {
+        const key = `${type.type}:${part.part}`;
+        messageTemplates[key] = { ...part, type: type.type, fields: type.fields };
+        group.appendChild(new Option(`${part.label}${part.customized ? ' (edited)' : ''}`, key));
+      }
+
+      select.appendChild(group);
+    }
+
+    if (messageTemplates[selected]) {
+      select.value = selected;
+    }
+
+    showTemplate();
+  } catch (error) {
+    console.error('Failed to load message templates:', error);
+    showAlert(error.message || 'Failed to load message templates. Please refresh the page.', 'error');
+  }
+}
+
+/**
+ * Shows the selected template in the editor
+ */
+function showTemplate() {
+  const template = messageTemplates[document.getElementById('template-select').value];
+
+  if (!template) {
+    return;
+  }
+
+  document.getElementById('template-body').value = template.body;
+  document.getElementById('template-status').textContent = template.customized
+    ? `Edited by ${template.updatedBy || 'unknown'} on ${formatShortDateTime(template.updatedAt)}`
+    : 'Using the default wording';
+  document.getElementById('template-fields').textContent = 'Values: '
+    + template.fields.map(field => `{{${field}}}`).join(' ')
+    + '. Wrap text in {{#name}}...{{/name}} to show it only when a value is set,'
+    + ' or {{^name}}...{{/name}} when it isn\'t.';
+  document.getElementById('template-preview').classList.add('hidden');
+}
+
+/**
+ * Renders the text in the editor with sample data
+ */
+async function previewTemplate() {
+  const template = messageTemplates[document.getElementById('template-select').value];
+  const preview = document.getElementById('template-preview');
+
+  if (!template) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/templates/${template.type}/${template.part}/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body: document.getElementById('template-body').value }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to preview template');
+    }
+
+    preview.innerHTML = '';
+
+    if (data.html) {
+      // Sandboxed so the email's HTML can't run scripts in the admin page
+      const frame = document.createElement('iframe');
+      frame.setAttribute('sandbox', '');
+      frame.srcdoc = data.output;
+      preview.appendChild(frame);
+    } else {
+      const text = document.createElement('pre');
+      text.textContent = data.output;
+      preview.appendChild(text);
+    }
+
+    preview.classList.remove('hidden');
+  } catch (error) {
+    console.error('Failed to preview template:', error);
+    showAlert(error.message || 'Failed to preview template. Please try again.', 'error');
+  }
+}
+
+/**
+ * Saves the text in the editor as the business's template
+ */
+async function saveTemplate() {
+  const template = messageTemplates[document.getElementById('template-select').value];
+
+  if (!template) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/templates/${template.type}/${template.part}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body: document.getElementById('template-body').value }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save template');
+    }
+
+    showAlert(`${template.label} saved.`, 'success');
+    loadTemplates();
+  } catch (error) {
+    console.error('Failed to save template:', error);
+    showAlert(error.message || 'Failed to save template. Please try again.', 'error');
+  }
+}
+
+/**
+ * Puts the selected template back to the default wording
+ */
+async function resetTemplate() {
+  const template = messageTemplates[document.getElementById('template-select').value];
+
+  if (!template || !confirm(`Put the ${template.label.toLowerCase()} back to the default wording?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/templates/${template.type}/${template.part}`, {
+      method: 'DELETE',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to reset template');
+    }
+
+    showAlert(`${template.label} reset to the default.`, 'success');
+    loadTemplates();
+  } catch (error) {
+    console.error('Failed to reset template:', error);
+    showAlert(error.message || 'Failed to reset template. Please try again.', 'error');
+  }
+}
+
+// Badge colour for each emergency rule severity
+const severityBadges = { critical: 'dead', high: 'warning', normal: 'inactive' };
+
+/**
+ * Loads the emergency rules that apply to the selected business
+ */
+async function loadEmergencyRules() {
+  const container = document.getElementById('emergency-rules-list');
+
+  try {
+    const response = await apiFetch('/admin/api/emergency-rules');
+    const rules = await response.json();
+
+    if (!response.ok) {
+      throw new Error(rules.error || 'Failed to load emergency rules');
+    }
+
+    if (rules.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          No emergency rules. Calls will never be flagged as emergencies.
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = rules.map(rule => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(rule.pattern)}</span>
+          <span class="account-badge ${severityBadges[rule.severity]}">${escapeHtml(rule.severity)}</span>
+          ${rule.speaker === 'any' ? '<span class="account-badge inactive">Anyone</span>' : ''}
+          ${rule.negationWindow === 0 ? '<span class="account-badge inactive">No negation</span>' : ''}
+          ${rule.businessId === null ? '<span class="account-badge inactive">Shared</span>' : ''}
+          ${rule.enabled ? '' : '<span class="account-badge dead">Off</span>'}
+        </div>
+        ${rule.editable ? `
+          <div class="account-actions">
+            <button class="btn btn-secondary btn-small" onclick="toggleEmergencyRule(${rule.id}, ${!rule.enabled})">
+              ${rule.enabled ? 'Turn Off' : 'Turn On'}
+            </button>
+            <button class="btn btn-secondary btn-small" data-severity="${escapeHtml(rule.severity)}" onclick="changeEmergencySeverity(${rule.id}, this.dataset.severity)">
+              Severity
+            </button>
+            <button class="btn btn-danger btn-small" data-pattern="${escapeHtml(rule.pattern)}" onclick="removeEmergencyRule(${rule.id}, this.dataset.pattern)">
+              Delete
+            </button>
+          </div>
+        ` : ''}
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load emergency rules:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load emergency rules. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Saves changes to an emergency rule and reloads the list
+ */
+async function updateEmergencyRule(ruleId, updates) {
+  try {
+    const response = await apiFetch(`/admin/api/emergency-rules/${ruleId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to update rule');
+    }
+
+    loadEmergencyRules();
+  } catch (error) {
+    console.error('Failed to update emergency rule:', error);
+    showAlert(error.message || 'Failed to update rule. Please try again.', 'error');
+  }
+}
+
+/**
+ * Turns an emergency rule on or off
+ */
+function toggleEmergencyRule(ruleId, enabled) {
+  updateEmergencyRule(ruleId, { enabled });
+}
+
+/**
+ * Changes how severe a match on an emergency rule is
+ */
+function changeEmergencySeverity(ruleId, current) {
+  const severity = prompt('Severity (critical, high or normal):', current);
+  if (!severity || severity.trim().toLowerCase() === current) {
+    return;
+  }
+
+  updateEmergencyRule(ruleId, { severity: severity.trim().toLowerCase() });
+}
+
+/**
+ * Adds an emergency rule from the form
+ */
+async function addEmergencyRule() {
+  const pattern = document.getElementById('emergency-rule-pattern');
+
+  try {
+    const response = await apiFetch('/admin/api/emergency-rules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        pattern: pattern.value,
+        severity: document.getElementById('emergency-rule-severity').value,
+        speaker: document.getElementById('emergency-rule-speaker').value,
+        negationWindow: document.getElementById('emergency-rule-negation').value,
+        shared: document.getElementById('emergency-rule-shared').checked,
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to add rule');
+    }
+
+    showAlert(`Added the rule "${data.pattern}".`, 'success');
+    pattern.value = '';
+    loadEmergencyRules();
+  } catch (error) {
+    console.error('Failed to add emergency rule:', error);
+    showAlert(error.message || 'Failed to add rule. Please try again.', 'error');
+  }
+}
+
+/**
+ * Deletes an emergency rule
+ */
+async function removeEmergencyRule(ruleId, pattern) {
+  if (!confirm(`Delete the rule "${pattern}"?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/emergency-rules/${ruleId}`, {
+      method: 'DELETE',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to delete rule');
+    }
+
+    showAlert(`Deleted the rule "${pattern}".`, 'success');
+    loadEmergencyRules();
+  } catch (error) {
+    console.error('Failed to delete emergency rule:', error);
+    showAlert(error.message || 'Failed to delete rule. Please try again.', 'error');
+  }
+}
+
+/**
+ * Runs the rules over the transcript typed into the form
+ */
+async function testEmergencyRules() {
+  const result = document.getElementById('emergency-test-result');
+
+  try {
+    const response = await apiFetch('/admin/api/emergency-rules/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transcript: document.getElementById('emergency-test-transcript').value }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to test rules');
+    }
+
+    const lines = [data.isEmergency
+      ? `Emergency (${data.severity})`
+      : `Not an emergency${data.severity ? ` (${data.severity} match only)` : ''}`];
+
+    for (const match of data.matches) {
+      lines.push(`Matched "${match.text}" (${match.pattern}, ${match.severity})`);
+    }
+    for (const match of data.ignored) {
+      lines.push(`Ignored "${match.text}" after "${match.negatedBy}" (${match.pattern})`);
+    }
+
+    const text = document.createElement('pre');
+    text.textContent = lines.join('\n');
+    result.innerHTML = '';
+    result.appendChild(text);
+    result.classList.remove('hidden');
+  } catch (error) {
+    console.error('Failed to test emergency rules:', error);
+    showAlert(error.message || 'Failed to test rules. Please try again.', 'error');
+  }
+}
+
+/**
+ * Runs the regression transcripts against the rules and shows any the
+ * rules now get wrong
+ */
+async function checkEmergencyCorpus() {
+  const container = document.getElementById('emergency-corpus');
+
+  try {
+    const response = await apiFetch('/admin/api/emergency-rules/corpus');
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to check rules');
+    }
+
+    const lines = [`${data.passed} passed, ${data.failed} failed`];
+
+    for (const result of data.results.filter(candidate => !candidate.passed)) {
+      lines.push(`✗ ${result.name}: expected ${result.expected || 'none'}, got ${result.actual || 'none'}`);
+    }
+
+    const text = document.createElement('pre');
+    text.textContent = lines.join('\n');
+    container.innerHTML = '';
+    container.appendChild(text);
+    container.classList.remove('hidden');
+  } catch (error) {
+    console.error('Failed to check emergency rules:', error);
+    showAlert(error.message || 'Failed to check rules. Please try again.', 'error');
+  }
+}
+
+/**
+ * Loads the people paged for emergencies, in order
+ */
+async function loadEscalationContacts() {
+  const container = document.getElementById('escalation-contacts-list');
+
+  try {
+    const response = await apiFetch('/admin/api/escalation-contacts');
+    const contacts = await response.json();
+
+    const rows = contacts.map((contact, index) => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${index + 1}. ${escapeHtml(contact.name)}</span>
+          <span class="account-badge inactive">${escapeHtml(contact.phone)}</span>
+        </div>
+        <div class="account-actions">
+          <button class="btn btn-danger btn-small" data-name="${escapeHtml(contact.name)}" onclick="removeEscalationContact(${contact.id}, this.dataset.name)">
+            Remove
+          </button>
+        </div>
+      </div>
+    `);
+
+    // The owner is always paged last
+    rows.push(`
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${contacts.length + 1}. Owner</span>
+          <span class="account-badge active">Always last</span>
+        </div>
+      </div>
+    `);
+
+    container.innerHTML = rows.join('');
+  } catch (error) {
+    console.error('Failed to load escalation contacts:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load contacts. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Adds a person to the end of the escalation chain
+ */
+async function addEscalationContact() {
+  const name = prompt('Name of the person to page:');
+  if (!name) {
+    return;
+  }
+
+  const phone = prompt('Their mobile number:');
+  if (!phone) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch('/admin/api/escalation-contacts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, phone }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to add contact');
+    }
+
+    showAlert(`Added ${data.name} to the escalation chain.`, 'success');
+    loadEscalationContacts();
+  } catch (error) {
+    console.error('Failed to add escalation contact:', error);
+    showAlert(error.message || 'Failed to add contact. Please try again.', 'error');
+  }
+}
+
+/**
+ * Removes a person from the escalation chain
+ */
+async function removeEscalationContact(id, name) {
+  if (!confirm(`Stop paging ${name} for emergencies?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/escalation-contacts/${id}`, {
+      method: 'DELETE',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to remove contact');
+    }
+
+    showAlert('Contact removed.', 'success');
+    loadEscalationContacts();
+  } catch (error) {
+    console.error('Failed to remove escalation contact:', error);
+    showAlert(error.message || 'Failed to remove contact. Please try again.', 'error');
+  }
+}
+
+/**
+ * Loads notification channels and the lead types routed to each
+ */
+async function loadChannels() {
+  const container = document.getElementById('channels-list');
+
+  try {
+    const response = await apiFetch('/admin/api/channels');
+    const channels = await response.json();
+
+    container.innerHTML = channels.map(channel => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(channel.name)}</span>
+          <span class="account-badge ${channel.configured ? 'active' : 'inactive'}">
+            ${channel.configured ? 'Configured' : 'Not configured'}
+          </span>
+          <span class="account-badge inactive">
+            ${channel.leadTypes.length > 0 ? escapeHtml(channel.leadTypes.join(', ')) : 'Unused'}
+          </span>
+        </div>
+        <div class="account-actions">
+          ${channel.configured ? `
+            <button class="btn btn-secondary btn-small" data-name="${escapeHtml(channel.name)}" onclick="testChannel(this.dataset.name)">
+              Send Test
+            </button>
+          ` : ''}
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load channels:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load channels. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Sends a test notification through a channel
+ */
+async function testChannel(name) {
+  try {
+    const response = await apiFetch(`/admin/api/channels/${name}/test`, {
+      method: 'POST',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send test notification');
+    }
+
+    if (data.success) {
+      showAlert(`Test notification sent via ${name}.`, 'success');
+    } else {
+      showAlert(`Test via ${name} failed: ${data.error}`, 'error');
+    }
+
+    loadNotifications();
+  } catch (error) {
+    console.error('Failed to send test notification:', error);
+    showAlert(error.message || 'Failed to send test notification. Please try again.', 'error');
+  }
+}
+
+/**
+ * Activates a Google account
+ */
+async function activateAccount(id) {
+  try {
+    const response = await apiFetch(`/admin/api/accounts/${id}/activate`, {
+      method: 'POST',
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to activate account');
+    }
+
+    showAlert('Account activated successfully!', 'success');
+    loadAccounts();
+  } catch (error) {
+    console.error('Failed to activate account:', error);
+    showAlert('Failed to activate account. Please try again.', 'error');
+  }
+}
+
+/**
+ * Removes a Google account
+ */
+async function removeAccount(id, email) {
+  if (!confirm(`Are you sure you want to disconnect ${email}?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/accounts/${id}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to remove account');
+    }
+
+    showAlert('Account disconnected successfully!', 'success');
+    loadAccounts();
+  } catch (error) {
+    console.error('Failed to remove account:', error);
+    showAlert('Failed to disconnect account. Please try again.', 'error');
+  }
+}
+
+/**
+ * Cancels an appointment
+ */
+async function cancelAppointment(id) {
+  const reason = prompt('Reason for cancelling (optional):');
+  if (reason === null) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/appointments/${id}/cancel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: reason || undefined }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to cancel appointment');
+    }
+
+    showAlert('Appointment cancelled. The customer and owner have been notified.', 'success');
+    loadAppointments();
+  } catch (error) {
+    console.error('Failed to cancel appointment:', error);
+    showAlert(error.message || 'Failed to cancel appointment. Please try again.', 'error');
+  }
+}
+
+/**
+ * Moves an appointment to a new time
+ */
+async function rescheduleAppointment(id) {
+  const startTime = prompt('New start time in business local time (YYYY-MM-DD HH:MM):');
+  if (!startTime) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/appointments/${id}/reschedule`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ startTime: startTime.trim().replace(' ', 'T') }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to reschedule appointment');
+    }
+
+    showAlert(`Appointment moved to ${data.appointment.displayTime}.`, 'success');
+    loadAppointments();
+  } catch (error) {
+    console.error('Failed to reschedule appointment:', error);
+    showAlert(error.message || 'Failed to reschedule appointment. Please try again.', 'error');
+  }
+}
+
+/**
+ * Loads and displays admin users
+ */
+async function loadUsers() {
+  const container = document.getElementById('users-list');
+
+  try {
+    const response = await apiFetch('/admin/api/users');
+    const users = await response.json();
+
+    container.innerHTML = users.map(user => `
+      <div class="account-item">
+        <div class="account-info">
+          <span class="account-email">${escapeHtml(user.email)}</span>
+          <span class="account-badge ${user.role === 'owner' ? 'active' : 'inactive'}">
+            ${escapeHtml(user.role)}
+          </span>
+        </div>
+        <div class="account-actions">
+          <button class="btn btn-danger btn-small" data-email="${escapeHtml(user.email)}" onclick="removeUser(${user.id}, this.dataset.email)">
+            Remove
+          </button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load users:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        Failed to load users. Please refresh the page.
+      </div>
+    `;
+  }
+}
+
+/**
+ * Adds an admin user
+ */
+async function addUser() {
+  const email = prompt('Email for the new user:');
+  if (!email) {
+    return;
+  }
+
+  const role = confirm('Should this user be an owner?\n\nOK = owner (full access)\nCancel = dispatcher (read-only)')
+    ? 'owner'
+    : 'dispatcher';
+
+  const password = prompt('Temporary password (at least 10 characters):');
+  if (!password) {
+    return;
+  }
+
+  // Platform admins choose whether the new user sees every business
+  const select = document.getElementById('business-select');
+  const businessName = select.selectedOptions[0]?.textContent.trim();
+  const businessId = !currentUser.businessId && currentBusinessId
+    && confirm(`Limit this user to ${businessName}?\n\nOK = only this business\nCancel = all businesses`)
+    ? currentBusinessId
+    : undefined;
+
+  try {
+    const response = await apiFetch('/admin/api/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password, role, businessId }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to add user');
+    }
+
+    showAlert(`Added ${data.email} as ${data.role}.`, 'success');
+    loadUsers();
+  } catch (error) {
+    console.error('Failed to add user:', error);
+    showAlert(error.message || 'Failed to add user. Please try again.', 'error');
+  }
+}
+
+/**
+ * Removes an admin user
+ */
+async function removeUser(id, email) {
+  if (!confirm(`Are you sure you want to remove ${email}?`)) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/admin/api/users/${id}`, {
+      method: 'DELETE',
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to remove user');
+    }
+
+    showAlert('User removed.', 'success');
+    loadUsers();
+  } catch (error) {
+    console.error('Failed to remove user:', error);
+    showAlert(error.message || 'Failed to remove user. Please try again.', 'error');
   }
 }
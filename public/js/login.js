@@ -0,0 +1,45 @@
+// Login page functionality
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('login-form');
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const button = form.querySelector('button');
+    button.disabled = true;
+
+    try {
+      const response = await fetch('/admin/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: form.email.value,
+          password: form.password.value,
+        }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to sign in');
+      }
+
+      window.location.href = '/admin';
+    } catch (error) {
+      showAlert(error.message, 'error');
+      form.password.value = '';
+    } finally {
+      button.disabled = false;
+    }
+  });
+});
+
+/**
+ * Shows an alert message
+ */
+function showAlert(message, type) {
+  const alert = document.getElementById('alert');
+  alert.textContent = message;
+  alert.className = `alert ${type}`;
+}
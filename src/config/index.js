@@ -13,6 +13,9 @@ const envSchema = z.object({
   // Server
   PORT: z.string().default('3000'),
   NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
+  // Public URL of this server, used in links sent by SMS and to verify
+  // Twilio signatures (e.g. https://leads.example.com)
+  PUBLIC_BASE_URL: z.string().default(''),
 
   // Twilio (required in production, defaults in dev)
   TWILIO_ACCOUNT_SID: isDev
@@ -24,6 +27,8 @@ const envSchema = z.object({
   TWILIO_PHONE_NUMBER: isDev
     ? z.string().default('+1234567890')
     : z.string().min(1, 'TWILIO_PHONE_NUMBER is required'),
+  // Send Twilio API requests somewhere other than api.twilio.com (e.g. a local stub)
+  TWILIO_API_BASE_URL: z.string().default(''),
 
   // Vapi (required in production, defaults in dev)
   VAPI_API_KEY: isDev
@@ -33,6 +38,13 @@ const envSchema = z.object({
     ? z.string().default('your_assistant_id')
     : z.string().min(1, 'VAPI_ASSISTANT_ID is required'),
 
+  // Vapi webhook authentication (set either or both; production rejects
+  // all webhooks when neither is set)
+  VAPI_WEBHOOK_SECRET: z.string().default(''),
+  VAPI_WEBHOOK_HMAC_SECRET: z.string().default(''),
+  VAPI_SECRET_HEADER: z.string().default('x-vapi-secret'),
+  VAPI_SIGNATURE_HEADER: z.string().default('x-vapi-signature'),
+
   // Notifications (required in production, defaults in dev)
   OWNER_PHONE_NUMBER: isDev
     ? z.string().default('+1234567890')
@@ -41,6 +53,28 @@ const envSchema = z.object({
     ? z.string().default('owner@example.com')
     : z.string().email('OWNER_EMAIL must be a valid email'),
 
+  // Notification outbox retries
+  NOTIFICATION_MAX_ATTEMPTS: z.string().default('5'),
+  NOTIFICATION_RETRY_BASE_SECONDS: z.string().default('30'),
+  NOTIFICATION_WORKER_INTERVAL_SECONDS: z.string().default('15'),
+
+  // Notification channels per lead type (comma-separated channel names:
+  // sms, email, webhook, slack, console)
+  NOTIFY_EMERGENCY_CHANNELS: z.string().default('sms,email'),
+  NOTIFY_NORMAL_CHANNELS: z.string().default('sms,email'),
+  NOTIFY_BOOKED_CHANNELS: z.string().default('sms,email'),
+  NOTIFICATION_WEBHOOK_URL: z.string().default(''),
+  NOTIFICATION_WEBHOOK_SECRET: z.string().default(''),
+  SLACK_WEBHOOK_URL: z.string().default(''),
+  NOTIFICATION_LOG_FILE: z.string().default(''),
+  // Non-emergency lead texts while closed: 'digest' holds them for one text
+  // when the business opens, 'send' sends them straight away
+  AFTER_HOURS_TEXTS: z.enum(['digest', 'send']).default('digest'),
+
+  // Emergency escalation
+  ESCALATION_ACK_MINUTES: z.string().default('5'),
+  ESCALATION_LINK_SECRET: z.string().default(''),
+
   // Resend (required in production, defaults in dev)
   RESEND_API_KEY: isDev
     ? z.string().default('your_resend_api_key')
@@ -54,6 +88,11 @@ const envSchema = z.object({
   GOOGLE_CLIENT_SECRET: z.string().default(''),
   GOOGLE_REDIRECT_URI: z.string().default('http://localhost:3000/auth/google/callback'),
 
+  // Admin panel login
+  ADMIN_SESSION_TTL_HOURS: z.string().default('12'),
+  ADMIN_BOOTSTRAP_EMAIL: z.string().default(''),
+  ADMIN_BOOTSTRAP_PASSWORD: z.string().default(''),
+
   // Database
   DATABASE_PATH: z.string().default('./data/calendar.db'),
 
@@ -63,8 +102,19 @@ const envSchema = z.object({
   BUSINESS_HOURS_END: z.string().default('17:00'),
   BUSINESS_DAYS: z.string().default('1,2,3,4,5'),
   BUSINESS_TIMEZONE: z.string().default('America/New_York'),
+  // Days the business is closed: YYYY-MM-DD once, or MM-DD every year
+  BUSINESS_HOLIDAYS: z.string().default(''),
 });
 
+/**
+ * Splits a comma-separated setting into trimmed, non-empty values
+ * @param {string} value - Comma-separated list
+ * @returns {string[]} Values
+ */
+function parseList(value) {
+  return value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
 /**
  * Validates and loads environment configuration
  * @returns {object} Validated configuration object
@@ -86,19 +136,42 @@ function loadConfig() {
       nodeEnv: result.data.NODE_ENV,
       isDevelopment: result.data.NODE_ENV === 'development',
       isProduction: result.data.NODE_ENV === 'production',
+      publicBaseUrl: result.data.PUBLIC_BASE_URL.replace(/\/+$/, ''),
     },
     twilio: {
       accountSid: result.data.TWILIO_ACCOUNT_SID,
       authToken: result.data.TWILIO_AUTH_TOKEN,
       phoneNumber: result.data.TWILIO_PHONE_NUMBER,
+      apiBaseUrl: result.data.TWILIO_API_BASE_URL,
     },
     vapi: {
       apiKey: result.data.VAPI_API_KEY,
       assistantId: result.data.VAPI_ASSISTANT_ID,
+      webhookSecret: result.data.VAPI_WEBHOOK_SECRET,
+      webhookHmacSecret: result.data.VAPI_WEBHOOK_HMAC_SECRET,
+      secretHeader: result.data.VAPI_SECRET_HEADER.toLowerCase(),
+      signatureHeader: result.data.VAPI_SIGNATURE_HEADER.toLowerCase(),
     },
     notifications: {
       ownerPhone: result.data.OWNER_PHONE_NUMBER,
       ownerEmail: result.data.OWNER_EMAIL,
+      maxAttempts: parseInt(result.data.NOTIFICATION_MAX_ATTEMPTS, 10),
+      retryBaseSeconds: parseInt(result.data.NOTIFICATION_RETRY_BASE_SECONDS, 10),
+      workerIntervalSeconds: parseInt(result.data.NOTIFICATION_WORKER_INTERVAL_SECONDS, 10),
+      channels: {
+        emergency: parseList(result.data.NOTIFY_EMERGENCY_CHANNELS),
+        normal: parseList(result.data.NOTIFY_NORMAL_CHANNELS),
+        booked: parseList(result.data.NOTIFY_BOOKED_CHANNELS),
+      },
+      webhookUrl: result.data.NOTIFICATION_WEBHOOK_URL,
+      webhookSecret: result.data.NOTIFICATION_WEBHOOK_SECRET,
+      slackWebhookUrl: result.data.SLACK_WEBHOOK_URL,
+      logFile: result.data.NOTIFICATION_LOG_FILE,
+      afterHoursTexts: result.data.AFTER_HOURS_TEXTS,
+    },
+    escalation: {
+      ackMinutes: parseInt(result.data.ESCALATION_ACK_MINUTES, 10),
+      linkSecret: result.data.ESCALATION_LINK_SECRET,
     },
     resend: {
       apiKey: result.data.RESEND_API_KEY,
@@ -111,6 +184,11 @@ function loadConfig() {
       clientSecret: result.data.GOOGLE_CLIENT_SECRET,
       redirectUri: result.data.GOOGLE_REDIRECT_URI,
     },
+    admin: {
+      sessionTtlHours: parseInt(result.data.ADMIN_SESSION_TTL_HOURS, 10),
+      bootstrapEmail: result.data.ADMIN_BOOTSTRAP_EMAIL,
+      bootstrapPassword: result.data.ADMIN_BOOTSTRAP_PASSWORD,
+    },
     database: {
       path: result.data.DATABASE_PATH,
     },
@@ -120,6 +198,7 @@ function loadConfig() {
       businessHoursEnd: result.data.BUSINESS_HOURS_END,
       businessDays: result.data.BUSINESS_DAYS.split(',').map(d => parseInt(d, 10)),
       timezone: result.data.BUSINESS_TIMEZONE,
+      holidays: parseList(result.data.BUSINESS_HOLIDAYS),
     },
   };
 }
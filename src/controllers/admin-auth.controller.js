@@ -0,0 +1,164 @@
+import logger from '../utils/logger.js';
+import {
+  login,
+  logout,
+  createAdminUser,
+} from '../services/admin-auth.service.js';
+import {
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+} from '../middleware/admin-auth.middleware.js';
+import {
+  getAllUsers,
+  getUserById,
+  countUsers,
+  deleteUser,
+} from '../db/repositories/user.repository.js';
+
+/**
+ * Logs an admin user in and sets the session cookie
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function handleLogin(req, res) {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const result = await login(email, password);
+
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    setSessionCookie(res, result.token, result.expiresAt);
+
+    res.json({ success: true, user: result.user });
+  } catch (error) {
+    logger.error('Error logging in', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+}
+
+/**
+ * Logs the current admin user out
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function handleLogout(req, res) {
+  try {
+    logout(getSessionToken(req));
+    clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error logging out', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+}
+
+/**
+ * Returns the logged-in user
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function getCurrentUser(req, res) {
+  res.json({
+    id: req.user.id,
+    email: req.user.email,
+    role: req.user.role,
+    businessId: req.user.businessId,
+  });
+}
+
+/**
+ * Lists admin users
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listUsers(req, res) {
+  try {
+    res.json(getAllUsers(req.user.businessId));
+  } catch (error) {
+    logger.error('Error listing users', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+}
+
+/**
+ * Creates an admin user
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addUser(req, res) {
+  try {
+    const { email, password, role } = req.body || {};
+
+    // Users tied to a business can only add users to that business
+    const businessId = req.user.businessId || parseInt(req.body?.businessId, 10) || null;
+
+    const user = await createAdminUser({ email, password, role, businessId });
+
+    logger.info('Admin user added', {
+      by: req.user.email,
+      email: user.email,
+      role: user.role,
+      businessId: user.businessId,
+    });
+
+    res.status(201).json(user);
+  } catch (error) {
+    logger.warn('Failed to add admin user', { error: error.message });
+    res.status(400).json({ error: error.message });
+  }
+}
+
+/**
+ * Deletes an admin user
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeUser(req, res) {
+  try {
+    const userId = parseInt(req.params.id, 10);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = getUserById(userId);
+
+    if (!user || (req.user.businessId && user.businessId !== req.user.businessId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    if (user.role === 'owner' && countUsers('owner') <= 1) {
+      return res.status(400).json({ error: 'Cannot delete the last owner' });
+    }
+
+    deleteUser(userId);
+
+    logger.info('Admin user removed', { by: req.user.email, email: user.email });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing user', error);
+    res.status(500).json({ error: 'Failed to remove user' });
+  }
+}
+
+export default {
+  handleLogin,
+  handleLogout,
+  getCurrentUser,
+  listUsers,
+  addUser,
+  removeUser,
+};
@@ -1,12 +1,111 @@
+import { IANAZone } from 'luxon';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { revokeToken } from '../utils/google-auth.js';
+import { toE164 } from '../utils/phone.js';
 import {
   getAllAccounts,
   getAccountById,
   setActiveAccount,
   deleteAccount,
 } from '../db/repositories/account.repository.js';
-import { getAppointments } from '../db/repositories/appointment.repository.js';
+import { getAppointments, getAppointmentById } from '../db/repositories/appointment.repository.js';
+import {
+  cancelAppointment as cancelBooking,
+  rescheduleAppointment as rescheduleBooking,
+} from '../services/booking.service.js';
+import { canManageBusiness } from '../services/business.service.js';
+import { resendMessage } from '../services/outbox.service.js';
+import { sendTestNotification } from '../services/notification.service.js';
+import { getChannels } from '../services/channels/index.js';
+import {
+  getEscalations,
+  getEscalationById,
+  acknowledgeEscalation as recordAcknowledgement,
+  getEscalationContacts,
+  getEscalationContactById,
+  createEscalationContact,
+  deleteEscalationContact,
+} from '../db/repositories/escalation.repository.js';
+import { getSmsMessages } from '../db/repositories/conversation.repository.js';
+import { getRemindersForAppointment } from '../db/repositories/reminder.repository.js';
+import { getConsent, getConsentEvents } from '../db/repositories/consent.repository.js';
+import {
+  listTemplates,
+  validateTemplateBody,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate,
+  isTemplatePart,
+} from '../services/template.service.js';
+import {
+  SEVERITIES,
+  normalizePattern,
+  validatePattern,
+  detectEmergency,
+  runEmergencyCorpus,
+} from '../services/emergency.service.js';
+import {
+  getEmergencyRules,
+  getEmergencyRuleById,
+  createEmergencyRule,
+  updateEmergencyRule,
+  deleteEmergencyRule,
+} from '../db/repositories/emergency-rule.repository.js';
+import { getOnCallTechnician, parseLocalDateTime } from '../services/on-call.service.js';
+import {
+  getTechnicians,
+  getTechnicianById,
+  createTechnician,
+  deleteTechnician,
+  getRotation,
+  setRotation,
+  createOverride,
+  getOverrideById,
+  deleteOverride,
+  getUpcomingOverrides,
+} from '../db/repositories/on-call.repository.js';
+import { getMessages, getMessageById } from '../db/repositories/outbox.repository.js';
+import {
+  validateClosure,
+  closuresFromICalendar,
+  getUpcomingClosures,
+} from '../services/closure.service.js';
+import {
+  describeSchedule,
+  describeWeeklyHours,
+  validateHoursSchedule,
+} from '../services/business-hours.service.js';
+import { getRegularSchedule } from '../utils/weekly-hours.js';
+import {
+  getHoursSchedules,
+  getHoursScheduleById,
+  createHoursSchedule,
+  updateHoursSchedule,
+  deleteHoursSchedule,
+} from '../db/repositories/hours.repository.js';
+import {
+  getClosures,
+  getClosureById,
+  createClosure,
+  importClosures,
+  updateClosure,
+  deleteClosure,
+} from '../db/repositories/closure.repository.js';
+import { validateServiceType } from '../services/service-type.service.js';
+import {
+  getServiceTypes,
+  getServiceTypeById,
+  createServiceType,
+  updateServiceType,
+  deleteServiceType,
+} from '../db/repositories/service-type.repository.js';
+import {
+  createBusiness,
+  updateBusiness,
+  getAllBusinesses,
+  getBusinessById,
+} from '../db/repositories/business.repository.js';
 
 /**
  * Gets all connected Google accounts
@@ -15,7 +114,7 @@ import { getAppointments } from '../db/repositories/appointment.repository.js';
  */
 export async function listAccounts(req, res) {
   try {
-    const accounts = getAllAccounts();
+    const accounts = getAllAccounts(req.business.id);
 
     // Remove sensitive tokens from response
     const safeAccounts = accounts.map(account => ({
@@ -47,12 +146,14 @@ export async function activateAccount(req, res) {
       return res.status(400).json({ error: 'Invalid account ID' });
     }
 
-    const account = setActiveAccount(accountId);
+    const existing = getAccountById(accountId);
 
-    if (!account) {
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
+    const account = setActiveAccount(accountId);
+
     logger.info('Account activated', { id: accountId, email: account.email });
 
     res.json({
@@ -84,7 +185,7 @@ export async function removeAccount(req, res) {
 
     const account = getAccountById(accountId);
 
-    if (!account) {
+    if (!account || !canManageBusiness(req.user, account.businessId)) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
@@ -112,7 +213,7 @@ export async function removeAccount(req, res) {
 }
 
 /**
- * Gets recent appointments
+ * Gets recent appointments, with the texts sent to each customer
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
@@ -121,7 +222,8 @@ export async function listAppointments(req, res) {
     const limit = parseInt(req.query.limit, 10) || 10;
     const offset = parseInt(req.query.offset, 10) || 0;
 
-    const appointments = getAppointments({ limit, offset });
+    const appointments = getAppointments({ limit, offset, businessId: req.business.id })
+      .map(appointment => ({ ...appointment, reminders: getRemindersForAppointment(appointment.id) }));
 
     res.json(appointments);
   } catch (error) {
@@ -130,9 +232,1583 @@ export async function listAppointments(req, res) {
   }
 }
 
+/**
+ * Cancels an appointment
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function cancelAppointment(req, res) {
+  try {
+    const appointmentId = parseInt(req.params.id, 10);
+
+    if (isNaN(appointmentId)) {
+      return res.status(400).json({ error: 'Invalid appointment ID' });
+    }
+
+    const appointment = getAppointmentById(appointmentId);
+
+    if (!appointment || !canManageBusiness(req.user, appointment.businessId)) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const reason = req.body?.reason || 'Cancelled from admin panel';
+    const result = await cancelBooking(appointmentId, { reason });
+
+    if (!result.success) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error cancelling appointment', error);
+    res.status(500).json({ error: 'Failed to cancel appointment' });
+  }
+}
+
+/**
+ * Moves an appointment to a new time
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function rescheduleAppointment(req, res) {
+  try {
+    const appointmentId = parseInt(req.params.id, 10);
+
+    if (isNaN(appointmentId)) {
+      return res.status(400).json({ error: 'Invalid appointment ID' });
+    }
+
+    if (!req.body?.startTime) {
+      return res.status(400).json({ error: 'startTime is required' });
+    }
+
+    const appointment = getAppointmentById(appointmentId);
+
+    if (!appointment || !canManageBusiness(req.user, appointment.businessId)) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const result = await rescheduleBooking(appointmentId, req.body.startTime);
+
+    if (!result.success) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error rescheduling appointment', error);
+    res.status(500).json({ error: 'Failed to reschedule appointment' });
+  }
+}
+
+/**
+ * Lists outbox notifications; by default the ones that failed and are
+ * waiting for a retry or have been given up on
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listNotifications(req, res) {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const statuses = req.query.status
+      ? String(req.query.status).split(',')
+      : ['dead', 'pending', 'sending'];
+
+    const messages = getMessages({ statuses, businessId: req.business.id, limit });
+
+    res.json(messages);
+  } catch (error) {
+    logger.error('Error listing notifications', error);
+    res.status(500).json({ error: 'Failed to list notifications' });
+  }
+}
+
+/**
+ * Resends a failed notification
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function resendNotification(req, res) {
+  try {
+    const messageId = parseInt(req.params.id, 10);
+
+    if (isNaN(messageId)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const message = getMessageById(messageId);
+
+    if (!message || !canManageBusiness(req.user, message.businessId)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const result = await resendMessage(messageId);
+
+    if (!result.success && !result.message) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    logger.info('Notification resent from admin panel', {
+      by: req.user.email,
+      outboxId: messageId,
+      success: result.success,
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error resending notification', error);
+    res.status(500).json({ error: 'Failed to resend notification' });
+  }
+}
+
+/**
+ * Lists notification channels, whether each is configured and which lead
+ * types it receives
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listChannels(req, res) {
+  try {
+    const routes = config.notifications.channels;
+
+    res.json(getChannels().map(channel => ({
+      name: channel.name,
+      configured: channel.isConfigured(),
+      recipient: channel.getRecipient(req.business),
+      leadTypes: Object.keys(routes).filter(type => routes[type].includes(channel.name)),
+    })));
+  } catch (error) {
+    logger.error('Error listing channels', error);
+    res.status(500).json({ error: 'Failed to list channels' });
+  }
+}
+
+/**
+ * Sends a test notification through one channel
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function testChannel(req, res) {
+  try {
+    const result = await sendTestNotification(req.params.name, req.business);
+
+    logger.info('Test notification sent from admin panel', {
+      by: req.user.email,
+      channel: req.params.name,
+      success: result.success,
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error sending test notification', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+}
+
+/**
+ * Lists recent texts to and from customers and staff, optionally with one number
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listSmsMessages(req, res) {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    let phone = null;
+
+    if (req.query.phone) {
+      phone = toE164(req.query.phone);
+
+      if (!phone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+    }
+
+    res.json(getSmsMessages({ businessId: req.business.id, phone, limit }));
+  } catch (error) {
+    logger.error('Error listing text messages', error);
+    res.status(500).json({ error: 'Failed to list text messages' });
+  }
+}
+
+/**
+ * Lists the history of customers opting in to and out of texts. With a
+ * phone number, also returns that number's current consent.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listSmsConsent(req, res) {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    if (!req.query.phone) {
+      return res.json({ events: getConsentEvents({ businessId: req.business.id, limit }) });
+    }
+
+    const phone = toE164(req.query.phone);
+
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    res.json({
+      current: getConsent(phone),
+      events: getConsentEvents({ businessId: req.business.id, phone, limit }),
+    });
+  } catch (error) {
+    logger.error('Error listing SMS consent', error);
+    res.status(500).json({ error: 'Failed to list SMS consent' });
+  }
+}
+
+/**
+ * Lists the business's message templates, with the defaults they replace
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listMessageTemplates(req, res) {
+  try {
+    res.json(listTemplates(req.business.id));
+  } catch (error) {
+    logger.error('Error listing message templates', error);
+    res.status(500).json({ error: 'Failed to list message templates' });
+  }
+}
+
+/**
+ * Saves the business's wording for one message part
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function updateMessageTemplate(req, res) {
+  try {
+    const { type, part } = req.params;
+
+    if (!isTemplatePart(type, part)) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    const error = validateTemplateBody(type, part, req.body?.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const template = updateTemplate(req.business.id, type, part, req.body.body, req.user.email);
+
+    logger.info('Message template edited', { by: req.user.email, businessId: req.business.id, type, part });
+
+    res.json(template);
+  } catch (error) {
+    logger.error('Error updating message template', error);
+    res.status(500).json({ error: 'Failed to update message template' });
+  }
+}
+
+/**
+ * Puts one message part back to its default wording
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function resetMessageTemplate(req, res) {
+  try {
+    const { type, part } = req.params;
+
+    if (!isTemplatePart(type, part)) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    const reset = resetTemplate(req.business.id, type, part);
+
+    logger.info('Message template reset', { by: req.user.email, businessId: req.business.id, type, part });
+
+    res.json({ success: true, reset });
+  } catch (error) {
+    logger.error('Error resetting message template', error);
+    res.status(500).json({ error: 'Failed to reset message template' });
+  }
+}
+
+/**
+ * Renders template text against sample data without saving it
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function previewMessageTemplate(req, res) {
+  try {
+    const { type, part } = req.params;
+
+    if (!isTemplatePart(type, part)) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    const error = validateTemplateBody(type, part, req.body?.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(previewTemplate(type, part, req.body.body, req.business));
+  } catch (error) {
+    logger.error('Error previewing message template', error);
+    res.status(500).json({ error: 'Failed to preview message template' });
+  }
+}
+
+/**
+ * Validates emergency rule fields from a request body
+ * @param {object} body - Request body
+ * @returns {{ updates?: object, error?: string }} Fields to save, or an error
+ */
+function parseEmergencyRuleInput(body = {}) {
+  const updates = {};
+
+  if ('pattern' in body) {
+    updates.pattern = normalizePattern(body.pattern);
+    const error = validatePattern(updates.pattern);
+    if (error) {
+      return { error };
+    }
+  }
+
+  if ('severity' in body) {
+    if (!SEVERITIES.includes(body.severity)) {
+      return { error: `severity must be one of ${SEVERITIES.join(', ')}` };
+    }
+    updates.severity = body.severity;
+  }
+
+  if ('negationWindow' in body) {
+    const window = parseInt(body.negationWindow, 10);
+    if (isNaN(window) || window < 0 || window > 10) {
+      return { error: 'negationWindow must be a number of words from 0 to 10' };
+    }
+    updates.negationWindow = window;
+  }
+
+  if ('speaker' in body) {
+    if (!['caller', 'any'].includes(body.speaker)) {
+      return { error: 'speaker must be caller or any' };
+    }
+    updates.speaker = body.speaker;
+  }
+
+  if ('enabled' in body) {
+    updates.enabled = Boolean(body.enabled);
+  }
+
+  return { updates };
+}
+
+/**
+ * Checks whether the user may change a rule. Shared rules apply to every
+ * business, so only platform admins can change them.
+ * @param {object} user - Logged-in user
+ * @param {object} rule - Emergency rule
+ * @returns {boolean}
+ */
+function canEditEmergencyRule(user, rule) {
+  return rule.businessId === null ? !user.businessId : canManageBusiness(user, rule.businessId);
+}
+
+/**
+ * Lists the emergency rules that apply to the business, shared rules first
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listEmergencyRules(req, res) {
+  try {
+    res.json(getEmergencyRules(req.business.id).map(rule => ({
+      ...rule,
+      editable: canEditEmergencyRule(req.user, rule),
+    })));
+  } catch (error) {
+    logger.error('Error listing emergency rules', error);
+    res.status(500).json({ error: 'Failed to list emergency rules' });
+  }
+}
+
+/**
+ * Adds an emergency rule for the business, or for every business when
+ * shared is set (platform admins only)
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addEmergencyRule(req, res) {
+  try {
+    const shared = Boolean(req.body?.shared);
+
+    if (shared && req.user.businessId) {
+      return res.status(403).json({ error: 'Only platform admins can add shared rules' });
+    }
+
+    const { updates, error } = parseEmergencyRuleInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!updates.pattern) {
+      return res.status(400).json({ error: 'Pattern is required' });
+    }
+
+    const rule = createEmergencyRule({
+      severity: 'high',
+      negationWindow: 3,
+      speaker: 'caller',
+      ...updates,
+      businessId: shared ? null : req.business.id,
+    });
+
+    logger.info('Emergency rule added from admin panel', { by: req.user.email, id: rule.id });
+
+    res.status(201).json({ ...rule, editable: true });
+  } catch (error) {
+    logger.error('Error adding emergency rule', error);
+    res.status(500).json({ error: 'Failed to add emergency rule' });
+  }
+}
+
+/**
+ * Changes an emergency rule
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function editEmergencyRule(req, res) {
+  try {
+    const ruleId = parseInt(req.params.id, 10);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ error: 'Invalid rule ID' });
+    }
+
+    const existing = getEmergencyRuleById(ruleId);
+
+    if (!existing || (existing.businessId !== null && !canManageBusiness(req.user, existing.businessId))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    if (!canEditEmergencyRule(req.user, existing)) {
+      return res.status(403).json({ error: 'Only platform admins can change shared rules' });
+    }
+
+    const { updates, error } = parseEmergencyRuleInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = updateEmergencyRule(ruleId, updates);
+
+    logger.info('Emergency rule edited', { by: req.user.email, id: ruleId });
+
+    res.json({ ...rule, editable: true });
+  } catch (error) {
+    logger.error('Error editing emergency rule', error);
+    res.status(500).json({ error: 'Failed to update emergency rule' });
+  }
+}
+
+/**
+ * Deletes an emergency rule
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeEmergencyRule(req, res) {
+  try {
+    const ruleId = parseInt(req.params.id, 10);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ error: 'Invalid rule ID' });
+    }
+
+    const existing = getEmergencyRuleById(ruleId);
+
+    if (!existing || (existing.businessId !== null && !canManageBusiness(req.user, existing.businessId))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    if (!canEditEmergencyRule(req.user, existing)) {
+      return res.status(403).json({ error: 'Only platform admins can change shared rules' });
+    }
+
+    deleteEmergencyRule(ruleId);
+
+    logger.info('Emergency rule removed', { by: req.user.email, id: ruleId, pattern: existing.pattern });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing emergency rule', error);
+    res.status(500).json({ error: 'Failed to remove emergency rule' });
+  }
+}
+
+/**
+ * Runs the business's emergency rules over a sample transcript
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function testEmergencyRules(req, res) {
+  try {
+    const transcript = String(req.body?.transcript || '');
+
+    if (!transcript.trim()) {
+      return res.status(400).json({ error: 'Transcript is required' });
+    }
+
+    res.json(detectEmergency(transcript, { businessId: req.business.id }));
+  } catch (error) {
+    logger.error('Error testing emergency rules', error);
+    res.status(500).json({ error: 'Failed to test emergency rules' });
+  }
+}
+
+/**
+ * Runs the regression corpus against the business's emergency rules
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function checkEmergencyCorpus(req, res) {
+  try {
+    res.json(runEmergencyCorpus(req.business.id));
+  } catch (error) {
+    logger.error('Error checking emergency corpus', error);
+    res.status(500).json({ error: 'Failed to check emergency rules' });
+  }
+}
+
+/**
+ * Lists recent emergency escalations and who was paged
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listEscalations(req, res) {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    res.json(getEscalations({ businessId: req.business.id, limit }));
+  } catch (error) {
+    logger.error('Error listing escalations', error);
+    res.status(500).json({ error: 'Failed to list escalations' });
+  }
+}
+
+/**
+ * Acknowledges an emergency from the admin panel, which stops the paging
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function acknowledgeEscalation(req, res) {
+  try {
+    const escalationId = parseInt(req.params.id, 10);
+
+    if (isNaN(escalationId)) {
+      return res.status(400).json({ error: 'Invalid escalation ID' });
+    }
+
+    const existing = getEscalationById(escalationId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Escalation not found' });
+    }
+
+    const escalation = recordAcknowledgement(escalationId, { by: req.user.email, via: 'admin' });
+
+    if (!escalation) {
+      return res.status(409).json({ error: 'This escalation is no longer active' });
+    }
+
+    res.json(escalation);
+  } catch (error) {
+    logger.error('Error acknowledging escalation', error);
+    res.status(500).json({ error: 'Failed to acknowledge escalation' });
+  }
+}
+
+/**
+ * Lists the business's escalation contacts in paging order
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listEscalationContacts(req, res) {
+  try {
+    res.json(getEscalationContacts(req.business.id));
+  } catch (error) {
+    logger.error('Error listing escalation contacts', error);
+    res.status(500).json({ error: 'Failed to list escalation contacts' });
+  }
+}
+
+/**
+ * Adds a person to the end of the business's escalation chain
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addEscalationContact(req, res) {
+  try {
+    const name = String(req.body?.name || '').trim();
+    const phone = toE164(req.body?.phone);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!phone) {
+      return res.status(400).json({ error: 'A valid phone number is required' });
+    }
+
+    const contact = createEscalationContact({ businessId: req.business.id, name, phone });
+
+    logger.info('Escalation contact added from admin panel', { by: req.user.email, id: contact.id });
+
+    res.status(201).json(contact);
+  } catch (error) {
+    logger.error('Error adding escalation contact', error);
+    res.status(500).json({ error: 'Failed to add escalation contact' });
+  }
+}
+
+/**
+ * Removes a person from the escalation chain
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeEscalationContact(req, res) {
+  try {
+    const contactId = parseInt(req.params.id, 10);
+
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    const contact = getEscalationContactById(contactId);
+
+    if (!contact || !canManageBusiness(req.user, contact.businessId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    deleteEscalationContact(contactId);
+
+    logger.info('Escalation contact removed', { by: req.user.email, id: contactId });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing escalation contact', error);
+    res.status(500).json({ error: 'Failed to remove escalation contact' });
+  }
+}
+
+/**
+ * Gets the on-call schedule: who is on call now, the rotation, technicians
+ * and upcoming overrides
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function getOnCallSchedule(req, res) {
+  try {
+    res.json({
+      current: getOnCallTechnician(req.business),
+      timezone: req.business.calendar.timezone,
+      rotation: getRotation(req.business.id),
+      technicians: getTechnicians(req.business.id),
+      overrides: getUpcomingOverrides(req.business.id),
+    });
+  } catch (error) {
+    logger.error('Error getting on-call schedule', error);
+    res.status(500).json({ error: 'Failed to get on-call schedule' });
+  }
+}
+
+/**
+ * Adds a technician who can be put on call
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addTechnician(req, res) {
+  try {
+    const name = String(req.body?.name || '').trim();
+    const phone = toE164(req.body?.phone);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!phone) {
+      return res.status(400).json({ error: 'A valid phone number is required' });
+    }
+
+    const technician = createTechnician({ businessId: req.business.id, name, phone });
+
+    logger.info('Technician added from admin panel', { by: req.user.email, id: technician.id });
+
+    res.status(201).json(technician);
+  } catch (error) {
+    logger.error('Error adding technician', error);
+    res.status(500).json({ error: 'Failed to add technician' });
+  }
+}
+
+/**
+ * Removes a technician, taking them out of the rotation and overrides
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeTechnician(req, res) {
+  try {
+    const technicianId = parseInt(req.params.id, 10);
+
+    if (isNaN(technicianId)) {
+      return res.status(400).json({ error: 'Invalid technician ID' });
+    }
+
+    const technician = getTechnicianById(technicianId);
+
+    if (!technician || !canManageBusiness(req.user, technician.businessId)) {
+      return res.status(404).json({ error: 'Technician not found' });
+    }
+
+    deleteTechnician(technicianId);
+
+    logger.info('Technician removed', { by: req.user.email, id: technicianId });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing technician', error);
+    res.status(500).json({ error: 'Failed to remove technician' });
+  }
+}
+
+/**
+ * Replaces the weekly rotation
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function updateRotation(req, res) {
+  try {
+    const start = parseLocalDateTime(req.body?.startsAt, req.business.calendar.timezone);
+    const technicianIds = Array.isArray(req.body?.technicianIds)
+      ? req.body.technicianIds.map(id => parseInt(id, 10))
+      : [];
+
+    if (!start) {
+      return res.status(400).json({ error: 'startsAt must be a local date and time (YYYY-MM-DD HH:MM)' });
+    }
+
+    if (technicianIds.length === 0) {
+      return res.status(400).json({ error: 'Pick at least one technician for the rotation' });
+    }
+
+    if (new Set(technicianIds).size !== technicianIds.length) {
+      return res.status(400).json({ error: 'A technician can only appear once in the rotation' });
+    }
+
+    const known = new Set(getTechnicians(req.business.id).map(technician => technician.id));
+    if (!technicianIds.every(id => known.has(id))) {
+      return res.status(400).json({ error: 'Unknown technician in the rotation' });
+    }
+
+    const rotation = setRotation(req.business.id, start.toFormat("yyyy-LL-dd'T'HH:mm"), technicianIds);
+
+    logger.info('On-call rotation edited', { by: req.user.email, businessId: req.business.id });
+
+    res.json(rotation);
+  } catch (error) {
+    logger.error('Error updating rotation', error);
+    res.status(500).json({ error: 'Failed to update rotation' });
+  }
+}
+
+/**
+ * Puts a technician on call for a period (holiday cover or a swap)
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addOverride(req, res) {
+  try {
+    const timezone = req.business.calendar.timezone;
+    const technicianId = parseInt(req.body?.technicianId, 10);
+    const start = parseLocalDateTime(req.body?.startsAt, timezone);
+    const end = parseLocalDateTime(req.body?.endsAt, timezone);
+
+    const technician = isNaN(technicianId) ? null : getTechnicianById(technicianId);
+
+    if (!technician || technician.businessId !== req.business.id) {
+      return res.status(400).json({ error: 'Unknown technician' });
+    }
+
+    if (!start || !end) {
+      return res.status(400).json({ error: 'startsAt and endsAt must be local dates and times (YYYY-MM-DD HH:MM)' });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({ error: 'The override must end after it starts' });
+    }
+
+    const override = createOverride({
+      businessId: req.business.id,
+      technicianId,
+      startsAt: Math.floor(start.toSeconds()),
+      endsAt: Math.floor(end.toSeconds()),
+      reason: req.body?.reason ? String(req.body.reason).trim() : null,
+    });
+
+    logger.info('On-call override added from admin panel', { by: req.user.email, id: override.id });
+
+    res.status(201).json(override);
+  } catch (error) {
+    logger.error('Error adding override', error);
+    res.status(500).json({ error: 'Failed to add override' });
+  }
+}
+
+/**
+ * Removes an on-call override
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeOverride(req, res) {
+  try {
+    const overrideId = parseInt(req.params.id, 10);
+
+    if (isNaN(overrideId)) {
+      return res.status(400).json({ error: 'Invalid override ID' });
+    }
+
+    const override = getOverrideById(overrideId);
+
+    if (!override || !canManageBusiness(req.user, override.businessId)) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+
+    deleteOverride(overrideId);
+
+    logger.info('On-call override removed', { by: req.user.email, id: overrideId });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing override', error);
+    res.status(500).json({ error: 'Failed to remove override' });
+  }
+}
+
+/**
+ * Picks hours schedule fields out of a request body. Blank dates mean
+ * regular hours.
+ * @param {object} body - Request body
+ * @returns {{ updates?: object, error?: string }} Fields to save, or an error
+ */
+function parseHoursInput(body = {}) {
+  const updates = {};
+
+  if ('name' in body) {
+    updates.name = String(body.name ?? '').trim();
+  }
+
+  for (const field of ['startsOn', 'endsOn']) {
+    if (field in body) {
+      updates[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  }
+
+  if ('intervals' in body) {
+    if (!Array.isArray(body.intervals)) {
+      return { error: 'intervals must be a list of open periods' };
+    }
+
+    updates.intervals = body.intervals.map(interval => ({
+      weekday: parseInt(interval?.weekday, 10),
+      startTime: String(interval?.startTime ?? '').trim(),
+      endTime: String(interval?.endTime ?? '').trim(),
+    }));
+  }
+
+  return { updates };
+}
+
+/**
+ * Lists the business's weekly hours: regular hours (from the environment
+ * settings until saved here) and seasonal hours
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listHours(req, res) {
+  try {
+    res.json({
+      timezone: req.business.calendar.timezone,
+      current: describeWeeklyHours(req.business),
+      regular: getRegularSchedule(req.business.calendar),
+      schedules: getHoursSchedules(req.business.id).map(schedule => ({
+        ...schedule,
+        description: describeSchedule(schedule),
+      })),
+    });
+  } catch (error) {
+    logger.error('Error listing hours', error);
+    res.status(500).json({ error: 'Failed to list hours' });
+  }
+}
+
+/**
+ * Adds regular or seasonal hours
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addHoursSchedule(req, res) {
+  try {
+    const { updates, error: inputError } = parseHoursInput(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const schedule = { startsOn: null, endsOn: null, intervals: [], ...updates };
+    const error = validateHoursSchedule(schedule, getHoursSchedules(req.business.id));
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = createHoursSchedule({ ...schedule, businessId: req.business.id });
+
+    logger.info('Hours added from admin panel', { by: req.user.email, id: created.id });
+
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error adding hours', error);
+    res.status(500).json({ error: 'Failed to add hours' });
+  }
+}
+
+/**
+ * Changes regular or seasonal hours
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function editHoursSchedule(req, res) {
+  try {
+    const scheduleId = parseInt(req.params.id, 10);
+
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({ error: 'Invalid schedule ID' });
+    }
+
+    const existing = getHoursScheduleById(scheduleId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Hours not found' });
+    }
+
+    const { updates, error: inputError } = parseHoursInput(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const others = getHoursSchedules(existing.businessId).filter(schedule => schedule.id !== scheduleId);
+    const error = validateHoursSchedule({ ...existing, ...updates }, others);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const schedule = updateHoursSchedule(scheduleId, updates);
+
+    logger.info('Hours edited', { by: req.user.email, id: scheduleId });
+
+    res.json(schedule);
+  } catch (error) {
+    logger.error('Error editing hours', error);
+    res.status(500).json({ error: 'Failed to update hours' });
+  }
+}
+
+/**
+ * Deletes regular or seasonal hours. Without regular hours the business
+ * goes back to the hours in its settings.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeHoursSchedule(req, res) {
+  try {
+    const scheduleId = parseInt(req.params.id, 10);
+
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({ error: 'Invalid schedule ID' });
+    }
+
+    const existing = getHoursScheduleById(scheduleId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Hours not found' });
+    }
+
+    deleteHoursSchedule(scheduleId);
+
+    logger.info('Hours removed', { by: req.user.email, id: scheduleId, name: existing.name });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing hours', error);
+    res.status(500).json({ error: 'Failed to remove hours' });
+  }
+}
+
+/**
+ * Picks service type fields out of a request body. Blank days or times mean
+ * no limit beyond the business hours.
+ * @param {object} body - Request body
+ * @returns {{ updates?: object, error?: string }} Fields to save, or an error
+ */
+function parseServiceTypeInput(body = {}) {
+  const updates = {};
+
+  if ('name' in body) {
+    updates.name = String(body.name ?? '').trim();
+  }
+
+  if ('description' in body) {
+    updates.description = body.description ? String(body.description).trim() : null;
+  }
+
+  for (const field of ['durationMinutes', 'bufferBeforeMinutes', 'bufferAfterMinutes']) {
+    if (field in body) {
+      updates[field] = body[field] === '' || body[field] == null ? 0 : Number(body[field]);
+    }
+  }
+
+  if ('allowedDays' in body) {
+    const days = Array.isArray(body.allowedDays)
+      ? body.allowedDays
+      : String(body.allowedDays ?? '').split(',').filter(day => day.trim());
+
+    if (days.some(day => !/^\d+$/.test(String(day).trim()))) {
+      return { error: 'allowedDays must be weekday numbers from 1 (Monday) to 7 (Sunday)' };
+    }
+
+    updates.allowedDays = days.length > 0 ? days.map(day => parseInt(day, 10)) : null;
+  }
+
+  for (const field of ['earliestStart', 'latestEnd']) {
+    if (field in body) {
+      updates[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  }
+
+  if ('voiceBookable' in body) {
+    updates.voiceBookable = Boolean(body.voiceBookable);
+  }
+
+  return { updates };
+}
+
+/**
+ * Lists the business's service types
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listServiceTypes(req, res) {
+  try {
+    res.json({
+      defaultDurationMinutes: req.business.calendar.appointmentDuration,
+      serviceTypes: getServiceTypes(req.business.id),
+    });
+  } catch (error) {
+    logger.error('Error listing service types', error);
+    res.status(500).json({ error: 'Failed to list service types' });
+  }
+}
+
+/**
+ * Adds a service type
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addServiceType(req, res) {
+  try {
+    const { updates, error: inputError } = parseServiceTypeInput(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const serviceType = {
+      description: null,
+      bufferBeforeMinutes: 0,
+      bufferAfterMinutes: 0,
+      allowedDays: null,
+      earliestStart: null,
+      latestEnd: null,
+      voiceBookable: true,
+      ...updates,
+    };
+    const error = validateServiceType(serviceType, getServiceTypes(req.business.id));
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = createServiceType({ ...serviceType, businessId: req.business.id });
+
+    logger.info('Service type added from admin panel', { by: req.user.email, id: created.id });
+
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error adding service type', error);
+    res.status(500).json({ error: 'Failed to add service type' });
+  }
+}
+
+/**
+ * Changes a service type. Appointments already booked keep their times.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function editServiceType(req, res) {
+  try {
+    const serviceTypeId = parseInt(req.params.id, 10);
+
+    if (isNaN(serviceTypeId)) {
+      return res.status(400).json({ error: 'Invalid service type ID' });
+    }
+
+    const existing = getServiceTypeById(serviceTypeId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Service type not found' });
+    }
+
+    const { updates, error: inputError } = parseServiceTypeInput(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const others = getServiceTypes(existing.businessId).filter(serviceType => serviceType.id !== serviceTypeId);
+    const error = validateServiceType({ ...existing, ...updates }, others);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const serviceType = updateServiceType(serviceTypeId, updates);
+
+    logger.info('Service type edited', { by: req.user.email, id: serviceTypeId });
+
+    res.json(serviceType);
+  } catch (error) {
+    logger.error('Error editing service type', error);
+    res.status(500).json({ error: 'Failed to update service type' });
+  }
+}
+
+/**
+ * Deletes a service type. Appointments booked for it keep its name.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeServiceType(req, res) {
+  try {
+    const serviceTypeId = parseInt(req.params.id, 10);
+
+    if (isNaN(serviceTypeId)) {
+      return res.status(400).json({ error: 'Invalid service type ID' });
+    }
+
+    const existing = getServiceTypeById(serviceTypeId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Service type not found' });
+    }
+
+    deleteServiceType(serviceTypeId);
+
+    logger.info('Service type removed', { by: req.user.email, id: serviceTypeId, name: existing.name });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing service type', error);
+    res.status(500).json({ error: 'Failed to remove service type' });
+  }
+}
+
+/**
+ * Picks closure fields out of a request body. Blank times mean the closure
+ * lasts all day.
+ * @param {object} body - Request body
+ * @returns {{ updates?: object, error?: string }} Fields to save, or an error
+ */
+function parseClosureInput(body = {}) {
+  const updates = {};
+
+  for (const field of ['name', 'startDate', 'endDate', 'recurrence']) {
+    if (field in body) {
+      updates[field] = String(body[field] ?? '').trim();
+    }
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    if (field in body) {
+      updates[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  }
+
+  if (updates.startDate && !('endDate' in body)) {
+    updates.endDate = updates.startDate;
+  }
+
+  return { updates };
+}
+
+/**
+ * Lists the business's closures and the closed days coming up
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listClosures(req, res) {
+  try {
+    res.json({
+      timezone: req.business.calendar.timezone,
+      closures: getClosures(req.business.id),
+      upcoming: getUpcomingClosures(req.business, { days: 60 }),
+    });
+  } catch (error) {
+    logger.error('Error listing closures', error);
+    res.status(500).json({ error: 'Failed to list closures' });
+  }
+}
+
+/**
+ * Adds a closure: a one-off day or range, a yearly holiday, or part of a day
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addClosure(req, res) {
+  try {
+    const { updates } = parseClosureInput(req.body);
+    const closure = { recurrence: 'none', startTime: null, endTime: null, ...updates };
+    const error = validateClosure(closure);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = createClosure({ ...closure, businessId: req.business.id });
+
+    logger.info('Closure added from admin panel', { by: req.user.email, id: created.id });
+
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error adding closure', error);
+    res.status(500).json({ error: 'Failed to add closure' });
+  }
+}
+
+/**
+ * Changes a closure
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function editClosure(req, res) {
+  try {
+    const closureId = parseInt(req.params.id, 10);
+
+    if (isNaN(closureId)) {
+      return res.status(400).json({ error: 'Invalid closure ID' });
+    }
+
+    const existing = getClosureById(closureId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    const { updates } = parseClosureInput(req.body);
+    const error = validateClosure({ ...existing, ...updates });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const closure = updateClosure(closureId, updates);
+
+    logger.info('Closure edited', { by: req.user.email, id: closureId });
+
+    res.json(closure);
+  } catch (error) {
+    logger.error('Error editing closure', error);
+    res.status(500).json({ error: 'Failed to update closure' });
+  }
+}
+
+/**
+ * Deletes a closure
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function removeClosure(req, res) {
+  try {
+    const closureId = parseInt(req.params.id, 10);
+
+    if (isNaN(closureId)) {
+      return res.status(400).json({ error: 'Invalid closure ID' });
+    }
+
+    const existing = getClosureById(closureId);
+
+    if (!existing || !canManageBusiness(req.user, existing.businessId)) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    deleteClosure(closureId);
+
+    logger.info('Closure removed', { by: req.user.email, id: closureId, name: existing.name });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing closure', error);
+    res.status(500).json({ error: 'Failed to remove closure' });
+  }
+}
+
+/**
+ * Imports closures from an iCalendar (.ics) file sent as the request body.
+ * Events imported before are updated rather than added twice.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function importClosureCalendar(req, res) {
+  try {
+    const text = typeof req.body === 'string' ? req.body : '';
+
+    if (!/BEGIN:VCALENDAR/i.test(text)) {
+      return res.status(400).json({ error: 'Send an iCalendar (.ics) file with Content-Type text/calendar' });
+    }
+
+    const { closures, skipped } = closuresFromICalendar(text, req.business.calendar.timezone);
+    const imported = closures.length > 0 ? importClosures(req.business.id, closures) : [];
+
+    logger.info('Closures imported from admin panel', {
+      by: req.user.email,
+      businessId: req.business.id,
+      imported: imported.length,
+      skipped: skipped.length,
+    });
+
+    res.json({ imported, skipped });
+  } catch (error) {
+    logger.error('Error importing closures', error);
+    res.status(500).json({ error: 'Failed to import closures' });
+  }
+}
+
+// Settings every business but the default must have; the default business
+// falls back to the environment config for them
+const REQUIRED_BUSINESS_FIELDS = ['name', 'ownerPhone', 'ownerEmail'];
+
+/**
+ * Validates business settings from a request body
+ * @param {object} body - Request body
+ * @returns {{ updates?: object, error?: string }} Settings to save, or an error
+ */
+function parseBusinessInput(body = {}) {
+  const updates = {};
+
+  for (const field of ['name', 'ownerEmail', 'businessHoursStart', 'businessHoursEnd', 'timezone']) {
+    if (field in body) {
+      updates[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  }
+
+  for (const field of ['businessHoursStart', 'businessHoursEnd']) {
+    if (updates[field] && !/^([01]\d|2[0-3]):[0-5]\d$/.test(updates[field])) {
+      return { error: `${field} must be in HH:MM format` };
+    }
+  }
+
+  if (updates.timezone && !IANAZone.isValidZone(updates.timezone)) {
+    return { error: 'Unknown timezone' };
+  }
+
+  for (const field of ['phoneNumber', 'ownerPhone']) {
+    if (field in body) {
+      updates[field] = body[field] ? toE164(body[field]) : null;
+      if (body[field] && !updates[field]) {
+        return { error: `${field} is not a valid phone number` };
+      }
+    }
+  }
+
+  if ('businessDays' in body) {
+    const days = Array.isArray(body.businessDays)
+      ? body.businessDays
+      : String(body.businessDays || '').split(',').filter(Boolean);
+    const parsed = days.map(day => parseInt(day, 10));
+
+    if (parsed.some(day => isNaN(day) || day < 1 || day > 7)) {
+      return { error: 'businessDays must be weekday numbers from 1 (Monday) to 7 (Sunday)' };
+    }
+
+    updates.businessDays = parsed.length > 0 ? parsed.join(',') : null;
+  }
+
+  if ('appointmentDuration' in body) {
+    const duration = body.appointmentDuration ? parseInt(body.appointmentDuration, 10) : null;
+    if (duration !== null && (isNaN(duration) || duration <= 0)) {
+      return { error: 'appointmentDuration must be a positive number of minutes' };
+    }
+    updates.appointmentDuration = duration;
+  }
+
+  return { updates };
+}
+
+/**
+ * Lists the businesses the user can manage
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function listBusinesses(req, res) {
+  try {
+    const businesses = getAllBusinesses()
+      .filter(business => canManageBusiness(req.user, business.id));
+
+    res.json(businesses);
+  } catch (error) {
+    logger.error('Error listing businesses', error);
+    res.status(500).json({ error: 'Failed to list businesses' });
+  }
+}
+
+/**
+ * Creates a business (platform admins only)
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function addBusiness(req, res) {
+  try {
+    if (req.user.businessId) {
+      return res.status(403).json({ error: 'You do not have permission to do that' });
+    }
+
+    const { updates, error } = parseBusinessInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const missing = REQUIRED_BUSINESS_FIELDS.find(field => !updates[field]);
+
+    if (missing) {
+      return res.status(400).json({ error: `${missing} is required` });
+    }
+
+    const business = createBusiness(updates);
+
+    logger.info('Business added', { by: req.user.email, id: business.id, name: business.name });
+
+    res.status(201).json(business);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Another business already uses that phone number' });
+    }
+    logger.error('Error adding business', error);
+    res.status(500).json({ error: 'Failed to add business' });
+  }
+}
+
+/**
+ * Updates a business's settings
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function editBusiness(req, res) {
+  try {
+    const businessId = parseInt(req.params.id, 10);
+
+    if (isNaN(businessId)) {
+      return res.status(400).json({ error: 'Invalid business ID' });
+    }
+
+    const existing = getBusinessById(businessId);
+
+    if (!existing || !canManageBusiness(req.user, businessId)) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const { updates, error } = parseBusinessInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const cleared = existing.isDefault
+      ? null
+      : REQUIRED_BUSINESS_FIELDS.find(field => field in updates && !updates[field]);
+
+    if (cleared) {
+      return res.status(400).json({ error: `${cleared} is required` });
+    }
+
+    const business = updateBusiness(businessId, updates);
+
+    logger.info('Business edited', { by: req.user.email, id: businessId });
+
+    res.json(business);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Another business already uses that phone number' });
+    }
+    logger.error('Error editing business', error);
+    res.status(500).json({ error: 'Failed to update business' });
+  }
+}
+
 export default {
   listAccounts,
   activateAccount,
   removeAccount,
   listAppointments,
+  cancelAppointment,
+  rescheduleAppointment,
+  listNotifications,
+  resendNotification,
+  listChannels,
+  testChannel,
+  listSmsMessages,
+  listSmsConsent,
+  listMessageTemplates,
+  updateMessageTemplate,
+  resetMessageTemplate,
+  previewMessageTemplate,
+  listEmergencyRules,
+  addEmergencyRule,
+  editEmergencyRule,
+  removeEmergencyRule,
+  testEmergencyRules,
+  checkEmergencyCorpus,
+  listEscalations,
+  acknowledgeEscalation,
+  listEscalationContacts,
+  addEscalationContact,
+  removeEscalationContact,
+  getOnCallSchedule,
+  addTechnician,
+  removeTechnician,
+  updateRotation,
+  addOverride,
+  removeOverride,
+  listHours,
+  addHoursSchedule,
+  editHoursSchedule,
+  removeHoursSchedule,
+  listServiceTypes,
+  addServiceType,
+  editServiceType,
+  removeServiceType,
+  listClosures,
+  addClosure,
+  editClosure,
+  removeClosure,
+  importClosureCalendar,
+  listBusinesses,
+  addBusiness,
+  editBusiness,
 };
@@ -6,7 +6,11 @@ import {
   getUserEmail,
   revokeToken,
 } from '../utils/google-auth.js';
-import { upsertAccount, getAccountByEmail } from '../db/repositories/account.repository.js';
+import {
+  upsertAccount,
+  getAccountByEmail,
+  getActiveAccount,
+} from '../db/repositories/account.repository.js';
 
 // Store state tokens temporarily (in production, use Redis or database)
 const stateTokens = new Map();
@@ -21,8 +25,9 @@ export async function handleAuthorize(req, res) {
     // Generate a random state token
     const state = crypto.randomBytes(32).toString('hex');
 
-    // Store state token (expires in 10 minutes)
+    // Store state token (expires in 10 minutes) with the business connecting
     stateTokens.set(state, {
+      businessId: req.business.id,
       createdAt: Date.now(),
       expiresAt: Date.now() + 10 * 60 * 1000,
     });
@@ -36,7 +41,7 @@ export async function handleAuthorize(req, res) {
 
     const authUrl = generateAuthUrl(state);
 
-    logger.info('OAuth flow initiated');
+    logger.info('OAuth flow initiated', { businessId: req.business.id });
 
     res.redirect(authUrl);
   } catch (error) {
@@ -83,16 +88,29 @@ export async function handleCallback(req, res) {
     // Check if account already exists
     const existingAccount = getAccountByEmail(email);
 
+    // An account keeps the business it was connected for; moving it would
+    // leave that business without its calendar
+    if (existingAccount?.businessId && existingAccount.businessId !== stateData.businessId) {
+      logger.warn('Google account already connected to another business', {
+        email,
+        businessId: stateData.businessId,
+        connectedBusinessId: existingAccount.businessId,
+      });
+      return res.redirect('/admin?error=account_in_use');
+    }
+
     // Save or update account
     const account = upsertAccount({
       email,
       accessToken: tokens.accessToken,
       refreshToken: tokens.refreshToken,
       tokenExpiry: tokens.tokenExpiry,
-      isActive: !existingAccount, // Make active if first account
+      // Make active if it's the business's first account
+      isActive: !existingAccount && !getActiveAccount(stateData.businessId),
+      businessId: stateData.businessId,
     });
 
-    logger.info('Google account connected', { email: account.email });
+    logger.info('Google account connected', { email: account.email, businessId: account.businessId });
 
     res.redirect('/admin?success=connected');
   } catch (error) {
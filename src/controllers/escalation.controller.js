@@ -0,0 +1,108 @@
+import logger from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { acknowledgeByLink, verifyAckSignature } from '../services/escalation.service.js';
+import { getEscalationStepById, getEscalationById } from '../db/repositories/escalation.repository.js';
+
+/**
+ * Sends a small standalone page (opened from a phone)
+ * @param {import('express').Response} res
+ * @param {number} status - HTTP status
+ * @param {string} title - Page heading
+ * @param {string} body - Inner HTML
+ */
+function sendPage(res, status, title, body) {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/css/admin.css">
+</head>
+<body>
+  <main class="container">
+    <section class="card">
+      <h2>${escapeHtml(title)}</h2>
+      ${body}
+    </section>
+  </main>
+</body>
+</html>`);
+}
+
+/**
+ * Shows the emergency behind an acknowledgement link with a button to
+ * acknowledge it. Opening the link doesn't acknowledge by itself, so link
+ * previews in messaging apps can't acknowledge for someone.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function showAcknowledgePage(req, res) {
+  try {
+    const stepId = parseInt(req.params.stepId, 10);
+    const step = !isNaN(stepId) && verifyAckSignature(stepId, req.query.sig)
+      ? getEscalationStepById(stepId)
+      : null;
+
+    if (!step) {
+      return sendPage(res, 404, 'Link not valid', '<p>This acknowledgement link is not valid.</p>');
+    }
+
+    const escalation = getEscalationById(step.escalationId);
+
+    if (escalation.status !== 'active') {
+      const message = escalation.status === 'acknowledged'
+        ? `${escalation.acknowledgedBy} already acknowledged this emergency.`
+        : 'This emergency is no longer waiting for a response.';
+      return sendPage(res, 200, 'Emergency', `<p>${escapeHtml(message)}</p>`);
+    }
+
+    sendPage(res, 200, 'Emergency call', `
+      <p><strong>${escapeHtml(escalation.callerName || 'Unknown caller')}</strong>
+        - ${escapeHtml(escalation.phoneNumber || 'No phone number')}</p>
+      <p>${escapeHtml(escalation.serviceAddress || 'No address')}</p>
+      <p>${escapeHtml(escalation.issueDescription || '')}</p>
+      <form method="POST">
+        <button class="btn btn-primary" type="submit">Acknowledge - I've got it</button>
+      </form>
+    `);
+  } catch (error) {
+    logger.error('Error showing acknowledgement page', error);
+    sendPage(res, 500, 'Something went wrong', '<p>Please reply ACK to the text instead.</p>');
+  }
+}
+
+/**
+ * Acknowledges an emergency from a signed link
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function handleAcknowledge(req, res) {
+  try {
+    const stepId = parseInt(req.params.stepId, 10);
+
+    if (isNaN(stepId)) {
+      return sendPage(res, 404, 'Link not valid', '<p>This acknowledgement link is not valid.</p>');
+    }
+
+    const result = acknowledgeByLink(stepId, req.query.sig);
+
+    if (!result.success) {
+      return sendPage(res, result.step ? 409 : 404, 'Not acknowledged', `<p>${escapeHtml(result.error)}</p>`);
+    }
+
+    sendPage(res, 200, 'Acknowledged', `
+      <p>Thanks, ${escapeHtml(result.step.contactName || '')}. No one else will be paged.</p>
+      <p>Call ${escapeHtml(result.escalation.callerName || 'the caller')}
+        at <a href="tel:${escapeHtml(result.escalation.phoneNumber)}">${escapeHtml(result.escalation.phoneNumber)}</a>.</p>
+    `);
+  } catch (error) {
+    logger.error('Error acknowledging escalation', error);
+    sendPage(res, 500, 'Something went wrong', '<p>Please reply ACK to the text instead.</p>');
+  }
+}
+
+export default {
+  showAcknowledgePage,
+  handleAcknowledge,
+};
@@ -0,0 +1,46 @@
+import twilio from 'twilio';
+import logger from '../utils/logger.js';
+import { handleInboundMessage } from '../services/conversation.service.js';
+
+/**
+ * Sends a TwiML reply (or an empty response when there's nothing to say)
+ * @param {import('express').Response} res
+ * @param {string|null} text - Reply text
+ */
+function reply(res, text) {
+  const response = new twilio.twiml.MessagingResponse();
+
+  if (text) {
+    response.message(text);
+  }
+
+  res.type('text/xml').send(response.toString());
+}
+
+/**
+ * Handles an SMS sent to the Twilio number: staff reply ACK or CALLED to
+ * alerts, customers reply CONFIRM, CANCEL or RESCHEDULE about appointments
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function handleIncomingSMS(req, res) {
+  try {
+    logger.info('Incoming SMS', { from: req.body.From, messageSid: req.body.MessageSid });
+
+    const text = await handleInboundMessage({
+      from: req.body.From,
+      body: String(req.body.Body || '').trim(),
+      messageSid: req.body.MessageSid,
+    });
+
+    reply(res, text);
+  } catch (error) {
+    logger.error('Error handling incoming SMS', error);
+    // Answer anyway so Twilio doesn't log a webhook failure for the message
+    reply(res, null);
+  }
+}
+
+export default {
+  handleIncomingSMS,
+};
@@ -3,7 +3,38 @@ import { validateWebhook } from '../utils/validators.js';
 import { detectEmergency } from '../services/emergency.service.js';
 import { createSummary } from '../services/summary.service.js';
 import { sendAllNotifications } from '../services/notification.service.js';
-import { getAvailableSlots, bookAppointment } from '../services/booking.service.js';
+import {
+  getAvailableSlots,
+  bookAppointment,
+  resolveCallerAppointment,
+  cancelAppointment,
+  rescheduleAppointment,
+  formatAppointmentTime,
+} from '../services/booking.service.js';
+import { lookupCaller } from '../services/caller.service.js';
+import { resolveBusinessForCall } from '../services/business.service.js';
+import { startEscalation } from '../services/escalation.service.js';
+import { recordTranscript, recordConversation, endCall } from '../services/live-call.service.js';
+import { requestTransfer, recordTransferOutcome } from '../services/transfer.service.js';
+import { getOnCallTechnician, getFirstName } from '../services/on-call.service.js';
+import { getOpenStatus } from '../services/business-hours.service.js';
+import { getUpcomingClosures } from '../services/closure.service.js';
+import { getServiceTypes } from '../db/repositories/service-type.repository.js';
+import { getAssistantConfig } from '../prompts/assistant.prompt.js';
+import { upsertLead, updateNotificationResults } from '../db/repositories/lead.repository.js';
+import {
+  linkAppointmentsToLead,
+  getBookedAppointmentByCallId,
+} from '../db/repositories/appointment.repository.js';
+import { claimEvent, completeEvent, releaseEvent } from '../db/repositories/event.repository.js';
+import {
+  getEscalationByCallId,
+  updateEscalationDetails,
+} from '../db/repositories/escalation.repository.js';
+
+// Ledger entry for a call ending (end-of-call-report, or a post to
+// /call-ended), so only the first delivery is processed
+const CALL_ENDED_EVENT = 'call-ended';
 
 /**
  * Handles the call-started webhook from Vapi
@@ -37,12 +68,78 @@ export async function handleCallStarted(req, res) {
   }
 }
 
+/**
+ * Handles the assistant-request webhook from Vapi by returning an assistant
+ * configured for the business whose number was dialed
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function handleAssistantRequest(req, res) {
+  try {
+    const call = req.body.message?.call || req.body.call;
+    const business = resolveBusinessForCall(call);
+    const onCall = getOnCallTechnician(business);
+    const hours = getOpenStatus(business);
+
+    logger.info('Assistant requested', {
+      callId: call?.id,
+      businessId: business.id,
+      dialedNumber: call?.phoneNumber?.number,
+      onCall: onCall?.name || null,
+      isOpen: hours.isOpen,
+    });
+
+    const assistant = getAssistantConfig(business, {
+      onCallName: onCall ? getFirstName(onCall.name) : null,
+      hours,
+      closures: getUpcomingClosures(business),
+      serviceTypes: business.id ? getServiceTypes(business.id) : [],
+    });
+
+    res.status(200).json({ assistant });
+  } catch (error) {
+    logger.error('Error handling assistant-request webhook', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handles transcript and conversation-update webhooks from Vapi, which
+ * arrive while the call is in progress. Emergencies are checked for as the
+ * caller speaks, so a critical one pages the escalation chain straight away.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function handleCallProgress(req, res) {
+  try {
+    const message = req.body.message || req.body;
+    const call = message.call || req.body.call;
+
+    if (!call?.id) {
+      return res.status(200).json({ received: true });
+    }
+
+    if (message.type === 'transcript') {
+      recordTranscript(call, message);
+    } else {
+      recordConversation(call, message.messages || message.conversation || []);
+    }
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    logger.error('Error handling call progress webhook', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 /**
  * Handles the call-ended webhook from Vapi
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 export async function handleCallEnded(req, res) {
+  let claimedCallId = null;
+
   try {
     const payload = req.body;
 
@@ -55,8 +152,17 @@ export async function handleCallEnded(req, res) {
 
     const { call } = validation.data;
 
+    if (!claimEvent(call.id, CALL_ENDED_EVENT)) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+    claimedCallId = call.id;
+    endCall(call.id);
+
+    const business = resolveBusinessForCall(call);
+
     logger.info('Call ended', {
       callId: call.id,
+      businessId: business.id,
       endedReason: call.endedReason,
       duration: calculateDuration(call.startedAt, call.endedAt),
     });
@@ -65,22 +171,38 @@ export async function handleCallEnded(req, res) {
     const extractedData = call.analysis?.structuredData || {};
     const transcript = call.transcript || '';
 
-    // Detect emergency
-    const emergencyResult = detectEmergency(transcript);
+    // Detect emergency from what the caller said
+    const emergencyResult = detectEmergency(transcript, { messages: call.messages, businessId: business.id });
 
-    // Create lead summary
-    const leadData = createSummary({
+    // A critical emergency may already have paged someone during the call
+    const liveEscalation = getEscalationByCallId(call.id);
+
+    // The assistant only transfers emergencies, so a call that tried to is one
+    const transferOutcome = recordTransferOutcome(call);
+
+    // Booked leads are routed to their own notification channels
+    const bookedAppointment = getBookedAppointmentByCallId(call.id);
+
+    const leadFields = {
       callerName: extractedData.caller_name,
       phoneNumber: extractedData.phone_number || call.customer?.number,
       email: extractedData.email,
       serviceAddress: extractedData.service_address,
       issueDescription: extractedData.issue_description || call.analysis?.summary,
-      isEmergency: emergencyResult.isEmergency,
+      isEmergency: emergencyResult.isEmergency || Boolean(liveEscalation) || Boolean(transferOutcome),
       emergencyKeywords: emergencyResult.keywords,
+      emergencySeverity: emergencyResult.severity,
+      alertedDuringCall: Boolean(liveEscalation),
       callId: call.id,
       timestamp: call.endedAt || new Date().toISOString(),
       duration: calculateDuration(call.startedAt, call.endedAt),
-    });
+      appointment: bookedAppointment
+        ? { ...bookedAppointment, displayTime: formatAppointmentTime(bookedAppointment, business) }
+        : null,
+    };
+
+    // Create lead summary
+    const leadData = createSummary(leadFields);
 
     logger.info('Lead data extracted', {
       callId: call.id,
@@ -88,10 +210,39 @@ export async function handleCallEnded(req, res) {
       isEmergency: leadData.isEmergency,
     });
 
+    // Persist the lead so calls that didn't book aren't lost
+    saveLead(call, { ...leadFields, businessId: business.id }, transcript);
+
+    // Once notifications are going out the claim must stand, even on error
+    claimedCallId = null;
+
+    // Page the escalation chain until someone acknowledges. If paging
+    // started during the call, later pages get the details gathered since.
+    // A forwarded transfer may have reached voicemail, so it doesn't count.
+    if (liveEscalation) {
+      updateEscalationDetails(call.id, leadFields);
+    } else if (leadData.isEmergency) {
+      startEscalation(leadData, business).catch(error => {
+        logger.error('Failed to start emergency escalation', error);
+      });
+    }
+
     // Send notifications (don't await - respond quickly to webhook)
-    sendAllNotifications(leadData).catch(error => {
-      logger.error('Failed to send notifications', error);
-    });
+    sendAllNotifications(leadData, business)
+      .then(results => {
+        try {
+          updateNotificationResults(call.id, results);
+          completeEvent(call.id, CALL_ENDED_EVENT, results);
+        } catch (error) {
+          logger.error('Failed to record notification results', error);
+        }
+      })
+      .catch(error => {
+        // The claim stands: Vapi doesn't retry after a 200, and a redelivery
+        // would resend what already went out. Queued messages are retried
+        // by the outbox worker.
+        logger.error('Failed to send notifications', error);
+      });
 
     // Acknowledge the webhook immediately
     res.status(200).json({
@@ -101,6 +252,16 @@ export async function handleCallEnded(req, res) {
     });
   } catch (error) {
     logger.error('Error handling call-ended webhook', error);
+
+    // Nothing was sent yet, so let Vapi's retry process the call
+    if (claimedCallId && !res.headersSent) {
+      try {
+        releaseEvent(claimedCallId, CALL_ENDED_EVENT);
+      } catch (releaseError) {
+        logger.error('Failed to release call-ended event', releaseError);
+      }
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 }
@@ -122,9 +283,11 @@ export async function handleFunctionCall(req, res) {
     }
 
     const { functionCall, call } = validation.data;
+    const business = resolveBusinessForCall(call);
 
     logger.info('Function call received', {
       callId: call.id,
+      businessId: business.id,
       functionName: functionCall.name,
       parameters: functionCall.parameters,
     });
@@ -132,17 +295,60 @@ export async function handleFunctionCall(req, res) {
     // Handle different function calls
     switch (functionCall.name) {
       case 'checkEmergency':
-        const emergencyResult = detectEmergency(functionCall.parameters?.transcript || '');
+        const emergencyResult = detectEmergency(functionCall.parameters?.transcript || '', { businessId: business.id });
         return res.status(200).json({
           result: emergencyResult,
         });
 
+      case 'transferToOnCall':
+        try {
+          const transfer = requestTransfer(call, business, functionCall.parameters?.reason);
+
+          if (transfer.destination) {
+            return res.status(200).json({
+              destination: transfer.destination,
+            });
+          }
+
+          return res.status(200).json({
+            result: transfer,
+          });
+        } catch (error) {
+          logger.error('Error transferring call', error);
+          return res.status(200).json({
+            result: {
+              success: false,
+              message: 'The transfer is unavailable. Get the caller\'s details and tell them someone will call them back as soon as possible.',
+            },
+          });
+        }
+
+      case 'lookupCaller':
+        try {
+          // Only trust caller ID here, never a spoken number
+          const callerResult = lookupCaller(call.customer?.number, business);
+
+          return res.status(200).json({
+            result: callerResult,
+          });
+        } catch (error) {
+          logger.error('Error looking up caller', error);
+          return res.status(200).json({
+            result: {
+              found: false,
+              message: 'Caller history is unavailable. Treat this as a new caller.',
+            },
+          });
+        }
+
       case 'getAvailableSlots':
         try {
           const slotsResult = await getAvailableSlots({
             preferredDate: functionCall.parameters?.preferredDate,
             timeOfDay: functionCall.parameters?.timeOfDay || 'any',
             daysAhead: functionCall.parameters?.daysAhead || 7,
+            serviceType: functionCall.parameters?.serviceType,
+            business,
           });
 
           logger.info('Available slots retrieved', {
@@ -174,7 +380,10 @@ export async function handleFunctionCall(req, res) {
             email: functionCall.parameters?.email,
             address: functionCall.parameters?.address,
             issue: functionCall.parameters?.issue,
+            textConsent: functionCall.parameters?.textConsent,
+            serviceType: functionCall.parameters?.serviceType,
             callId: call.id,
+            business,
           });
 
           logger.info('Booking attempt', {
@@ -196,6 +405,79 @@ export async function handleFunctionCall(req, res) {
           });
         }
 
+      case 'cancelAppointment':
+        try {
+          // Only trust caller ID here, never a spoken number
+          const lookup = resolveCallerAppointment({
+            appointmentId: functionCall.parameters?.appointmentId,
+            phoneNumber: call.customer?.number,
+            business,
+          });
+
+          if (!lookup.success) {
+            return res.status(200).json({ result: lookup });
+          }
+
+          const cancelResult = await cancelAppointment(lookup.appointment.id, {
+            reason: functionCall.parameters?.reason || `Cancelled by caller on call ${call.id}`,
+          });
+
+          logger.info('Cancellation attempt', {
+            callId: call.id,
+            success: cancelResult.success,
+            appointmentId: lookup.appointment.id,
+          });
+
+          return res.status(200).json({
+            result: cancelResult,
+          });
+        } catch (error) {
+          logger.error('Error cancelling appointment', error);
+          return res.status(200).json({
+            result: {
+              success: false,
+              error: 'I had trouble cancelling that appointment. I\'ll make sure someone from the office calls you back to take care of it.',
+            },
+          });
+        }
+
+      case 'rescheduleAppointment':
+        try {
+          // Only trust caller ID here, never a spoken number
+          const lookup = resolveCallerAppointment({
+            appointmentId: functionCall.parameters?.appointmentId,
+            phoneNumber: call.customer?.number,
+            business,
+          });
+
+          if (!lookup.success) {
+            return res.status(200).json({ result: lookup });
+          }
+
+          const rescheduleResult = await rescheduleAppointment(
+            lookup.appointment.id,
+            functionCall.parameters?.newStartTime
+          );
+
+          logger.info('Reschedule attempt', {
+            callId: call.id,
+            success: rescheduleResult.success,
+            appointmentId: lookup.appointment.id,
+          });
+
+          return res.status(200).json({
+            result: rescheduleResult,
+          });
+        } catch (error) {
+          logger.error('Error rescheduling appointment', error);
+          return res.status(200).json({
+            result: {
+              success: false,
+              error: 'I had trouble moving that appointment. Your original time is still booked, and someone from the office will call you back.',
+            },
+          });
+        }
+
       default:
         logger.warn('Unknown function call', { functionName: functionCall.name });
         return res.status(200).json({
@@ -208,6 +490,38 @@ export async function handleFunctionCall(req, res) {
   }
 }
 
+/**
+ * Saves the lead for a call and links any appointment booked during it
+ * @param {object} call - Vapi call object
+ * @param {object} leadFields - Raw lead fields extracted from the call
+ * @param {string} transcript - Call transcript
+ * @returns {object|null} Saved lead or null if it couldn't be saved
+ */
+function saveLead(call, leadFields, transcript) {
+  try {
+    const lead = upsertLead({
+      ...leadFields,
+      transcript,
+      summary: call.analysis?.summary || call.summary,
+      endedReason: call.endedReason,
+    });
+
+    const appointments = linkAppointmentsToLead(call.id, lead.id);
+    if (appointments.length > 0) {
+      logger.info('Linked appointments to lead', {
+        leadId: lead.id,
+        appointmentIds: appointments.map(apt => apt.id),
+      });
+    }
+
+    return lead;
+  } catch (error) {
+    // Never let a database problem block the owner notification
+    logger.error('Failed to save lead', error);
+    return null;
+  }
+}
+
 /**
  * Calculates duration between two timestamps in seconds
  * @param {string} startedAt - Start timestamp
@@ -228,6 +542,8 @@ function calculateDuration(startedAt, endedAt) {
 
 export default {
   handleCallStarted,
+  handleAssistantRequest,
+  handleCallProgress,
   handleCallEnded,
   handleFunctionCall,
 };
@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import { initializeDatabase, closeDatabase } from './database.js';
+import { runEmergencyCorpus } from '../services/emergency.service.js';
+
+/**
+ * Reads the value following a --flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} Flag value
+ */
+function readArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Command-line tool to run the emergency transcript corpus against the
+ * rules in the database. Exits non-zero if any transcript is misjudged.
+ *
+ *   npm run emergency:check [-- --business <id>]
+ *
+ * Without --business only the shared rules are used.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const businessId = parseInt(readArg(args, 'business'), 10) || null;
+
+  await initializeDatabase();
+  const { passed, failed, results } = runEmergencyCorpus(businessId);
+
+  for (const result of results.filter(candidate => !candidate.passed)) {
+    console.log(`✗ ${result.name}: expected ${result.expected || 'none'}, got ${result.actual || 'none'}`
+      + (result.keywords.length > 0 ? ` (${result.keywords.join(', ')})` : ''));
+  }
+
+  console.log(`${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Failed to check emergency rules:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDatabase);
@@ -0,0 +1,47 @@
+import 'dotenv/config';
+import { initializeDatabase, closeDatabase } from './database.js';
+import { createAdminUser } from '../services/admin-auth.service.js';
+
+/**
+ * Reads the value following a --flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} Flag value
+ */
+function readArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Command-line tool to create an admin panel user
+ *
+ *   npm run admin:create -- --email you@example.com --password '...' [--role owner|dispatcher] [--business <id>]
+ *
+ * Without --business the user can manage every business.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const email = readArg(args, 'email');
+  const password = readArg(args, 'password');
+  const role = readArg(args, 'role') || 'owner';
+  const businessId = parseInt(readArg(args, 'business'), 10) || null;
+
+  if (!email || !password) {
+    console.error('Usage: npm run admin:create -- --email <email> --password <password> [--role owner|dispatcher] [--business <id>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await initializeDatabase();
+  const user = await createAdminUser({ email, password, role, businessId });
+
+  console.log(`Created ${user.role} account for ${user.email}`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Failed to create admin user:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDatabase);
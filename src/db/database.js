@@ -1,10 +1,8 @@
 import Database from 'better-sqlite3';
-import { readFileSync, mkdirSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
 import logger from '../utils/logger.js';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { runMigrations } from './migrator.js';
 
 let db = null;
 
@@ -32,17 +30,19 @@ export function getDatabase() {
 }
 
 /**
- * Initializes the database with schema
+ * Initializes the database by applying any pending migrations
+ * @returns {Promise<object[]>} Migrations applied on this boot
  */
-export function initializeDatabase() {
+export async function initializeDatabase() {
   const database = getDatabase();
 
-  const migrationPath = join(__dirname, 'migrations', '001_initial.sql');
-  const migration = readFileSync(migrationPath, 'utf-8');
+  const { applied } = await runMigrations(database);
 
-  database.exec(migration);
+  logger.info('Database initialized', {
+    migrationsApplied: applied.map(m => m.file),
+  });
 
-  logger.info('Database initialized');
+  return applied;
 }
 
 /**
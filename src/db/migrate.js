@@ -0,0 +1,47 @@
+import 'dotenv/config';
+import { getDatabase, closeDatabase } from './database.js';
+import { getMigrationStatus, runMigrations } from './migrator.js';
+
+/**
+ * Command-line migration runner
+ *
+ *   npm run migrate            Apply pending migrations
+ *   npm run migrate -- --status  List applied and pending migrations
+ *   npm run migrate -- --dry-run Same as --status, without the applied list
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const db = getDatabase();
+
+  if (args.includes('--status')) {
+    const { applied, pending } = getMigrationStatus(db);
+
+    console.log('Applied migrations:');
+    applied.forEach(m => console.log(`  ${m.version} ${m.name} ${m.appliedAt}`));
+    if (applied.length === 0) console.log('  (none)');
+
+    console.log('Pending migrations:');
+    pending.forEach(m => console.log(`  ${m.version} ${m.file}`));
+    if (pending.length === 0) console.log('  (none)');
+    return;
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const { applied, pending } = await runMigrations(db, { dryRun });
+
+  if (dryRun) {
+    console.log(pending.length > 0 ? 'Would apply:' : 'Schema is up to date');
+    pending.forEach(m => console.log(`  ${m.version} ${m.file}`));
+    return;
+  }
+
+  console.log(applied.length > 0 ? 'Applied:' : 'Schema is up to date');
+  applied.forEach(m => console.log(`  ${m.version} ${m.file}`));
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDatabase);
@@ -0,0 +1,29 @@
+-- Every call that reaches the end-of-call webhook, booked or not
+CREATE TABLE IF NOT EXISTS leads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  call_id TEXT NOT NULL UNIQUE,
+  caller_name TEXT,
+  phone_number TEXT,
+  email TEXT,
+  service_address TEXT,
+  issue_description TEXT,
+  transcript TEXT,
+  summary TEXT,
+  is_emergency INTEGER DEFAULT 0,
+  emergency_keywords TEXT,
+  duration_seconds INTEGER,
+  ended_reason TEXT,
+  notification_results TEXT,
+  notified_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_leads_created ON leads(created_at);
+CREATE INDEX IF NOT EXISTS idx_leads_phone ON leads(phone_number);
+
+-- Appointments point back to the lead captured on the same call
+ALTER TABLE appointments ADD COLUMN lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_lead ON appointments(lead_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_call ON appointments(call_id);
@@ -0,0 +1,6 @@
+-- Cancelled appointments are kept for history rather than deleted
+ALTER TABLE appointments ADD COLUMN status TEXT NOT NULL DEFAULT 'booked';
+ALTER TABLE appointments ADD COLUMN cancelled_at INTEGER;
+ALTER TABLE appointments ADD COLUMN cancellation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status);
@@ -0,0 +1,34 @@
+-- Businesses served by this deployment. Settings left NULL fall back to
+-- the environment config, so a single-business install keeps working as-is.
+CREATE TABLE IF NOT EXISTS businesses (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT,
+  phone_number TEXT UNIQUE,
+  owner_phone TEXT,
+  owner_email TEXT,
+  timezone TEXT,
+  business_hours_start TEXT,
+  business_hours_end TEXT,
+  business_days TEXT,
+  appointment_duration INTEGER,
+  is_default INTEGER DEFAULT 0,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Existing data belongs to the default business
+INSERT INTO businesses (is_default) VALUES (1);
+
+ALTER TABLE google_accounts ADD COLUMN business_id INTEGER REFERENCES businesses(id);
+ALTER TABLE appointments ADD COLUMN business_id INTEGER REFERENCES businesses(id);
+ALTER TABLE leads ADD COLUMN business_id INTEGER REFERENCES businesses(id);
+-- NULL means the admin can manage every business
+ALTER TABLE admin_users ADD COLUMN business_id INTEGER REFERENCES businesses(id);
+
+UPDATE google_accounts SET business_id = (SELECT id FROM businesses WHERE is_default = 1);
+UPDATE appointments SET business_id = (SELECT id FROM businesses WHERE is_default = 1);
+UPDATE leads SET business_id = (SELECT id FROM businesses WHERE is_default = 1);
+
+CREATE INDEX IF NOT EXISTS idx_google_accounts_business ON google_accounts(business_id, is_active);
+CREATE INDEX IF NOT EXISTS idx_appointments_business ON appointments(business_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_leads_business ON leads(business_id, created_at);
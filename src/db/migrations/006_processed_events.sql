@@ -0,0 +1,11 @@
+-- Ledger of webhook events already handled, so Vapi retries and the
+-- overlapping end-of-call events don't re-run side effects
+CREATE TABLE IF NOT EXISTS processed_events (
+  call_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  result TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  completed_at INTEGER,
+  PRIMARY KEY (call_id, event_type)
+);
@@ -0,0 +1,26 @@
+-- Outgoing SMS/email. Messages are written here before delivery so a
+-- provider outage or restart doesn't lose them; the worker retries failures
+-- with backoff and parks messages that keep failing as 'dead'.
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  body TEXT NOT NULL,
+  html TEXT,
+  sender_name TEXT,
+  kind TEXT NOT NULL,
+  call_id TEXT,
+  business_id INTEGER REFERENCES businesses(id),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER DEFAULT (strftime('%s', 'now')),
+  last_error TEXT,
+  message_id TEXT,
+  sent_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_business ON notification_outbox(business_id, created_at);
@@ -0,0 +1,32 @@
+-- Notification channels are pluggable now (webhook, slack, console, ...),
+-- so drop the sms/email CHECK on the outbox channel. SQLite can't alter a
+-- CHECK constraint, so the table is rebuilt.
+CREATE TABLE notification_outbox_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  channel TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  body TEXT NOT NULL,
+  html TEXT,
+  sender_name TEXT,
+  kind TEXT NOT NULL,
+  call_id TEXT,
+  business_id INTEGER REFERENCES businesses(id),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER DEFAULT (strftime('%s', 'now')),
+  last_error TEXT,
+  message_id TEXT,
+  sent_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+INSERT INTO notification_outbox_new SELECT * FROM notification_outbox;
+
+DROP TABLE notification_outbox;
+
+ALTER TABLE notification_outbox_new RENAME TO notification_outbox;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_business ON notification_outbox(business_id, created_at);
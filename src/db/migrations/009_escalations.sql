@@ -0,0 +1,50 @@
+-- People paged, in order, when a call is flagged as an emergency. The
+-- business owner is always paged last, so they aren't listed here.
+CREATE TABLE IF NOT EXISTS escalation_contacts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id),
+  name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- One escalation per emergency call. The chain is copied in when the
+-- escalation starts, so editing contacts doesn't change one in progress.
+CREATE TABLE IF NOT EXISTS escalations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id),
+  call_id TEXT UNIQUE NOT NULL,
+  caller_name TEXT,
+  phone_number TEXT,
+  service_address TEXT,
+  issue_description TEXT,
+  chain TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'acknowledged', 'exhausted')),
+  current_position INTEGER NOT NULL DEFAULT 0,
+  next_escalation_at INTEGER,
+  acknowledged_by TEXT,
+  acknowledged_via TEXT,
+  acknowledged_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Each person paged for an escalation and what happened
+CREATE TABLE IF NOT EXISTS escalation_steps (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  escalation_id INTEGER NOT NULL REFERENCES escalations(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  contact_name TEXT,
+  phone TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'paged' CHECK (status IN ('paged', 'acknowledged', 'timed_out')),
+  outbox_id INTEGER REFERENCES notification_outbox(id),
+  paged_at INTEGER DEFAULT (strftime('%s', 'now')),
+  responded_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_escalation_contacts_business ON escalation_contacts(business_id, position);
+CREATE INDEX IF NOT EXISTS idx_escalations_due ON escalations(status, next_escalation_at);
+CREATE INDEX IF NOT EXISTS idx_escalations_business ON escalations(business_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_escalation_steps_escalation ON escalation_steps(escalation_id, position);
+CREATE INDEX IF NOT EXISTS idx_escalation_steps_phone ON escalation_steps(phone);
@@ -0,0 +1,34 @@
+-- Technicians who can be on call. rotation_position orders the weekly
+-- rotation; NULL means the technician isn't in it.
+CREATE TABLE IF NOT EXISTS technicians (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id),
+  name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  rotation_position INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Weekly rotation: the first technician is on call from starts_at (local
+-- time in the business timezone, YYYY-MM-DDTHH:MM) and it hands off to the
+-- next one every 7 days at the same local time
+CREATE TABLE IF NOT EXISTS on_call_rotations (
+  business_id INTEGER PRIMARY KEY REFERENCES businesses(id),
+  starts_at TEXT NOT NULL,
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Holidays and swaps: whoever is listed here is on call for the period,
+-- whatever the rotation says
+CREATE TABLE IF NOT EXISTS on_call_overrides (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id),
+  technician_id INTEGER NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+  starts_at INTEGER NOT NULL,
+  ends_at INTEGER NOT NULL,
+  reason TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_technicians_business ON technicians(business_id, rotation_position);
+CREATE INDEX IF NOT EXISTS idx_on_call_overrides_business ON on_call_overrides(business_id, starts_at, ends_at);
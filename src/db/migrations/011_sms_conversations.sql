@@ -0,0 +1,26 @@
+-- Texts to and from the Twilio number, linked to the lead or appointment
+-- they're about
+CREATE TABLE IF NOT EXISTS sms_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id),
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  phone TEXT NOT NULL,
+  body TEXT,
+  command TEXT,
+  lead_id INTEGER REFERENCES leads(id),
+  appointment_id INTEGER REFERENCES appointments(id),
+  twilio_sid TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Twilio can deliver the same inbound message twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_messages_sid ON sms_messages(twilio_sid) WHERE twilio_sid IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sms_messages_phone ON sms_messages(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_business ON sms_messages(business_id, created_at);
+
+-- Set when the owner replies CALLED to a lead alert
+ALTER TABLE leads ADD COLUMN contacted_at INTEGER;
+ALTER TABLE leads ADD COLUMN contacted_by TEXT;
+
+-- Set when the customer replies CONFIRM
+ALTER TABLE appointments ADD COLUMN customer_confirmed_at INTEGER;
@@ -0,0 +1,40 @@
+-- Texts to the customer about a booked appointment: a confirmation right
+-- after booking, then reminders before it. Rows are claimed before they're
+-- queued, so a restart never sends one twice.
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('confirmation', 'reminder_24h', 'reminder_2h')),
+  send_at INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'skipped')),
+  skip_reason TEXT,
+  outbox_id INTEGER REFERENCES notification_outbox(id),
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE (appointment_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_due ON appointment_reminders(status, send_at);
+
+-- Whether each number may be texted, and how that was last decided. A
+-- number that texted STOP gets no confirmations or reminders until it
+-- texts START.
+CREATE TABLE IF NOT EXISTS sms_consent (
+  phone TEXT PRIMARY KEY,
+  status TEXT NOT NULL CHECK (status IN ('granted', 'revoked')),
+  source TEXT NOT NULL,
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Every consent change, kept for compliance
+CREATE TABLE IF NOT EXISTS sms_consent_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('granted', 'revoked')),
+  source TEXT NOT NULL,
+  business_id INTEGER REFERENCES businesses(id),
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_consent_events_phone ON sms_consent_events(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_consent_events_business ON sms_consent_events(business_id, created_at);
@@ -0,0 +1,13 @@
+-- Businesses' own wording for notification messages. Only edited
+-- templates are stored; anything missing uses the built-in default.
+CREATE TABLE IF NOT EXISTS message_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  part TEXT NOT NULL,
+  body TEXT NOT NULL,
+  updated_by TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE (business_id, type, part)
+);
@@ -0,0 +1,48 @@
+-- Words and phrases that flag a call as an emergency. Rules without a
+-- business apply to every business.
+--   pattern: words matched whole, in order; a trailing * matches any ending (flood*)
+--   negation_window: how many words before a match to look for "no", "not", etc. (0 = never negated)
+--   speaker: 'caller' only matches what the caller said, 'any' also matches the assistant
+CREATE TABLE IF NOT EXISTS emergency_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+  pattern TEXT NOT NULL,
+  severity TEXT NOT NULL DEFAULT 'high' CHECK (severity IN ('critical', 'high', 'normal')),
+  negation_window INTEGER NOT NULL DEFAULT 3,
+  speaker TEXT NOT NULL DEFAULT 'caller' CHECK (speaker IN ('caller', 'any')),
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_rules_business ON emergency_rules(business_id);
+
+-- The keywords that used to be hard-coded in emergency.service.js
+INSERT INTO emergency_rules (pattern, severity) VALUES
+  ('gas leak*', 'critical'),
+  ('gas smell*', 'critical'),
+  ('smell* gas', 'critical'),
+  ('carbon monoxide', 'critical'),
+  ('co detector', 'critical'),
+  ('co alarm', 'critical'),
+  ('fire', 'critical'),
+  ('smoke', 'critical'),
+  ('sparking', 'critical'),
+  ('sparks', 'critical'),
+  ('burning smell', 'critical'),
+  ('flood*', 'high'),
+  ('burst pipe*', 'high'),
+  ('pipe* burst', 'high'),
+  ('broken pipe*', 'high'),
+  ('no water', 'high'),
+  ('no hot water', 'high'),
+  ('sewage', 'high'),
+  ('overflow*', 'high'),
+  ('no heat*', 'high'),
+  ('emergency', 'high'),
+  ('urgent*', 'normal'),
+  ('immediately', 'normal'),
+  ('electrical', 'normal');
+
+-- The most severe rule a lead matched
+ALTER TABLE leads ADD COLUMN emergency_severity TEXT;
@@ -0,0 +1,19 @@
+-- Every attempt to hand an emergency caller to a person. Each attempt goes
+-- to the next person in line: whoever is on call, then the owner.
+-- 'forwarded' means Vapi dialed the number, not that anyone answered.
+CREATE TABLE IF NOT EXISTS call_transfers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id),
+  call_id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  contact_name TEXT,
+  phone TEXT NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'forwarded', 'failed')),
+  outcome TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_transfers_call ON call_transfers(call_id, position);
+CREATE INDEX IF NOT EXISTS idx_call_transfers_business ON call_transfers(business_id, created_at);
@@ -0,0 +1,22 @@
+-- Non-emergency lead texts that came in while the business was closed.
+-- Each is held until the business opens, then everything held for it goes
+-- out as one digest text. Items are claimed as the digest is queued, so a
+-- restart neither loses nor repeats one. Items with no one to send them to
+-- are skipped with the reason.
+CREATE TABLE IF NOT EXISTS lead_digest_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+  call_id TEXT,
+  caller_name TEXT,
+  phone_number TEXT,
+  issue_description TEXT,
+  appointment_time TEXT,
+  send_at INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'skipped')),
+  skip_reason TEXT,
+  outbox_id INTEGER REFERENCES notification_outbox(id),
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_digest_items_due ON lead_digest_items(status, send_at);
@@ -0,0 +1,27 @@
+-- Days, or parts of days, a business is closed. Dates and times are local
+-- to the business timezone and end_date is inclusive. A closure with
+-- start_time and end_time only covers that window on each of its days.
+-- Recurring closures repeat every year from start_date's year:
+--   yearly-date          on the same month and day (e.g. December 25)
+--   yearly-weekday       on the same nth weekday of the month (4th Thursday of November)
+--   yearly-last-weekday  on the month's last such weekday (last Monday of May)
+-- Closures imported from an iCalendar file keep the event's UID, so
+-- importing the file again updates them instead of adding copies.
+CREATE TABLE IF NOT EXISTS closures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  recurrence TEXT NOT NULL DEFAULT 'none'
+    CHECK (recurrence IN ('none', 'yearly-date', 'yearly-weekday', 'yearly-last-weekday')),
+  start_time TEXT,
+  end_time TEXT,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ical')),
+  external_uid TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_closures_business ON closures(business_id, start_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_closures_external_uid ON closures(business_id, external_uid);
@@ -0,0 +1,29 @@
+-- Weekly opening hours. A business has regular hours (starts_on and ends_on
+-- NULL) and can add seasonal hours that replace them between two dates
+-- (inclusive, local to the business timezone). Seasonal ranges don't
+-- overlap. A business without regular hours falls back to
+-- BUSINESS_HOURS_START/END and BUSINESS_DAYS.
+CREATE TABLE IF NOT EXISTS hours_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  starts_on TEXT,
+  ends_on TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- Open periods within a week (weekday 1 = Monday to 7 = Sunday, times
+-- HH:MM). A day can have several, e.g. closing for lunch; a day without
+-- any is closed.
+CREATE TABLE IF NOT EXISTS hours_intervals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  schedule_id INTEGER NOT NULL REFERENCES hours_schedules(id) ON DELETE CASCADE,
+  weekday INTEGER NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+  start_time TEXT NOT NULL,
+  end_time TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hours_schedules_regular ON hours_schedules(business_id) WHERE starts_on IS NULL;
+CREATE INDEX IF NOT EXISTS idx_hours_schedules_business ON hours_schedules(business_id, starts_on);
+CREATE INDEX IF NOT EXISTS idx_hours_intervals_schedule ON hours_intervals(schedule_id, weekday, start_time);
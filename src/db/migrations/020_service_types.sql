@@ -0,0 +1,29 @@
+-- Kinds of job a business books, each with its own length and rules.
+-- Buffers keep the calendar clear before and after the job (travel, setup,
+-- cleanup) without making the appointment itself longer. allowed_days is
+-- a comma-separated list of weekdays (1 = Monday to 7 = Sunday) and
+-- earliest_start/latest_end (HH:MM) narrow the business hours; NULL means
+-- no extra limit. Services that aren't voice bookable are taken as
+-- callback requests.
+CREATE TABLE IF NOT EXISTS service_types (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+  buffer_before_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_before_minutes >= 0),
+  buffer_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_after_minutes >= 0),
+  allowed_days TEXT,
+  earliest_start TEXT,
+  latest_end TEXT,
+  voice_bookable INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_service_types_name ON service_types(business_id, name COLLATE NOCASE);
+
+-- The service booked. The name is kept so the appointment still says what
+-- it was for if the service type is renamed or removed.
+ALTER TABLE appointments ADD COLUMN service_type_id INTEGER REFERENCES service_types(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN service_type TEXT;
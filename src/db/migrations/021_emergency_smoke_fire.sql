@@ -0,0 +1,17 @@
+-- "smoke" and "fire" on their own made routine calls critical ("my smoke
+-- detector needs a new battery", "the fire sprinkler inspection"), which
+-- pages the on-call tech mid-call. Replace the shared rules seeded in 015
+-- with phrases that describe an actual fire; a business's own rules stay.
+DELETE FROM emergency_rules WHERE business_id IS NULL AND pattern IN ('smoke', 'fire');
+
+INSERT INTO emergency_rules (pattern, severity) VALUES
+  ('smell* smoke', 'critical'),
+  ('smoke com*', 'critical'),
+  ('smoke from', 'critical'),
+  ('smoke pour*', 'critical'),
+  ('full of smoke', 'critical'),
+  ('smoking', 'critical'),
+  ('on fire', 'critical'),
+  ('caught fire', 'critical'),
+  ('catch* fire', 'critical'),
+  ('flames', 'critical');
@@ -0,0 +1,9 @@
+-- "flood*" matched street names ("I'm at 12 Flood Road"). Replace the shared
+-- rule seeded in 015 with the ways callers describe water coming in; a
+-- business's own rules stay.
+DELETE FROM emergency_rules WHERE business_id IS NULL AND pattern = 'flood*';
+
+INSERT INTO emergency_rules (pattern, severity) VALUES
+  ('flooding', 'high'),
+  ('flooded', 'high'),
+  ('a flood', 'high');
@@ -0,0 +1,182 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+/**
+ * Migration files are named <version>_<name>.sql or <version>_<name>.js,
+ * e.g. 003_add_notes.sql. A .js migration exports an `up(db)` function
+ * (named or default) that runs synchronously against the database.
+ */
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+/**
+ * Creates the table that records applied migrations
+ * @param {import('better-sqlite3').Database} db - Database instance
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+}
+
+/**
+ * Checks whether a table exists
+ * @param {import('better-sqlite3').Database} db - Database instance
+ * @param {string} name - Table name
+ * @returns {boolean}
+ */
+function tableExists(db, name) {
+  return !!db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get(name);
+}
+
+/**
+ * Reads applied migrations without writing to the database
+ * @param {import('better-sqlite3').Database} db - Database instance
+ * @returns {object[]} Applied migrations
+ */
+function getAppliedMigrations(db) {
+  if (!tableExists(db, 'schema_migrations')) {
+    return [];
+  }
+
+  return db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all()
+    .map(row => ({
+      version: row.version,
+      name: row.name,
+      appliedAt: new Date(row.applied_at * 1000).toISOString(),
+    }));
+}
+
+/**
+ * Discovers migration files on disk, ordered by version
+ * @param {string} [dir] - Migrations directory
+ * @returns {object[]} Migrations with version, name, type and path
+ */
+export function discoverMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        type: match[3],
+        file,
+        path: join(dir, file),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Two files with the same number would apply in an arbitrary order
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Lists applied and pending migrations without changing the schema
+ * @param {import('better-sqlite3').Database} db - Database instance
+ * @param {string} [dir] - Migrations directory
+ * @returns {{ applied: object[], pending: object[] }}
+ */
+export function getMigrationStatus(db, dir = MIGRATIONS_DIR) {
+  const applied = getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const pending = discoverMigrations(dir).filter(m => !appliedVersions.has(m.version));
+
+  return { applied, pending };
+}
+
+/**
+ * Loads the up() function of a .js migration
+ * @param {object} migration - Migration descriptor
+ * @returns {Promise<Function>} Migration function
+ */
+async function loadScriptMigration(migration) {
+  const module = await import(pathToFileURL(migration.path).href);
+  const up = module.up || module.default;
+
+  if (typeof up !== 'function') {
+    throw new Error(`Migration ${migration.file} does not export an up(db) function`);
+  }
+
+  return up;
+}
+
+/**
+ * Applies every pending migration, each inside its own transaction
+ * @param {import('better-sqlite3').Database} db - Database instance
+ * @param {object} [options] - Runner options
+ * @param {boolean} [options.dryRun=false] - List pending migrations without applying them
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<{ applied: object[], pending: object[] }>} Migrations applied in this run and those still pending
+ */
+export async function runMigrations(db, options = {}) {
+  const { dryRun = false, dir = MIGRATIONS_DIR } = options;
+
+  if (dryRun) {
+    return { applied: [], pending: getMigrationStatus(db, dir).pending };
+  }
+
+  ensureMigrationsTable(db);
+
+  const { pending } = getMigrationStatus(db, dir);
+  if (pending.length === 0) {
+    return { applied: [], pending };
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const applied = [];
+
+  for (const migration of pending) {
+    // Load scripts up front: better-sqlite3 transactions must be synchronous
+    const up = migration.type === 'js'
+      ? await loadScriptMigration(migration)
+      : null;
+    const sql = migration.type === 'sql'
+      ? readFileSync(migration.path, 'utf-8')
+      : null;
+
+    try {
+      db.transaction(() => {
+        if (up) {
+          up(db);
+        } else {
+          db.exec(sql);
+        }
+        record.run(migration.version, migration.name);
+      })();
+    } catch (error) {
+      logger.error('Migration failed', { file: migration.file, error: error.message });
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    }
+
+    logger.info('Migration applied', { version: migration.version, name: migration.name });
+    applied.push(migration);
+  }
+
+  return { applied, pending: [] };
+}
+
+export default {
+  discoverMigrations,
+  getMigrationStatus,
+  runMigrations,
+};
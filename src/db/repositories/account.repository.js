@@ -2,7 +2,8 @@ import { getDatabase } from '../database.js';
 import logger from '../../utils/logger.js';
 
 /**
- * Creates or updates a Google account
+ * Creates or updates a Google account. An existing account stays with the
+ * business it was first connected for.
  * @param {object} account - Account data
  * @returns {object} Created/updated account
  */
@@ -10,10 +11,11 @@ export function upsertAccount(account) {
   const db = getDatabase();
 
   const stmt = db.prepare(`
-    INSERT INTO google_accounts (email, access_token, refresh_token, token_expiry, calendar_id, is_active, updated_at)
-    VALUES (@email, @accessToken, @refreshToken, @tokenExpiry, @calendarId, @isActive, strftime('%s', 'now'))
+    INSERT INTO google_accounts (email, access_token, refresh_token, token_expiry, calendar_id, is_active, business_id, updated_at)
+    VALUES (@email, @accessToken, @refreshToken, @tokenExpiry, @calendarId, @isActive, @businessId, strftime('%s', 'now'))
     ON CONFLICT(email) DO UPDATE SET
       access_token = @accessToken,
+      business_id = COALESCE(business_id, @businessId),
       refresh_token = COALESCE(@refreshToken, refresh_token),
       token_expiry = @tokenExpiry,
       calendar_id = COALESCE(@calendarId, calendar_id),
@@ -28,6 +30,7 @@ export function upsertAccount(account) {
     tokenExpiry: account.tokenExpiry,
     calendarId: account.calendarId || 'primary',
     isActive: account.isActive ? 1 : 0,
+    businessId: account.businessId || null,
   });
 
   logger.info('Account upserted', { email: account.email });
@@ -36,22 +39,33 @@ export function upsertAccount(account) {
 
 /**
  * Gets all accounts
+ * @param {number} [businessId] - Only accounts for this business
  * @returns {object[]} List of accounts
  */
-export function getAllAccounts() {
+export function getAllAccounts(businessId) {
   const db = getDatabase();
+
+  if (businessId) {
+    const stmt = db.prepare('SELECT * FROM google_accounts WHERE business_id = ? ORDER BY is_active DESC, created_at DESC');
+    return stmt.all(businessId).map(formatAccount);
+  }
+
   const stmt = db.prepare('SELECT * FROM google_accounts ORDER BY is_active DESC, created_at DESC');
   return stmt.all().map(formatAccount);
 }
 
 /**
  * Gets the active account
+ * @param {number} [businessId] - Business whose active account to get
  * @returns {object|null} Active account or null
  */
-export function getActiveAccount() {
+export function getActiveAccount(businessId) {
   const db = getDatabase();
-  const stmt = db.prepare('SELECT * FROM google_accounts WHERE is_active = 1 LIMIT 1');
-  const result = stmt.get();
+
+  const result = businessId
+    ? db.prepare('SELECT * FROM google_accounts WHERE is_active = 1 AND business_id = ? LIMIT 1').get(businessId)
+    : db.prepare('SELECT * FROM google_accounts WHERE is_active = 1 LIMIT 1').get();
+
   return result ? formatAccount(result) : null;
 }
 
@@ -80,7 +94,7 @@ export function getAccountByEmail(email) {
 }
 
 /**
- * Sets an account as active (deactivates all others)
+ * Sets an account as active (deactivates the business's other accounts)
  * @param {number} id - Account ID to activate
  * @returns {object|null} Activated account or null
  */
@@ -88,8 +102,11 @@ export function setActiveAccount(id) {
   const db = getDatabase();
 
   const transaction = db.transaction(() => {
-    // Deactivate all accounts
-    db.prepare('UPDATE google_accounts SET is_active = 0, updated_at = strftime(\'%s\', \'now\')').run();
+    // Deactivate the other accounts of the same business
+    db.prepare(`
+      UPDATE google_accounts SET is_active = 0, updated_at = strftime('%s', 'now')
+      WHERE business_id IS (SELECT business_id FROM google_accounts WHERE id = ?)
+    `).run(id);
 
     // Activate the specified account
     db.prepare('UPDATE google_accounts SET is_active = 1, updated_at = strftime(\'%s\', \'now\') WHERE id = ?').run(id);
@@ -169,6 +186,7 @@ function formatAccount(row) {
     tokenExpiry: row.token_expiry,
     calendarId: row.calendar_id,
     isActive: row.is_active === 1,
+    businessId: row.business_id,
     createdAt: new Date(row.created_at * 1000).toISOString(),
     updatedAt: new Date(row.updated_at * 1000).toISOString(),
   };
@@ -1,5 +1,6 @@
 import { getDatabase } from '../database.js';
 import logger from '../../utils/logger.js';
+import { phoneNumbersMatch } from '../../utils/phone.js';
 
 /**
  * Creates a new appointment
@@ -13,12 +14,12 @@ export function createAppointment(appointment) {
     INSERT INTO appointments (
       google_event_id, caller_name, phone_number, email,
       service_address, issue_description, start_time, end_time,
-      account_email, call_id
+      account_email, call_id, lead_id, business_id, service_type_id, service_type
     )
     VALUES (
       @googleEventId, @callerName, @phoneNumber, @email,
       @serviceAddress, @issueDescription, @startTime, @endTime,
-      @accountEmail, @callId
+      @accountEmail, @callId, @leadId, @businessId, @serviceTypeId, @serviceType
     )
     RETURNING *
   `);
@@ -34,6 +35,10 @@ export function createAppointment(appointment) {
     endTime: appointment.endTime,
     accountEmail: appointment.accountEmail,
     callId: appointment.callId || null,
+    leadId: appointment.leadId || null,
+    businessId: appointment.businessId || null,
+    serviceTypeId: appointment.serviceTypeId || null,
+    serviceType: appointment.serviceType || null,
   });
 
   logger.info('Appointment created', {
@@ -52,16 +57,31 @@ export function createAppointment(appointment) {
  */
 export function getAppointments(options = {}) {
   const db = getDatabase();
-  const { limit = 10, offset = 0, upcoming = false } = options;
+  const { limit = 10, offset = 0, upcoming = false, status, businessId } = options;
 
   let query = 'SELECT * FROM appointments';
+  const conditions = [];
   const params = [];
 
   if (upcoming) {
-    query += ' WHERE start_time > ?';
+    conditions.push('start_time > ?');
     params.push(Math.floor(Date.now() / 1000));
   }
 
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (businessId) {
+    conditions.push('business_id = ?');
+    params.push(businessId);
+  }
+
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+
   query += ' ORDER BY start_time DESC LIMIT ? OFFSET ?';
   params.push(limit, offset);
 
@@ -109,6 +129,118 @@ export function getAppointmentsInRange(startTime, endTime) {
   return stmt.all(startTime, endTime).map(formatAppointment);
 }
 
+/**
+ * Gets upcoming booked appointments for a phone number
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {number} [businessId] - Only appointments for this business
+ * @returns {object[]} Appointments, soonest first
+ */
+export function getUpcomingAppointmentsByPhone(phoneNumber, businessId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM appointments
+    WHERE status = 'booked' AND start_time > ?
+      AND (? IS NULL OR business_id = ?)
+    ORDER BY start_time ASC
+  `);
+
+  // Numbers are stored as the caller spoke them, so compare normalized
+  return stmt.all(Math.floor(Date.now() / 1000), businessId || null, businessId || null)
+    .filter(row => phoneNumbersMatch(row.phone_number, phoneNumber))
+    .map(formatAppointment);
+}
+
+/**
+ * Gets every appointment (past, upcoming and cancelled) for a phone number
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {object} [options] - Query options
+ * @param {number} [options.businessId] - Only appointments for this business
+ * @param {number} [options.limit=20] - Maximum number of appointments
+ * @returns {object[]} Appointments, most recent first
+ */
+export function getAppointmentsByPhone(phoneNumber, options = {}) {
+  const { businessId = null, limit = 20 } = options;
+  const lastDigits = String(phoneNumber || '').replace(/\D/g, '').slice(-4);
+  if (!lastDigits) return [];
+
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM appointments
+    WHERE phone_number LIKE ? AND (? IS NULL OR business_id = ?)
+    ORDER BY start_time DESC
+  `);
+
+  // Narrow in SQL by the last digits, then compare normalized numbers
+  return stmt.all(`%${lastDigits}`, businessId, businessId)
+    .filter(row => phoneNumbersMatch(row.phone_number, phoneNumber))
+    .slice(0, limit)
+    .map(formatAppointment);
+}
+
+/**
+ * Marks an appointment as cancelled, keeping the row for history
+ * @param {number} id - Appointment ID
+ * @param {string} [reason] - Why the appointment was cancelled
+ * @returns {object|null} Updated appointment or null
+ */
+export function markAppointmentCancelled(id, reason) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE appointments
+    SET status = 'cancelled',
+        cancelled_at = strftime('%s', 'now'),
+        cancellation_reason = ?
+    WHERE id = ? AND status != 'cancelled'
+    RETURNING *
+  `);
+  const result = stmt.get(reason || null, id);
+
+  if (result) {
+    logger.info('Appointment cancelled', { id, reason });
+  }
+
+  return result ? formatAppointment(result) : null;
+}
+
+/**
+ * Records that the customer confirmed their appointment
+ * @param {number} id - Appointment ID
+ * @returns {object|null} Updated appointment or null
+ */
+export function markAppointmentConfirmed(id) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE appointments
+    SET customer_confirmed_at = strftime('%s', 'now')
+    WHERE id = ? AND status = 'booked'
+    RETURNING *
+  `);
+  const result = stmt.get(id);
+
+  if (result) {
+    logger.info('Appointment confirmed by customer', { id });
+  }
+
+  return result ? formatAppointment(result) : null;
+}
+
+/**
+ * Moves an appointment to a new time
+ * @param {number} id - Appointment ID
+ * @param {number} startTime - New start timestamp (seconds)
+ * @param {number} endTime - New end timestamp (seconds)
+ * @returns {object|null} Updated appointment or null
+ */
+export function updateAppointmentTime(id, startTime, endTime) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE appointments SET start_time = ?, end_time = ? WHERE id = ?
+    RETURNING *
+  `);
+  const result = stmt.get(startTime, endTime, id);
+  return result ? formatAppointment(result) : null;
+}
+
 /**
  * Updates an appointment's Google Event ID
  * @param {number} id - Appointment ID
@@ -125,6 +257,38 @@ export function updateGoogleEventId(id, googleEventId) {
   return result ? formatAppointment(result) : null;
 }
 
+/**
+ * Gets the booked (not cancelled) appointment made on a call
+ * @param {string} callId - Vapi call ID
+ * @returns {object|null} Appointment or null
+ */
+export function getBookedAppointmentByCallId(callId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM appointments
+    WHERE call_id = ? AND status = 'booked'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `);
+  const result = stmt.get(callId);
+  return result ? formatAppointment(result) : null;
+}
+
+/**
+ * Links every appointment booked on a call to the lead captured for that call
+ * @param {string} callId - Vapi call ID
+ * @param {number} leadId - Lead ID
+ * @returns {object[]} Linked appointments
+ */
+export function linkAppointmentsToLead(callId, leadId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE appointments SET lead_id = ? WHERE call_id = ?
+    RETURNING *
+  `);
+  return stmt.all(leadId, callId).map(formatAppointment);
+}
+
 /**
  * Deletes an appointment
  * @param {number} id - Appointment ID
@@ -163,6 +327,14 @@ function formatAppointment(row) {
     endTimeISO: new Date(row.end_time * 1000).toISOString(),
     accountEmail: row.account_email,
     callId: row.call_id,
+    leadId: row.lead_id,
+    businessId: row.business_id,
+    serviceTypeId: row.service_type_id,
+    serviceType: row.service_type,
+    status: row.status,
+    cancelledAt: row.cancelled_at ? new Date(row.cancelled_at * 1000).toISOString() : null,
+    cancellationReason: row.cancellation_reason,
+    customerConfirmedAt: row.customer_confirmed_at ? new Date(row.customer_confirmed_at * 1000).toISOString() : null,
     createdAt: new Date(row.created_at * 1000).toISOString(),
   };
 }
@@ -173,6 +345,13 @@ export default {
   getAppointmentById,
   getAppointmentByEventId,
   getAppointmentsInRange,
+  getUpcomingAppointmentsByPhone,
+  getAppointmentsByPhone,
+  markAppointmentCancelled,
+  markAppointmentConfirmed,
+  updateAppointmentTime,
   updateGoogleEventId,
+  getBookedAppointmentByCallId,
+  linkAppointmentsToLead,
   deleteAppointment,
 };
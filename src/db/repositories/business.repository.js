@@ -0,0 +1,166 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  phoneNumber: 'phone_number',
+  ownerPhone: 'owner_phone',
+  ownerEmail: 'owner_email',
+  timezone: 'timezone',
+  businessHoursStart: 'business_hours_start',
+  businessHoursEnd: 'business_hours_end',
+  businessDays: 'business_days',
+  appointmentDuration: 'appointment_duration',
+};
+
+/**
+ * Creates a business
+ * @param {object} business - Business data
+ * @returns {object} Created business
+ */
+export function createBusiness(business) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO businesses (
+      name, phone_number, owner_phone, owner_email, timezone,
+      business_hours_start, business_hours_end, business_days, appointment_duration
+    )
+    VALUES (
+      @name, @phoneNumber, @ownerPhone, @ownerEmail, @timezone,
+      @businessHoursStart, @businessHoursEnd, @businessDays, @appointmentDuration
+    )
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    name: business.name || null,
+    phoneNumber: business.phoneNumber || null,
+    ownerPhone: business.ownerPhone || null,
+    ownerEmail: business.ownerEmail || null,
+    timezone: business.timezone || null,
+    businessHoursStart: business.businessHoursStart || null,
+    businessHoursEnd: business.businessHoursEnd || null,
+    businessDays: business.businessDays || null,
+    appointmentDuration: business.appointmentDuration || null,
+  });
+
+  logger.info('Business created', { id: result.id, name: result.name });
+  return formatBusiness(result);
+}
+
+/**
+ * Updates a business. Fields set to null fall back to the environment config.
+ * @param {number} id - Business ID
+ * @param {object} updates - Fields to update
+ * @returns {object|null} Updated business or null
+ */
+export function updateBusiness(id, updates) {
+  const db = getDatabase();
+
+  const assignments = [];
+  const params = { id };
+
+  for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+    if (field in updates) {
+      assignments.push(`${column} = @${field}`);
+      params[field] = updates[field] === '' ? null : updates[field];
+    }
+  }
+
+  if (assignments.length === 0) {
+    return getBusinessById(id);
+  }
+
+  const stmt = db.prepare(`
+    UPDATE businesses
+    SET ${assignments.join(', ')}, updated_at = strftime('%s', 'now')
+    WHERE id = @id
+    RETURNING *
+  `);
+
+  const result = stmt.get(params);
+
+  if (result) {
+    logger.info('Business updated', { id, fields: Object.keys(updates) });
+  }
+
+  return result ? formatBusiness(result) : null;
+}
+
+/**
+ * Gets all businesses
+ * @returns {object[]} List of businesses
+ */
+export function getAllBusinesses() {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM businesses ORDER BY is_default DESC, name ASC');
+  return stmt.all().map(formatBusiness);
+}
+
+/**
+ * Gets a business by ID
+ * @param {number} id - Business ID
+ * @returns {object|null} Business or null
+ */
+export function getBusinessById(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM businesses WHERE id = ?');
+  const result = stmt.get(id);
+  return result ? formatBusiness(result) : null;
+}
+
+/**
+ * Gets a business by the phone number callers dial
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {object|null} Business or null
+ */
+export function getBusinessByPhoneNumber(phoneNumber) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM businesses WHERE phone_number = ?');
+  const result = stmt.get(phoneNumber);
+  return result ? formatBusiness(result) : null;
+}
+
+/**
+ * Gets the default business (used when a call can't be matched)
+ * @returns {object|null} Business or null
+ */
+export function getDefaultBusiness() {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM businesses WHERE is_default = 1 LIMIT 1');
+  const result = stmt.get();
+  return result ? formatBusiness(result) : null;
+}
+
+/**
+ * Formats a database row into a clean business object
+ * @param {object} row - Database row
+ * @returns {object} Formatted business (unset settings are null)
+ */
+function formatBusiness(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    phoneNumber: row.phone_number,
+    ownerPhone: row.owner_phone,
+    ownerEmail: row.owner_email,
+    timezone: row.timezone,
+    businessHoursStart: row.business_hours_start,
+    businessHoursEnd: row.business_hours_end,
+    businessDays: row.business_days,
+    appointmentDuration: row.appointment_duration,
+    isDefault: row.is_default === 1,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  createBusiness,
+  updateBusiness,
+  getAllBusinesses,
+  getBusinessById,
+  getBusinessByPhoneNumber,
+  getDefaultBusiness,
+};
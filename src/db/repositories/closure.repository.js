@@ -0,0 +1,188 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  recurrence: 'recurrence',
+  startTime: 'start_time',
+  endTime: 'end_time',
+};
+
+/**
+ * Gets a business's closures
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Closures, earliest first
+ */
+export function getClosures(businessId) {
+  const db = getDatabase();
+  return db.prepare(`
+    SELECT * FROM closures WHERE business_id = ? ORDER BY start_date ASC, id ASC
+  `).all(businessId).map(formatClosure);
+}
+
+/**
+ * Gets a closure by ID
+ * @param {number} id - Closure ID
+ * @returns {object|null} Closure or null
+ */
+export function getClosureById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM closures WHERE id = ?').get(id);
+  return result ? formatClosure(result) : null;
+}
+
+/**
+ * Adds a closure
+ * @param {object} closure - Closure data
+ * @param {number} closure.businessId - Business ID
+ * @param {string} closure.name - What the closure is for, e.g. "Thanksgiving"
+ * @param {string} closure.startDate - First day (YYYY-MM-DD)
+ * @param {string} closure.endDate - Last day (YYYY-MM-DD)
+ * @param {string} [closure.recurrence='none'] - How it repeats (see utils/closures.js)
+ * @param {string|null} [closure.startTime] - Start of a partial-day closure (HH:MM)
+ * @param {string|null} [closure.endTime] - End of a partial-day closure (HH:MM)
+ * @returns {object} Created closure
+ */
+export function createClosure(closure) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO closures (business_id, name, start_date, end_date, recurrence, start_time, end_time)
+    VALUES (@businessId, @name, @startDate, @endDate, @recurrence, @startTime, @endTime)
+    RETURNING *
+  `).get({
+    businessId: closure.businessId,
+    name: closure.name,
+    startDate: closure.startDate,
+    endDate: closure.endDate,
+    recurrence: closure.recurrence || 'none',
+    startTime: closure.startTime || null,
+    endTime: closure.endTime || null,
+  });
+
+  logger.info('Closure added', { id: result.id, businessId: result.business_id, startDate: result.start_date });
+  return formatClosure(result);
+}
+
+/**
+ * Adds closures from an iCalendar file, updating any imported before with
+ * the same event UID
+ * @param {number} businessId - Business ID
+ * @param {object[]} closures - Closures, each with an externalUid
+ * @returns {object[]} Saved closures
+ */
+export function importClosures(businessId, closures) {
+  const db = getDatabase();
+
+  const upsert = db.prepare(`
+    INSERT INTO closures (
+      business_id, name, start_date, end_date, recurrence, start_time, end_time, source, external_uid
+    )
+    VALUES (
+      @businessId, @name, @startDate, @endDate, @recurrence, @startTime, @endTime, 'ical', @externalUid
+    )
+    ON CONFLICT(business_id, external_uid) DO UPDATE SET
+      name = excluded.name,
+      start_date = excluded.start_date,
+      end_date = excluded.end_date,
+      recurrence = excluded.recurrence,
+      start_time = excluded.start_time,
+      end_time = excluded.end_time,
+      updated_at = strftime('%s', 'now')
+    RETURNING *
+  `);
+
+  const saved = db.transaction(() => closures.map(closure => upsert.get({
+    businessId,
+    name: closure.name,
+    startDate: closure.startDate,
+    endDate: closure.endDate,
+    recurrence: closure.recurrence || 'none',
+    startTime: closure.startTime || null,
+    endTime: closure.endTime || null,
+    externalUid: closure.externalUid,
+  })))();
+
+  logger.info('Closures imported', { businessId, count: saved.length });
+  return saved.map(formatClosure);
+}
+
+/**
+ * Updates a closure
+ * @param {number} id - Closure ID
+ * @param {object} updates - Fields to change (name, startDate, endDate, recurrence, startTime, endTime)
+ * @returns {object|null} Updated closure or null
+ */
+export function updateClosure(id, updates) {
+  const db = getDatabase();
+
+  const assignments = [];
+  const params = { id };
+
+  for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+    if (field in updates) {
+      assignments.push(`${column} = @${field}`);
+      params[field] = updates[field];
+    }
+  }
+
+  if (assignments.length === 0) {
+    return getClosureById(id);
+  }
+
+  const result = db.prepare(`
+    UPDATE closures
+    SET ${assignments.join(', ')}, updated_at = strftime('%s', 'now')
+    WHERE id = @id
+    RETURNING *
+  `).get(params);
+
+  if (result) {
+    logger.info('Closure updated', { id, fields: Object.keys(updates) });
+  }
+
+  return result ? formatClosure(result) : null;
+}
+
+/**
+ * Deletes a closure
+ * @param {number} id - Closure ID
+ * @returns {boolean} Whether a closure was deleted
+ */
+export function deleteClosure(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM closures WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Formats a database row into a clean closure object
+ * @param {object} row - Database row
+ * @returns {object} Formatted closure
+ */
+function formatClosure(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    name: row.name,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    recurrence: row.recurrence,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    source: row.source,
+    externalUid: row.external_uid,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getClosures,
+  getClosureById,
+  createClosure,
+  importClosures,
+  updateClosure,
+  deleteClosure,
+};
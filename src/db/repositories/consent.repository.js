@@ -0,0 +1,115 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Gets a number's current consent
+ * @param {string} phone - E.164 phone number
+ * @returns {object|null} Consent, or null if none was ever recorded
+ */
+export function getConsent(phone) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM sms_consent WHERE phone = ?').get(phone);
+  return result ? formatConsent(result) : null;
+}
+
+/**
+ * Records a consent change for a number and adds it to the history
+ * @param {object} change - Consent change
+ * @param {string} change.phone - E.164 phone number
+ * @param {'granted'|'revoked'} change.status - New status
+ * @param {string} change.source - How it was given or withdrawn, e.g. "verbal on call abc123"
+ * @param {number} [change.businessId] - Business the change came through
+ * @param {boolean} [change.onlyIfUnknown=false] - Only record it if the number has no consent yet
+ * @returns {object|null} Current consent, or null if nothing was recorded
+ */
+export function recordConsent({ phone, status, source, businessId = null, onlyIfUnknown = false }) {
+  const db = getDatabase();
+
+  const upsert = db.prepare(`
+    INSERT INTO sms_consent (phone, status, source) VALUES (?, ?, ?)
+    ON CONFLICT(phone) DO UPDATE SET
+      status = excluded.status,
+      source = excluded.source,
+      updated_at = strftime('%s', 'now')
+  `);
+  const insertEvent = db.prepare(`
+    INSERT INTO sms_consent_events (phone, status, source, business_id) VALUES (?, ?, ?, ?)
+  `);
+  const exists = db.prepare('SELECT 1 FROM sms_consent WHERE phone = ?');
+
+  const recorded = db.transaction(() => {
+    if (onlyIfUnknown && exists.get(phone)) {
+      return false;
+    }
+
+    upsert.run(phone, status, source);
+    insertEvent.run(phone, status, source, businessId);
+    return true;
+  })();
+
+  if (!recorded) {
+    return null;
+  }
+
+  logger.info('SMS consent recorded', { phone, status, source });
+  return getConsent(phone);
+}
+
+/**
+ * Gets consent changes, newest first
+ * @param {object} options - Query options
+ * @param {number} [options.businessId] - Only changes made through this business
+ * @param {string} [options.phone] - Only changes for this E.164 number
+ * @param {number} [options.limit=50] - Maximum number of changes
+ * @returns {object[]} Consent events
+ */
+export function getConsentEvents(options = {}) {
+  const { businessId = null, phone = null, limit = 50 } = options;
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    SELECT * FROM sms_consent_events
+    WHERE (@businessId IS NULL OR business_id = @businessId)
+      AND (@phone IS NULL OR phone = @phone)
+    ORDER BY created_at DESC, id DESC
+    LIMIT @limit
+  `);
+
+  return stmt.all({ businessId, phone, limit }).map(formatConsentEvent);
+}
+
+/**
+ * Formats a database row into a clean consent object
+ * @param {object} row - Database row
+ * @returns {object} Formatted consent
+ */
+function formatConsent(row) {
+  return {
+    phone: row.phone,
+    status: row.status,
+    source: row.source,
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Formats a database row into a clean consent event object
+ * @param {object} row - Database row
+ * @returns {object} Formatted consent event
+ */
+function formatConsentEvent(row) {
+  return {
+    id: row.id,
+    phone: row.phone,
+    status: row.status,
+    source: row.source,
+    businessId: row.business_id,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getConsent,
+  recordConsent,
+  getConsentEvents,
+};
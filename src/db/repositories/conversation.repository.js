@@ -0,0 +1,97 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Adds a text to the conversation log
+ * @param {object} message - Message data
+ * @returns {object|null} Logged message, or null if this Twilio message was already logged
+ */
+export function logSmsMessage(message) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO sms_messages (
+      business_id, direction, phone, body, command, lead_id, appointment_id, twilio_sid
+    )
+    VALUES (
+      @businessId, @direction, @phone, @body, @command, @leadId, @appointmentId, @twilioSid
+    )
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    businessId: message.businessId || null,
+    direction: message.direction,
+    phone: message.phone,
+    body: message.body || null,
+    command: message.command || null,
+    leadId: message.leadId || null,
+    appointmentId: message.appointmentId || null,
+    twilioSid: message.twilioSid || null,
+  });
+
+  if (!result) {
+    logger.info('Duplicate SMS skipped', { twilioSid: message.twilioSid });
+  }
+
+  return result ? formatSmsMessage(result) : null;
+}
+
+/**
+ * Checks whether an inbound Twilio message was already handled
+ * @param {string} twilioSid - Twilio message SID
+ * @returns {boolean} Whether it is in the log
+ */
+export function hasSmsMessage(twilioSid) {
+  const db = getDatabase();
+  return Boolean(db.prepare('SELECT 1 FROM sms_messages WHERE twilio_sid = ?').get(twilioSid));
+}
+
+/**
+ * Gets texts from the conversation log
+ * @param {object} options - Query options
+ * @param {number} [options.businessId] - Only texts for this business
+ * @param {string} [options.phone] - Only texts with this E.164 number
+ * @param {number} [options.limit=50] - Maximum number of texts
+ * @returns {object[]} Texts, newest first
+ */
+export function getSmsMessages(options = {}) {
+  const { businessId = null, phone = null, limit = 50 } = options;
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    SELECT * FROM sms_messages
+    WHERE (@businessId IS NULL OR business_id = @businessId)
+      AND (@phone IS NULL OR phone = @phone)
+    ORDER BY created_at DESC, id DESC
+    LIMIT @limit
+  `);
+
+  return stmt.all({ businessId, phone, limit }).map(formatSmsMessage);
+}
+
+/**
+ * Formats a database row into a clean message object
+ * @param {object} row - Database row
+ * @returns {object} Formatted message
+ */
+function formatSmsMessage(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    direction: row.direction,
+    phone: row.phone,
+    body: row.body,
+    command: row.command,
+    leadId: row.lead_id,
+    appointmentId: row.appointment_id,
+    twilioSid: row.twilio_sid,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  logSmsMessage,
+  hasSmsMessage,
+  getSmsMessages,
+};
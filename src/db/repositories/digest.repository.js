@@ -0,0 +1,146 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+import { enqueueMessage } from './outbox.repository.js';
+
+/**
+ * Holds a lead text for the business's next digest
+ * @param {object} item - Lead details to include
+ * @param {number|null} item.businessId - Business ID
+ * @param {string} [item.callId] - Vapi call ID
+ * @param {string} [item.callerName] - Caller's name
+ * @param {string} [item.phoneNumber] - Caller's phone number
+ * @param {string} [item.issueDescription] - What the call was about
+ * @param {string} [item.appointmentTime] - Booked appointment, as shown to staff
+ * @param {number} item.sendAt - Timestamp (seconds) the digest goes out
+ * @returns {object} Held item
+ */
+export function holdDigestItem(item) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO lead_digest_items (
+      business_id, call_id, caller_name, phone_number, issue_description, appointment_time, send_at
+    )
+    VALUES (
+      @businessId, @callId, @callerName, @phoneNumber, @issueDescription, @appointmentTime, @sendAt
+    )
+    RETURNING *
+  `).get({
+    businessId: item.businessId || null,
+    callId: item.callId || null,
+    callerName: item.callerName || null,
+    phoneNumber: item.phoneNumber || null,
+    issueDescription: item.issueDescription || null,
+    appointmentTime: item.appointmentTime || null,
+    sendAt: item.sendAt,
+  });
+
+  logger.info('Lead text held for digest', { id: result.id, businessId: result.business_id, callId: result.call_id });
+  return formatItem(result);
+}
+
+/**
+ * Gets held items whose digest is due, longest overdue first so no one
+ * business can hold up the rest
+ * @param {number} [limit=200] - Maximum number of items
+ * @returns {object[]} Items, oldest first
+ */
+export function getDueDigestItems(limit = 200) {
+  const db = getDatabase();
+  return db.prepare(`
+    SELECT * FROM lead_digest_items
+    WHERE status = 'pending' AND send_at <= strftime('%s', 'now')
+    ORDER BY send_at ASC, created_at ASC, id ASC
+    LIMIT ?
+  `).all(limit).map(formatItem);
+}
+
+/**
+ * Claims held items and writes their digest to the notification outbox in
+ * one transaction, so each item is sent exactly once even across restarts
+ * @param {number[]} ids - Item IDs in the digest
+ * @param {object} message - Outbox message data
+ * @returns {object|null} Queued outbox message, or null if the items weren't all pending
+ */
+export function queueDigest(ids, message) {
+  const db = getDatabase();
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const claim = db.prepare(`
+    UPDATE lead_digest_items
+    SET status = 'sent', updated_at = strftime('%s', 'now')
+    WHERE id IN (${placeholders}) AND status = 'pending'
+  `);
+  const setOutboxId = db.prepare(`UPDATE lead_digest_items SET outbox_id = ? WHERE id IN (${placeholders})`);
+
+  const queue = db.transaction(() => {
+    // All or nothing: if any item was already sent, the claim is rolled back
+    if (claim.run(...ids).changes !== ids.length) {
+      throw new Error('Digest items were already sent');
+    }
+
+    const queued = enqueueMessage(message);
+    setOutboxId.run(queued.id, ...ids);
+    return queued;
+  });
+
+  try {
+    return queue();
+  } catch (error) {
+    logger.warn('Digest not queued', { ids, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Marks pending held items as skipped so they aren't picked up again
+ * @param {number[]} ids - Item IDs
+ * @param {string} reason - Why they weren't sent
+ * @returns {number} Number of items skipped
+ */
+export function skipDigestItems(ids, reason) {
+  const db = getDatabase();
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const result = db.prepare(`
+    UPDATE lead_digest_items
+    SET status = 'skipped', skip_reason = ?, updated_at = strftime('%s', 'now')
+    WHERE id IN (${placeholders}) AND status = 'pending'
+  `).run(reason, ...ids);
+
+  if (result.changes > 0) {
+    logger.info('Digest items skipped', { ids, reason });
+  }
+
+  return result.changes;
+}
+
+/**
+ * Formats a database row into a clean digest item object
+ * @param {object} row - Database row
+ * @returns {object} Formatted item
+ */
+function formatItem(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    callId: row.call_id,
+    callerName: row.caller_name,
+    phoneNumber: row.phone_number,
+    issueDescription: row.issue_description,
+    appointmentTime: row.appointment_time,
+    sendAt: new Date(row.send_at * 1000).toISOString(),
+    status: row.status,
+    skipReason: row.skip_reason,
+    outboxId: row.outbox_id,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  holdDigestItem,
+  getDueDigestItems,
+  queueDigest,
+  skipDigestItems,
+};
@@ -0,0 +1,148 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+const UPDATABLE_FIELDS = {
+  pattern: 'pattern',
+  severity: 'severity',
+  negationWindow: 'negation_window',
+  speaker: 'speaker',
+  enabled: 'enabled',
+};
+
+/**
+ * Gets the rules that apply to a business: its own and the shared ones
+ * @param {number|null} businessId - Business ID
+ * @param {object} [options] - Query options
+ * @param {boolean} [options.enabledOnly=false] - Leave out disabled rules
+ * @returns {object[]} Rules, shared rules first
+ */
+export function getEmergencyRules(businessId, { enabledOnly = false } = {}) {
+  const db = getDatabase();
+  const conditions = ['(business_id IS NULL OR business_id = ?)'];
+
+  if (enabledOnly) {
+    conditions.push('enabled = 1');
+  }
+
+  return db.prepare(`
+    SELECT * FROM emergency_rules
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY business_id IS NOT NULL, id ASC
+  `).all(businessId).map(formatRule);
+}
+
+/**
+ * Gets an emergency rule by ID
+ * @param {number} id - Rule ID
+ * @returns {object|null} Rule or null
+ */
+export function getEmergencyRuleById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM emergency_rules WHERE id = ?').get(id);
+  return result ? formatRule(result) : null;
+}
+
+/**
+ * Adds an emergency rule
+ * @param {object} rule - Rule data
+ * @param {number|null} rule.businessId - Business ID, or null for every business
+ * @param {string} rule.pattern - Words to match
+ * @param {string} rule.severity - 'critical', 'high' or 'normal'
+ * @param {number} rule.negationWindow - Words before a match to check for negation
+ * @param {string} rule.speaker - 'caller' or 'any'
+ * @param {boolean} [rule.enabled=true] - Whether the rule is used
+ * @returns {object} Created rule
+ */
+export function createEmergencyRule(rule) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO emergency_rules (business_id, pattern, severity, negation_window, speaker, enabled)
+    VALUES (@businessId, @pattern, @severity, @negationWindow, @speaker, @enabled)
+    RETURNING *
+  `).get({
+    businessId: rule.businessId || null,
+    pattern: rule.pattern,
+    severity: rule.severity,
+    negationWindow: rule.negationWindow,
+    speaker: rule.speaker,
+    enabled: rule.enabled === false ? 0 : 1,
+  });
+
+  logger.info('Emergency rule added', { id: result.id, businessId: result.business_id, pattern: result.pattern });
+  return formatRule(result);
+}
+
+/**
+ * Updates an emergency rule
+ * @param {number} id - Rule ID
+ * @param {object} updates - Fields to change (pattern, severity, negationWindow, speaker, enabled)
+ * @returns {object|null} Updated rule or null
+ */
+export function updateEmergencyRule(id, updates) {
+  const db = getDatabase();
+
+  const assignments = [];
+  const params = { id };
+
+  for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+    if (field in updates) {
+      assignments.push(`${column} = @${field}`);
+      params[field] = field === 'enabled' ? (updates.enabled ? 1 : 0) : updates[field];
+    }
+  }
+
+  if (assignments.length === 0) {
+    return getEmergencyRuleById(id);
+  }
+
+  const result = db.prepare(`
+    UPDATE emergency_rules
+    SET ${assignments.join(', ')}, updated_at = strftime('%s', 'now')
+    WHERE id = @id
+    RETURNING *
+  `).get(params);
+
+  if (result) {
+    logger.info('Emergency rule updated', { id, fields: Object.keys(updates) });
+  }
+
+  return result ? formatRule(result) : null;
+}
+
+/**
+ * Deletes an emergency rule
+ * @param {number} id - Rule ID
+ * @returns {boolean} Whether a rule was deleted
+ */
+export function deleteEmergencyRule(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM emergency_rules WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Formats a database row into a clean rule object
+ * @param {object} row - Database row
+ * @returns {object} Formatted rule
+ */
+function formatRule(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    pattern: row.pattern,
+    severity: row.severity,
+    negationWindow: row.negation_window,
+    speaker: row.speaker,
+    enabled: row.enabled === 1,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getEmergencyRules,
+  getEmergencyRuleById,
+  createEmergencyRule,
+  updateEmergencyRule,
+  deleteEmergencyRule,
+};
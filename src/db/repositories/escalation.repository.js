@@ -0,0 +1,433 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Gets a business's escalation contacts in paging order
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Contacts
+ */
+export function getEscalationContacts(businessId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM escalation_contacts
+    WHERE business_id = ?
+    ORDER BY position ASC, id ASC
+  `);
+  return stmt.all(businessId).map(formatContact);
+}
+
+/**
+ * Gets an escalation contact by ID
+ * @param {number} id - Contact ID
+ * @returns {object|null} Contact or null
+ */
+export function getEscalationContactById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM escalation_contacts WHERE id = ?').get(id);
+  return result ? formatContact(result) : null;
+}
+
+/**
+ * Adds a contact to the end of a business's escalation chain
+ * @param {object} contact - Contact data
+ * @returns {object} Created contact
+ */
+export function createEscalationContact(contact) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO escalation_contacts (business_id, name, phone, position)
+    VALUES (
+      @businessId, @name, @phone,
+      (SELECT COALESCE(MAX(position), -1) + 1 FROM escalation_contacts WHERE business_id = @businessId)
+    )
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    businessId: contact.businessId,
+    name: contact.name,
+    phone: contact.phone,
+  });
+
+  logger.info('Escalation contact added', { id: result.id, businessId: result.business_id });
+  return formatContact(result);
+}
+
+/**
+ * Deletes an escalation contact
+ * @param {number} id - Contact ID
+ * @returns {boolean} Whether a contact was deleted
+ */
+export function deleteEscalationContact(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM escalation_contacts WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Starts an escalation for a call. Each call escalates at most once.
+ * @param {object} escalation - Escalation data
+ * @returns {object|null} Created escalation, or null if the call already has one
+ */
+export function createEscalation(escalation) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO escalations (
+      business_id, call_id, caller_name, phone_number,
+      service_address, issue_description, chain
+    )
+    VALUES (
+      @businessId, @callId, @callerName, @phoneNumber,
+      @serviceAddress, @issueDescription, @chain
+    )
+    ON CONFLICT(call_id) DO NOTHING
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    businessId: escalation.businessId || null,
+    callId: escalation.callId,
+    callerName: escalation.callerName || null,
+    phoneNumber: escalation.phoneNumber || null,
+    serviceAddress: escalation.serviceAddress || null,
+    issueDescription: escalation.issueDescription || null,
+    chain: JSON.stringify(escalation.chain),
+  });
+
+  if (result) {
+    logger.info('Escalation started', { id: result.id, callId: result.call_id });
+  }
+
+  return result ? formatEscalation(result) : null;
+}
+
+/**
+ * Gets an escalation by ID, with its steps
+ * @param {number} id - Escalation ID
+ * @returns {object|null} Escalation or null
+ */
+export function getEscalationById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM escalations WHERE id = ?').get(id);
+  return result ? withSteps(formatEscalation(result)) : null;
+}
+
+/**
+ * Gets the escalation for a call, with its steps
+ * @param {string} callId - Vapi call ID
+ * @returns {object|null} Escalation or null
+ */
+export function getEscalationByCallId(callId) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM escalations WHERE call_id = ?').get(callId);
+  return result ? withSteps(formatEscalation(result)) : null;
+}
+
+/**
+ * Fills in the caller's details on an escalation that started while the
+ * call was still going. Details already known are kept when the new ones
+ * are missing.
+ * @param {string} callId - Vapi call ID
+ * @param {object} details - callerName, phoneNumber, serviceAddress, issueDescription
+ * @returns {object|null} Updated escalation or null
+ */
+export function updateEscalationDetails(callId, details) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    UPDATE escalations
+    SET caller_name = COALESCE(@callerName, caller_name),
+        phone_number = COALESCE(@phoneNumber, phone_number),
+        service_address = COALESCE(@serviceAddress, service_address),
+        issue_description = COALESCE(@issueDescription, issue_description),
+        updated_at = strftime('%s', 'now')
+    WHERE call_id = @callId
+    RETURNING *
+  `).get({
+    callId,
+    callerName: details.callerName || null,
+    phoneNumber: details.phoneNumber || null,
+    serviceAddress: details.serviceAddress || null,
+    issueDescription: details.issueDescription || null,
+  });
+
+  return result ? withSteps(formatEscalation(result)) : null;
+}
+
+/**
+ * Gets recent escalations, with their steps
+ * @param {object} options - Query options
+ * @param {number} [options.businessId] - Only escalations for this business
+ * @param {number} [options.limit=20] - Maximum number of escalations
+ * @returns {object[]} Escalations, newest first
+ */
+export function getEscalations(options = {}) {
+  const { businessId, limit = 20 } = options;
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    SELECT * FROM escalations
+    WHERE (@businessId IS NULL OR business_id = @businessId)
+    ORDER BY created_at DESC, id DESC
+    LIMIT @limit
+  `);
+
+  return stmt.all({ businessId: businessId || null, limit })
+    .map(row => withSteps(formatEscalation(row)));
+}
+
+/**
+ * Gets the IDs of active escalations whose current step has timed out
+ * @returns {number[]} Escalation IDs
+ */
+export function getDueEscalationIds() {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT id FROM escalations
+    WHERE status = 'active' AND next_escalation_at <= strftime('%s', 'now')
+    ORDER BY next_escalation_at ASC
+  `);
+  return stmt.all().map(row => row.id);
+}
+
+/**
+ * Records a page: adds the step and moves the escalation to it
+ * @param {number} escalationId - Escalation ID
+ * @param {object} step - Step data
+ * @param {number} nextEscalationAt - Timestamp (seconds) when to page the next person
+ * @returns {object} Created step
+ */
+export function addEscalationStep(escalationId, step, nextEscalationAt) {
+  const db = getDatabase();
+
+  const insert = db.prepare(`
+    INSERT INTO escalation_steps (escalation_id, position, contact_name, phone)
+    VALUES (?, ?, ?, ?)
+    RETURNING *
+  `);
+
+  const advance = db.prepare(`
+    UPDATE escalations
+    SET current_position = ?, next_escalation_at = ?, updated_at = strftime('%s', 'now')
+    WHERE id = ?
+  `);
+
+  const result = db.transaction(() => {
+    const row = insert.get(escalationId, step.position, step.contactName || null, step.phone);
+    advance.run(step.position, nextEscalationAt, escalationId);
+    return row;
+  })();
+
+  return formatStep(result);
+}
+
+/**
+ * Links a step to the outbox message that paged it
+ * @param {number} stepId - Step ID
+ * @param {number} outboxId - Outbox message ID
+ */
+export function setStepOutboxId(stepId, outboxId) {
+  const db = getDatabase();
+  db.prepare('UPDATE escalation_steps SET outbox_id = ? WHERE id = ?').run(outboxId, stepId);
+}
+
+/**
+ * Marks the steps still waiting on an escalation as timed out
+ * @param {number} escalationId - Escalation ID
+ */
+export function timeOutSteps(escalationId) {
+  const db = getDatabase();
+  db.prepare(`
+    UPDATE escalation_steps
+    SET status = 'timed_out', responded_at = strftime('%s', 'now')
+    WHERE escalation_id = ? AND status = 'paged'
+  `).run(escalationId);
+}
+
+/**
+ * Marks an escalation as exhausted: everyone was paged and no one acknowledged
+ * @param {number} id - Escalation ID
+ * @returns {object|null} Updated escalation or null
+ */
+export function exhaustEscalation(id) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE escalations
+    SET status = 'exhausted', next_escalation_at = NULL, updated_at = strftime('%s', 'now')
+    WHERE id = ? AND status = 'active'
+    RETURNING *
+  `);
+  const result = stmt.get(id);
+  return result ? formatEscalation(result) : null;
+}
+
+/**
+ * Gets an escalation step by ID
+ * @param {number} id - Step ID
+ * @returns {object|null} Step or null
+ */
+export function getEscalationStepById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM escalation_steps WHERE id = ?').get(id);
+  return result ? formatStep(result) : null;
+}
+
+/**
+ * Finds the most recent page to a phone number on an escalation that is
+ * still active, so an "ACK" text can be matched to it
+ * @param {string} phone - E.164 phone number
+ * @returns {object|null} Step or null
+ */
+export function findActiveStepByPhone(phone) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT s.* FROM escalation_steps s
+    JOIN escalations e ON e.id = s.escalation_id
+    WHERE e.status = 'active' AND s.phone = ?
+    ORDER BY s.paged_at DESC, s.id DESC
+    LIMIT 1
+  `);
+  const result = stmt.get(phone);
+  return result ? formatStep(result) : null;
+}
+
+/**
+ * Acknowledges an escalation and stops it paging anyone else
+ * @param {number} escalationId - Escalation ID
+ * @param {object} acknowledgement - Who acknowledged and how
+ * @param {number} [acknowledgement.stepId] - Step that was acknowledged
+ * @param {string} acknowledgement.by - Name (or email) of who acknowledged
+ * @param {string} acknowledgement.via - 'sms', 'link' or 'admin'
+ * @returns {object|null} Updated escalation, or null if it wasn't active
+ */
+export function acknowledgeEscalation(escalationId, { stepId = null, by, via }) {
+  const db = getDatabase();
+
+  const updateEscalation = db.prepare(`
+    UPDATE escalations
+    SET status = 'acknowledged',
+        acknowledged_by = ?,
+        acknowledged_via = ?,
+        acknowledged_at = strftime('%s', 'now'),
+        next_escalation_at = NULL,
+        updated_at = strftime('%s', 'now')
+    WHERE id = ? AND status = 'active'
+    RETURNING *
+  `);
+
+  const updateStep = db.prepare(`
+    UPDATE escalation_steps
+    SET status = 'acknowledged', responded_at = strftime('%s', 'now')
+    WHERE id = ?
+  `);
+
+  const result = db.transaction(() => {
+    const row = updateEscalation.get(by || null, via, escalationId);
+    if (row && stepId) {
+      updateStep.run(stepId);
+    }
+    return row;
+  })();
+
+  if (result) {
+    logger.info('Escalation acknowledged', { id: escalationId, by, via });
+  }
+
+  return result ? withSteps(formatEscalation(result)) : null;
+}
+
+/**
+ * Adds an escalation's steps to it
+ * @param {object} escalation - Formatted escalation
+ * @returns {object} Escalation with steps
+ */
+function withSteps(escalation) {
+  const db = getDatabase();
+  const steps = db.prepare(`
+    SELECT * FROM escalation_steps WHERE escalation_id = ? ORDER BY position ASC, id ASC
+  `).all(escalation.id);
+
+  return { ...escalation, steps: steps.map(formatStep) };
+}
+
+/**
+ * Formats a database row into a clean contact object
+ * @param {object} row - Database row
+ * @returns {object} Formatted contact
+ */
+function formatContact(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    name: row.name,
+    phone: row.phone,
+    position: row.position,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Formats a database row into a clean escalation object
+ * @param {object} row - Database row
+ * @returns {object} Formatted escalation
+ */
+function formatEscalation(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    callId: row.call_id,
+    callerName: row.caller_name,
+    phoneNumber: row.phone_number,
+    serviceAddress: row.service_address,
+    issueDescription: row.issue_description,
+    chain: JSON.parse(row.chain),
+    status: row.status,
+    currentPosition: row.current_position,
+    nextEscalationAt: row.next_escalation_at ? new Date(row.next_escalation_at * 1000).toISOString() : null,
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedVia: row.acknowledged_via,
+    acknowledgedAt: row.acknowledged_at ? new Date(row.acknowledged_at * 1000).toISOString() : null,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Formats a database row into a clean step object
+ * @param {object} row - Database row
+ * @returns {object} Formatted step
+ */
+function formatStep(row) {
+  return {
+    id: row.id,
+    escalationId: row.escalation_id,
+    position: row.position,
+    contactName: row.contact_name,
+    phone: row.phone,
+    status: row.status,
+    outboxId: row.outbox_id,
+    pagedAt: new Date(row.paged_at * 1000).toISOString(),
+    respondedAt: row.responded_at ? new Date(row.responded_at * 1000).toISOString() : null,
+  };
+}
+
+export default {
+  getEscalationContacts,
+  getEscalationContactById,
+  createEscalationContact,
+  deleteEscalationContact,
+  createEscalation,
+  getEscalationById,
+  getEscalationByCallId,
+  updateEscalationDetails,
+  getEscalations,
+  getDueEscalationIds,
+  addEscalationStep,
+  setStepOutboxId,
+  timeOutSteps,
+  exhaustEscalation,
+  getEscalationStepById,
+  findActiveStepByPhone,
+  acknowledgeEscalation,
+};
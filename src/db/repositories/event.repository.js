@@ -0,0 +1,91 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Claims a webhook event for processing. Only the first delivery of an
+ * event wins the claim; retries and duplicates get false.
+ * @param {string} callId - Vapi call ID
+ * @param {string} eventType - Event type, e.g. 'call-ended'
+ * @returns {boolean} Whether this delivery should be processed
+ */
+export function claimEvent(callId, eventType) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    INSERT INTO processed_events (call_id, event_type)
+    VALUES (?, ?)
+    ON CONFLICT(call_id, event_type) DO NOTHING
+  `);
+
+  const claimed = stmt.run(callId, eventType).changes > 0;
+
+  if (!claimed) {
+    logger.info('Duplicate webhook event skipped', { callId, eventType });
+  }
+
+  return claimed;
+}
+
+/**
+ * Marks a claimed event as fully processed
+ * @param {string} callId - Vapi call ID
+ * @param {string} eventType - Event type
+ * @param {object} [result] - Outcome to keep for troubleshooting
+ */
+export function completeEvent(callId, eventType, result = null) {
+  const db = getDatabase();
+  db.prepare(`
+    UPDATE processed_events
+    SET status = 'completed',
+        result = ?,
+        completed_at = strftime('%s', 'now')
+    WHERE call_id = ? AND event_type = ?
+  `).run(result ? JSON.stringify(result) : null, callId, eventType);
+}
+
+/**
+ * Releases a claim so a retried delivery can process the event again
+ * (used when processing failed before any notification was queued)
+ * @param {string} callId - Vapi call ID
+ * @param {string} eventType - Event type
+ */
+export function releaseEvent(callId, eventType) {
+  const db = getDatabase();
+  db.prepare('DELETE FROM processed_events WHERE call_id = ? AND event_type = ?').run(callId, eventType);
+  logger.info('Webhook event claim released', { callId, eventType });
+}
+
+/**
+ * Gets a processed event
+ * @param {string} callId - Vapi call ID
+ * @param {string} eventType - Event type
+ * @returns {object|null} Event or null
+ */
+export function getEvent(callId, eventType) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM processed_events WHERE call_id = ? AND event_type = ?');
+  const result = stmt.get(callId, eventType);
+  return result ? formatEvent(result) : null;
+}
+
+/**
+ * Formats a database row into a clean event object
+ * @param {object} row - Database row
+ * @returns {object} Formatted event
+ */
+function formatEvent(row) {
+  return {
+    callId: row.call_id,
+    eventType: row.event_type,
+    status: row.status,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    completedAt: row.completed_at ? new Date(row.completed_at * 1000).toISOString() : null,
+  };
+}
+
+export default {
+  claimEvent,
+  completeEvent,
+  releaseEvent,
+  getEvent,
+};
@@ -0,0 +1,191 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  startsOn: 'starts_on',
+  endsOn: 'ends_on',
+};
+
+/**
+ * Gets a business's hours schedules with their open periods
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Schedules, regular hours first, then seasonal hours by start date
+ */
+export function getHoursSchedules(businessId) {
+  const db = getDatabase();
+
+  const schedules = db.prepare(`
+    SELECT * FROM hours_schedules
+    WHERE business_id = ?
+    ORDER BY starts_on IS NOT NULL, starts_on ASC, id ASC
+  `).all(businessId);
+
+  if (schedules.length === 0) {
+    return [];
+  }
+
+  const intervals = db.prepare(`
+    SELECT hours_intervals.* FROM hours_intervals
+    JOIN hours_schedules ON hours_schedules.id = hours_intervals.schedule_id
+    WHERE hours_schedules.business_id = ?
+    ORDER BY weekday ASC, start_time ASC
+  `).all(businessId);
+
+  return schedules.map(row => formatSchedule(row, intervals.filter(interval => interval.schedule_id === row.id)));
+}
+
+/**
+ * Gets an hours schedule by ID
+ * @param {number} id - Schedule ID
+ * @returns {object|null} Schedule or null
+ */
+export function getHoursScheduleById(id) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM hours_schedules WHERE id = ?').get(id);
+
+  if (!row) {
+    return null;
+  }
+
+  const intervals = db.prepare(`
+    SELECT * FROM hours_intervals WHERE schedule_id = ? ORDER BY weekday ASC, start_time ASC
+  `).all(id);
+
+  return formatSchedule(row, intervals);
+}
+
+/**
+ * Replaces a schedule's open periods
+ * @param {object} db - Database
+ * @param {number} scheduleId - Schedule ID
+ * @param {{ weekday: number, startTime: string, endTime: string }[]} intervals - Open periods
+ */
+function replaceIntervals(db, scheduleId, intervals) {
+  const insert = db.prepare(`
+    INSERT INTO hours_intervals (schedule_id, weekday, start_time, end_time)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  db.prepare('DELETE FROM hours_intervals WHERE schedule_id = ?').run(scheduleId);
+
+  for (const interval of intervals) {
+    insert.run(scheduleId, interval.weekday, interval.startTime, interval.endTime);
+  }
+}
+
+/**
+ * Adds an hours schedule
+ * @param {object} schedule - Schedule data
+ * @param {number} schedule.businessId - Business ID
+ * @param {string} schedule.name - e.g. "Regular hours" or "Summer hours"
+ * @param {string|null} [schedule.startsOn] - First day of seasonal hours (YYYY-MM-DD), null for regular hours
+ * @param {string|null} [schedule.endsOn] - Last day of seasonal hours (YYYY-MM-DD), null for regular hours
+ * @param {{ weekday: number, startTime: string, endTime: string }[]} schedule.intervals - Open periods
+ * @returns {object} Created schedule
+ */
+export function createHoursSchedule(schedule) {
+  const db = getDatabase();
+
+  const insert = db.prepare(`
+    INSERT INTO hours_schedules (business_id, name, starts_on, ends_on)
+    VALUES (@businessId, @name, @startsOn, @endsOn)
+    RETURNING id
+  `);
+
+  const id = db.transaction(() => {
+    const created = insert.get({
+      businessId: schedule.businessId,
+      name: schedule.name,
+      startsOn: schedule.startsOn || null,
+      endsOn: schedule.endsOn || null,
+    });
+
+    replaceIntervals(db, created.id, schedule.intervals);
+    return created.id;
+  })();
+
+  logger.info('Hours schedule added', { id, businessId: schedule.businessId, startsOn: schedule.startsOn || null });
+  return getHoursScheduleById(id);
+}
+
+/**
+ * Updates an hours schedule
+ * @param {number} id - Schedule ID
+ * @param {object} updates - Fields to change (name, startsOn, endsOn, intervals)
+ * @returns {object|null} Updated schedule or null
+ */
+export function updateHoursSchedule(id, updates) {
+  const db = getDatabase();
+
+  const assignments = [];
+  const params = { id };
+
+  for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+    if (field in updates) {
+      assignments.push(`${column} = @${field}`);
+      params[field] = updates[field];
+    }
+  }
+
+  const changed = db.transaction(() => {
+    const result = db.prepare(`
+      UPDATE hours_schedules
+      SET ${[...assignments, 'updated_at = strftime(\'%s\', \'now\')'].join(', ')}
+      WHERE id = @id
+    `).run(params);
+
+    if (result.changes > 0 && updates.intervals) {
+      replaceIntervals(db, id, updates.intervals);
+    }
+
+    return result.changes > 0;
+  })();
+
+  if (changed) {
+    logger.info('Hours schedule updated', { id, fields: Object.keys(updates) });
+  }
+
+  return changed ? getHoursScheduleById(id) : null;
+}
+
+/**
+ * Deletes an hours schedule and its open periods
+ * @param {number} id - Schedule ID
+ * @returns {boolean} Whether a schedule was deleted
+ */
+export function deleteHoursSchedule(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM hours_schedules WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Formats a database row and its intervals into a clean schedule object
+ * @param {object} row - Schedule row
+ * @param {object[]} intervals - Interval rows
+ * @returns {object} Formatted schedule
+ */
+function formatSchedule(row, intervals) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    name: row.name,
+    startsOn: row.starts_on,
+    endsOn: row.ends_on,
+    intervals: intervals.map(interval => ({
+      weekday: interval.weekday,
+      startTime: interval.start_time,
+      endTime: interval.end_time,
+    })),
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getHoursSchedules,
+  getHoursScheduleById,
+  createHoursSchedule,
+  updateHoursSchedule,
+  deleteHoursSchedule,
+};
@@ -0,0 +1,235 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+import { phoneNumbersMatch } from '../../utils/phone.js';
+
+/**
+ * Creates or updates a lead, keyed by Vapi call ID
+ * @param {object} lead - Lead data
+ * @returns {object} Created/updated lead
+ */
+export function upsertLead(lead) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO leads (
+      call_id, caller_name, phone_number, email,
+      service_address, issue_description, transcript, summary,
+      is_emergency, emergency_keywords, emergency_severity, duration_seconds, ended_reason, business_id
+    )
+    VALUES (
+      @callId, @callerName, @phoneNumber, @email,
+      @serviceAddress, @issueDescription, @transcript, @summary,
+      @isEmergency, @emergencyKeywords, @emergencySeverity, @durationSeconds, @endedReason, @businessId
+    )
+    ON CONFLICT(call_id) DO UPDATE SET
+      caller_name = @callerName,
+      phone_number = @phoneNumber,
+      email = @email,
+      service_address = @serviceAddress,
+      issue_description = @issueDescription,
+      transcript = COALESCE(@transcript, transcript),
+      summary = COALESCE(@summary, summary),
+      is_emergency = @isEmergency,
+      emergency_keywords = @emergencyKeywords,
+      emergency_severity = @emergencySeverity,
+      duration_seconds = COALESCE(@durationSeconds, duration_seconds),
+      ended_reason = COALESCE(@endedReason, ended_reason),
+      updated_at = strftime('%s', 'now')
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    callId: lead.callId,
+    callerName: lead.callerName || null,
+    phoneNumber: lead.phoneNumber || null,
+    email: lead.email || null,
+    serviceAddress: lead.serviceAddress || null,
+    issueDescription: lead.issueDescription || null,
+    transcript: lead.transcript || null,
+    summary: lead.summary || null,
+    isEmergency: lead.isEmergency ? 1 : 0,
+    emergencyKeywords: JSON.stringify(lead.emergencyKeywords || []),
+    emergencySeverity: lead.emergencySeverity || null,
+    durationSeconds: lead.duration ?? null,
+    endedReason: lead.endedReason || null,
+    businessId: lead.businessId || null,
+  });
+
+  logger.info('Lead saved', {
+    id: result.id,
+    callId: lead.callId,
+    isEmergency: result.is_emergency === 1,
+  });
+
+  return formatLead(result);
+}
+
+/**
+ * Records the outcome of the notifications sent for a lead
+ * @param {string} callId - Vapi call ID
+ * @param {object} results - Notification results keyed by channel
+ * @returns {object|null} Updated lead or null
+ */
+export function updateNotificationResults(callId, results) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE leads
+    SET notification_results = ?,
+        notified_at = strftime('%s', 'now'),
+        updated_at = strftime('%s', 'now')
+    WHERE call_id = ?
+    RETURNING *
+  `);
+  const result = stmt.get(JSON.stringify(results), callId);
+  return result ? formatLead(result) : null;
+}
+
+/**
+ * Records that someone called a lead back
+ * @param {number} id - Lead ID
+ * @param {string} contactedBy - Who called them (name or phone number)
+ * @returns {object|null} Updated lead, or null if it was already marked
+ */
+export function markLeadContacted(id, contactedBy) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE leads
+    SET contacted_at = strftime('%s', 'now'),
+        contacted_by = ?,
+        updated_at = strftime('%s', 'now')
+    WHERE id = ? AND contacted_at IS NULL
+    RETURNING *
+  `);
+  const result = stmt.get(contactedBy || null, id);
+
+  if (result) {
+    logger.info('Lead marked contacted', { id, contactedBy });
+  }
+
+  return result ? formatLead(result) : null;
+}
+
+/**
+ * Gets leads with pagination
+ * @param {object} options - Query options
+ * @returns {object[]} List of leads
+ */
+export function getLeads(options = {}) {
+  const db = getDatabase();
+  const { limit = 10, offset = 0, emergencyOnly = false, businessId } = options;
+
+  let query = 'SELECT * FROM leads';
+  const conditions = [];
+  const params = [];
+
+  if (emergencyOnly) {
+    conditions.push('is_emergency = 1');
+  }
+
+  if (businessId) {
+    conditions.push('business_id = ?');
+    params.push(businessId);
+  }
+
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+
+  query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  const stmt = db.prepare(query);
+  return stmt.all(...params).map(formatLead);
+}
+
+/**
+ * Gets a lead by ID
+ * @param {number} id - Lead ID
+ * @returns {object|null} Lead or null
+ */
+export function getLeadById(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM leads WHERE id = ?');
+  const result = stmt.get(id);
+  return result ? formatLead(result) : null;
+}
+
+/**
+ * Gets a lead by Vapi call ID
+ * @param {string} callId - Vapi call ID
+ * @returns {object|null} Lead or null
+ */
+export function getLeadByCallId(callId) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM leads WHERE call_id = ?');
+  const result = stmt.get(callId);
+  return result ? formatLead(result) : null;
+}
+
+/**
+ * Gets previous leads from a phone number
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {object} [options] - Query options
+ * @param {number} [options.businessId] - Only leads for this business
+ * @param {number} [options.limit=10] - Maximum number of leads
+ * @returns {object[]} Leads, most recent first
+ */
+export function getLeadsByPhone(phoneNumber, options = {}) {
+  const { businessId = null, limit = 10 } = options;
+  const lastDigits = String(phoneNumber || '').replace(/\D/g, '').slice(-4);
+  if (!lastDigits) return [];
+
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM leads
+    WHERE phone_number LIKE ? AND (? IS NULL OR business_id = ?)
+    ORDER BY created_at DESC
+  `);
+
+  // Narrow in SQL by the last digits, then compare normalized numbers
+  return stmt.all(`%${lastDigits}`, businessId, businessId)
+    .filter(row => phoneNumbersMatch(row.phone_number, phoneNumber))
+    .slice(0, limit)
+    .map(formatLead);
+}
+
+/**
+ * Formats a database row into a clean lead object
+ * @param {object} row - Database row
+ * @returns {object} Formatted lead
+ */
+function formatLead(row) {
+  return {
+    id: row.id,
+    callId: row.call_id,
+    callerName: row.caller_name,
+    phoneNumber: row.phone_number,
+    email: row.email,
+    serviceAddress: row.service_address,
+    issueDescription: row.issue_description,
+    transcript: row.transcript,
+    summary: row.summary,
+    isEmergency: row.is_emergency === 1,
+    emergencyKeywords: row.emergency_keywords ? JSON.parse(row.emergency_keywords) : [],
+    emergencySeverity: row.emergency_severity,
+    duration: row.duration_seconds,
+    endedReason: row.ended_reason,
+    businessId: row.business_id,
+    notificationResults: row.notification_results ? JSON.parse(row.notification_results) : null,
+    notifiedAt: row.notified_at ? new Date(row.notified_at * 1000).toISOString() : null,
+    contactedAt: row.contacted_at ? new Date(row.contacted_at * 1000).toISOString() : null,
+    contactedBy: row.contacted_by,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  upsertLead,
+  updateNotificationResults,
+  markLeadContacted,
+  getLeads,
+  getLeadById,
+  getLeadByCallId,
+  getLeadsByPhone,
+};
@@ -0,0 +1,256 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Gets a business's technicians, those in the rotation first, in rotation order
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Technicians
+ */
+export function getTechnicians(businessId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM technicians
+    WHERE business_id = ?
+    ORDER BY rotation_position IS NULL, rotation_position ASC, name ASC
+  `);
+  return stmt.all(businessId).map(formatTechnician);
+}
+
+/**
+ * Gets a technician by ID
+ * @param {number} id - Technician ID
+ * @returns {object|null} Technician or null
+ */
+export function getTechnicianById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM technicians WHERE id = ?').get(id);
+  return result ? formatTechnician(result) : null;
+}
+
+/**
+ * Adds a technician (not in the rotation until it is edited)
+ * @param {object} technician - Technician data
+ * @returns {object} Created technician
+ */
+export function createTechnician(technician) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO technicians (business_id, name, phone)
+    VALUES (?, ?, ?)
+    RETURNING *
+  `);
+
+  const result = stmt.get(technician.businessId, technician.name, technician.phone);
+
+  logger.info('Technician added', { id: result.id, businessId: result.business_id });
+  return formatTechnician(result);
+}
+
+/**
+ * Deletes a technician, along with their overrides
+ * @param {number} id - Technician ID
+ * @returns {boolean} Whether a technician was deleted
+ */
+export function deleteTechnician(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM technicians WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Gets a business's weekly rotation
+ * @param {number} businessId - Business ID
+ * @returns {{ startsAt: string, technicians: object[] }|null} Rotation or null if none is set up
+ */
+export function getRotation(businessId) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM on_call_rotations WHERE business_id = ?').get(businessId);
+
+  if (!row) {
+    return null;
+  }
+
+  const technicians = db.prepare(`
+    SELECT * FROM technicians
+    WHERE business_id = ? AND rotation_position IS NOT NULL
+    ORDER BY rotation_position ASC
+  `).all(businessId);
+
+  return {
+    businessId: row.business_id,
+    startsAt: row.starts_at,
+    technicians: technicians.map(formatTechnician),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Replaces a business's weekly rotation
+ * @param {number} businessId - Business ID
+ * @param {string} startsAt - First handoff, local YYYY-MM-DDTHH:MM
+ * @param {number[]} technicianIds - Technicians in rotation order
+ * @returns {object} Updated rotation
+ */
+export function setRotation(businessId, startsAt, technicianIds) {
+  const db = getDatabase();
+
+  const clearPositions = db.prepare('UPDATE technicians SET rotation_position = NULL WHERE business_id = ?');
+  const setPosition = db.prepare('UPDATE technicians SET rotation_position = ? WHERE id = ? AND business_id = ?');
+  const upsertRotation = db.prepare(`
+    INSERT INTO on_call_rotations (business_id, starts_at)
+    VALUES (?, ?)
+    ON CONFLICT(business_id) DO UPDATE SET
+      starts_at = excluded.starts_at,
+      updated_at = strftime('%s', 'now')
+  `);
+
+  db.transaction(() => {
+    clearPositions.run(businessId);
+    technicianIds.forEach((id, position) => setPosition.run(position, id, businessId));
+    upsertRotation.run(businessId, startsAt);
+  })();
+
+  logger.info('On-call rotation updated', { businessId, technicians: technicianIds.length });
+  return getRotation(businessId);
+}
+
+/**
+ * Adds an on-call override
+ * @param {object} override - Override data
+ * @param {number} override.startsAt - Start timestamp (seconds)
+ * @param {number} override.endsAt - End timestamp (seconds)
+ * @returns {object} Created override
+ */
+export function createOverride(override) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO on_call_overrides (business_id, technician_id, starts_at, ends_at, reason)
+    VALUES (@businessId, @technicianId, @startsAt, @endsAt, @reason)
+    RETURNING id
+  `);
+
+  const { id } = stmt.get({
+    businessId: override.businessId,
+    technicianId: override.technicianId,
+    startsAt: override.startsAt,
+    endsAt: override.endsAt,
+    reason: override.reason || null,
+  });
+
+  logger.info('On-call override added', { id, businessId: override.businessId });
+  return getOverrideById(id);
+}
+
+/**
+ * Gets an override by ID
+ * @param {number} id - Override ID
+ * @returns {object|null} Override or null
+ */
+export function getOverrideById(id) {
+  const db = getDatabase();
+  const result = db.prepare(`
+    SELECT o.*, t.name AS technician_name, t.phone AS technician_phone
+    FROM on_call_overrides o
+    JOIN technicians t ON t.id = o.technician_id
+    WHERE o.id = ?
+  `).get(id);
+  return result ? formatOverride(result) : null;
+}
+
+/**
+ * Deletes an override
+ * @param {number} id - Override ID
+ * @returns {boolean} Whether an override was deleted
+ */
+export function deleteOverride(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM on_call_overrides WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Gets a business's current and upcoming overrides
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Overrides, soonest first
+ */
+export function getUpcomingOverrides(businessId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT o.*, t.name AS technician_name, t.phone AS technician_phone
+    FROM on_call_overrides o
+    JOIN technicians t ON t.id = o.technician_id
+    WHERE o.business_id = ? AND o.ends_at > strftime('%s', 'now')
+    ORDER BY o.starts_at ASC
+  `);
+  return stmt.all(businessId).map(formatOverride);
+}
+
+/**
+ * Gets the override in effect at a moment. When overrides overlap, the
+ * most recently added one wins.
+ * @param {number} businessId - Business ID
+ * @param {number} at - Timestamp (seconds)
+ * @returns {object|null} Override or null
+ */
+export function getActiveOverride(businessId, at) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT o.*, t.name AS technician_name, t.phone AS technician_phone
+    FROM on_call_overrides o
+    JOIN technicians t ON t.id = o.technician_id
+    WHERE o.business_id = ? AND o.starts_at <= ? AND o.ends_at > ?
+    ORDER BY o.created_at DESC, o.id DESC
+    LIMIT 1
+  `);
+  const result = stmt.get(businessId, at, at);
+  return result ? formatOverride(result) : null;
+}
+
+/**
+ * Formats a database row into a clean technician object
+ * @param {object} row - Database row
+ * @returns {object} Formatted technician
+ */
+function formatTechnician(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    name: row.name,
+    phone: row.phone,
+    rotationPosition: row.rotation_position,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Formats a database row into a clean override object
+ * @param {object} row - Database row (joined with the technician)
+ * @returns {object} Formatted override
+ */
+function formatOverride(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    technicianId: row.technician_id,
+    technicianName: row.technician_name,
+    technicianPhone: row.technician_phone,
+    startsAt: new Date(row.starts_at * 1000).toISOString(),
+    endsAt: new Date(row.ends_at * 1000).toISOString(),
+    reason: row.reason,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getTechnicians,
+  getTechnicianById,
+  createTechnician,
+  deleteTechnician,
+  getRotation,
+  setRotation,
+  createOverride,
+  getOverrideById,
+  deleteOverride,
+  getUpcomingOverrides,
+  getActiveOverride,
+};
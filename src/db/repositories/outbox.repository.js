@@ -0,0 +1,303 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+import { phoneNumbersMatch } from '../../utils/phone.js';
+
+/**
+ * Adds a message to the outbox
+ * @param {object} message - Message data
+ * @returns {object} Queued message
+ */
+export function enqueueMessage(message) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO notification_outbox (
+      channel, recipient, subject, body, html, sender_name, kind, call_id, business_id
+    )
+    VALUES (
+      @channel, @recipient, @subject, @body, @html, @senderName, @kind, @callId, @businessId
+    )
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    channel: message.channel,
+    recipient: message.recipient,
+    subject: message.subject || null,
+    body: message.body,
+    html: message.html || null,
+    senderName: message.senderName || null,
+    kind: message.kind,
+    callId: message.callId || null,
+    businessId: message.businessId || null,
+  });
+
+  logger.debug('Message queued', { id: result.id, channel: result.channel, kind: result.kind });
+  return formatMessage(result);
+}
+
+/**
+ * Claims a pending message for delivery so no one else sends it
+ * @param {number} id - Message ID
+ * @returns {object|null} Claimed message, or null if it isn't pending
+ */
+export function claimMessage(id) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE notification_outbox
+    SET status = 'sending', updated_at = strftime('%s', 'now')
+    WHERE id = ? AND status = 'pending'
+    RETURNING *
+  `);
+  const result = stmt.get(id);
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Gets the IDs of pending messages whose next attempt is due
+ * @param {number} [limit=20] - Maximum number of messages
+ * @returns {number[]} Message IDs, oldest due first
+ */
+export function getDueMessageIds(limit = 20) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT id FROM notification_outbox
+    WHERE status = 'pending' AND next_attempt_at <= strftime('%s', 'now')
+    ORDER BY next_attempt_at ASC
+    LIMIT ?
+  `);
+  return stmt.all(limit).map(row => row.id);
+}
+
+/**
+ * Records a successful delivery
+ * @param {number} id - Message ID
+ * @param {string} [messageId] - Provider message ID
+ * @returns {object|null} Updated message or null
+ */
+export function markMessageSent(id, messageId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE notification_outbox
+    SET status = 'sent',
+        attempts = attempts + 1,
+        message_id = ?,
+        last_error = NULL,
+        sent_at = strftime('%s', 'now'),
+        updated_at = strftime('%s', 'now')
+    WHERE id = ?
+    RETURNING *
+  `);
+  const result = stmt.get(messageId || null, id);
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Records a failed delivery and schedules the next attempt
+ * @param {number} id - Message ID
+ * @param {string} error - Delivery error
+ * @param {number} nextAttemptAt - Timestamp (seconds) of the next attempt
+ * @returns {object|null} Updated message or null
+ */
+export function markMessageFailed(id, error, nextAttemptAt) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE notification_outbox
+    SET status = 'pending',
+        attempts = attempts + 1,
+        last_error = ?,
+        next_attempt_at = ?,
+        updated_at = strftime('%s', 'now')
+    WHERE id = ?
+    RETURNING *
+  `);
+  const result = stmt.get(error || null, nextAttemptAt, id);
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Moves a message that keeps failing to the dead letter state
+ * @param {number} id - Message ID
+ * @param {string} error - Last delivery error
+ * @returns {object|null} Updated message or null
+ */
+export function markMessageDead(id, error) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE notification_outbox
+    SET status = 'dead',
+        attempts = attempts + 1,
+        last_error = ?,
+        next_attempt_at = NULL,
+        updated_at = strftime('%s', 'now')
+    WHERE id = ?
+    RETURNING *
+  `);
+  const result = stmt.get(error || null, id);
+
+  if (result) {
+    logger.warn('Notification moved to dead letter', {
+      id,
+      channel: result.channel,
+      kind: result.kind,
+      attempts: result.attempts,
+      error,
+    });
+  }
+
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Puts a dead (or waiting) message back in the queue with a fresh set of attempts
+ * @param {number} id - Message ID
+ * @returns {object|null} Requeued message, or null if it was sent or is sending
+ */
+export function requeueMessage(id) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE notification_outbox
+    SET status = 'pending',
+        attempts = 0,
+        next_attempt_at = strftime('%s', 'now'),
+        updated_at = strftime('%s', 'now')
+    WHERE id = ? AND status IN ('dead', 'pending')
+    RETURNING *
+  `);
+  const result = stmt.get(id);
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Returns messages left mid-delivery (e.g. by a crash) to the queue
+ * @returns {number} Number of messages requeued
+ */
+export function resetInterruptedMessages() {
+  const db = getDatabase();
+  const result = db.prepare(`
+    UPDATE notification_outbox
+    SET status = 'pending', updated_at = strftime('%s', 'now')
+    WHERE status = 'sending'
+  `).run();
+
+  if (result.changes > 0) {
+    logger.warn('Requeued interrupted notifications', { count: result.changes });
+  }
+
+  return result.changes;
+}
+
+/**
+ * Gets outbox messages
+ * @param {object} options - Query options
+ * @param {string[]} [options.statuses] - Only messages in these states
+ * @param {number} [options.businessId] - Only messages for this business
+ * @param {number} [options.limit=20] - Maximum number of messages
+ * @returns {object[]} Messages, newest first
+ */
+export function getMessages(options = {}) {
+  const { statuses, businessId, limit = 20 } = options;
+  const db = getDatabase();
+
+  const conditions = [];
+  const params = [];
+
+  if (statuses?.length > 0) {
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (businessId) {
+    conditions.push('business_id = ?');
+    params.push(businessId);
+  }
+
+  let query = 'SELECT * FROM notification_outbox';
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(query).all(...params).map(formatMessage);
+}
+
+/**
+ * Gets a message by ID
+ * @param {number} id - Message ID
+ * @returns {object|null} Message or null
+ */
+export function getMessageById(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM notification_outbox WHERE id = ?');
+  const result = stmt.get(id);
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Gets the latest text of some kinds sent to a phone number, e.g. the last
+ * lead alert an owner was sent
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string[]} kinds - Message kinds
+ * @returns {object|null} Message or null
+ */
+export function getLatestSmsTo(phoneNumber, kinds) {
+  const lastDigits = String(phoneNumber || '').replace(/\D/g, '').slice(-4);
+  if (!lastDigits) return null;
+
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM notification_outbox
+    WHERE channel = 'sms' AND recipient LIKE ?
+      AND kind IN (${kinds.map(() => '?').join(', ')})
+    ORDER BY created_at DESC, id DESC
+  `);
+
+  // Owner numbers are stored as entered, so compare normalized
+  const result = stmt.all(`%${lastDigits}`, ...kinds)
+    .find(row => phoneNumbersMatch(row.recipient, phoneNumber));
+
+  return result ? formatMessage(result) : null;
+}
+
+/**
+ * Formats a database row into a clean message object
+ * @param {object} row - Database row
+ * @returns {object} Formatted message
+ */
+function formatMessage(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    recipient: row.recipient,
+    subject: row.subject,
+    body: row.body,
+    html: row.html,
+    senderName: row.sender_name,
+    kind: row.kind,
+    callId: row.call_id,
+    businessId: row.business_id,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at * 1000).toISOString() : null,
+    lastError: row.last_error,
+    messageId: row.message_id,
+    sentAt: row.sent_at ? new Date(row.sent_at * 1000).toISOString() : null,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  enqueueMessage,
+  claimMessage,
+  getDueMessageIds,
+  markMessageSent,
+  markMessageFailed,
+  markMessageDead,
+  requeueMessage,
+  resetInterruptedMessages,
+  getMessages,
+  getMessageById,
+  getLatestSmsTo,
+};
@@ -0,0 +1,148 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+import { enqueueMessage } from './outbox.repository.js';
+
+/**
+ * Schedules (or reschedules) an appointment's texts. Each kind is stored
+ * once per appointment; scheduling again resets it to the new time.
+ * @param {number} appointmentId - Appointment ID
+ * @param {{ kind: string, sendAt: number, skipReason?: string }[]} reminders -
+ *   Texts to schedule; those with a skipReason are recorded as skipped
+ * @returns {object[]} The appointment's reminders
+ */
+export function scheduleReminders(appointmentId, reminders) {
+  const db = getDatabase();
+
+  const upsert = db.prepare(`
+    INSERT INTO appointment_reminders (appointment_id, kind, send_at, status, skip_reason)
+    VALUES (@appointmentId, @kind, @sendAt, @status, @skipReason)
+    ON CONFLICT(appointment_id, kind) DO UPDATE SET
+      send_at = excluded.send_at,
+      status = excluded.status,
+      skip_reason = excluded.skip_reason,
+      outbox_id = NULL,
+      updated_at = strftime('%s', 'now')
+  `);
+
+  db.transaction(() => {
+    for (const reminder of reminders) {
+      upsert.run({
+        appointmentId,
+        kind: reminder.kind,
+        sendAt: reminder.sendAt,
+        status: reminder.skipReason ? 'skipped' : 'pending',
+        skipReason: reminder.skipReason || null,
+      });
+    }
+  })();
+
+  logger.debug('Appointment reminders scheduled', { appointmentId, kinds: reminders.map(r => r.kind) });
+  return getRemindersForAppointment(appointmentId);
+}
+
+/**
+ * Gets an appointment's texts
+ * @param {number} appointmentId - Appointment ID
+ * @returns {object[]} Reminders, in send order
+ */
+export function getRemindersForAppointment(appointmentId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM appointment_reminders
+    WHERE appointment_id = ?
+    ORDER BY send_at ASC, id ASC
+  `);
+  return stmt.all(appointmentId).map(formatReminder);
+}
+
+/**
+ * Gets pending texts whose send time has come
+ * @param {number} [limit=50] - Maximum number of reminders
+ * @returns {object[]} Reminders, oldest due first
+ */
+export function getDueReminders(limit = 50) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT * FROM appointment_reminders
+    WHERE status = 'pending' AND send_at <= strftime('%s', 'now')
+    ORDER BY send_at ASC, id ASC
+    LIMIT ?
+  `);
+  return stmt.all(limit).map(formatReminder);
+}
+
+/**
+ * Claims a pending reminder and writes its text to the notification outbox
+ * in one transaction, so it is queued exactly once even across restarts
+ * @param {number} id - Reminder ID
+ * @param {object} message - Outbox message data
+ * @returns {object|null} Queued outbox message, or null if the reminder wasn't pending
+ */
+export function queueReminder(id, message) {
+  const db = getDatabase();
+
+  const claim = db.prepare(`
+    UPDATE appointment_reminders
+    SET status = 'sent', updated_at = strftime('%s', 'now')
+    WHERE id = ? AND status = 'pending'
+  `);
+  const setOutboxId = db.prepare('UPDATE appointment_reminders SET outbox_id = ? WHERE id = ?');
+
+  return db.transaction(() => {
+    if (claim.run(id).changes === 0) {
+      return null;
+    }
+
+    const queued = enqueueMessage(message);
+    setOutboxId.run(queued.id, id);
+    return queued;
+  })();
+}
+
+/**
+ * Marks a pending reminder as skipped
+ * @param {number} id - Reminder ID
+ * @param {string} reason - Why it wasn't sent
+ * @returns {boolean} Whether the reminder was pending
+ */
+export function skipReminder(id, reason) {
+  const db = getDatabase();
+  const result = db.prepare(`
+    UPDATE appointment_reminders
+    SET status = 'skipped', skip_reason = ?, updated_at = strftime('%s', 'now')
+    WHERE id = ? AND status = 'pending'
+  `).run(reason, id);
+
+  if (result.changes > 0) {
+    logger.info('Appointment reminder skipped', { id, reason });
+  }
+
+  return result.changes > 0;
+}
+
+/**
+ * Formats a database row into a clean reminder object
+ * @param {object} row - Database row
+ * @returns {object} Formatted reminder
+ */
+function formatReminder(row) {
+  return {
+    id: row.id,
+    appointmentId: row.appointment_id,
+    kind: row.kind,
+    sendAt: new Date(row.send_at * 1000).toISOString(),
+    status: row.status,
+    skipReason: row.skip_reason,
+    outboxId: row.outbox_id,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  scheduleReminders,
+  getRemindersForAppointment,
+  getDueReminders,
+  queueReminder,
+  skipReminder,
+};
@@ -0,0 +1,176 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  durationMinutes: 'duration_minutes',
+  bufferBeforeMinutes: 'buffer_before_minutes',
+  bufferAfterMinutes: 'buffer_after_minutes',
+  allowedDays: 'allowed_days',
+  earliestStart: 'earliest_start',
+  latestEnd: 'latest_end',
+  voiceBookable: 'voice_bookable',
+};
+
+/**
+ * Turns service type fields into column values
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*} Column value
+ */
+function toColumnValue(field, value) {
+  if (field === 'allowedDays') {
+    return value && value.length > 0 ? value.join(',') : null;
+  }
+  if (field === 'voiceBookable') {
+    return value ? 1 : 0;
+  }
+  return value ?? null;
+}
+
+/**
+ * Gets a business's service types
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Service types by name
+ */
+export function getServiceTypes(businessId) {
+  const db = getDatabase();
+  return db.prepare(`
+    SELECT * FROM service_types WHERE business_id = ? ORDER BY name COLLATE NOCASE ASC
+  `).all(businessId).map(formatServiceType);
+}
+
+/**
+ * Gets a service type by ID
+ * @param {number} id - Service type ID
+ * @returns {object|null} Service type or null
+ */
+export function getServiceTypeById(id) {
+  const db = getDatabase();
+  const result = db.prepare('SELECT * FROM service_types WHERE id = ?').get(id);
+  return result ? formatServiceType(result) : null;
+}
+
+/**
+ * Adds a service type
+ * @param {object} serviceType - Service type data
+ * @param {number} serviceType.businessId - Business ID
+ * @param {string} serviceType.name - e.g. "Drain clearing"
+ * @param {string|null} [serviceType.description] - What it covers, to help the assistant pick it
+ * @param {number} serviceType.durationMinutes - Length of the appointment
+ * @param {number} [serviceType.bufferBeforeMinutes=0] - Time kept free before it
+ * @param {number} [serviceType.bufferAfterMinutes=0] - Time kept free after it
+ * @param {number[]|null} [serviceType.allowedDays] - Weekdays it can be booked (1 = Monday), null for any
+ * @param {string|null} [serviceType.earliestStart] - Earliest start (HH:MM)
+ * @param {string|null} [serviceType.latestEnd] - Latest end (HH:MM)
+ * @param {boolean} [serviceType.voiceBookable=true] - Whether the assistant can book it
+ * @returns {object} Created service type
+ */
+export function createServiceType(serviceType) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO service_types (
+      business_id, name, description, duration_minutes, buffer_before_minutes,
+      buffer_after_minutes, allowed_days, earliest_start, latest_end, voice_bookable
+    )
+    VALUES (
+      @businessId, @name, @description, @durationMinutes, @bufferBeforeMinutes,
+      @bufferAfterMinutes, @allowedDays, @earliestStart, @latestEnd, @voiceBookable
+    )
+    RETURNING *
+  `).get({
+    businessId: serviceType.businessId,
+    name: serviceType.name,
+    description: serviceType.description || null,
+    durationMinutes: serviceType.durationMinutes,
+    bufferBeforeMinutes: serviceType.bufferBeforeMinutes || 0,
+    bufferAfterMinutes: serviceType.bufferAfterMinutes || 0,
+    allowedDays: toColumnValue('allowedDays', serviceType.allowedDays),
+    earliestStart: serviceType.earliestStart || null,
+    latestEnd: serviceType.latestEnd || null,
+    voiceBookable: toColumnValue('voiceBookable', serviceType.voiceBookable ?? true),
+  });
+
+  logger.info('Service type added', { id: result.id, businessId: result.business_id, name: result.name });
+  return formatServiceType(result);
+}
+
+/**
+ * Updates a service type
+ * @param {number} id - Service type ID
+ * @param {object} updates - Fields to change (see createServiceType)
+ * @returns {object|null} Updated service type or null
+ */
+export function updateServiceType(id, updates) {
+  const db = getDatabase();
+
+  const assignments = [];
+  const params = { id };
+
+  for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+    if (field in updates) {
+      assignments.push(`${column} = @${field}`);
+      params[field] = toColumnValue(field, updates[field]);
+    }
+  }
+
+  if (assignments.length === 0) {
+    return getServiceTypeById(id);
+  }
+
+  const result = db.prepare(`
+    UPDATE service_types
+    SET ${assignments.join(', ')}, updated_at = strftime('%s', 'now')
+    WHERE id = @id
+    RETURNING *
+  `).get(params);
+
+  if (result) {
+    logger.info('Service type updated', { id, fields: Object.keys(updates) });
+  }
+
+  return result ? formatServiceType(result) : null;
+}
+
+/**
+ * Deletes a service type. Appointments booked for it keep its name.
+ * @param {number} id - Service type ID
+ * @returns {boolean} Whether a service type was deleted
+ */
+export function deleteServiceType(id) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM service_types WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Formats a database row into a clean service type object
+ * @param {object} row - Database row
+ * @returns {object} Formatted service type
+ */
+function formatServiceType(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    name: row.name,
+    description: row.description,
+    durationMinutes: row.duration_minutes,
+    bufferBeforeMinutes: row.buffer_before_minutes,
+    bufferAfterMinutes: row.buffer_after_minutes,
+    allowedDays: row.allowed_days ? row.allowed_days.split(',').map(day => parseInt(day, 10)) : null,
+    earliestStart: row.earliest_start,
+    latestEnd: row.latest_end,
+    voiceBookable: Boolean(row.voice_bookable),
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getServiceTypes,
+  getServiceTypeById,
+  createServiceType,
+  updateServiceType,
+  deleteServiceType,
+};
@@ -0,0 +1,67 @@
+import { getDatabase } from '../database.js';
+
+/**
+ * Creates a login session
+ * @param {string} tokenHash - SHA-256 hash of the session cookie token
+ * @param {number} userId - User ID
+ * @param {number} expiresAt - Expiry timestamp (seconds)
+ */
+export function createSession(tokenHash, userId, expiresAt) {
+  const db = getDatabase();
+  db.prepare(`
+    INSERT INTO admin_sessions (token_hash, user_id, expires_at)
+    VALUES (?, ?, ?)
+  `).run(tokenHash, userId, expiresAt);
+}
+
+/**
+ * Gets the user for an unexpired session
+ * @param {string} tokenHash - SHA-256 hash of the session cookie token
+ * @returns {object|null} Session user or null
+ */
+export function getSessionUser(tokenHash) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT u.id, u.email, u.role, u.business_id, s.expires_at
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > strftime('%s', 'now')
+  `);
+  const result = stmt.get(tokenHash);
+
+  return result
+    ? {
+      id: result.id,
+      email: result.email,
+      role: result.role,
+      businessId: result.business_id,
+      sessionExpiresAt: result.expires_at,
+    }
+    : null;
+}
+
+/**
+ * Deletes a session (logout)
+ * @param {string} tokenHash - SHA-256 hash of the session cookie token
+ */
+export function deleteSession(tokenHash) {
+  const db = getDatabase();
+  db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+/**
+ * Removes expired sessions
+ * @returns {number} Number of sessions removed
+ */
+export function deleteExpiredSessions() {
+  const db = getDatabase();
+  const result = db.prepare('DELETE FROM admin_sessions WHERE expires_at <= strftime(\'%s\', \'now\')').run();
+  return result.changes;
+}
+
+export default {
+  createSession,
+  getSessionUser,
+  deleteSession,
+  deleteExpiredSessions,
+};
@@ -0,0 +1,101 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Gets a business's edited template for one message part
+ * @param {number} businessId - Business ID
+ * @param {string} type - Message type, e.g. 'lead'
+ * @param {string} part - Message part, e.g. 'sms'
+ * @returns {object|null} Template, or null if the default is used
+ */
+export function getStoredTemplate(businessId, type, part) {
+  const db = getDatabase();
+  const result = db.prepare(`
+    SELECT * FROM message_templates WHERE business_id = ? AND type = ? AND part = ?
+  `).get(businessId, type, part);
+  return result ? formatTemplate(result) : null;
+}
+
+/**
+ * Gets every template a business has edited
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Templates
+ */
+export function getStoredTemplates(businessId) {
+  const db = getDatabase();
+  return db.prepare(`
+    SELECT * FROM message_templates WHERE business_id = ? ORDER BY type, part
+  `).all(businessId).map(formatTemplate);
+}
+
+/**
+ * Saves a business's wording for one message part
+ * @param {object} template - Template data
+ * @param {number} template.businessId - Business ID
+ * @param {string} template.type - Message type
+ * @param {string} template.part - Message part
+ * @param {string} template.body - Template text
+ * @param {string} [template.updatedBy] - Who edited it
+ * @returns {object} Saved template
+ */
+export function saveTemplate({ businessId, type, part, body, updatedBy = null }) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO message_templates (business_id, type, part, body, updated_by)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(business_id, type, part) DO UPDATE SET
+      body = excluded.body,
+      updated_by = excluded.updated_by,
+      updated_at = strftime('%s', 'now')
+    RETURNING *
+  `).get(businessId, type, part, body, updatedBy);
+
+  logger.info('Message template saved', { businessId, type, part, updatedBy });
+  return formatTemplate(result);
+}
+
+/**
+ * Deletes a business's edited template so the default is used again
+ * @param {number} businessId - Business ID
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @returns {boolean} Whether there was one to delete
+ */
+export function deleteTemplate(businessId, type, part) {
+  const db = getDatabase();
+  const result = db.prepare(`
+    DELETE FROM message_templates WHERE business_id = ? AND type = ? AND part = ?
+  `).run(businessId, type, part);
+
+  if (result.changes > 0) {
+    logger.info('Message template reset', { businessId, type, part });
+  }
+
+  return result.changes > 0;
+}
+
+/**
+ * Formats a database row into a clean template object
+ * @param {object} row - Database row
+ * @returns {object} Formatted template
+ */
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    type: row.type,
+    part: row.part,
+    body: row.body,
+    updatedBy: row.updated_by,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  getStoredTemplate,
+  getStoredTemplates,
+  saveTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,112 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Records an attempt to transfer a call to a person
+ * @param {object} transfer - Transfer data
+ * @param {number} transfer.businessId - Business ID
+ * @param {string} transfer.callId - Vapi call ID
+ * @param {number} transfer.position - Attempt number for the call, from 0
+ * @param {string} transfer.contactName - Who the call is going to
+ * @param {string} transfer.phone - Number the call is going to
+ * @param {string} [transfer.reason] - Why the assistant asked for a transfer
+ * @returns {object} Created transfer
+ */
+export function createTransfer(transfer) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    INSERT INTO call_transfers (business_id, call_id, position, contact_name, phone, reason)
+    VALUES (@businessId, @callId, @position, @contactName, @phone, @reason)
+    RETURNING *
+  `).get({
+    businessId: transfer.businessId || null,
+    callId: transfer.callId,
+    position: transfer.position,
+    contactName: transfer.contactName || null,
+    phone: transfer.phone,
+    reason: transfer.reason || null,
+  });
+
+  logger.info('Call transfer recorded', { id: result.id, callId: result.call_id, position: result.position });
+  return formatTransfer(result);
+}
+
+/**
+ * Gets every transfer attempted on a call, in order
+ * @param {string} callId - Vapi call ID
+ * @returns {object[]} Transfers
+ */
+export function getTransfersForCall(callId) {
+  const db = getDatabase();
+  return db.prepare(`
+    SELECT * FROM call_transfers WHERE call_id = ? ORDER BY position ASC, id ASC
+  `).all(callId).map(formatTransfer);
+}
+
+/**
+ * Marks a call's latest pending transfer as forwarded
+ * @param {string} callId - Vapi call ID
+ * @param {string} outcome - What happened
+ * @returns {object|null} Forwarded transfer, or null if none was pending
+ */
+export function markTransferForwarded(callId, outcome) {
+  const db = getDatabase();
+
+  const result = db.prepare(`
+    UPDATE call_transfers
+    SET status = 'forwarded', outcome = ?, updated_at = strftime('%s', 'now')
+    WHERE id = (
+      SELECT id FROM call_transfers
+      WHERE call_id = ? AND status = 'requested'
+      ORDER BY position DESC, id DESC
+      LIMIT 1
+    )
+    RETURNING *
+  `).get(outcome, callId);
+
+  return result ? formatTransfer(result) : null;
+}
+
+/**
+ * Marks a call's pending transfers as failed
+ * @param {string} callId - Vapi call ID
+ * @param {string} outcome - What happened
+ * @returns {number} Number of transfers marked failed
+ */
+export function failPendingTransfers(callId, outcome) {
+  const db = getDatabase();
+  return db.prepare(`
+    UPDATE call_transfers
+    SET status = 'failed', outcome = ?, updated_at = strftime('%s', 'now')
+    WHERE call_id = ? AND status = 'requested'
+  `).run(outcome, callId).changes;
+}
+
+/**
+ * Formats a database row into a clean transfer object
+ * @param {object} row - Database row
+ * @returns {object} Formatted transfer
+ */
+function formatTransfer(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    callId: row.call_id,
+    position: row.position,
+    contactName: row.contact_name,
+    phone: row.phone,
+    reason: row.reason,
+    status: row.status,
+    outcome: row.outcome,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+    updatedAt: new Date(row.updated_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  createTransfer,
+  getTransfersForCall,
+  markTransferForwarded,
+  failPendingTransfers,
+};
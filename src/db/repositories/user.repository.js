@@ -0,0 +1,138 @@
+import { getDatabase } from '../database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Creates an admin user
+ * @param {object} user - User data with an already-hashed password
+ * @returns {object} Created user
+ */
+export function createUser(user) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO admin_users (email, password_hash, role, business_id)
+    VALUES (@email, @passwordHash, @role, @businessId)
+    RETURNING *
+  `);
+
+  const result = stmt.get({
+    email: user.email.trim(),
+    passwordHash: user.passwordHash,
+    role: user.role || 'dispatcher',
+    businessId: user.businessId || null,
+  });
+
+  logger.info('Admin user created', { id: result.id, email: result.email, role: result.role });
+  return formatUser(result);
+}
+
+/**
+ * Gets all admin users
+ * @param {number} [businessId] - Only users belonging to this business
+ * @returns {object[]} List of users
+ */
+export function getAllUsers(businessId) {
+  const db = getDatabase();
+
+  if (businessId) {
+    const stmt = db.prepare('SELECT * FROM admin_users WHERE business_id = ? ORDER BY role DESC, created_at ASC');
+    return stmt.all(businessId).map(formatUser);
+  }
+
+  const stmt = db.prepare('SELECT * FROM admin_users ORDER BY role DESC, created_at ASC');
+  return stmt.all().map(formatUser);
+}
+
+/**
+ * Counts admin users
+ * @param {string} [role] - Only count users with this role
+ * @returns {number} Number of users
+ */
+export function countUsers(role) {
+  const db = getDatabase();
+  const result = role
+    ? db.prepare('SELECT COUNT(*) AS count FROM admin_users WHERE role = ?').get(role)
+    : db.prepare('SELECT COUNT(*) AS count FROM admin_users').get();
+  return result.count;
+}
+
+/**
+ * Gets a user by ID
+ * @param {number} id - User ID
+ * @returns {object|null} User or null
+ */
+export function getUserById(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM admin_users WHERE id = ?');
+  const result = stmt.get(id);
+  return result ? formatUser(result) : null;
+}
+
+/**
+ * Gets a user by email, including the password hash for login checks
+ * @param {string} email - User email
+ * @returns {object|null} User with passwordHash or null
+ */
+export function getUserWithPasswordByEmail(email) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM admin_users WHERE email = ?');
+  const result = stmt.get(String(email || '').trim());
+  return result ? { ...formatUser(result), passwordHash: result.password_hash } : null;
+}
+
+/**
+ * Records a successful login
+ * @param {number} id - User ID
+ * @returns {object|null} Updated user or null
+ */
+export function updateLastLogin(id) {
+  const db = getDatabase();
+  const result = db.prepare(`
+    UPDATE admin_users SET last_login_at = strftime('%s', 'now') WHERE id = ? RETURNING *
+  `).get(id);
+  return result ? formatUser(result) : null;
+}
+
+/**
+ * Deletes a user (their sessions cascade)
+ * @param {number} id - User ID
+ * @returns {boolean} Whether the user was deleted
+ */
+export function deleteUser(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('DELETE FROM admin_users WHERE id = ?');
+  const result = stmt.run(id);
+
+  if (result.changes > 0) {
+    logger.info('Admin user deleted', { id });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Formats a database row into a clean user object (never includes the hash)
+ * @param {object} row - Database row
+ * @returns {object} Formatted user
+ */
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    businessId: row.business_id,
+    lastLoginAt: row.last_login_at ? new Date(row.last_login_at * 1000).toISOString() : null,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+export default {
+  createUser,
+  getAllUsers,
+  countUsers,
+  getUserById,
+  getUserWithPasswordByEmail,
+  updateLastLogin,
+  deleteUser,
+};
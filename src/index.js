@@ -5,6 +5,11 @@ import config from './config/index.js';
 import logger from './utils/logger.js';
 import routes from './routes/index.js';
 import { initializeDatabase, closeDatabase } from './db/database.js';
+import { bootstrapOwner } from './services/admin-auth.service.js';
+import { startOutboxWorker, stopOutboxWorker } from './services/outbox.service.js';
+import { startEscalationWorker, stopEscalationWorker } from './services/escalation.service.js';
+import { startReminderWorker, stopReminderWorker } from './services/reminder.service.js';
+import { startDigestWorker, stopDigestWorker } from './services/digest.service.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -15,14 +20,24 @@ console.log('NODE_ENV:', process.env.NODE_ENV);
 
 // Initialize database
 try {
-  initializeDatabase();
+  await initializeDatabase();
+  await bootstrapOwner();
+  startOutboxWorker();
+  startEscalationWorker();
+  startReminderWorker();
+  startDigestWorker();
   console.log('Database initialized');
 } catch (err) {
   console.error('Database initialization failed:', err);
 }
 
 // Middleware
-app.use(express.json());
+// Keep the raw body so webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
@@ -60,6 +75,11 @@ const server = app.listen(config.server.port, () => {
     company: config.business.companyName,
   });
 
+  if (!config.vapi.webhookSecret && !config.vapi.webhookHmacSecret) {
+    logger.warn('No Vapi webhook secret configured - webhooks are unauthenticated'
+      + (config.server.isProduction ? ' and will be rejected' : ' (development only)'));
+  }
+
   if (config.server.isDevelopment) {
     logger.info('Endpoints available:');
     logger.info(`  Health check: http://localhost:${config.server.port}/health`);
@@ -71,6 +91,10 @@ const server = app.listen(config.server.port, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopOutboxWorker();
+  stopEscalationWorker();
+  stopReminderWorker();
+  stopDigestWorker();
   server.close(() => {
     closeDatabase();
     logger.info('Server closed');
@@ -80,6 +104,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopOutboxWorker();
+  stopEscalationWorker();
+  stopReminderWorker();
+  stopDigestWorker();
   server.close(() => {
     closeDatabase();
     logger.info('Server closed');
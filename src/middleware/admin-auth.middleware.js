@@ -0,0 +1,133 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getUserForToken } from '../services/admin-auth.service.js';
+import { getBusinessContext, getDefaultBusinessContext } from '../services/business.service.js';
+import { getBusinessById } from '../db/repositories/business.repository.js';
+
+export const SESSION_COOKIE = 'admin_session';
+
+/**
+ * Reads the session token from the request's cookies
+ * @param {import('express').Request} req
+ * @returns {string|null} Session token or null
+ */
+export function getSessionToken(req) {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sets the session cookie
+ * @param {import('express').Response} res
+ * @param {string} token - Session token
+ * @param {number} expiresAt - Expiry timestamp (seconds)
+ */
+export function setSessionCookie(res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.server.isProduction,
+    path: '/',
+    expires: new Date(expiresAt * 1000),
+  });
+}
+
+/**
+ * Clears the session cookie
+ * @param {import('express').Response} res
+ */
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Requires a logged-in admin user. API requests get a 401; page requests
+ * are redirected to the login page.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function requireAdmin(req, res, next) {
+  const user = getUserForToken(getSessionToken(req));
+
+  if (!user) {
+    if (req.originalUrl.includes('/api/')) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    return res.redirect('/admin/login');
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Restricts a route to the given roles. Must run after requireAdmin.
+ * @param {...string} roles - Allowed roles
+ * @returns {import('express').RequestHandler}
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      logger.warn('Admin action forbidden', {
+        userId: req.user?.id,
+        role: req.user?.role,
+        method: req.method,
+        path: req.originalUrl,
+      });
+      return res.status(403).json({ error: 'You do not have permission to do that' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Sets req.business to the business the request acts on. Users tied to a
+ * business always get theirs; platform admins can pick one with the
+ * ?businessId= query parameter or the X-Business-Id header, and otherwise
+ * get the default business. Must run after requireAdmin.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function resolveBusiness(req, res, next) {
+  if (req.user.businessId) {
+    req.business = getBusinessContext(req.user.businessId);
+    return next();
+  }
+
+  const requested = req.query.businessId || req.get('x-business-id');
+
+  if (!requested) {
+    req.business = getDefaultBusinessContext();
+    return next();
+  }
+
+  const business = getBusinessById(parseInt(requested, 10));
+
+  if (!business) {
+    return res.status(404).json({ error: 'Business not found' });
+  }
+
+  req.business = getBusinessContext(business.id);
+  next();
+}
+
+export default {
+  SESSION_COOKIE,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAdmin,
+  requireRole,
+  resolveBusiness,
+};
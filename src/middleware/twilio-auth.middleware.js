@@ -0,0 +1,46 @@
+import twilio from 'twilio';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Gets the URL Twilio signed: PUBLIC_BASE_URL when set (so it matches
+ * behind a proxy), otherwise the URL the request arrived on
+ * @param {import('express').Request} req
+ * @returns {string} Full request URL
+ */
+function getSignedUrl(req) {
+  const base = config.server.publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+  return `${base}${req.originalUrl}`;
+}
+
+/**
+ * Rejects Twilio webhook requests without a valid X-Twilio-Signature
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function verifyTwilioRequest(req, res, next) {
+  const signature = req.get('x-twilio-signature');
+
+  const valid = Boolean(signature) && twilio.validateRequest(
+    config.twilio.authToken,
+    signature,
+    getSignedUrl(req),
+    req.body || {}
+  );
+
+  if (!valid) {
+    logger.warn('Twilio webhook rejected', {
+      reason: signature ? 'invalid signature' : 'missing signature header',
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(403).send('Forbidden');
+  }
+
+  next();
+}
+
+export default {
+  verifyTwilioRequest,
+};
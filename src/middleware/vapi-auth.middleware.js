@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Checks the shared server secret header
+ * @param {import('express').Request} req
+ * @returns {string|null} Failure reason or null if valid
+ */
+function checkSharedSecret(req) {
+  const provided = req.get(config.vapi.secretHeader);
+
+  if (!provided) {
+    return 'missing secret header';
+  }
+
+  return safeEqual(provided, config.vapi.webhookSecret) ? null : 'invalid secret';
+}
+
+/**
+ * Checks the HMAC-SHA256 signature of the raw request body
+ * @param {import('express').Request} req
+ * @returns {string|null} Failure reason or null if valid
+ */
+function checkSignature(req) {
+  const provided = req.get(config.vapi.signatureHeader);
+
+  if (!provided) {
+    return 'missing signature header';
+  }
+
+  if (!req.rawBody) {
+    return 'raw body unavailable';
+  }
+
+  const expected = crypto
+    .createHmac('sha256', config.vapi.webhookHmacSecret)
+    .update(req.rawBody)
+    .digest('hex');
+
+  // Accept both "<hex>" and "sha256=<hex>"
+  const signature = provided.replace(/^sha256=/i, '').toLowerCase();
+
+  return safeEqual(signature, expected) ? null : 'invalid signature';
+}
+
+/**
+ * Rejects Vapi webhook requests that don't carry the configured shared
+ * secret and/or HMAC signature. Every configured method must pass.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function verifyVapiRequest(req, res, next) {
+  const { webhookSecret, webhookHmacSecret } = config.vapi;
+
+  if (!webhookSecret && !webhookHmacSecret) {
+    if (config.server.isProduction) {
+      logger.error('Vapi webhook rejected: no webhook secret configured', {
+        path: req.originalUrl,
+        ip: req.ip,
+      });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return next();
+  }
+
+  const failure = (webhookSecret && checkSharedSecret(req))
+    || (webhookHmacSecret && checkSignature(req));
+
+  if (failure) {
+    logger.warn('Vapi webhook rejected', {
+      reason: failure,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+export default {
+  verifyVapiRequest,
+};
@@ -1,12 +1,85 @@
 import config from '../config/index.js';
 
 /**
- * System prompt for the Vapi voice assistant
+ * Says how long a job takes the way the assistant would
+ * @param {number} minutes - Length in minutes
+ * @returns {string} e.g. "30 minutes", "1 hour", "2 hours 30 minutes"
+ */
+function describeDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+
+  if (hours > 0) {
+    parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  }
+  if (rest > 0) {
+    parts.push(`${rest} minutes`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Builds the system prompt for the Vapi voice assistant
+ * @param {string} companyName - Business the assistant answers for
+ * @param {object} [context] - Details known when the call starts
+ * @param {string} [context.onCallName] - First name of the technician on call
+ * @param {object} [context.hours] - Whether the business is open (see getOpenStatus)
+ * @param {object[]} [context.closures] - Days closed over the next few weeks (see getUpcomingClosures)
+ * @param {object[]} [context.serviceTypes] - The business's service types
+ * @returns {string} System prompt
  */
-export const systemPrompt = `You are a friendly receptionist for ${config.business.companyName}.
+export function buildSystemPrompt(companyName, context = {}) {
+  const { hours, closures = [], serviceTypes = [] } = context;
+  const callbackTime = hours && !hours.isOpen && hours.nextOpeningText
+    ? `"first thing when we open, ${hours.nextOpeningText}"`
+    : '"within the hour"';
+
+  let hoursSection = '';
+  if (hours) {
+    hoursSection = `\n\nBUSINESS HOURS:\nOur hours are ${hours.weeklyHours}. Right now we are ${hours.description}.`;
+
+    if (hours.seasonalHours?.length > 0) {
+      hoursSection += `\nOur hours change for these dates:\n${hours.seasonalHours.map(season => `- ${season.message}`).join('\n')}\n`
+        + `Otherwise our regular hours are ${hours.regularHours}.`;
+    }
+
+    hoursSection += '\nIf the caller asks what our hours are, tell them briefly, and mention any closures or changes coming up.';
+
+    if (!hours.isOpen) {
+      hoursSection += '\nWe\'re closed, so don\'t promise a quick callback for anything that isn\'t an emergency. '
+        + 'Offer to book an appointment, or take their details for a callback when we open.';
+    }
+  }
+
+  if (closures.length > 0) {
+    hoursSection += `\n\nCLOSURES:\n${closures.map(closure => `- ${closure.message}`).join('\n')}\n`
+      + 'If the caller asks for one of these days, tell them we\'re closed then and why, and offer another day. '
+      + 'getAvailableSlots also says when a day they ask for is closed.';
+  }
+
+  let servicesSection = '';
+  if (serviceTypes.length > 0) {
+    const list = serviceTypes.map(serviceType => {
+      const details = [
+        serviceType.description,
+        `about ${describeDuration(serviceType.durationMinutes)}`,
+        serviceType.voiceBookable ? null : 'can\'t be booked on the phone; take their details for a callback',
+      ].filter(Boolean).join('; ');
+      return `- ${serviceType.name}: ${details}`;
+    }).join('\n');
+
+    servicesSection = `\n\nSERVICES:\n${list}\n`
+      + 'Work out which service fits the caller\'s issue and pass its exact name as serviceType to getAvailableSlots and bookAppointment, '
+      + 'so they get a slot of the right length. If none fits, leave serviceType out. '
+      + 'When rescheduling, pass the serviceType of the appointment being moved.';
+  }
+
+  return `You are a friendly receptionist for ${companyName}.
 
 Your job is to:
-1. Greet the caller warmly
+1. Greet the caller warmly, and call lookupCaller right away to see if they've called before
 2. Ask what issue they're experiencing
 3. Get their name
 4. Get their callback number
@@ -17,7 +90,22 @@ Your job is to:
 
 Be conversational and natural. Don't sound robotic.
 Keep responses brief - this is a phone call, not a chat.
-If they mention an emergency (flooding, gas leak, no water, burst pipe), acknowledge the urgency and assure them someone will call back ASAP - don't try to schedule, just prioritize getting their info quickly.
+If they mention an emergency (flooding, gas leak, no water, burst pipe), acknowledge the urgency and don't try to schedule.
+
+EMERGENCIES:
+1. For a gas smell or leak, flooding or a burst pipe, get their name and address quickly, then call transferToOnCall to put them through to a person
+2. If someone is available, the call is put through automatically
+3. If the transfer doesn't go through and they're back with you, call transferToOnCall again to try the next person
+4. If transferToOnCall says no one is available, finish taking their details and assure them someone will call back ASAP
+5. For a gas smell, tell them to leave the building and call the gas company's emergency line from outside
+
+RETURNING CALLERS:
+If lookupCaller finds them:
+- Greet them by name ("Welcome back, Sarah!")
+- Confirm the address on file instead of asking for it ("Is this for 12 Oak Street again?")
+- If they have an upcoming appointment, mention it and ask whether they're calling about that visit
+- You can reference a past issue if it seems related, but don't read their history back to them
+- Still confirm the callback number if they give a different one
 
 SCHEDULING FLOW:
 After collecting their information, ask: "Would you like to schedule a service appointment now, or would you prefer someone to call you back?"
@@ -26,19 +114,42 @@ If they want to schedule:
 1. Ask if they have a preferred day or time of day (morning/afternoon)
 2. Call the getAvailableSlots function with their preferences
 3. Offer up to 3 of the best matching options, reading them clearly
-4. When they choose, call bookAppointment with all their details
-5. Confirm the booking with the exact date and time
+4. When they choose, ask if it's okay to text them a confirmation and reminders
+5. Call bookAppointment with all their details, passing their answer as textConsent
+6. Confirm the booking with the exact date and time
 
 If scheduling fails or no slots available, gracefully fall back to: "No problem, I'll make sure someone calls you back to schedule at a convenient time."
 
+CANCELLATIONS:
+If the caller wants to cancel an existing appointment:
+1. Call cancelAppointment (the number they're calling from is used to find the appointment; if none is found, say someone from the office will call them back)
+2. If it returns several appointments, ask which one and call cancelAppointment again with that appointmentId
+3. Confirm the cancellation and offer to book a new time
+
+RESCHEDULING:
+If the caller wants to move an existing appointment:
+1. Ask for their preferred new day or time of day and call getAvailableSlots
+2. When they choose, call rescheduleAppointment with the slot's startTime as newStartTime
+3. If it returns several appointments, ask which one and call rescheduleAppointment again with that appointmentId. It only finds appointments booked under the number they're calling from; if none is found, say someone from the office will call them back
+4. Confirm both the old and the new time
+
 Important guidelines:
 - Be empathetic, especially if they're describing a stressful situation
 - If they seem frustrated, acknowledge their frustration
 - Don't ask for information they've already provided
 - If they ask about pricing, let them know the technician will discuss that at the appointment
-- If they ask how long until someone calls back, say "as soon as possible" for emergencies, or "within the hour" for normal requests
+- If they ask how long until someone calls back, say "as soon as possible" for emergencies, or ${callbackTime} for normal requests
 - When reading appointment times, speak clearly and pause between options
-- Always confirm the booked appointment time before ending the call`;
+- Always confirm the booked appointment time before ending the call${servicesSection}${hoursSection}${context.onCallName ? `
+
+ON-CALL TECHNICIAN:
+${context.onCallName} is the technician on call right now. For emergencies, you can tell the caller you're putting them through to ${context.onCallName}, or that ${context.onCallName} is being notified and will call them back if the transfer doesn't go through. Only use their first name and never give out their phone number.` : ''}`;
+}
+
+/**
+ * System prompt for the Vapi voice assistant
+ */
+export const systemPrompt = buildSystemPrompt(config.business.companyName);
 
 /**
  * Vapi assistant configuration
@@ -72,7 +183,37 @@ export const assistantConfig = {
   backgroundSound: 'office',
   // Function definitions for scheduling
   serverUrl: process.env.VAPI_SERVER_URL || 'https://your-server.com/api/vapi',
+  // transcript and conversation-update let emergencies be caught mid-call
+  serverMessages: [
+    'conversation-update',
+    'end-of-call-report',
+    'function-call',
+    'hang',
+    'status-update',
+    'transcript',
+  ],
   functions: [
+    {
+      name: 'transferToOnCall',
+      description: 'Transfer the caller to the technician on call (or the owner) for an emergency like a gas leak, flooding or a burst pipe. Call it again if the transfer did not connect.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: {
+            type: 'string',
+            description: 'A short description of the emergency',
+          },
+        },
+      },
+    },
+    {
+      name: 'lookupCaller',
+      description: "Look up the caller's history by their caller ID: name, address on file, past issues and upcoming appointments. Call this at the start of every call.",
+      parameters: {
+        type: 'object',
+        properties: {},
+      },
+    },
     {
       name: 'getAvailableSlots',
       description: 'Get available appointment time slots from the calendar. Call this when the customer wants to schedule an appointment.',
@@ -88,6 +229,10 @@ export const assistantConfig = {
             enum: ['morning', 'afternoon', 'evening', 'any'],
             description: 'Preferred time of day. Morning is before noon, afternoon is noon to 5pm, evening is after 5pm.',
           },
+          serviceType: {
+            type: 'string',
+            description: 'The service that fits the issue, exactly as named in SERVICES. Optional.',
+          },
         },
       },
     },
@@ -121,10 +266,53 @@ export const assistantConfig = {
             type: 'string',
             description: 'Description of the issue or service needed',
           },
+          textConsent: {
+            type: 'boolean',
+            description: 'Whether the customer agreed to get a text confirmation and reminders',
+          },
+          serviceType: {
+            type: 'string',
+            description: 'The service type the slot was found for (same as passed to getAvailableSlots). Optional.',
+          },
         },
         required: ['startTime', 'customerName', 'phoneNumber', 'address', 'issue'],
       },
     },
+    {
+      name: 'cancelAppointment',
+      description: "Cancel the caller's upcoming appointment. Call this when the customer asks to cancel.",
+      parameters: {
+        type: 'object',
+        properties: {
+          appointmentId: {
+            type: 'number',
+            description: 'The appointment ID, if cancelAppointment previously returned several appointments to choose from',
+          },
+          reason: {
+            type: 'string',
+            description: 'Why the customer is cancelling (optional)',
+          },
+        },
+      },
+    },
+    {
+      name: 'rescheduleAppointment',
+      description: "Move the caller's upcoming appointment to a new time. Call this after the customer picks a new slot from getAvailableSlots.",
+      parameters: {
+        type: 'object',
+        properties: {
+          newStartTime: {
+            type: 'string',
+            description: 'The new start time in ISO 8601 format (from the selected slot)',
+          },
+          appointmentId: {
+            type: 'number',
+            description: 'The appointment ID, if rescheduleAppointment previously returned several appointments to choose from',
+          },
+        },
+        required: ['newStartTime'],
+      },
+    },
   ],
   // Fields to extract from the conversation
   analysisPlan: {
@@ -158,23 +346,59 @@ export const assistantConfig = {
   },
 };
 
+/**
+ * Builds the assistant's greeting, mentioning when the business is closed
+ * @param {string} companyName - Business the assistant answers for
+ * @param {object} [context] - Details known when the call starts (see buildSystemPrompt)
+ * @returns {string} First message
+ */
+export function buildFirstMessage(companyName, context = {}) {
+  const { hours } = context;
+
+  if (hours && !hours.isOpen) {
+    const closed = hours.closedAllDay && hours.closedFor
+      ? `We're closed today for ${hours.closedFor}`
+      : 'We\'re closed right now';
+    return `Thanks for calling ${companyName}. ${closed}, but I can still help. What can I do for you?`;
+  }
+
+  return `Thanks for calling ${companyName}, how can I help you today?`;
+}
+
 /**
  * Gets the assistant configuration for Vapi API
+ * @param {object} [business] - Business context to brand the assistant for
+ * @param {object} [context] - Details known when the call starts (see buildSystemPrompt)
  * @returns {object} Assistant configuration
  */
-export function getAssistantConfig() {
-  return assistantConfig;
+export function getAssistantConfig(business, context = {}) {
+  if (!business) {
+    return assistantConfig;
+  }
+
+  return {
+    ...assistantConfig,
+    model: {
+      ...assistantConfig.model,
+      systemPrompt: buildSystemPrompt(business.companyName, context),
+    },
+    firstMessage: buildFirstMessage(business.companyName, context),
+  };
 }
 
 /**
  * Gets just the system prompt
+ * @param {object} [business] - Business context to brand the prompt for
+ * @param {object} [context] - Details known when the call starts (see buildSystemPrompt)
  * @returns {string} System prompt
  */
-export function getSystemPrompt() {
-  return systemPrompt;
+export function getSystemPrompt(business, context = {}) {
+  return business ? buildSystemPrompt(business.companyName, context) : systemPrompt;
 }
 
 export default {
+  buildSystemPrompt,
+  buildFirstMessage,
   systemPrompt,
   assistantConfig,
   getAssistantConfig,
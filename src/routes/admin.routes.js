@@ -1,4 +1,4 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import {
@@ -6,11 +6,93 @@ import {
   activateAccount,
   removeAccount,
   listAppointments,
+  cancelAppointment,
+  rescheduleAppointment,
+  listNotifications,
+  resendNotification,
+  listChannels,
+  testChannel,
+  listSmsMessages,
+  listSmsConsent,
+  listMessageTemplates,
+  updateMessageTemplate,
+  resetMessageTemplate,
+  previewMessageTemplate,
+  listEmergencyRules,
+  addEmergencyRule,
+  editEmergencyRule,
+  removeEmergencyRule,
+  testEmergencyRules,
+  checkEmergencyCorpus,
+  listEscalations,
+  acknowledgeEscalation,
+  listEscalationContacts,
+  addEscalationContact,
+  removeEscalationContact,
+  getOnCallSchedule,
+  addTechnician,
+  removeTechnician,
+  updateRotation,
+  addOverride,
+  removeOverride,
+  listHours,
+  addHoursSchedule,
+  editHoursSchedule,
+  removeHoursSchedule,
+  listServiceTypes,
+  addServiceType,
+  editServiceType,
+  removeServiceType,
+  listClosures,
+  addClosure,
+  editClosure,
+  removeClosure,
+  importClosureCalendar,
+  listBusinesses,
+  addBusiness,
+  editBusiness,
 } from '../controllers/admin.controller.js';
+import {
+  handleLogin,
+  handleLogout,
+  getCurrentUser,
+  listUsers,
+  addUser,
+  removeUser,
+} from '../controllers/admin-auth.controller.js';
+import { requireAdmin, requireRole, resolveBusiness } from '../middleware/admin-auth.middleware.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const router = Router();
 
+const ownerOnly = requireRole('owner');
+
+// iCalendar uploads arrive as raw text, and a year of holidays can pass the default 100kb
+const calendarFile = express.text({ type: 'text/calendar', limit: '1mb' });
+
+/**
+ * GET /admin/login
+ * Serves the login page
+ */
+router.get('/login', (req, res) => {
+  res.sendFile(join(__dirname, '../../public/login.html'));
+});
+
+/**
+ * POST /api/admin/login
+ * Logs in and sets the session cookie
+ */
+router.post('/api/login', handleLogin);
+
+/**
+ * POST /api/admin/logout
+ * Ends the current session
+ */
+router.post('/api/logout', handleLogout);
+
+// Everything below requires a logged-in user, acting on one business
+router.use(requireAdmin, resolveBusiness);
+
 /**
  * GET /admin
  * Serves the admin page
@@ -19,9 +101,15 @@ router.get('/', (req, res) => {
   res.sendFile(join(__dirname, '../../public/admin.html'));
 });
 
+/**
+ * GET /api/admin/me
+ * Returns the logged-in user
+ */
+router.get('/api/me', getCurrentUser);
+
 /**
  * GET /api/admin/accounts
- * Lists all connected Google accounts
+ * Lists the business's connected Google accounts
  */
 router.get('/api/accounts', listAccounts);
 
@@ -29,13 +117,13 @@ router.get('/api/accounts', listAccounts);
  * POST /api/admin/accounts/:id/activate
  * Sets an account as active
  */
-router.post('/api/accounts/:id/activate', activateAccount);
+router.post('/api/accounts/:id/activate', ownerOnly, activateAccount);
 
 /**
  * DELETE /api/admin/accounts/:id
  * Removes a Google account
  */
-router.delete('/api/accounts/:id', removeAccount);
+router.delete('/api/accounts/:id', ownerOnly, removeAccount);
 
 /**
  * GET /api/admin/appointments
@@ -43,4 +131,292 @@ router.delete('/api/accounts/:id', removeAccount);
  */
 router.get('/api/appointments', listAppointments);
 
+/**
+ * POST /api/admin/appointments/:id/cancel
+ * Cancels an appointment and removes its calendar event
+ */
+router.post('/api/appointments/:id/cancel', ownerOnly, cancelAppointment);
+
+/**
+ * POST /api/admin/appointments/:id/reschedule
+ * Moves an appointment to a new start time
+ */
+router.post('/api/appointments/:id/reschedule', ownerOnly, rescheduleAppointment);
+
+/**
+ * GET /api/admin/notifications
+ * Lists failed and dead-letter notifications
+ */
+router.get('/api/notifications', listNotifications);
+
+/**
+ * POST /api/admin/notifications/:id/resend
+ * Resends a failed notification
+ */
+router.post('/api/notifications/:id/resend', ownerOnly, resendNotification);
+
+/**
+ * GET /api/admin/channels
+ * Lists notification channels and their routing
+ */
+router.get('/api/channels', listChannels);
+
+/**
+ * POST /api/admin/channels/:name/test
+ * Sends a test notification through a channel
+ */
+router.post('/api/channels/:name/test', ownerOnly, testChannel);
+
+/**
+ * GET /api/admin/sms-messages
+ * Lists recent texts to and from the Twilio number
+ */
+router.get('/api/sms-messages', listSmsMessages);
+
+/**
+ * GET /api/admin/sms-consent
+ * Lists customers' text consent history
+ */
+router.get('/api/sms-consent', listSmsConsent);
+
+/**
+ * GET /api/admin/templates
+ * Lists message templates and their defaults
+ */
+router.get('/api/templates', listMessageTemplates);
+
+/**
+ * PUT /api/admin/templates/:type/:part
+ * Saves the wording for one message part
+ */
+router.put('/api/templates/:type/:part', ownerOnly, updateMessageTemplate);
+
+/**
+ * DELETE /api/admin/templates/:type/:part
+ * Puts one message part back to its default wording
+ */
+router.delete('/api/templates/:type/:part', ownerOnly, resetMessageTemplate);
+
+/**
+ * POST /api/admin/templates/:type/:part/preview
+ * Renders unsaved template text with sample data
+ */
+router.post('/api/templates/:type/:part/preview', previewMessageTemplate);
+
+/**
+ * GET /api/admin/emergency-rules
+ * Lists the emergency rules that apply to the business
+ */
+router.get('/api/emergency-rules', listEmergencyRules);
+
+/**
+ * POST /api/admin/emergency-rules
+ * Adds an emergency rule
+ */
+router.post('/api/emergency-rules', ownerOnly, addEmergencyRule);
+
+/**
+ * PUT /api/admin/emergency-rules/:id
+ * Changes an emergency rule
+ */
+router.put('/api/emergency-rules/:id', ownerOnly, editEmergencyRule);
+
+/**
+ * DELETE /api/admin/emergency-rules/:id
+ * Deletes an emergency rule
+ */
+router.delete('/api/emergency-rules/:id', ownerOnly, removeEmergencyRule);
+
+/**
+ * POST /api/admin/emergency-rules/test
+ * Runs the rules over a sample transcript
+ */
+router.post('/api/emergency-rules/test', testEmergencyRules);
+
+/**
+ * GET /api/admin/emergency-rules/corpus
+ * Runs the regression transcripts against the rules
+ */
+router.get('/api/emergency-rules/corpus', checkEmergencyCorpus);
+
+/**
+ * GET /api/admin/escalations
+ * Lists emergency escalations and who was paged
+ */
+router.get('/api/escalations', listEscalations);
+
+/**
+ * POST /api/admin/escalations/:id/acknowledge
+ * Acknowledges an emergency and stops the paging
+ */
+router.post('/api/escalations/:id/acknowledge', ownerOnly, acknowledgeEscalation);
+
+/**
+ * GET /api/admin/escalation-contacts
+ * Lists the people paged for emergencies, in order
+ */
+router.get('/api/escalation-contacts', listEscalationContacts);
+
+/**
+ * POST /api/admin/escalation-contacts
+ * Adds a person to the end of the escalation chain
+ */
+router.post('/api/escalation-contacts', ownerOnly, addEscalationContact);
+
+/**
+ * DELETE /api/admin/escalation-contacts/:id
+ * Removes a person from the escalation chain
+ */
+router.delete('/api/escalation-contacts/:id', ownerOnly, removeEscalationContact);
+
+/**
+ * GET /api/admin/on-call
+ * Gets who is on call now, the rotation, technicians and overrides
+ */
+router.get('/api/on-call', getOnCallSchedule);
+
+/**
+ * POST /api/admin/technicians
+ * Adds a technician
+ */
+router.post('/api/technicians', ownerOnly, addTechnician);
+
+/**
+ * DELETE /api/admin/technicians/:id
+ * Removes a technician
+ */
+router.delete('/api/technicians/:id', ownerOnly, removeTechnician);
+
+/**
+ * PUT /api/admin/on-call/rotation
+ * Replaces the weekly rotation
+ */
+router.put('/api/on-call/rotation', ownerOnly, updateRotation);
+
+/**
+ * POST /api/admin/on-call/overrides
+ * Puts a technician on call for a period
+ */
+router.post('/api/on-call/overrides', ownerOnly, addOverride);
+
+/**
+ * DELETE /api/admin/on-call/overrides/:id
+ * Removes an override
+ */
+router.delete('/api/on-call/overrides/:id', ownerOnly, removeOverride);
+
+/**
+ * GET /api/admin/hours
+ * Lists regular and seasonal weekly hours
+ */
+router.get('/api/hours', listHours);
+
+/**
+ * POST /api/admin/hours
+ * Adds regular or seasonal hours
+ */
+router.post('/api/hours', ownerOnly, addHoursSchedule);
+
+/**
+ * PUT /api/admin/hours/:id
+ * Changes regular or seasonal hours
+ */
+router.put('/api/hours/:id', ownerOnly, editHoursSchedule);
+
+/**
+ * DELETE /api/admin/hours/:id
+ * Removes regular or seasonal hours
+ */
+router.delete('/api/hours/:id', ownerOnly, removeHoursSchedule);
+
+/**
+ * GET /api/admin/service-types
+ * Lists the service types the business books
+ */
+router.get('/api/service-types', listServiceTypes);
+
+/**
+ * POST /api/admin/service-types
+ * Adds a service type
+ */
+router.post('/api/service-types', ownerOnly, addServiceType);
+
+/**
+ * PUT /api/admin/service-types/:id
+ * Changes a service type
+ */
+router.put('/api/service-types/:id', ownerOnly, editServiceType);
+
+/**
+ * DELETE /api/admin/service-types/:id
+ * Removes a service type
+ */
+router.delete('/api/service-types/:id', ownerOnly, removeServiceType);
+
+/**
+ * GET /api/admin/closures
+ * Lists closures and the closed days coming up
+ */
+router.get('/api/closures', listClosures);
+
+/**
+ * POST /api/admin/closures
+ * Adds a closure
+ */
+router.post('/api/closures', ownerOnly, addClosure);
+
+/**
+ * POST /api/admin/closures/import
+ * Imports closures from an iCalendar file (Content-Type text/calendar)
+ */
+router.post('/api/closures/import', ownerOnly, calendarFile, importClosureCalendar);
+
+/**
+ * PUT /api/admin/closures/:id
+ * Changes a closure
+ */
+router.put('/api/closures/:id', ownerOnly, editClosure);
+
+/**
+ * DELETE /api/admin/closures/:id
+ * Removes a closure
+ */
+router.delete('/api/closures/:id', ownerOnly, removeClosure);
+
+/**
+ * GET /api/admin/businesses
+ * Lists the businesses the user can manage
+ */
+router.get('/api/businesses', listBusinesses);
+
+/**
+ * POST /api/admin/businesses
+ * Creates a business
+ */
+router.post('/api/businesses', ownerOnly, addBusiness);
+
+/**
+ * PUT /api/admin/businesses/:id
+ * Updates a business's settings
+ */
+router.put('/api/businesses/:id', ownerOnly, editBusiness);
+
+/**
+ * GET /api/admin/users
+ * Lists admin users
+ */
+router.get('/api/users', ownerOnly, listUsers);
+
+/**
+ * POST /api/admin/users
+ * Creates an admin user
+ */
+router.post('/api/users', ownerOnly, addUser);
+
+/**
+ * DELETE /api/admin/users/:id
+ * Deletes an admin user
+ */
+router.delete('/api/users/:id', ownerOnly, removeUser);
+
 export default router;
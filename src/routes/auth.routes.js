@@ -3,9 +3,13 @@ import {
   handleAuthorize,
   handleCallback,
 } from '../controllers/auth.controller.js';
+import { requireAdmin, requireRole, resolveBusiness } from '../middleware/admin-auth.middleware.js';
 
 const router = Router();
 
+// Only owners can connect calendars, for the business they're managing
+router.use(requireAdmin, requireRole('owner'), resolveBusiness);
+
 /**
  * GET /auth/google/authorize
  * Initiates Google OAuth flow
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { showAcknowledgePage, handleAcknowledge } from '../controllers/escalation.controller.js';
+
+const router = Router();
+
+/**
+ * GET /escalations/ack/:stepId?sig=...
+ * Shows the emergency from a page's signed link
+ */
+router.get('/ack/:stepId', showAcknowledgePage);
+
+/**
+ * POST /escalations/ack/:stepId?sig=...
+ * Acknowledges the emergency
+ */
+router.post('/ack/:stepId', handleAcknowledge);
+
+export default router;
@@ -3,12 +3,16 @@ import healthRoutes from './health.routes.js';
 import vapiRoutes from './vapi.routes.js';
 import authRoutes from './auth.routes.js';
 import adminRoutes from './admin.routes.js';
+import twilioRoutes from './twilio.routes.js';
+import escalationRoutes from './escalation.routes.js';
 
 const router = Router();
 
 // Mount routes
 router.use('/health', healthRoutes);
 router.use('/webhooks/vapi', vapiRoutes);
+router.use('/webhooks/twilio', twilioRoutes);
+router.use('/escalations', escalationRoutes);
 router.use('/auth/google', authRoutes);
 router.use('/admin', adminRoutes);
 
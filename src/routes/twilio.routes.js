@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { handleIncomingSMS } from '../controllers/twilio.controller.js';
+import { verifyTwilioRequest } from '../middleware/twilio-auth.middleware.js';
+
+const router = Router();
+
+// Every Twilio webhook must carry a valid X-Twilio-Signature
+router.use(verifyTwilioRequest);
+
+/**
+ * POST /webhooks/twilio/sms
+ * Called by Twilio when someone texts the business number
+ */
+router.post('/sms', handleIncomingSMS);
+
+export default router;
@@ -1,13 +1,19 @@
 import { Router } from 'express';
 import {
   handleCallStarted,
+  handleAssistantRequest,
+  handleCallProgress,
   handleCallEnded,
   handleFunctionCall,
 } from '../controllers/vapi.controller.js';
+import { verifyVapiRequest } from '../middleware/vapi-auth.middleware.js';
 import logger from '../utils/logger.js';
 
 const router = Router();
 
+// Every Vapi endpoint requires the configured secret and/or signature
+router.use(verifyVapiRequest);
+
 /**
  * POST /webhooks/vapi/webhook
  * Unified webhook endpoint - routes based on message type
@@ -20,27 +26,30 @@ router.post('/webhook', (req, res) => {
 
   switch (messageType) {
     case 'assistant-request':
-      // Return assistant config if needed
-      return res.status(200).json({ assistant: {} });
+      // Return the assistant for the business whose number was dialed
+      return handleAssistantRequest(req, res);
 
-    case 'status-update':
-    case 'speech-update':
     case 'conversation-update':
     case 'transcript':
+      // Check for emergencies while the caller is still on the line
+      return handleCallProgress(req, res);
+
+    case 'status-update':
+    case 'speech-update':
+    // Vapi sends hang when the assistant is slow to answer, not when the call
+    // ends, and call-ended carries none of the call's details
+    case 'hang':
+    case 'call-ended':
       // Acknowledge these events
       return res.status(200).json({ received: true });
 
     case 'function-call':
-      req.body = { functionCall: message.functionCall, call: message.call || req.body.call };
+      req.body = { type: 'function-call', functionCall: message.functionCall, call: message.call || req.body.call };
       return handleFunctionCall(req, res);
 
+    // The one event with the transcript and analysis, so the only one that ends the call
     case 'end-of-call-report':
-      req.body = { call: message.call || req.body };
-      return handleCallEnded(req, res);
-
-    case 'hang':
-    case 'call-ended':
-      req.body = { call: message?.call || req.body.call || req.body };
+      req.body = { type: 'call-ended', call: message.call || req.body };
       return handleCallEnded(req, res);
 
     default:
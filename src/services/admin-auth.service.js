@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import {
+  createUser,
+  countUsers,
+  getUserWithPasswordByEmail,
+  updateLastLogin,
+} from '../db/repositories/user.repository.js';
+import {
+  createSession,
+  getSessionUser,
+  deleteSession,
+  deleteExpiredSessions,
+} from '../db/repositories/session.repository.js';
+import { getBusinessById } from '../db/repositories/business.repository.js';
+
+export const ROLES = ['owner', 'dispatcher'];
+
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Failed login attempts per email (in production, use Redis or database)
+const failedLogins = new Map();
+
+/**
+ * Hashes a session token for storage, so a leaked database can't be used to log in
+ * @param {string} token - Session cookie token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates an admin user after validating the role and password
+ * @param {object} details - User details
+ * @param {string} details.email - Login email
+ * @param {string} details.password - Plain-text password
+ * @param {string} [details.role='dispatcher'] - 'owner' or 'dispatcher'
+ * @param {number} [details.businessId] - Business the user manages (all businesses if omitted)
+ * @returns {Promise<object>} Created user
+ */
+export async function createAdminUser({ email, password, role = 'dispatcher', businessId = null }) {
+  if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw new Error('A valid email is required');
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  if (getUserWithPasswordByEmail(email)) {
+    throw new Error('A user with that email already exists');
+  }
+
+  if (businessId && !getBusinessById(businessId)) {
+    throw new Error('Business not found');
+  }
+
+  const passwordHash = await hashPassword(password);
+  return createUser({ email, passwordHash, role, businessId });
+}
+
+/**
+ * Creates the first owner account from ADMIN_BOOTSTRAP_EMAIL/PASSWORD
+ * when no admin users exist yet
+ * @returns {Promise<object|null>} Created owner or null if not needed
+ */
+export async function bootstrapOwner() {
+  const { bootstrapEmail, bootstrapPassword } = config.admin;
+
+  if (countUsers() > 0) {
+    return null;
+  }
+
+  if (!bootstrapEmail || !bootstrapPassword) {
+    logger.warn('No admin users exist. Set ADMIN_BOOTSTRAP_EMAIL and ADMIN_BOOTSTRAP_PASSWORD, or run npm run admin:create');
+    return null;
+  }
+
+  const owner = await createAdminUser({
+    email: bootstrapEmail,
+    password: bootstrapPassword,
+    role: 'owner',
+  });
+
+  logger.info('Bootstrapped owner account', { email: owner.email });
+  return owner;
+}
+
+/**
+ * Checks credentials and starts a session
+ * @param {string} email - Login email
+ * @param {string} password - Plain-text password
+ * @returns {Promise<object>} { success, user, token, expiresAt } or { success: false, error }
+ */
+export async function login(email, password) {
+  const key = String(email || '').trim().toLowerCase();
+  const attempts = failedLogins.get(key);
+
+  if (attempts && attempts.count >= MAX_FAILED_LOGINS && attempts.lockedUntil > Date.now()) {
+    logger.warn('Admin login blocked: too many attempts', { email: key });
+    return { success: false, error: 'Too many failed attempts. Try again in a few minutes.' };
+  }
+
+  const user = getUserWithPasswordByEmail(key);
+  const valid = user ? await verifyPassword(password, user.passwordHash) : false;
+
+  if (!valid) {
+    const count = (attempts?.lockedUntil > Date.now() ? attempts.count : 0) + 1;
+    failedLogins.set(key, { count, lockedUntil: Date.now() + LOCKOUT_MS });
+    logger.warn('Admin login failed', { email: key, attempts: count });
+    return { success: false, error: 'Invalid email or password' };
+  }
+
+  failedLogins.delete(key);
+  deleteExpiredSessions();
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Math.floor(Date.now() / 1000) + config.admin.sessionTtlHours * 3600;
+
+  createSession(hashToken(token), user.id, expiresAt);
+  const loggedIn = updateLastLogin(user.id);
+
+  logger.info('Admin logged in', { userId: user.id, email: user.email, role: user.role });
+
+  return { success: true, user: loggedIn, token, expiresAt };
+}
+
+/**
+ * Ends a session
+ * @param {string} token - Session cookie token
+ */
+export function logout(token) {
+  if (token) {
+    deleteSession(hashToken(token));
+  }
+}
+
+/**
+ * Resolves the user for a session cookie token
+ * @param {string} token - Session cookie token
+ * @returns {object|null} User or null if the session is missing or expired
+ */
+export function getUserForToken(token) {
+  if (!token) return null;
+  return getSessionUser(hashToken(token));
+}
+
+export default {
+  ROLES,
+  createAdminUser,
+  bootstrapOwner,
+  login,
+  logout,
+  getUserForToken,
+};
@@ -1,27 +1,120 @@
 import { DateTime } from 'luxon';
-import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import { getBusyPeriods, createCalendarEvent } from './calendar.service.js';
+import {
+  getBusyPeriods,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+} from './calendar.service.js';
+import {
+  sendCancellationNotifications,
+  sendRescheduleNotifications,
+} from './notification.service.js';
 import {
   generateTimeSlots,
   filterByTimeOfDay,
   filterByDate,
   parseNaturalDate,
 } from '../utils/time-slots.js';
+import { getClosedWindows } from '../utils/closures.js';
 import { getActiveAccount } from '../db/repositories/account.repository.js';
-import { createAppointment as saveAppointment } from '../db/repositories/appointment.repository.js';
+import {
+  createAppointment as saveAppointment,
+  getAppointmentById,
+  getUpcomingAppointmentsByPhone,
+  getBookedAppointmentByCallId,
+  markAppointmentCancelled,
+  updateAppointmentTime,
+} from '../db/repositories/appointment.repository.js';
+import { getBusinessContext, getDefaultBusinessContext } from './business.service.js';
+import { getBusinessClosures, getClosureNotice } from './closure.service.js';
+import { findServiceType } from './service-type.service.js';
+import { getServiceTypeById, getServiceTypes } from '../db/repositories/service-type.repository.js';
+import { recordCallConsent } from './consent.service.js';
+import { scheduleAppointmentMessages } from './reminder.service.js';
+
+// Bookings still waiting on Google Calendar, by call ID, so a retried
+// function call joins the first attempt instead of booking twice
+const pendingBookings = new Map();
+
+/**
+ * Looks up the service type the assistant asked for
+ * @param {object} business - Business context
+ * @param {string} [name] - Service type name (none books a general appointment)
+ * @returns {{ service: object|null, error?: string }} Service type, or why it can't be booked
+ */
+function resolveServiceType(business, name) {
+  if (!name) {
+    return { service: null };
+  }
+
+  const service = findServiceType(business, name);
+
+  if (!service) {
+    const known = business.id ? getServiceTypes(business.id).map(serviceType => serviceType.name) : [];
+    return {
+      service: null,
+      error: known.length > 0
+        ? `I don't know the service "${name}". Use one of: ${known.join(', ')}.`
+        : `I don't know the service "${name}". Leave serviceType out to book a general appointment.`,
+    };
+  }
+
+  if (!service.voiceBookable) {
+    return {
+      service,
+      error: `${service.name} can't be booked over the phone. Take their details and let them know someone will call back to schedule it.`,
+    };
+  }
+
+  return { service };
+}
+
+/**
+ * Checks a proposed time against a service type's allowed days and hours
+ * @param {object|null} service - Service type
+ * @param {DateTime} start - Proposed start
+ * @param {DateTime} end - Proposed end
+ * @returns {boolean} Whether the service can be booked then
+ */
+function fitsServiceType(service, start, end) {
+  if (!service) {
+    return true;
+  }
+
+  return (!service.allowedDays || service.allowedDays.includes(start.weekday))
+    && (!service.earliestStart || start.toFormat('HH:mm') >= service.earliestStart)
+    && (!service.latestEnd || (end.hasSame(start, 'day') && end.toFormat('HH:mm') <= service.latestEnd));
+}
 
 /**
  * Gets available appointment slots
  * @param {object} options - Query options
+ * @param {string} [options.serviceType] - Service type to find slots for (its length, buffers and rules)
+ * @param {object} [options.business] - Business context (defaults to the default business)
  * @returns {Promise<object>} Available slots and metadata
  */
 export async function getAvailableSlots(options = {}) {
-  const { preferredDate, timeOfDay = 'any', daysAhead = 7 } = options;
-  const { timezone } = config.calendar;
+  const {
+    preferredDate,
+    timeOfDay = 'any',
+    daysAhead = 7,
+    serviceType,
+    business = getDefaultBusinessContext(),
+  } = options;
+  const { timezone } = business.calendar;
+
+  const { service, error: serviceError } = resolveServiceType(business, serviceType);
+  if (serviceError) {
+    return {
+      success: false,
+      error: serviceError,
+      slots: [],
+    };
+  }
 
   // Check if we have an active account
-  const activeAccount = getActiveAccount();
+  const activeAccount = getActiveAccount(business.id);
   if (!activeAccount) {
     return {
       success: false,
@@ -37,15 +130,18 @@ export async function getAvailableSlots(options = {}) {
     const endDate = now.plus({ days: daysAhead }).endOf('day').toJSDate();
 
     // Get busy periods from Google Calendar
-    const busyPeriods = await getBusyPeriods(startDate, endDate);
+    const busyPeriods = await getBusyPeriods(startDate, endDate, business);
 
     // Generate available slots
-    let slots = generateTimeSlots(startDate, endDate, busyPeriods);
+    const closures = getBusinessClosures(business);
+    let slots = generateTimeSlots(startDate, endDate, busyPeriods, business.calendar, closures, service);
+    let closedOn = null;
 
     // Filter by preferred date if provided
     if (preferredDate) {
-      const parsedDate = parseNaturalDate(preferredDate);
+      const parsedDate = parseNaturalDate(preferredDate, timezone);
       if (parsedDate) {
+        closedOn = getClosureNotice(business, parsedDate, closures);
         const dateSlots = filterByDate(slots, parsedDate);
         if (dateSlots.length > 0) {
           slots = dateSlots;
@@ -66,10 +162,13 @@ export async function getAvailableSlots(options = {}) {
     const limitedSlots = slots.slice(0, 5);
 
     logger.info('Generated available slots', {
+      businessId: business.id,
       totalSlots: slots.length,
       returnedSlots: limitedSlots.length,
       preferredDate,
       timeOfDay,
+      serviceType: service?.name || null,
+      closedOn: closedOn?.names || null,
     });
 
     // Format for voice response
@@ -78,13 +177,18 @@ export async function getAvailableSlots(options = {}) {
       voiceOption: `Option ${index + 1}: ${slot.displayFull}`,
     }));
 
+    const message = slots.length > 0
+      ? `I have ${limitedSlots.length} available time slots. ${slotsForVoice.map(s => s.voiceOption).join('. ')}`
+      : 'I apologize, but I don\'t see any available appointments in the next week. Would you like me to have someone call you back to schedule?';
+
     return {
       success: true,
       slots: slotsForVoice,
       totalAvailable: slots.length,
-      message: slots.length > 0
-        ? `I have ${limitedSlots.length} available time slots. ${slotsForVoice.map(s => s.voiceOption).join('. ')}`
-        : 'I apologize, but I don\'t see any available appointments in the next week. Would you like me to have someone call you back to schedule?',
+      serviceType: service?.name || null,
+      closedOn,
+      // Lead with the closure so the assistant explains why that day has no times
+      message: closedOn ? `${closedOn.message} ${message}` : message,
     };
   } catch (error) {
     logger.error('Failed to get available slots', error);
@@ -97,11 +201,117 @@ export async function getAvailableSlots(options = {}) {
 }
 
 /**
- * Books an appointment
+ * Checks Google Calendar for anything overlapping a proposed slot
+ * @param {DateTime} start - Proposed start
+ * @param {DateTime} end - Proposed end
+ * @param {object} [ignore] - Interval to ignore, e.g. the appointment being moved
+ * @param {number} [ignore.startTime] - Start timestamp (seconds)
+ * @param {number} [ignore.endTime] - End timestamp (seconds)
+ * @param {object} business - Business context whose calendar to check
+ * @returns {Promise<boolean>} Whether the slot conflicts with a busy period
+ */
+async function hasCalendarConflict(start, end, ignore, business) {
+  const busyPeriods = await getBusyPeriods(
+    start.minus({ minutes: 1 }).toJSDate(),
+    end.plus({ minutes: 1 }).toJSDate(),
+    business
+  );
+
+  return busyPeriods
+    .flatMap(period => {
+      const busy = { start: DateTime.fromISO(period.start), end: DateTime.fromISO(period.end) };
+
+      if (!ignore) {
+        return [busy];
+      }
+
+      // Free/busy merges back-to-back events into one period and doesn't say
+      // which event is which, so cut the appointment's own time out of it and
+      // keep whatever is left on either side
+      const ignoreStart = DateTime.fromSeconds(ignore.startTime);
+      const ignoreEnd = DateTime.fromSeconds(ignore.endTime);
+
+      return [
+        { start: busy.start, end: DateTime.min(busy.end, ignoreStart) },
+        { start: DateTime.max(busy.start, ignoreEnd), end: busy.end },
+      ].filter(part => part.start < part.end);
+    })
+    .some(busy => start < busy.end && end > busy.start);
+}
+
+/**
+ * Finds a closure that overlaps a proposed slot
+ * @param {DateTime} start - Proposed start
+ * @param {DateTime} end - Proposed end
+ * @param {object} business - Business context
+ * @returns {object|null} Notice for the closed day (see getClosureNotice), or null if we're open
+ */
+function findClosureConflict(start, end, business) {
+  const closures = getBusinessClosures(business);
+
+  for (let day = start.startOf('day'); day < end; day = day.plus({ days: 1 })) {
+    const overlaps = getClosedWindows(closures, day)
+      .some(window => start < window.end && end > window.start);
+
+    if (overlaps) {
+      return getClosureNotice(business, day, closures);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Books an appointment. A call can only book one appointment: booking again
+ * with the same callId returns the appointment already booked on that call.
  * @param {object} details - Booking details
+ * @param {object} [details.business] - Business context (defaults to the default business)
  * @returns {Promise<object>} Booking result
  */
 export async function bookAppointment(details) {
+  const { callId } = details;
+
+  if (!callId) {
+    return createBooking(details);
+  }
+
+  if (pendingBookings.has(callId)) {
+    logger.info('Booking already in progress for call', { callId });
+    return pendingBookings.get(callId);
+  }
+
+  const existing = getBookedAppointmentByCallId(callId);
+  if (existing) {
+    const displayTime = formatAppointmentTime(existing);
+
+    logger.info('Duplicate booking refused', { callId, appointmentId: existing.id });
+
+    return {
+      success: true,
+      alreadyBooked: true,
+      appointment: {
+        id: existing.id,
+        eventId: existing.googleEventId,
+        startTime: existing.startTimeISO,
+        endTime: existing.endTimeISO,
+        displayTime,
+      },
+      message: `You're already booked for ${displayTime} on this call.`,
+    };
+  }
+
+  const booking = createBooking(details).finally(() => pendingBookings.delete(callId));
+  pendingBookings.set(callId, booking);
+
+  return booking;
+}
+
+/**
+ * Checks availability, creates the calendar event and saves the appointment
+ * @param {object} details - Booking details
+ * @returns {Promise<object>} Booking result
+ */
+async function createBooking(details) {
   const {
     startTime,
     customerName,
@@ -109,11 +319,21 @@ export async function bookAppointment(details) {
     email,
     address,
     issue,
+    textConsent,
     callId,
+    serviceType,
+    business = getDefaultBusinessContext(),
   } = details;
 
-  const { timezone, appointmentDuration } = config.calendar;
-  const { companyName } = config.business;
+  const { timezone, appointmentDuration } = business.calendar;
+
+  const { service, error: serviceError } = resolveServiceType(business, serviceType);
+  if (serviceError) {
+    return {
+      success: false,
+      error: serviceError,
+    };
+  }
 
   // Validate required fields
   if (!startTime || !customerName || !phoneNumber || !address || !issue) {
@@ -124,7 +344,7 @@ export async function bookAppointment(details) {
   }
 
   // Check if we have an active account
-  const activeAccount = getActiveAccount();
+  const activeAccount = getActiveAccount(business.id);
   if (!activeAccount) {
     return {
       success: false,
@@ -142,21 +362,30 @@ export async function bookAppointment(details) {
       };
     }
 
-    const end = start.plus({ minutes: appointmentDuration });
+    const end = start.plus({ minutes: service ? service.durationMinutes : appointmentDuration });
 
-    // Verify the slot is still available (prevent double-booking)
-    const busyPeriods = await getBusyPeriods(
-      start.minus({ minutes: 1 }).toJSDate(),
-      end.plus({ minutes: 1 }).toJSDate()
-    );
+    if (!fitsServiceType(service, start, end)) {
+      return {
+        success: false,
+        error: `${service.name} can't be booked at that time. Let me check for other available times.`,
+        shouldRetry: true,
+      };
+    }
 
-    const hasConflict = busyPeriods.some(period => {
-      const busyStart = DateTime.fromISO(period.start);
-      const busyEnd = DateTime.fromISO(period.end);
-      return start < busyEnd && end > busyStart;
-    });
+    const closedOn = findClosureConflict(start, end, business);
+    if (closedOn) {
+      return {
+        success: false,
+        error: `${closedOn.message} Let me check for other available times.`,
+        shouldRetry: true,
+      };
+    }
 
-    if (hasConflict) {
+    // Verify the slot is still available (prevent double-booking), keeping
+    // the service's buffers clear too
+    const blockedStart = start.minus({ minutes: service?.bufferBeforeMinutes || 0 });
+    const blockedEnd = end.plus({ minutes: service?.bufferAfterMinutes || 0 });
+    if (await hasCalendarConflict(blockedStart, blockedEnd, null, business)) {
       return {
         success: false,
         error: 'Sorry, that time slot was just taken. Let me check for other available times.',
@@ -165,8 +394,9 @@ export async function bookAppointment(details) {
     }
 
     // Create the calendar event
+    const serviceName = service ? service.name : 'Service Call';
     const eventDescription = `
-Service Call for ${customerName}
+${serviceName} for ${customerName}
 
 Phone: ${phoneNumber}
 ${email ? `Email: ${email}` : ''}
@@ -178,14 +408,14 @@ Booked via AI Assistant
     `.trim();
 
     const event = await createCalendarEvent({
-      summary: `Service Call - ${customerName}`,
+      summary: `${serviceName} - ${customerName}`,
       description: eventDescription,
       startTime: start.toISO(),
       endTime: end.toISO(),
       attendeeEmail: email,
       attendeeName: customerName,
       location: address,
-    });
+    }, business);
 
     // Save to local database
     const appointment = saveAppointment({
@@ -199,12 +429,22 @@ Booked via AI Assistant
       endTime: end.toSeconds(),
       accountEmail: activeAccount.email,
       callId,
+      businessId: business.id,
+      serviceTypeId: service?.id,
+      serviceType: service?.name,
     });
 
+    // Texts the customer a confirmation now and reminders before the visit,
+    // unless they said no to texts
+    recordCallConsent({ phoneNumber, callId, businessId: business.id, granted: textConsent });
+    scheduleAppointmentMessages(appointment);
+
     logger.info('Appointment booked successfully', {
       appointmentId: appointment.id,
+      businessId: business.id,
       eventId: event.eventId,
       customerName,
+      serviceType: appointment.serviceType,
       startTime: start.toISO(),
     });
 
@@ -213,6 +453,7 @@ Booked via AI Assistant
       appointment: {
         id: appointment.id,
         eventId: event.eventId,
+        serviceType: appointment.serviceType,
         startTime: start.toISO(),
         endTime: end.toISO(),
         displayTime: start.toFormat('cccc, LLLL d \'at\' h:mm a'),
@@ -229,25 +470,237 @@ Booked via AI Assistant
 }
 
 /**
- * Cancels an appointment
+ * Formats an appointment start time for the caller, in the business timezone
+ * @param {object} appointment - Appointment from the repository
+ * @param {object} [business] - Business context (looked up from the appointment if omitted)
+ * @returns {string} e.g. "Tuesday, March 5 at 2:00 PM"
+ */
+export function formatAppointmentTime(appointment, business = getBusinessContext(appointment.businessId)) {
+  return DateTime.fromSeconds(appointment.startTime, { zone: business.calendar.timezone })
+    .toFormat('cccc, LLLL d \'at\' h:mm a');
+}
+
+/**
+ * Finds the upcoming appointment a caller is asking about. Only appointments
+ * booked under the caller's own number are considered, so a caller can't act
+ * on someone else's appointment by giving its ID.
+ * @param {object} criteria - Lookup criteria
+ * @param {number|string} [criteria.appointmentId] - Local appointment ID, to pick one of several
+ * @param {string} [criteria.phoneNumber] - Caller's phone number (from caller ID)
+ * @param {object} [criteria.business] - Only appointments for this business
+ * @returns {object} { success: true, appointment } or a voice-ready failure result
+ */
+export function resolveCallerAppointment({ appointmentId, phoneNumber, business }) {
+  let candidates = phoneNumber ? getUpcomingAppointmentsByPhone(phoneNumber, business?.id) : [];
+
+  if (appointmentId) {
+    const id = parseInt(appointmentId, 10);
+    candidates = candidates.filter(apt => apt.id === id);
+  }
+
+  if (candidates.length === 0) {
+    return {
+      success: false,
+      error: 'I couldn\'t find an upcoming appointment for the number you\'re calling from. I\'ll have someone from the office call you back to take care of it.',
+    };
+  }
+
+  if (candidates.length > 1) {
+    const options = candidates.map(apt => ({ id: apt.id, displayTime: formatAppointmentTime(apt) }));
+    return {
+      success: false,
+      needsSelection: true,
+      appointments: options,
+      message: `I see ${options.length} upcoming appointments: ${options.map(o => o.displayTime).join(', and ')}. Which one do you mean?`,
+    };
+  }
+
+  return { success: true, appointment: candidates[0] };
+}
+
+/**
+ * Cancels an appointment: removes the Google Calendar event, marks the
+ * local row cancelled and notifies the owner and customer
  * @param {number} appointmentId - Local appointment ID
+ * @param {object} [options] - Cancellation options
+ * @param {string} [options.reason] - Why the appointment was cancelled
  * @returns {Promise<object>} Cancellation result
  */
-export async function cancelAppointment(appointmentId) {
-  // TODO: Implement cancellation logic
-  // 1. Get appointment from database
-  // 2. Delete Google Calendar event
-  // 3. Update/delete local record
-  // 4. Send cancellation notification
-
-  return {
-    success: false,
-    error: 'Cancellation not implemented yet',
-  };
+export async function cancelAppointment(appointmentId, options = {}) {
+  const { reason } = options;
+
+  const appointment = getAppointmentById(appointmentId);
+  if (!appointment) {
+    return {
+      success: false,
+      error: 'I couldn\'t find that appointment.',
+    };
+  }
+
+  if (appointment.status === 'cancelled') {
+    return {
+      success: false,
+      error: 'That appointment has already been cancelled.',
+    };
+  }
+
+  const business = getBusinessContext(appointment.businessId);
+
+  try {
+    // Remove the calendar event first so the slot frees up; if this fails
+    // the appointment stays booked and the calendar stays consistent
+    if (appointment.googleEventId) {
+      await deleteCalendarEvent(appointment.googleEventId, business);
+    }
+
+    const cancelled = markAppointmentCancelled(appointment.id, reason);
+    if (!cancelled) {
+      return {
+        success: false,
+        error: 'That appointment has already been cancelled.',
+      };
+    }
+
+    const displayTime = formatAppointmentTime(cancelled, business);
+
+    // Don't make the caller wait on SMS/email delivery
+    sendCancellationNotifications({ ...cancelled, displayTime }, business).catch(error => {
+      logger.error('Failed to send cancellation notifications', error);
+    });
+
+    logger.info('Appointment cancellation complete', {
+      appointmentId: cancelled.id,
+      eventId: cancelled.googleEventId,
+      reason,
+    });
+
+    return {
+      success: true,
+      appointment: {
+        id: cancelled.id,
+        status: cancelled.status,
+        displayTime,
+      },
+      message: `Your appointment on ${displayTime} has been cancelled.`,
+    };
+  } catch (error) {
+    logger.error('Failed to cancel appointment', error);
+    return {
+      success: false,
+      error: 'I had trouble cancelling that appointment. I\'ll make sure someone from the office calls you back to take care of it.',
+    };
+  }
+}
+
+/**
+ * Moves a booked appointment to a new time: re-checks availability,
+ * patches the Google Calendar event and local row, and notifies the owner
+ * @param {number} appointmentId - Local appointment ID
+ * @param {string} newStartTime - New start time in ISO 8601 (business timezone if no offset)
+ * @returns {Promise<object>} Reschedule result
+ */
+export async function rescheduleAppointment(appointmentId, newStartTime) {
+  const appointment = getAppointmentById(appointmentId);
+  if (!appointment || appointment.status !== 'booked') {
+    return {
+      success: false,
+      error: 'I couldn\'t find that appointment.',
+    };
+  }
+
+  const business = getBusinessContext(appointment.businessId);
+  const { timezone } = business.calendar;
+  const service = appointment.serviceTypeId ? getServiceTypeById(appointment.serviceTypeId) : null;
+
+  const start = DateTime.fromISO(newStartTime || '', { zone: timezone });
+  if (!start.isValid || start < DateTime.now()) {
+    return {
+      success: false,
+      error: 'Invalid appointment time. Please try again.',
+    };
+  }
+
+  // Keeps the length it was booked with, even if the service type changed since
+  const end = start.plus({ seconds: appointment.endTime - appointment.startTime });
+  const previousDisplayTime = formatAppointmentTime(appointment, business);
+
+  if (!fitsServiceType(service, start, end)) {
+    return {
+      success: false,
+      error: `${service.name} can't be booked at that time. Let me check for other available times.`,
+      shouldRetry: true,
+    };
+  }
+
+  const closedOn = findClosureConflict(start, end, business);
+  if (closedOn) {
+    return {
+      success: false,
+      error: `${closedOn.message} Let me check for other available times.`,
+      shouldRetry: true,
+    };
+  }
+
+  try {
+    const blockedStart = start.minus({ minutes: service?.bufferBeforeMinutes || 0 });
+    const blockedEnd = end.plus({ minutes: service?.bufferAfterMinutes || 0 });
+    if (await hasCalendarConflict(blockedStart, blockedEnd, appointment, business)) {
+      return {
+        success: false,
+        error: 'Sorry, that time slot was just taken. Let me check for other available times.',
+        shouldRetry: true,
+      };
+    }
+
+    if (appointment.googleEventId) {
+      await updateCalendarEvent(appointment.googleEventId, {
+        start: { dateTime: start.toISO(), timeZone: timezone },
+        end: { dateTime: end.toISO(), timeZone: timezone },
+      }, { sendUpdates: appointment.email ? 'all' : 'none', business });
+    }
+
+    const updated = updateAppointmentTime(appointment.id, start.toSeconds(), end.toSeconds());
+    const displayTime = formatAppointmentTime(updated, business);
+
+    scheduleAppointmentMessages(updated, { confirm: false });
+
+    sendRescheduleNotifications({ ...updated, displayTime, previousDisplayTime }, business).catch(error => {
+      logger.error('Failed to send reschedule notifications', error);
+    });
+
+    logger.info('Appointment rescheduled', {
+      appointmentId: updated.id,
+      eventId: updated.googleEventId,
+      from: appointment.startTimeISO,
+      to: start.toISO(),
+    });
+
+    return {
+      success: true,
+      appointment: {
+        id: updated.id,
+        eventId: updated.googleEventId,
+        startTime: start.toISO(),
+        endTime: end.toISO(),
+        displayTime,
+        previousDisplayTime,
+      },
+      message: `Your appointment has been moved from ${previousDisplayTime} to ${displayTime}.`,
+    };
+  } catch (error) {
+    logger.error('Failed to reschedule appointment', error);
+    return {
+      success: false,
+      error: 'I had trouble moving that appointment. Your original time is still booked, and someone from the office will call you back.',
+    };
+  }
 }
 
 export default {
   getAvailableSlots,
   bookAppointment,
+  formatAppointmentTime,
+  resolveCallerAppointment,
   cancelAppointment,
+  rescheduleAppointment,
 };
@@ -0,0 +1,329 @@
+import { DateTime, Info } from 'luxon';
+import { getClosedWindows, isAllDay } from '../utils/closures.js';
+import {
+  findOverlappingInterval,
+  getOpenIntervals,
+  getRegularSchedule,
+  getScheduleOn,
+} from '../utils/weekly-hours.js';
+import { getBusinessClosures } from './closure.service.js';
+
+// How far ahead to look for the next opening before giving up
+const MAX_DAYS_AHEAD = 366;
+
+// How far ahead the assistant is told about seasonal hours
+const SEASONAL_DAYS_AHEAD = 60;
+
+// Open periods allowed per day, e.g. a morning and an afternoon shift
+const MAX_INTERVALS_PER_DAY = 4;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Gets when a business is open on a day: its weekly hours for that day
+ * with any closures taken out
+ * @param {object} business - Business context
+ * @param {DateTime} date - Day, in the business timezone
+ * @param {object[]} closures - The business's closures
+ * @returns {{ intervals: { start: DateTime, end: DateTime }[], closed: object[] }}
+ *   Open periods, and the closure windows that cut into them
+ */
+function getDayHours(business, date, closures) {
+  const day = date.startOf('day');
+  const closed = getClosedWindows(closures, day);
+  let intervals = getOpenIntervals(business.calendar, day);
+
+  for (const window of closed) {
+    intervals = intervals.flatMap(({ start, end }) => [
+      { start, end: DateTime.min(end, window.start) },
+      { start: DateTime.max(start, window.end), end },
+    ]).filter(({ start, end }) => start < end);
+  }
+
+  return { intervals, closed };
+}
+
+/**
+ * Checks whether a business is open at a moment
+ * @param {object} business - Business context
+ * @param {DateTime} [at] - Moment to check (defaults to now)
+ * @param {object[]} [closures] - Closures to respect (defaults to the business's)
+ * @returns {boolean} Whether it is within business hours and not closed
+ */
+export function isOpenAt(business, at = DateTime.now(), closures = getBusinessClosures(business)) {
+  const local = at.setZone(business.calendar.timezone);
+  return getDayHours(business, local, closures).intervals
+    .some(({ start, end }) => local >= start && local < end);
+}
+
+/**
+ * Finds the next time a business opens after a moment, skipping closures.
+ * When it is open at that moment, this is the following opening.
+ * @param {object} business - Business context
+ * @param {DateTime} [at] - Moment to look from (defaults to now)
+ * @param {object[]} [closures] - Closures to respect (defaults to the business's)
+ * @returns {DateTime|null} Next opening in the business timezone, or null if it never opens
+ */
+export function getNextOpening(business, at = DateTime.now(), closures = getBusinessClosures(business)) {
+  const local = at.setZone(business.calendar.timezone);
+
+  for (let days = 0; days <= MAX_DAYS_AHEAD; days++) {
+    const opening = getDayHours(business, local.plus({ days }), closures).intervals
+      .find(({ start }) => start > local);
+
+    if (opening) {
+      return opening.start;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Says when an opening is, relative to now, the way the assistant would
+ * @param {DateTime} opening - Opening time in the business timezone
+ * @param {DateTime} [at] - Moment to describe it from (defaults to now)
+ * @returns {string} e.g. "tomorrow at 9:00 AM", "Monday at 8:30 AM"
+ */
+export function describeOpening(opening, at = DateTime.now()) {
+  const local = at.setZone(opening.zone);
+  const days = Math.round(opening.startOf('day').diff(local.startOf('day'), 'days').days);
+  const time = opening.toFormat('h:mm a');
+
+  if (days === 0) {
+    return `today at ${time}`;
+  }
+  if (days === 1) {
+    return `tomorrow at ${time}`;
+  }
+  if (days < 7) {
+    return `${opening.toFormat('cccc')} at ${time}`;
+  }
+  return opening.toFormat('cccc, LLLL d \'at\' h:mm a');
+}
+
+/**
+ * Joins parts of a list the way they're said, e.g. "A, B and C"
+ * @param {string[]} parts - Parts
+ * @returns {string}
+ */
+function joinList(parts) {
+  return parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts[0];
+}
+
+/**
+ * Describes a week of opening hours, grouping days with the same hours
+ * @param {object} schedule - Schedule with intervals
+ * @returns {string} e.g. "Monday to Friday, 7:00 AM to 12:00 PM and 1:00 PM to 6:00 PM; Saturday, 8:00 AM to 12:00 PM"
+ */
+export function describeSchedule(schedule) {
+  const names = Info.weekdays('long');
+  const format = value => DateTime.fromFormat(value, 'HH:mm').toFormat('h:mm a');
+  const byHours = new Map();
+
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    const periods = schedule.intervals
+      .filter(interval => interval.weekday === weekday)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(interval => `${format(interval.startTime)} to ${format(interval.endTime)}`);
+
+    if (periods.length > 0) {
+      const hours = joinList(periods);
+      byHours.set(hours, [...(byHours.get(hours) || []), weekday]);
+    }
+  }
+
+  if (byHours.size === 0) {
+    return 'closed every day';
+  }
+
+  return [...byHours].map(([hours, days]) => {
+    // Runs of consecutive days read as "Monday to Friday"
+    const runs = [];
+    for (const day of days) {
+      const run = runs[runs.length - 1];
+      if (run && day === run[run.length - 1] + 1) {
+        run.push(day);
+      } else {
+        runs.push([day]);
+      }
+    }
+
+    const parts = runs.flatMap(run => (run.length >= 3
+      ? [`${names[run[0] - 1]} to ${names[run[run.length - 1] - 1]}`]
+      : run.map(day => names[day - 1])));
+
+    return `${joinList(parts)}, ${hours}`;
+  }).join('; ');
+}
+
+/**
+ * Describes the weekly hours that apply on a day (seasonal hours if any
+ * cover it, otherwise the regular hours)
+ * @param {object} business - Business context
+ * @param {DateTime} [at] - Day to describe (defaults to today)
+ * @returns {string} e.g. "Monday to Friday, 9:00 AM to 5:00 PM"
+ */
+export function describeWeeklyHours(business, at = DateTime.now()) {
+  return describeSchedule(getScheduleOn(business.calendar, at.setZone(business.calendar.timezone)));
+}
+
+/**
+ * Lists seasonal hours in effect now or starting soon
+ * @param {object} business - Business context
+ * @param {DateTime} [at] - Moment to look from (defaults to now)
+ * @returns {{ name: string, startsOn: string, endsOn: string, message: string }[]} Seasonal hours, earliest first
+ */
+export function getSeasonalHours(business, at = DateTime.now()) {
+  const today = at.setZone(business.calendar.timezone).startOf('day');
+  const from = today.toFormat('yyyy-MM-dd');
+  const until = today.plus({ days: SEASONAL_DAYS_AHEAD }).toFormat('yyyy-MM-dd');
+  const format = value => DateTime.fromISO(value).toFormat('LLLL d');
+
+  return (business.calendar.hours || [])
+    .filter(schedule => schedule.startsOn && schedule.endsOn >= from && schedule.startsOn <= until)
+    .map(schedule => ({
+      name: schedule.name,
+      startsOn: schedule.startsOn,
+      endsOn: schedule.endsOn,
+      message: `${schedule.name}, ${format(schedule.startsOn)} to ${format(schedule.endsOn)}: ${describeSchedule(schedule)}`,
+    }));
+}
+
+/**
+ * Checks that an hours schedule makes sense before it is saved
+ * @param {object} schedule - Schedule with name, startsOn, endsOn and intervals
+ * @param {object[]} others - The business's other schedules
+ * @returns {string|null} Problem with the schedule, or null if it's valid
+ */
+export function validateHoursSchedule(schedule, others) {
+  if (!schedule.name) {
+    return 'name is required';
+  }
+
+  if (schedule.name.length > 100) {
+    return 'name must be 100 characters or fewer';
+  }
+
+  if (Boolean(schedule.startsOn) !== Boolean(schedule.endsOn)) {
+    return 'Give both startsOn and endsOn for seasonal hours, or neither for regular hours';
+  }
+
+  if (schedule.startsOn) {
+    const start = DateTime.fromFormat(schedule.startsOn, 'yyyy-MM-dd');
+    const end = DateTime.fromFormat(schedule.endsOn, 'yyyy-MM-dd');
+
+    if (!start.isValid || !end.isValid) {
+      return 'startsOn and endsOn must be dates (YYYY-MM-DD)';
+    }
+
+    if (end < start) {
+      return 'endsOn must be on or after startsOn';
+    }
+
+    const clash = others.find(other => other.startsOn
+      && other.startsOn <= schedule.endsOn && other.endsOn >= schedule.startsOn);
+
+    if (clash) {
+      return `Those dates overlap ${clash.name} (${clash.startsOn} to ${clash.endsOn})`;
+    }
+  } else if (others.some(other => !other.startsOn)) {
+    return 'Regular hours are already set up; edit them instead';
+  }
+
+  if (!Array.isArray(schedule.intervals)) {
+    return 'intervals must be a list of open periods';
+  }
+
+  for (const interval of schedule.intervals) {
+    if (!Number.isInteger(interval.weekday) || interval.weekday < 1 || interval.weekday > 7) {
+      return 'weekday must be a number from 1 (Monday) to 7 (Sunday)';
+    }
+
+    if (!TIME_PATTERN.test(interval.startTime) || !TIME_PATTERN.test(interval.endTime)) {
+      return 'startTime and endTime must be in HH:MM format';
+    }
+
+    if (interval.endTime <= interval.startTime) {
+      return 'Each open period must end after it starts';
+    }
+  }
+
+  const overlap = findOverlappingInterval(schedule.intervals);
+
+  if (overlap) {
+    return `Open periods overlap on ${Info.weekdays('long')[overlap.weekday - 1]}`;
+  }
+
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    if (schedule.intervals.filter(interval => interval.weekday === weekday).length > MAX_INTERVALS_PER_DAY) {
+      return `A day can have at most ${MAX_INTERVALS_PER_DAY} open periods`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Works out whether a business is open and when that changes, for the
+ * assistant and for deciding how urgently to notify staff
+ * @param {object} business - Business context
+ * @param {DateTime} [at] - Moment to check (defaults to now)
+ * @returns {{ isOpen: boolean, closedFor: string|null, closedAllDay: boolean, closesAt: DateTime|null, nextOpening: DateTime|null,
+ *   nextOpeningText: string|null, description: string, weeklyHours: string, regularHours: string,
+ *   seasonalHours: object[] }}
+ */
+export function getOpenStatus(business, at = DateTime.now()) {
+  const closures = getBusinessClosures(business);
+  const local = at.setZone(business.calendar.timezone);
+  const today = getDayHours(business, local, closures);
+  const current = today.intervals.find(({ start, end }) => local >= start && local < end);
+  const nextOpening = getNextOpening(business, local, closures);
+  const nextOpeningText = nextOpening ? describeOpening(nextOpening, local) : null;
+  const weeklyHours = describeWeeklyHours(business, local);
+
+  // Closures covering now, e.g. a holiday or a staff meeting
+  const closedFor = [...new Set(today.closed
+    .filter(({ start, end }) => local >= start && local < end)
+    .map(({ closure }) => closure.name))].join(' and ') || null;
+
+  let description;
+  if (current) {
+    description = `open until ${current.end.toFormat('h:mm a')} today`;
+
+    // e.g. closing for lunch
+    if (nextOpening && nextOpening.hasSame(local, 'day')) {
+      description += `, then again from ${nextOpening.toFormat('h:mm a')}`;
+    }
+  } else if (nextOpening) {
+    description = `closed${closedFor ? ` for ${closedFor}` : ''}, opening ${nextOpeningText}`;
+  } else {
+    description = 'closed';
+  }
+
+  return {
+    isOpen: Boolean(current),
+    closedFor: current ? null : closedFor,
+    closedAllDay: today.closed.some(({ closure }) => isAllDay(closure)),
+    closesAt: current ? current.end : null,
+    nextOpening,
+    nextOpeningText,
+    description,
+    weeklyHours,
+    regularHours: describeSchedule(getRegularSchedule(business.calendar)),
+    seasonalHours: getSeasonalHours(business, local),
+  };
+}
+
+export default {
+  isOpenAt,
+  getNextOpening,
+  describeOpening,
+  describeSchedule,
+  describeWeeklyHours,
+  getSeasonalHours,
+  validateHoursSchedule,
+  getOpenStatus,
+};
@@ -0,0 +1,99 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { toE164 } from '../utils/phone.js';
+import {
+  getBusinessById,
+  getBusinessByPhoneNumber,
+  getDefaultBusiness,
+} from '../db/repositories/business.repository.js';
+import { getHoursSchedules } from '../db/repositories/hours.repository.js';
+
+/**
+ * Builds the business context used by booking, calendar, prompt and
+ * notification code. Calendar settings the business hasn't set come from
+ * the environment config. The name, owner contacts and holidays in the
+ * environment belong to the default business only, so another business
+ * never sends its leads to the default owner.
+ * @param {object|null} business - Business from the repository
+ * @returns {object} Business context
+ */
+export function toBusinessContext(business) {
+  const row = business || {};
+  const isDefault = !business || business.isDefault;
+
+  return {
+    id: row.id || null,
+    companyName: row.name || (isDefault ? config.business.companyName : null),
+    phoneNumber: row.phoneNumber || null,
+    ownerPhone: row.ownerPhone || (isDefault ? config.notifications.ownerPhone : null),
+    ownerEmail: row.ownerEmail || (isDefault ? config.notifications.ownerEmail : null),
+    // Same shape as config.calendar so it can be passed where that was used
+    calendar: {
+      appointmentDuration: row.appointmentDuration || config.calendar.appointmentDuration,
+      businessHoursStart: row.businessHoursStart || config.calendar.businessHoursStart,
+      businessHoursEnd: row.businessHoursEnd || config.calendar.businessHoursEnd,
+      businessDays: row.businessDays
+        ? row.businessDays.split(',').map(d => parseInt(d, 10))
+        : config.calendar.businessDays,
+      timezone: row.timezone || config.calendar.timezone,
+      holidays: isDefault ? config.calendar.holidays : [],
+      // Weekly hours set up in the admin panel; without regular hours the
+      // single window above is used
+      hours: row.id ? getHoursSchedules(row.id) : [],
+    },
+  };
+}
+
+/**
+ * Gets the context for the default business
+ * @returns {object} Business context
+ */
+export function getDefaultBusinessContext() {
+  return toBusinessContext(getDefaultBusiness());
+}
+
+/**
+ * Gets the context for a business by ID, falling back to the default business
+ * @param {number|null} businessId - Business ID
+ * @returns {object} Business context
+ */
+export function getBusinessContext(businessId) {
+  const business = businessId ? getBusinessById(businessId) : null;
+  return business ? toBusinessContext(business) : getDefaultBusinessContext();
+}
+
+/**
+ * Resolves which business a Vapi call belongs to from the number the caller
+ * dialed, falling back to the default business
+ * @param {object} call - Vapi call object
+ * @returns {object} Business context
+ */
+export function resolveBusinessForCall(call) {
+  const dialed = toE164(call?.phoneNumber?.number);
+  const business = dialed ? getBusinessByPhoneNumber(dialed) : null;
+
+  if (!business && dialed) {
+    logger.debug('No business for dialed number, using default', { dialed, callId: call?.id });
+  }
+
+  return business ? toBusinessContext(business) : getDefaultBusinessContext();
+}
+
+/**
+ * Checks whether an admin user may manage a business. Users without a
+ * business are platform admins and may manage every business.
+ * @param {object} user - Admin user
+ * @param {number|null} businessId - Business ID
+ * @returns {boolean} Whether the user may manage the business
+ */
+export function canManageBusiness(user, businessId) {
+  return !user.businessId || user.businessId === businessId;
+}
+
+export default {
+  toBusinessContext,
+  getDefaultBusinessContext,
+  getBusinessContext,
+  resolveBusinessForCall,
+  canManageBusiness,
+};
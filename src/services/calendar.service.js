@@ -8,10 +8,11 @@ import logger from '../utils/logger.js';
  * Gets the busy periods from Google Calendar for a date range
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {object} [business] - Business context whose calendar to check
  * @returns {Promise<object[]>} Array of busy periods
  */
-export async function getBusyPeriods(startDate, endDate) {
-  const account = getActiveAccount();
+export async function getBusyPeriods(startDate, endDate, business = null) {
+  const account = getActiveAccount(business?.id);
 
   if (!account) {
     logger.warn('No active Google account for calendar check');
@@ -49,10 +50,11 @@ export async function getBusyPeriods(startDate, endDate) {
 /**
  * Creates a calendar event
  * @param {object} eventDetails - Event details
+ * @param {object} [business] - Business context whose calendar to use
  * @returns {Promise<object>} Created event
  */
-export async function createCalendarEvent(eventDetails) {
-  const account = getActiveAccount();
+export async function createCalendarEvent(eventDetails, business = null) {
+  const account = getActiveAccount(business?.id);
 
   if (!account) {
     throw new Error('No active Google Calendar account. Please connect one in the admin panel.');
@@ -70,7 +72,7 @@ export async function createCalendarEvent(eventDetails) {
 
   try {
     const calendar = await getCalendarClient(account);
-    const { timezone } = config.calendar;
+    const { timezone } = business?.calendar || config.calendar;
 
     const event = {
       summary: summary || `Appointment with ${attendeeName}`,
@@ -122,10 +124,15 @@ export async function createCalendarEvent(eventDetails) {
  * Updates a calendar event
  * @param {string} eventId - Google Calendar event ID
  * @param {object} updates - Event updates
+ * @param {object} [options] - Patch options
+ * @param {string} [options.sendUpdates='none'] - Whether Google emails attendees ('all' or 'none')
+ * @param {object} [options.business] - Business context whose calendar to use
  * @returns {Promise<object>} Updated event
  */
-export async function updateCalendarEvent(eventId, updates) {
-  const account = getActiveAccount();
+export async function updateCalendarEvent(eventId, updates, options = {}) {
+  const { sendUpdates = 'none', business = null } = options;
+
+  const account = getActiveAccount(business?.id);
 
   if (!account) {
     throw new Error('No active Google Calendar account');
@@ -138,6 +145,7 @@ export async function updateCalendarEvent(eventId, updates) {
       calendarId: account.calendarId || 'primary',
       eventId,
       requestBody: updates,
+      sendUpdates,
     });
 
     logger.info('Calendar event updated', { eventId });
@@ -152,10 +160,11 @@ export async function updateCalendarEvent(eventId, updates) {
 /**
  * Deletes a calendar event
  * @param {string} eventId - Google Calendar event ID
+ * @param {object} [business] - Business context whose calendar to use
  * @returns {Promise<boolean>} Success status
  */
-export async function deleteCalendarEvent(eventId) {
-  const account = getActiveAccount();
+export async function deleteCalendarEvent(eventId, business = null) {
+  const account = getActiveAccount(business?.id);
 
   if (!account) {
     throw new Error('No active Google Calendar account');
@@ -173,6 +182,13 @@ export async function deleteCalendarEvent(eventId) {
 
     return true;
   } catch (error) {
+    // Already removed from the calendar (e.g. by the owner) - nothing left to do
+    const status = error.response?.status || error.code;
+    if (status === 404 || status === 410) {
+      logger.warn('Calendar event already deleted', { eventId });
+      return true;
+    }
+
     logger.error('Failed to delete calendar event', error);
     throw new Error('Failed to delete calendar event');
   }
@@ -181,10 +197,11 @@ export async function deleteCalendarEvent(eventId) {
 /**
  * Gets upcoming events from the calendar
  * @param {number} maxResults - Maximum number of events to return
+ * @param {object} [business] - Business context whose calendar to read
  * @returns {Promise<object[]>} Array of events
  */
-export async function getUpcomingEvents(maxResults = 10) {
-  const account = getActiveAccount();
+export async function getUpcomingEvents(maxResults = 10, business = null) {
+  const account = getActiveAccount(business?.id);
 
   if (!account) {
     return [];
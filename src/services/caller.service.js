@@ -0,0 +1,109 @@
+import { DateTime } from 'luxon';
+import logger from '../utils/logger.js';
+import { getAppointmentsByPhone } from '../db/repositories/appointment.repository.js';
+import { getLeadsByPhone } from '../db/repositories/lead.repository.js';
+import { getDefaultBusinessContext } from './business.service.js';
+
+/**
+ * Looks up a caller's history so the assistant can recognize returning customers
+ * @param {string} phoneNumber - Caller's phone number
+ * @param {object} [business] - Only history with this business counts
+ * @returns {object} Caller profile for the assistant
+ */
+export function lookupCaller(phoneNumber, business = getDefaultBusinessContext()) {
+  const { timezone } = business.calendar;
+
+  if (!phoneNumber) {
+    return {
+      found: false,
+      message: 'No caller ID available. Treat this as a new caller.',
+    };
+  }
+
+  const appointments = getAppointmentsByPhone(phoneNumber, { businessId: business.id });
+  const leads = getLeadsByPhone(phoneNumber, { businessId: business.id });
+
+  if (appointments.length === 0 && leads.length === 0) {
+    logger.info('Caller lookup: new caller', { phoneNumber });
+    return {
+      found: false,
+      message: 'This is a new caller with no history.',
+    };
+  }
+
+  // Merge both histories, most recently recorded first, so the latest name/address wins
+  const history = [
+    ...appointments.map(apt => ({
+      callerName: apt.callerName,
+      serviceAddress: apt.serviceAddress,
+      issue: apt.issueDescription,
+      at: Math.floor(new Date(apt.createdAt).getTime() / 1000),
+    })),
+    ...leads.map(lead => ({
+      callerName: lead.callerName,
+      serviceAddress: lead.serviceAddress,
+      issue: lead.issueDescription,
+      at: Math.floor(new Date(lead.createdAt).getTime() / 1000),
+    })),
+  ].sort((a, b) => b.at - a.at);
+
+  const callerName = history.find(entry => entry.callerName)?.callerName || null;
+  const serviceAddress = history.find(entry => entry.serviceAddress)?.serviceAddress || null;
+
+  const seenIssues = new Set();
+  const pastIssues = history
+    .filter(entry => entry.issue)
+    .filter(entry => {
+      const key = entry.issue.toLowerCase();
+      if (seenIssues.has(key)) return false;
+      seenIssues.add(key);
+      return true;
+    })
+    .slice(0, 3)
+    .map(entry => ({
+      issue: entry.issue,
+      date: DateTime.fromSeconds(entry.at, { zone: timezone }).toFormat('LLLL d, yyyy'),
+    }));
+
+  const now = Math.floor(Date.now() / 1000);
+  const upcomingAppointments = appointments
+    .filter(apt => apt.status === 'booked' && apt.startTime > now)
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(apt => ({
+      id: apt.id,
+      displayTime: DateTime.fromSeconds(apt.startTime, { zone: timezone }).toFormat('cccc, LLLL d \'at\' h:mm a'),
+      serviceAddress: apt.serviceAddress,
+      issue: apt.issueDescription,
+      serviceType: apt.serviceType,
+    }));
+
+  logger.info('Caller lookup: returning caller', {
+    phoneNumber,
+    appointments: appointments.length,
+    leads: leads.length,
+    upcoming: upcomingAppointments.length,
+  });
+
+  let message = callerName
+    ? `Returning caller: ${callerName}.`
+    : 'Returning caller (name not on file).';
+  if (serviceAddress) {
+    message += ` Address on file: ${serviceAddress}. Confirm it is still the service address.`;
+  }
+  if (upcomingAppointments.length > 0) {
+    message += ` They already have an upcoming appointment on ${upcomingAppointments[0].displayTime}.`;
+  }
+
+  return {
+    found: true,
+    callerName,
+    serviceAddress,
+    pastIssues,
+    upcomingAppointments,
+    message,
+  };
+}
+
+export default {
+  lookupCaller,
+};
@@ -0,0 +1,50 @@
+import { appendFile } from 'fs/promises';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Console/file channel for development and auditing. Appends to
+ * NOTIFICATION_LOG_FILE when set, otherwise writes to the log.
+ */
+export const consoleChannel = {
+  name: 'console',
+  contentType: 'text',
+
+  /**
+   * @returns {boolean} Always available
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * @returns {string} The log file path, or 'console'
+   */
+  getRecipient() {
+    return config.notifications.logFile || 'console';
+  },
+
+  /**
+   * Writes the notification text
+   * @param {object} message - Outbox message
+   * @param {object} [logMetadata] - Extra fields for the delivery log
+   * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+   */
+  async send(message, logMetadata = {}) {
+    if (message.recipient === 'console') {
+      logger.info('Notification', { ...logMetadata, body: message.body });
+      return { success: true };
+    }
+
+    try {
+      const entry = `--- ${new Date().toISOString()} ${message.kind} ---\n${message.body}\n\n`;
+      await appendFile(message.recipient, entry);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to write notification to file', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default consoleChannel;
@@ -0,0 +1,75 @@
+import { Resend } from 'resend';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Lazy-initialized client (initialized on first use)
+let resend = null;
+
+/**
+ * Gets or creates the Resend client. The SDK sends to RESEND_BASE_URL when
+ * it is set (e.g. a local stub).
+ * @returns {Resend} Resend client
+ */
+function getResendClient() {
+  if (!resend) {
+    resend = new Resend(config.resend.apiKey);
+  }
+  return resend;
+}
+
+/**
+ * Resend email channel
+ */
+export const emailChannel = {
+  name: 'email',
+  contentType: 'email',
+
+  /**
+   * @returns {boolean} Whether a Resend API key is set
+   */
+  isConfigured() {
+    return Boolean(config.resend.apiKey);
+  },
+
+  /**
+   * @param {object} business - Business context
+   * @returns {string|null} The owner's email address
+   */
+  getRecipient(business) {
+    return business.ownerEmail || null;
+  },
+
+  /**
+   * Sends an email through Resend
+   * @param {object} message - Outbox message
+   * @param {object} [logMetadata] - Extra fields for the delivery log
+   * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+   */
+  async send(message, logMetadata = {}) {
+    const companyName = message.senderName || config.business.companyName;
+
+    try {
+      const { data, error } = await getResendClient().emails.send({
+        from: `${companyName} <leads@${companyName.toLowerCase().replace(/\s+/g, '')}.com>`,
+        to: message.recipient,
+        subject: message.subject,
+        text: message.body,
+        html: message.html,
+      });
+
+      // Resend reports API errors in the response instead of throwing
+      if (error) {
+        throw new Error(error.message || error.name || 'Resend rejected the email');
+      }
+
+      logger.info('Email sent successfully', { messageId: data?.id, to: message.recipient, ...logMetadata });
+
+      return { success: true, messageId: data?.id };
+    } catch (error) {
+      logger.error('Failed to send email', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default emailChannel;
@@ -0,0 +1,64 @@
+import config from '../../config/index.js';
+import smsChannel from './sms.channel.js';
+import emailChannel from './email.channel.js';
+import webhookChannel from './webhook.channel.js';
+import slackChannel from './slack.channel.js';
+import consoleChannel from './console.channel.js';
+
+/**
+ * Notification channels by name. A channel is an object with:
+ * - name: unique name used in the NOTIFY_*_CHANNELS settings
+ * - contentType: 'text', 'email' or 'json' - which formatting it needs
+ * - isConfigured(): whether it has the settings it needs
+ * - getRecipient(business, onCall): where messages for a business go; onCall
+ *   is the technician on call right now, if any
+ * - send(message, logMetadata): delivers an outbox message
+ */
+const channels = new Map();
+
+/**
+ * Registers a notification channel
+ * @param {object} channel - Channel implementation
+ */
+export function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+/**
+ * Gets a channel by name
+ * @param {string} name - Channel name
+ * @returns {object|null} Channel or null
+ */
+export function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+/**
+ * Gets every registered channel
+ * @returns {object[]} Channels
+ */
+export function getChannels() {
+  return [...channels.values()];
+}
+
+/**
+ * Gets the configured channels that should receive a lead type
+ * @param {string} leadType - 'emergency', 'booked' or 'normal'
+ * @returns {object[]} Channels
+ */
+export function getChannelsForLeadType(leadType) {
+  const names = config.notifications.channels[leadType] || [];
+
+  return names
+    .map(getChannel)
+    .filter(channel => channel && channel.isConfigured());
+}
+
+[smsChannel, emailChannel, webhookChannel, slackChannel, consoleChannel].forEach(registerChannel);
+
+export default {
+  registerChannel,
+  getChannel,
+  getChannels,
+  getChannelsForLeadType,
+};
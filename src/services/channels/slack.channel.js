@@ -0,0 +1,67 @@
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Escapes the characters Slack reads as markup, so caller details can't
+ * turn into links or @channel mentions
+ * @param {string} text - Message text
+ * @returns {string} Escaped text
+ */
+function escapeSlackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming webhook channel. The webhook URL is a secret, so it is
+ * read from config at send time rather than stored with the message.
+ */
+export const slackChannel = {
+  name: 'slack',
+  contentType: 'text',
+
+  /**
+   * @returns {boolean} Whether a Slack webhook URL is set
+   */
+  isConfigured() {
+    return Boolean(config.notifications.slackWebhookUrl);
+  },
+
+  /**
+   * @returns {string} Label shown as the recipient
+   */
+  getRecipient() {
+    return 'slack';
+  },
+
+  /**
+   * Posts the notification text to Slack
+   * @param {object} message - Outbox message
+   * @param {object} [logMetadata] - Extra fields for the delivery log
+   * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+   */
+  async send(message, logMetadata = {}) {
+    try {
+      const response = await fetch(config.notifications.slackWebhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: escapeSlackText(message.body) }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Slack responded with ${response.status}: ${await response.text()}`);
+      }
+
+      logger.info('Slack notification sent', logMetadata);
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to send Slack notification', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default slackChannel;
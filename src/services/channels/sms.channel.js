@@ -0,0 +1,83 @@
+import twilio from 'twilio';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Lazy-initialized client (initialized on first use)
+let twilioClient = null;
+
+/**
+ * Gets or creates the Twilio client. With TWILIO_API_BASE_URL set, requests
+ * go to that server instead of api.twilio.com (e.g. a local stub).
+ * @returns {object} Twilio client
+ */
+function getTwilioClient() {
+  if (!twilioClient) {
+    const options = {};
+
+    if (config.twilio.apiBaseUrl) {
+      const requestClient = new twilio.RequestClient();
+      const base = new URL(config.twilio.apiBaseUrl);
+
+      options.httpClient = {
+        request: opts => {
+          const uri = new URL(opts.uri);
+          uri.protocol = base.protocol;
+          uri.host = base.host;
+          return requestClient.request({ ...opts, uri: uri.href });
+        },
+      };
+    }
+
+    twilioClient = twilio(config.twilio.accountSid, config.twilio.authToken, options);
+  }
+  return twilioClient;
+}
+
+/**
+ * Twilio SMS channel
+ */
+export const smsChannel = {
+  name: 'sms',
+  contentType: 'text',
+
+  /**
+   * @returns {boolean} Whether Twilio credentials are set
+   */
+  isConfigured() {
+    return Boolean(config.twilio.accountSid && config.twilio.authToken && config.twilio.phoneNumber);
+  },
+
+  /**
+   * @param {object} business - Business context
+   * @param {object|null} [onCall] - Technician on call right now
+   * @returns {string|null} The on-call technician's phone, else the owner's
+   */
+  getRecipient(business, onCall = null) {
+    return onCall?.phone || business.ownerPhone || null;
+  },
+
+  /**
+   * Sends a text message through Twilio
+   * @param {object} message - Outbox message
+   * @param {object} [logMetadata] - Extra fields for the delivery log
+   * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+   */
+  async send(message, logMetadata = {}) {
+    try {
+      const result = await getTwilioClient().messages.create({
+        body: message.body,
+        from: config.twilio.phoneNumber,
+        to: message.recipient,
+      });
+
+      logger.info('SMS sent successfully', { messageId: result.sid, to: message.recipient, ...logMetadata });
+
+      return { success: true, messageId: result.sid };
+    } catch (error) {
+      logger.error('Failed to send SMS', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default smsChannel;
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Generic outgoing webhook channel. POSTs the notification as JSON to
+ * NOTIFICATION_WEBHOOK_URL, signed with NOTIFICATION_WEBHOOK_SECRET when set.
+ */
+export const webhookChannel = {
+  name: 'webhook',
+  contentType: 'json',
+
+  /**
+   * @returns {boolean} Whether a webhook URL is set
+   */
+  isConfigured() {
+    return Boolean(config.notifications.webhookUrl);
+  },
+
+  /**
+   * @returns {string} The webhook URL
+   */
+  getRecipient() {
+    return config.notifications.webhookUrl;
+  },
+
+  /**
+   * Posts the notification to the webhook URL
+   * @param {object} message - Outbox message (body is the JSON payload)
+   * @param {object} [logMetadata] - Extra fields for the delivery log
+   * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+   */
+  async send(message, logMetadata = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (config.notifications.webhookSecret) {
+      const signature = crypto
+        .createHmac('sha256', config.notifications.webhookSecret)
+        .update(message.body)
+        .digest('hex');
+      headers['X-Signature'] = `sha256=${signature}`;
+    }
+
+    try {
+      const response = await fetch(message.recipient, {
+        method: 'POST',
+        headers,
+        body: message.body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+
+      logger.info('Webhook notification sent', { url: message.recipient, ...logMetadata });
+
+      return { success: true, messageId: response.headers.get('x-request-id') || undefined };
+    } catch (error) {
+      logger.error('Failed to send webhook notification', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default webhookChannel;
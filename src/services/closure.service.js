@@ -0,0 +1,262 @@
+import { DateTime } from 'luxon';
+import { RECURRENCES, getClosedWindows, isAllDay, parseHolidayList } from '../utils/closures.js';
+import { parseICalendar, parseICalDate } from '../utils/ical.js';
+import { getClosures } from '../db/repositories/closure.repository.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Checks that a closure makes sense before it is saved
+ * @param {object} closure - Closure with name, startDate, endDate, recurrence, startTime and endTime
+ * @returns {string|null} Problem with the closure, or null if it's valid
+ */
+export function validateClosure(closure) {
+  if (!closure.name) {
+    return 'name is required';
+  }
+
+  if (closure.name.length > 100) {
+    return 'name must be 100 characters or fewer';
+  }
+
+  const start = DateTime.fromFormat(closure.startDate || '', 'yyyy-MM-dd');
+  const end = DateTime.fromFormat(closure.endDate || '', 'yyyy-MM-dd');
+
+  if (!start.isValid || !end.isValid) {
+    return 'startDate and endDate must be dates (YYYY-MM-DD)';
+  }
+
+  if (end < start) {
+    return 'endDate must be on or after startDate';
+  }
+
+  if (end.diff(start, 'days').days >= 365) {
+    return 'A closure can last at most a year';
+  }
+
+  if (!RECURRENCES.includes(closure.recurrence)) {
+    return `recurrence must be one of: ${RECURRENCES.join(', ')}`;
+  }
+
+  if (closure.recurrence === 'yearly-weekday' && start.day > 28) {
+    return 'That is the last such weekday of the month; repeat on the last weekday instead';
+  }
+
+  if (closure.recurrence === 'yearly-last-weekday' && start.plus({ weeks: 1 }).month === start.month) {
+    return `${start.toFormat('LLLL d')} isn't the last ${start.toFormat('cccc')} of the month`;
+  }
+
+  if (Boolean(closure.startTime) !== Boolean(closure.endTime)) {
+    return 'Give both startTime and endTime for a partial-day closure, or neither';
+  }
+
+  if (closure.startTime) {
+    if (!TIME_PATTERN.test(closure.startTime) || !TIME_PATTERN.test(closure.endTime)) {
+      return 'startTime and endTime must be in HH:MM format';
+    }
+
+    if (closure.endTime <= closure.startTime) {
+      return 'endTime must be after startTime';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Works out how an iCalendar RRULE repeats as a closure recurrence
+ * @param {object|null} rrule - Parsed RRULE
+ * @param {DateTime} start - Event start
+ * @returns {{ recurrence?: string, error?: string }}
+ */
+function toRecurrence(rrule, start) {
+  if (!rrule) {
+    return { recurrence: 'none' };
+  }
+
+  if (rrule.FREQ !== 'YEARLY' || (rrule.INTERVAL && rrule.INTERVAL !== '1') || rrule.COUNT || rrule.UNTIL) {
+    return { error: 'Only events that repeat every year, with no end, can be imported' };
+  }
+
+  if (!rrule.BYDAY) {
+    return { recurrence: 'yearly-date' };
+  }
+
+  const byDay = rrule.BYDAY.match(/^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/);
+  const nth = byDay?.[1] ? parseInt(byDay[1], 10) : null;
+
+  if (nth === -1) {
+    return { recurrence: 'yearly-last-weekday' };
+  }
+  if (nth >= 1 && nth <= 4 && Math.ceil(start.day / 7) === nth) {
+    return { recurrence: 'yearly-weekday' };
+  }
+
+  return { error: `Can't repeat on ${rrule.BYDAY}` };
+}
+
+/**
+ * Turns one iCalendar event into a closure
+ * @param {object} event - Parsed event
+ * @param {string} timezone - Business timezone
+ * @returns {{ closure?: object, error?: string }}
+ */
+function toClosure(event, timezone) {
+  const start = parseICalDate(event.start, timezone);
+  const end = parseICalDate(event.end, timezone);
+
+  if (!start) {
+    return { error: 'No start date the business timezone can read' };
+  }
+
+  const closure = {
+    name: (event.summary || 'Closed').slice(0, 100),
+    startDate: start.dateTime.toFormat('yyyy-MM-dd'),
+    startTime: null,
+    endTime: null,
+    externalUid: event.uid || `${event.summary || ''}|${event.start.value}`,
+  };
+
+  // DTEND is exclusive, so an all-day event on the 26th ends on the 27th
+  const endsAt = end && end.dateTime > start.dateTime ? end.dateTime : start.dateTime.plus({ days: 1 });
+  const midnightToMidnight = endsAt.equals(endsAt.startOf('day'))
+    && start.dateTime.equals(start.dateTime.startOf('day'));
+
+  if (start.allDay || midnightToMidnight) {
+    closure.endDate = endsAt.minus({ days: 1 }).toFormat('yyyy-MM-dd');
+  } else if (endsAt.hasSame(start.dateTime, 'day')) {
+    closure.endDate = closure.startDate;
+    closure.startTime = start.dateTime.toFormat('HH:mm');
+    closure.endTime = endsAt.toFormat('HH:mm');
+  } else {
+    return { error: 'Events with times that run over several days can\'t be imported; add them by hand' };
+  }
+
+  const { recurrence, error } = toRecurrence(event.rrule, start.dateTime);
+
+  if (error) {
+    return { error };
+  }
+
+  return { closure: { ...closure, recurrence } };
+}
+
+/**
+ * Reads the closures in an iCalendar file. Cancelled events are left out,
+ * and events that can't be a closure are listed with the reason.
+ * @param {string} text - File contents
+ * @param {string} timezone - Business timezone
+ * @returns {{ closures: object[], skipped: { name: string, reason: string }[] }}
+ */
+export function closuresFromICalendar(text, timezone) {
+  const closures = [];
+  const skipped = [];
+
+  for (const event of parseICalendar(text)) {
+    if (event.status === 'CANCELLED') {
+      continue;
+    }
+
+    const { closure, error } = toClosure(event, timezone);
+    const problem = error || validateClosure(closure);
+
+    if (problem) {
+      skipped.push({ name: event.summary || event.uid || 'Untitled event', reason: problem });
+    } else {
+      closures.push(closure);
+    }
+  }
+
+  return { closures, skipped };
+}
+
+/**
+ * Gets every closure that applies to a business: those set up in the admin
+ * panel plus BUSINESS_HOLIDAYS
+ * @param {object} business - Business context
+ * @returns {object[]} Closures
+ */
+export function getBusinessClosures(business) {
+  const saved = business.id ? getClosures(business.id) : [];
+  return [...saved, ...parseHolidayList(business.calendar.holidays)];
+}
+
+/**
+ * Describes what a closure window means for callers
+ * @param {{ start: DateTime, end: DateTime, closure: object }} window - Closed period
+ * @returns {string} e.g. "closed all day for Thanksgiving"
+ */
+function describeWindow({ start, end, closure }) {
+  const times = !isAllDay(closure)
+    ? `from ${start.toFormat('h:mm a')} to ${end.toFormat('h:mm a')}`
+    : 'all day';
+  return `closed ${times} for ${closure.name}`;
+}
+
+/**
+ * Says whether the business is closed on a day, so the assistant can
+ * explain why it has no times then
+ * @param {object} business - Business context
+ * @param {string|DateTime} date - Day (YYYY-MM-DD or a DateTime)
+ * @param {object[]} [closures] - Closures to check (defaults to the business's)
+ * @returns {{ allDay: boolean, names: string[], message: string }|null} Notice, or null if it isn't closed
+ */
+export function getClosureNotice(business, date, closures = getBusinessClosures(business)) {
+  const { timezone } = business.calendar;
+  const day = typeof date === 'string' ? DateTime.fromISO(date, { zone: timezone }) : date.setZone(timezone);
+
+  if (!day.isValid) {
+    return null;
+  }
+
+  const windows = getClosedWindows(closures, day);
+
+  if (windows.length === 0) {
+    return null;
+  }
+
+  return {
+    allDay: windows.some(window => isAllDay(window.closure)),
+    names: [...new Set(windows.map(window => window.closure.name))],
+    message: `We're ${windows.map(describeWindow).join(' and ')} on ${day.toFormat('cccc, LLLL d')}.`,
+  };
+}
+
+/**
+ * Lists the days the business is closed (in whole or part) over the next
+ * few weeks
+ * @param {object} business - Business context
+ * @param {object} [options] - Options
+ * @param {number} [options.days=30] - How far ahead to look
+ * @param {DateTime} [options.at] - Day to start from (defaults to today)
+ * @param {object[]} [options.closures] - Closures to check (defaults to the business's)
+ * @returns {{ date: string, message: string }[]} One entry per closed day
+ */
+export function getUpcomingClosures(business, { days = 30, at = DateTime.now(), closures } = {}) {
+  const all = closures || getBusinessClosures(business);
+  const today = at.setZone(business.calendar.timezone).startOf('day');
+  const upcoming = [];
+
+  if (all.length === 0) {
+    return upcoming;
+  }
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = today.plus({ days: offset });
+    const notice = getClosureNotice(business, day, all);
+
+    if (notice) {
+      upcoming.push({ date: day.toFormat('yyyy-MM-dd'), message: notice.message });
+    }
+  }
+
+  return upcoming;
+}
+
+export default {
+  validateClosure,
+  closuresFromICalendar,
+  getBusinessClosures,
+  getClosureNotice,
+  getUpcomingClosures,
+};
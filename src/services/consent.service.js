@@ -0,0 +1,67 @@
+import { toE164 } from '../utils/phone.js';
+import { getConsent, recordConsent } from '../db/repositories/consent.repository.js';
+
+/**
+ * Checks whether a customer may be texted. Only numbers that opted out are
+ * blocked; customers with no consent record are texted about bookings they
+ * made.
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {boolean}
+ */
+export function canText(phoneNumber) {
+  const phone = toE164(phoneNumber);
+  return Boolean(phone) && getConsent(phone)?.status !== 'revoked';
+}
+
+/**
+ * Records the consent a caller gave when booking on a call. An answer the
+ * assistant asked for always counts; otherwise booking only grants consent
+ * to a number that never opted out.
+ * @param {object} consent - Consent details
+ * @param {string} consent.phoneNumber - Caller's phone number in any format
+ * @param {string} consent.callId - Vapi call ID
+ * @param {number} [consent.businessId] - Business the call was for
+ * @param {boolean} [consent.granted] - Whether they said yes to texts, if asked
+ * @returns {object|null} Current consent, or null if nothing was recorded
+ */
+export function recordCallConsent({ phoneNumber, callId, businessId = null, granted }) {
+  const phone = toE164(phoneNumber);
+
+  if (!phone || !callId) {
+    return null;
+  }
+
+  if (granted === false) {
+    return recordConsent({ phone, status: 'revoked', source: `declined on call ${callId}`, businessId });
+  }
+
+  return recordConsent({
+    phone,
+    status: 'granted',
+    source: `verbal on call ${callId}`,
+    businessId,
+    onlyIfUnknown: granted !== true,
+  });
+}
+
+/**
+ * Records a customer texting STOP or START
+ * @param {string} command - 'STOP' or 'START'
+ * @param {string} phone - E.164 phone number
+ * @param {number} [businessId] - Business the text was matched to
+ * @returns {object} Current consent
+ */
+export function recordTextedKeyword(command, phone, businessId = null) {
+  return recordConsent({
+    phone,
+    status: command === 'STOP' ? 'revoked' : 'granted',
+    source: `${command} by text`,
+    businessId,
+  });
+}
+
+export default {
+  canText,
+  recordCallConsent,
+  recordTextedKeyword,
+};
@@ -0,0 +1,249 @@
+import logger from '../utils/logger.js';
+import { toE164 } from '../utils/phone.js';
+import { getBusinessContext, getDefaultBusinessContext } from './business.service.js';
+import { cancelAppointment, formatAppointmentTime } from './booking.service.js';
+import { canText, recordTextedKeyword } from './consent.service.js';
+import { acknowledgeByPhone } from './escalation.service.js';
+import { sendRescheduleRequest } from './notification.service.js';
+import { logSmsMessage, hasSmsMessage } from '../db/repositories/conversation.repository.js';
+import { getLeadByCallId, getLeadsByPhone, markLeadContacted } from '../db/repositories/lead.repository.js';
+import { getUpcomingAppointmentsByPhone, markAppointmentConfirmed } from '../db/repositories/appointment.repository.js';
+import { getLatestSmsTo } from '../db/repositories/outbox.repository.js';
+
+// Keywords understood at the start of a text. ACK and CALLED come from
+// staff; the rest from customers about their next appointment.
+const COMMANDS = ['ACK', 'CALLED', 'CONFIRM', 'CANCEL', 'RESCHEDULE'];
+
+// Carrier opt-out, opt-in and help keywords, read as STOP, START and HELP.
+// CANCEL is left out because it cancels an appointment here.
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+/**
+ * Reads the command keyword a text starts with
+ * @param {string} text - Message body
+ * @returns {string|null} Command, or null for free text
+ */
+export function parseCommand(text) {
+  const word = String(text || '').trim().split(/\s+/)[0].replace(/[^a-z]/gi, '').toUpperCase();
+
+  if (OPT_OUT_KEYWORDS.includes(word)) {
+    return 'STOP';
+  }
+
+  if (OPT_IN_KEYWORDS.includes(word)) {
+    return 'START';
+  }
+
+  if (HELP_KEYWORDS.includes(word)) {
+    return 'HELP';
+  }
+
+  return COMMANDS.includes(word) ? word : null;
+}
+
+/**
+ * Records a customer opting out of or back in to texts. Twilio answers
+ * these keywords itself, so there's no reply.
+ * @param {string} command - 'STOP' or 'START'
+ * @param {string} phone - Sender's E.164 number
+ * @returns {object} Reply and what the text was about
+ */
+function handleOptOut(command, phone) {
+  const [appointment] = getUpcomingAppointmentsByPhone(phone);
+  const lead = getLeadsByPhone(phone, { limit: 1 })[0] || null;
+  const business = getBusinessContext(appointment?.businessId || lead?.businessId);
+
+  recordTextedKeyword(command, phone, business.id);
+
+  return { reply: null, businessId: business.id, leadId: lead?.id, appointmentId: appointment?.id };
+}
+
+/**
+ * Tells the sender what they can text and how to reach the business
+ * @param {string} phone - Sender's E.164 number
+ * @returns {object} Reply and what the text was about
+ */
+function handleHelp(phone) {
+  const [appointment] = getUpcomingAppointmentsByPhone(phone);
+  const lead = getLeadsByPhone(phone, { limit: 1 })[0] || null;
+  const business = getBusinessContext(appointment?.businessId || lead?.businessId);
+
+  let reply = `${business.companyName}: `;
+
+  if (appointment) {
+    reply += 'Reply CONFIRM, CANCEL or RESCHEDULE about your appointment. ';
+  }
+
+  reply += 'Reply STOP to stop texts.';
+
+  if (business.phoneNumber) {
+    reply += ` Call us at ${business.phoneNumber}.`;
+  }
+
+  return { reply, businessId: business.id, leadId: lead?.id, appointmentId: appointment?.id };
+}
+
+/**
+ * Acknowledges the emergency a staff member was paged for
+ * @param {string} phone - Sender's E.164 number
+ * @returns {object} Reply and what the text was about
+ */
+function handleAck(phone) {
+  const escalation = acknowledgeByPhone(phone);
+
+  if (!escalation) {
+    return { reply: 'There is no emergency waiting for you to acknowledge.' };
+  }
+
+  return {
+    reply: `Thanks, you've got it. ${escalation.callerName || 'The caller'} `
+      + `is at ${escalation.phoneNumber || 'an unknown number'}. No one else will be paged.`,
+    businessId: escalation.businessId,
+    leadId: getLeadByCallId(escalation.callId)?.id,
+  };
+}
+
+/**
+ * Marks the last lead texted to a staff member as called back
+ * @param {string} phone - Sender's E.164 number
+ * @returns {object} Reply and what the text was about
+ */
+function handleCalled(phone) {
+  const alert = getLatestSmsTo(phone, ['lead', 'emergency-lead']);
+  const lead = alert?.callId ? getLeadByCallId(alert.callId) : null;
+
+  if (!lead) {
+    return { reply: 'There is no lead alert to mark as called.' };
+  }
+
+  const name = lead.callerName || 'The caller';
+  const marked = markLeadContacted(lead.id, phone);
+
+  return {
+    reply: marked
+      ? `Got it. ${name} (${lead.phoneNumber}) is marked as called.`
+      : `${name} was already marked as called.`,
+    businessId: lead.businessId,
+    leadId: lead.id,
+  };
+}
+
+/**
+ * Handles a customer's reply about their next appointment
+ * @param {string} command - 'CONFIRM', 'CANCEL', 'RESCHEDULE' or null for free text
+ * @param {string} phone - Sender's E.164 number
+ * @returns {Promise<object>} Reply and what the text was about
+ */
+async function handleCustomerReply(command, phone) {
+  const [appointment] = getUpcomingAppointmentsByPhone(phone);
+  const lead = getLeadsByPhone(phone, { limit: 1 })[0] || null;
+
+  if (!appointment) {
+    return {
+      reply: command ? 'We couldn\'t find an upcoming appointment for this number. Please give us a call.' : null,
+      businessId: lead?.businessId,
+      leadId: lead?.id,
+    };
+  }
+
+  const business = getBusinessContext(appointment.businessId);
+  const displayTime = formatAppointmentTime(appointment, business);
+  const about = {
+    businessId: appointment.businessId,
+    leadId: appointment.leadId || lead?.id,
+    appointmentId: appointment.id,
+  };
+
+  switch (command) {
+    case 'CONFIRM':
+      markAppointmentConfirmed(appointment.id);
+      return { ...about, reply: `${business.companyName}: Thanks, you're confirmed for ${displayTime}. See you then!` };
+
+    case 'CANCEL': {
+      const result = await cancelAppointment(appointment.id, { reason: 'Customer replied CANCEL by text' });
+      // On success the customer is already texted a cancellation notice
+      return { ...about, reply: result.success ? null : `${business.companyName}: ${result.error}` };
+    }
+
+    case 'RESCHEDULE':
+      sendRescheduleRequest({ ...appointment, displayTime }, business).catch(error => {
+        logger.error('Failed to send reschedule request', error);
+      });
+      return {
+        ...about,
+        reply: `${business.companyName}: No problem. We'll call you shortly to find a new time for your ${displayTime} appointment.`,
+      };
+
+    default:
+      return {
+        ...about,
+        reply: `${business.companyName}: Reply CONFIRM to confirm your appointment on ${displayTime}, `
+          + 'CANCEL to cancel it, or RESCHEDULE to change the time.',
+      };
+  }
+}
+
+/**
+ * Handles a text sent to the Twilio number: acts on its command, and logs
+ * it and the reply against the lead or appointment it's about. Each Twilio
+ * message is only handled once.
+ * @param {object} message - Inbound message
+ * @param {string} message.from - Sender's number
+ * @param {string} message.body - Message text
+ * @param {string} [message.messageSid] - Twilio message SID
+ * @returns {Promise<string|null>} Reply text, or null to send none
+ */
+export async function handleInboundMessage({ from, body, messageSid }) {
+  const phone = toE164(from) || from;
+  const command = parseCommand(body);
+
+  if (messageSid && hasSmsMessage(messageSid)) {
+    logger.info('Duplicate inbound SMS ignored', { messageSid });
+    return null;
+  }
+
+  let outcome;
+
+  if (command === 'ACK') {
+    outcome = handleAck(phone);
+  } else if (command === 'CALLED') {
+    outcome = handleCalled(phone);
+  } else if (command === 'STOP' || command === 'START') {
+    outcome = handleOptOut(command, phone);
+  } else if (command === 'HELP') {
+    outcome = handleHelp(phone);
+  } else {
+    outcome = await handleCustomerReply(command, phone);
+
+    // Their request is still acted on, but opted-out numbers get no reply
+    if (!canText(phone)) {
+      outcome.reply = null;
+    }
+  }
+
+  // Texts that can't be matched to anything belong to the business that
+  // owns the Twilio number
+  const about = {
+    businessId: outcome.businessId || getDefaultBusinessContext().id,
+    leadId: outcome.leadId,
+    appointmentId: outcome.appointmentId,
+    phone,
+  };
+
+  logSmsMessage({ ...about, direction: 'inbound', body, command, twilioSid: messageSid });
+
+  if (outcome.reply) {
+    logSmsMessage({ ...about, direction: 'outbound', body: outcome.reply });
+  }
+
+  logger.info('Inbound SMS handled', { messageSid, command, ...about });
+
+  return outcome.reply || null;
+}
+
+export default {
+  parseCommand,
+  handleInboundMessage,
+};
@@ -0,0 +1,125 @@
+import logger from '../utils/logger.js';
+import { getBusinessContext } from './business.service.js';
+import { getChannel } from './channels/index.js';
+import { deliverOutboxMessage } from './notification.service.js';
+import { getOnCallTechnician } from './on-call.service.js';
+import { formatLeadDigestSMS } from './summary.service.js';
+import { getDueDigestItems, queueDigest, skipDigestItems } from '../db/repositories/digest.repository.js';
+
+// How often to look for digests that are due
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let workerTimer = null;
+let isProcessing = false;
+
+/**
+ * Sends one business's held lead texts as a single digest to whoever is
+ * on call when it goes out (or the owner). With no one to text, the items
+ * are skipped rather than retried every minute.
+ * @param {number|null} businessId - Business ID
+ * @param {object[]} items - Held items for the business, oldest first
+ */
+async function sendDigest(businessId, items) {
+  const business = getBusinessContext(businessId);
+  const recipient = getChannel('sms').getRecipient(business, getOnCallTechnician(business));
+
+  if (!recipient) {
+    logger.error('No one to send lead digest to', { businessId, items: items.length });
+    skipDigestItems(items.map(item => item.id), 'No one on call and no owner phone');
+    return;
+  }
+
+  const queued = queueDigest(items.map(item => item.id), {
+    channel: 'sms',
+    recipient,
+    body: formatLeadDigestSMS({ companyName: business.companyName, items }),
+    kind: 'lead-digest',
+    businessId: business.id,
+  });
+
+  if (!queued) {
+    return;
+  }
+
+  const result = await deliverOutboxMessage(queued.id);
+
+  logger.info('Lead digest sent', {
+    businessId,
+    leads: items.length,
+    outboxId: queued.id,
+    success: result.success,
+  });
+}
+
+/**
+ * Sends every digest that is due. Failed deliveries are retried by the
+ * outbox worker.
+ * @returns {Promise<number>} Number of held leads handled
+ */
+export async function processDigests() {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+
+  try {
+    const items = getDueDigestItems();
+    const byBusiness = new Map();
+
+    for (const item of items) {
+      if (!byBusiness.has(item.businessId)) {
+        byBusiness.set(item.businessId, []);
+      }
+      byBusiness.get(item.businessId).push(item);
+    }
+
+    // One business failing shouldn't hold up the others
+    for (const [businessId, businessItems] of byBusiness) {
+      try {
+        await sendDigest(businessId, businessItems);
+      } catch (error) {
+        logger.error('Failed to send lead digest', { businessId, error: error.message });
+      }
+    }
+
+    return items.length;
+  } catch (error) {
+    logger.error('Failed to process lead digests', error);
+    return 0;
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Starts the background worker that sends digests when businesses open
+ */
+export function startDigestWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(processDigests, CHECK_INTERVAL_MS);
+  workerTimer.unref();
+
+  logger.info('Lead digest worker started');
+
+  processDigests();
+}
+
+/**
+ * Stops the background worker
+ */
+export function stopDigestWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default {
+  processDigests,
+  startDigestWorker,
+  stopDigestWorker,
+};
@@ -0,0 +1,158 @@
+/**
+ * Transcripts with the severity the shared emergency rules should give them.
+ * Run them with `npm run emergency:check` or from the admin panel after
+ * changing rules. Add a case whenever a real call is flagged wrongly.
+ */
+export const EMERGENCY_CORPUS = [
+  // Real emergencies
+  {
+    name: 'Gas smell',
+    transcript: 'AI: Thanks for calling, how can I help?\nUser: I can smell gas in the kitchen and I don\'t know what to do.',
+    severity: 'critical',
+  },
+  {
+    name: 'Carbon monoxide alarm',
+    transcript: 'User: Our carbon monoxide alarm keeps going off.',
+    severity: 'critical',
+  },
+  {
+    name: 'Outlet sparking',
+    transcript: 'User: The outlet behind the fridge is sparking and there\'s a burning smell.',
+    severity: 'critical',
+  },
+  {
+    name: 'Smoke from the furnace',
+    transcript: 'User: There\'s smoke coming from the furnace and I can smell something burning.',
+    severity: 'critical',
+  },
+  {
+    name: 'Can\'t stop a gas leak',
+    transcript: 'User: I can\'t get the gas leak to stop, the whole house smells.',
+    severity: 'critical',
+  },
+  {
+    name: 'Toilet won\'t stop overflowing',
+    transcript: 'User: The toilet won\'t stop overflowing.',
+    severity: 'high',
+  },
+  {
+    name: 'Can\'t stop the flooding',
+    transcript: 'User: I can\'t stop the flooding in the basement.',
+    severity: 'high',
+  },
+  {
+    name: 'Flooding basement',
+    transcript: 'User: My basement is flooding, there\'s water everywhere.',
+    severity: 'high',
+  },
+  {
+    name: 'Burst pipe',
+    transcript: 'User: A pipe burst under the sink.\nAI: I\'m sorry to hear that.\nUser: Yeah, we had burst pipes last winter too.',
+    severity: 'high',
+  },
+  {
+    name: 'No heat',
+    transcript: 'User: We have no heat and it\'s ten degrees outside.',
+    severity: 'high',
+  },
+  {
+    name: 'Sewage backup',
+    transcript: 'User: There is sewage coming up through the floor drain.',
+    severity: 'high',
+  },
+  {
+    name: 'Emergency after a refusal',
+    transcript: 'AI: Is anyone hurt?\nUser: No. It\'s an emergency though, the toilet is overflowing.',
+    severity: 'high',
+  },
+  {
+    name: 'Vapi messages',
+    messages: [
+      { role: 'system', message: 'You are a receptionist. Ask whether this is an emergency like flooding or a gas leak.' },
+      { role: 'bot', message: 'Hi, how can I help today?' },
+      { role: 'user', message: 'Water is flooding the laundry room.' },
+    ],
+    severity: 'high',
+  },
+
+  // Not emergencies
+  {
+    name: 'Dripping faucet',
+    transcript: 'User: No emergency, just a dripping faucet.',
+    severity: null,
+  },
+  {
+    name: 'Street name containing a keyword',
+    transcript: 'User: I\'m at 42 Firestone Street and the garbage disposal is jammed.',
+    severity: null,
+  },
+  {
+    name: 'Smoke detector battery',
+    transcript: 'User: My smoke detector is beeping, it needs a new battery.',
+    severity: null,
+  },
+  {
+    name: 'Fire sprinkler inspection',
+    transcript: 'User: We need the fire sprinkler system inspected before we open the store.',
+    severity: null,
+  },
+  {
+    name: 'Street name containing flood',
+    transcript: 'User: I\'m at 12 Flood Road and the kitchen sink drains slowly.',
+    severity: null,
+  },
+  {
+    name: 'Negated list',
+    transcript: 'User: There are no leaks or flooding, the water heater just makes a banging noise.',
+    severity: null,
+  },
+  {
+    name: 'Problem already over',
+    transcript: 'User: It\'s not flooding anymore, but the carpet is still wet.',
+    severity: null,
+  },
+  {
+    name: 'Not really an emergency',
+    transcript: 'User: It isn\'t really an emergency, I just want the water heater looked at.',
+    severity: null,
+  },
+  {
+    name: 'Negation without an apostrophe',
+    transcript: 'User: dont worry its not an emergency',
+    severity: null,
+  },
+  {
+    name: 'Assistant lists examples',
+    transcript: 'AI: Is this an emergency, like flooding, a gas leak or no heat?\nUser: Nothing like that, the shower drains slowly.',
+    severity: null,
+  },
+  {
+    name: 'Assistant lists examples in Vapi messages',
+    messages: [
+      { role: 'assistant', content: 'Are you seeing any flooding or smelling gas?' },
+      { role: 'user', content: 'Nope, I just need a quote for a new toilet.' },
+    ],
+    severity: null,
+  },
+  {
+    name: 'Listing what it isn\'t',
+    transcript: 'User: Can someone look at our water softener? No fires or floods, just hard water.',
+    severity: null,
+  },
+
+  // Urgency without an emergency
+  {
+    name: 'Wants someone soon',
+    transcript: 'User: It\'s kind of urgent, I want the dishwasher fixed before the weekend.',
+    severity: 'normal',
+  },
+  {
+    name: 'Electrical question',
+    transcript: 'User: I have a question about an electrical permit for the new panel.',
+    severity: 'normal',
+  },
+];
+
+export default {
+  EMERGENCY_CORPUS,
+};
@@ -1,76 +1,328 @@
 import logger from '../utils/logger.js';
+import { getEmergencyRules } from '../db/repositories/emergency-rule.repository.js';
+import { EMERGENCY_CORPUS } from './emergency-corpus.js';
 
 /**
- * Keywords that indicate an emergency situation
+ * Rule severities, least severe first. A 'normal' match is recorded but
+ * doesn't make the call an emergency on its own.
  */
-const EMERGENCY_KEYWORDS = [
-  'flood', 'flooding', 'flooded',
-  'burst pipe', 'pipe burst', 'broken pipe',
-  'no water', 'no hot water',
-  'gas smell', 'gas leak', 'smell gas', 'smelling gas',
-  'sewage', 'sewage backup', 'sewage overflow',
-  'no heat', 'no heating', 'heating emergency',
-  'overflowing', 'overflow', 'toilet overflow',
-  'emergency', 'urgent', 'immediately',
-  'carbon monoxide', 'co detector',
-  'fire', 'smoke',
-  'electrical', 'sparking', 'burning smell',
-];
+export const SEVERITIES = ['normal', 'high', 'critical'];
+
+const EMERGENCY_SEVERITIES = ['high', 'critical'];
 
 /**
- * Detects if a transcript contains emergency keywords
- * @param {string} transcript - The call transcript
- * @returns {{ isEmergency: boolean, keywords: string[] }}
+ * Words that cancel a match when they come shortly before it
+ * ("no emergency", "not flooding anymore"). Words ending in n't are
+ * negations too; these cover transcripts that drop the apostrophe.
+ */
+const NEGATIONS = new Set([
+  'no', 'not', 'never', 'without', 'none', 'nothing', 'nobody', 'nor', 'neither',
+  'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'aint',
+  'cant', 'wont', 'havent', 'hasnt', 'hadnt', 'shouldnt', 'wouldnt',
+]);
+
+/**
+ * Little words that can sit between a negation and what it negates ("not
+ * really an emergency", "no sign of a gas leak"). Any other word, such as
+ * the verb in "can't stop the flooding" or "won't stop overflowing", means
+ * the negation is about something else and the match stands.
+ */
+const NEGATION_FILLERS = new Set([
+  'a', 'an', 'the', 'any', 'some', 'more', 'much', 'real', 'really', 'actually',
+  'even', 'sign', 'signs', 'of', 'kind', 'sort',
+]);
+
+// Words joining a list, so "no leaks or flooding" negates both
+const CONJUNCTIONS = new Set(['or', 'nor', 'and']);
+
+// Who said a line in a plain-text transcript, e.g. "User: my basement is flooding"
+const SPEAKER_PREFIX = /^\s*(user|customer|caller|ai|assistant|bot|agent)\s*:\s*(.*)$/i;
+
+const CALLER_ROLES = ['user', 'customer', 'caller'];
+
+/**
+ * Splits text into lowercase words, keeping sentence punctuation as
+ * separate tokens so phrases and negations don't reach across it
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .match(/[a-z0-9]+(?:'[a-z]+)?|[.,;:!?]/g) || [];
+}
+
+/**
+ * Checks whether a token is a word rather than punctuation
+ * @param {string} token - Token
+ * @returns {boolean}
+ */
+function isWord(token) {
+  return /^[a-z0-9]/.test(token);
+}
+
+/**
+ * Checks whether a word negates what follows it
+ * @param {string} word - Lowercase word
+ * @returns {boolean}
+ */
+function isNegation(word) {
+  return NEGATIONS.has(word) || word.endsWith('n\'t');
+}
+
+/**
+ * Puts a rule pattern in the form it's stored in: lowercase, single spaces
+ * @param {string} pattern - Pattern as entered
+ * @returns {string} Normalized pattern
+ */
+export function normalizePattern(pattern) {
+  return String(pattern || '').toLowerCase().replace(/[‘’]/g, '\'').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Checks that a rule pattern can be matched
+ * @param {string} pattern - Normalized pattern
+ * @returns {string|null} Problem with the pattern, or null if it's valid
+ */
+export function validatePattern(pattern) {
+  if (!pattern) {
+    return 'Pattern is required';
+  }
+
+  if (pattern.length > 100) {
+    return 'Pattern must be 100 characters or fewer';
+  }
+
+  for (const word of pattern.split(' ')) {
+    if (!/^[a-z0-9]+(?:'[a-z]+)?\*?$/.test(word)) {
+      return `"${word}" isn't a word. Use letters and numbers, with an optional * at the end.`;
+    }
+
+    if (word.endsWith('*') && word.length < 4) {
+      return `"${word}" is too short to end in *. Use at least three letters before it.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a transcript word matches one word of a pattern
+ * @param {string} token - Transcript word
+ * @param {string} word - Pattern word, optionally ending in *
+ * @returns {boolean}
+ */
+function wordMatches(token, word) {
+  return word.endsWith('*') ? token.startsWith(word.slice(0, -1)) : token === word;
+}
+
+/**
+ * Checks whether a negation directly modifies a match: "no gas leak", "not
+ * really an emergency", "no leaks or flooding". Only filler words and one
+ * listed item may come between them, so "I can't get the gas leak to stop"
+ * still counts. Punctuation ends the search, so "No. The basement is
+ * flooding" still counts too.
+ * @param {string[]} tokens - Tokens
+ * @param {number} start - Index of the match's first token
+ * @param {number} window - Words to look back
+ * @returns {string|null} The negating word, or null
  */
-export function detectEmergency(transcript) {
+function findNegation(tokens, start, window) {
+  let words = 0;
+  let afterConjunction = false;
+
+  for (let i = start - 1; i >= 0 && words < window; i--) {
+    const token = tokens[i];
+
+    if (!isWord(token)) {
+      return null;
+    }
+    if (isNegation(token)) {
+      return token;
+    }
+
+    if (CONJUNCTIONS.has(token)) {
+      afterConjunction = true;
+    } else if (afterConjunction) {
+      // The item before "or" in a list, e.g. "leaks" in "no leaks or flooding"
+      afterConjunction = false;
+    } else if (!NEGATION_FILLERS.has(token)) {
+      return null;
+    }
+    words++;
+  }
+
+  return null;
+}
+
+/**
+ * Splits a call into who said what. Vapi's messages array is used when
+ * there is one; otherwise the transcript's "User:" / "AI:" line prefixes
+ * are. Text with no speaker prefixes at all is taken to be the caller's.
+ * @param {string} transcript - Plain-text transcript
+ * @param {object[]} [messages] - Vapi call messages
+ * @returns {{ speaker: 'caller'|'assistant', text: string }[]} Segments
+ */
+export function splitTranscript(transcript, messages = []) {
+  const spoken = (Array.isArray(messages) ? messages : [])
+    .filter(message => message && ['user', 'bot', 'assistant'].includes(message.role))
+    .map(message => ({
+      speaker: message.role === 'user' ? 'caller' : 'assistant',
+      text: String(message.message ?? message.content ?? ''),
+    }))
+    .filter(segment => segment.text);
+
+  if (spoken.length > 0) {
+    return spoken;
+  }
+
   if (!transcript || typeof transcript !== 'string') {
-    return { isEmergency: false, keywords: [] };
+    return [];
   }
 
-  const lowerTranscript = transcript.toLowerCase();
-  const foundKeywords = [];
+  const segments = [];
+  let speaker = 'caller';
+
+  for (const line of transcript.split(/\r?\n/)) {
+    const prefixed = line.match(SPEAKER_PREFIX);
 
-  for (const keyword of EMERGENCY_KEYWORDS) {
-    if (lowerTranscript.includes(keyword)) {
-      foundKeywords.push(keyword);
+    if (prefixed) {
+      speaker = CALLER_ROLES.includes(prefixed[1].toLowerCase()) ? 'caller' : 'assistant';
+      segments.push({ speaker, text: prefixed[2] });
+    } else if (line.trim()) {
+      segments.push({ speaker, text: line });
     }
   }
 
-  const isEmergency = foundKeywords.length > 0;
+  return segments;
+}
 
-  if (isEmergency) {
-    logger.info('Emergency detected in call', {
-      keywordsFound: foundKeywords,
-    });
+/**
+ * Runs emergency rules over a call's segments
+ * @param {{ speaker: string, text: string }[]} segments - Who said what
+ * @param {object[]} rules - Enabled rules
+ * @returns {{ isEmergency: boolean, severity: string|null, keywords: string[], matches: object[], ignored: object[] }}
+ */
+export function matchRules(segments, rules) {
+  const compiled = rules.map(rule => ({ rule, words: normalizePattern(rule.pattern).split(' ') }));
+  const matches = [];
+  const ignored = [];
+
+  for (const segment of segments) {
+    const tokens = tokenize(segment.text);
+
+    for (const { rule, words } of compiled) {
+      if (rule.speaker === 'caller' && segment.speaker !== 'caller') {
+        continue;
+      }
+
+      for (let start = 0; start + words.length <= tokens.length; start++) {
+        if (!words.every((word, offset) => wordMatches(tokens[start + offset], word))) {
+          continue;
+        }
+
+        const match = {
+          ruleId: rule.id,
+          pattern: rule.pattern,
+          severity: rule.severity,
+          text: tokens.slice(start, start + words.length).join(' '),
+          speaker: segment.speaker,
+        };
+        const negatedBy = findNegation(tokens, start, rule.negationWindow);
+
+        if (negatedBy) {
+          ignored.push({ ...match, negatedBy });
+        } else {
+          matches.push(match);
+        }
+      }
+    }
   }
 
+  const severity = matches.reduce(
+    (highest, match) => (SEVERITIES.indexOf(match.severity) > SEVERITIES.indexOf(highest) ? match.severity : highest),
+    null,
+  );
+
   return {
-    isEmergency,
-    keywords: foundKeywords,
+    isEmergency: EMERGENCY_SEVERITIES.includes(severity),
+    severity,
+    keywords: [...new Set(matches.map(match => match.text))],
+    matches,
+    ignored,
   };
 }
 
 /**
- * Gets all emergency keywords
- * @returns {string[]}
+ * Runs a business's rules over who said what in a call
+ * @param {{ speaker: string, text: string }[]} segments - Who said what
+ * @param {number|null} businessId - Business whose rules apply (shared rules always do)
+ * @returns {{ isEmergency: boolean, severity: string|null, keywords: string[], matches: object[], ignored: object[] }}
  */
-export function getEmergencyKeywords() {
-  return [...EMERGENCY_KEYWORDS];
+export function detectEmergencyInSegments(segments, businessId) {
+  if (segments.length === 0) {
+    return { isEmergency: false, severity: null, keywords: [], matches: [], ignored: [] };
+  }
+
+  return matchRules(segments, getEmergencyRules(businessId, { enabledOnly: true }));
 }
 
 /**
- * Adds a new emergency keyword
- * @param {string} keyword - Keyword to add
+ * Detects whether a call is an emergency using the business's rules
+ * @param {string} transcript - The call transcript
+ * @param {object} [options] - Detection options
+ * @param {object[]} [options.messages] - Vapi call messages, used to tell the caller and assistant apart
+ * @param {number|null} [options.businessId] - Business whose rules apply (shared rules always do)
+ * @returns {{ isEmergency: boolean, severity: string|null, keywords: string[], matches: object[], ignored: object[] }}
  */
-export function addEmergencyKeyword(keyword) {
-  if (keyword && !EMERGENCY_KEYWORDS.includes(keyword.toLowerCase())) {
-    EMERGENCY_KEYWORDS.push(keyword.toLowerCase());
-    logger.info('Added new emergency keyword', { keyword });
+export function detectEmergency(transcript, { messages = [], businessId = null } = {}) {
+  const result = detectEmergencyInSegments(splitTranscript(transcript, messages), businessId);
+
+  if (result.isEmergency) {
+    logger.info('Emergency detected in call', {
+      businessId,
+      severity: result.severity,
+      keywordsFound: result.keywords,
+    });
   }
+
+  return result;
+}
+
+/**
+ * Runs the regression corpus against a business's current rules, so rule
+ * edits can be checked before a real call trips over them
+ * @param {number|null} businessId - Business whose rules apply
+ * @returns {{ passed: number, failed: number, results: object[] }}
+ */
+export function runEmergencyCorpus(businessId) {
+  const rules = getEmergencyRules(businessId, { enabledOnly: true });
+
+  const results = EMERGENCY_CORPUS.map(example => {
+    const { severity, keywords } = matchRules(splitTranscript(example.transcript, example.messages), rules);
+
+    return {
+      name: example.name,
+      expected: example.severity,
+      actual: severity,
+      keywords,
+      passed: severity === example.severity,
+    };
+  });
+
+  const passed = results.filter(result => result.passed).length;
+
+  return { passed, failed: results.length - passed, results };
 }
 
 export default {
+  SEVERITIES,
+  normalizePattern,
+  validatePattern,
+  splitTranscript,
+  matchRules,
+  detectEmergencyInSegments,
   detectEmergency,
-  getEmergencyKeywords,
-  addEmergencyKeyword,
+  runEmergencyCorpus,
 };
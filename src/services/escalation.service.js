@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { toE164 } from '../utils/phone.js';
+import { getBusinessContext } from './business.service.js';
+import { sendEscalationPage } from './notification.service.js';
+import { getOnCallTechnician } from './on-call.service.js';
+import {
+  getEscalationContacts,
+  createEscalation,
+  getEscalationById,
+  getDueEscalationIds,
+  addEscalationStep,
+  setStepOutboxId,
+  timeOutSteps,
+  exhaustEscalation,
+  getEscalationStepById,
+  findActiveStepByPhone,
+  acknowledgeEscalation,
+} from '../db/repositories/escalation.repository.js';
+
+// How often to look for pages that weren't acknowledged in time
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+let workerTimer = null;
+let isProcessing = false;
+
+/**
+ * Signs an escalation step ID for its acknowledgement link
+ * @param {number} stepId - Step ID
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signStep(stepId) {
+  return crypto
+    .createHmac('sha256', config.escalation.linkSecret)
+    .update(`escalation-step:${stepId}`)
+    .digest('hex');
+}
+
+/**
+ * Checks the signature on an acknowledgement link
+ * @param {number} stepId - Step ID from the link
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifyAckSignature(stepId, signature) {
+  if (!config.escalation.linkSecret || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(signStep(stepId));
+  const provided = Buffer.from(String(signature).toLowerCase());
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Builds the signed acknowledgement link for a step. Links are only sent
+ * when ESCALATION_LINK_SECRET and PUBLIC_BASE_URL are set.
+ * @param {number} stepId - Step ID
+ * @returns {string|null} Link or null
+ */
+function buildAckUrl(stepId) {
+  if (!config.escalation.linkSecret || !config.server.publicBaseUrl) {
+    return null;
+  }
+
+  return `${config.server.publicBaseUrl}/escalations/ack/${stepId}?sig=${signStep(stepId)}`;
+}
+
+/**
+ * Builds the list of people to page for a business, in order: whoever is
+ * on call, its escalation contacts, then the owner
+ * @param {object} business - Business context
+ * @returns {{ name: string, phone: string }[]} Chain
+ */
+export function buildEscalationChain(business) {
+  const onCall = getOnCallTechnician(business);
+
+  const people = [
+    ...(onCall ? [{ name: onCall.name, phone: onCall.phone }] : []),
+    ...getEscalationContacts(business.id).map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+    })),
+  ];
+
+  if (business.ownerPhone) {
+    people.push({ name: 'Owner', phone: toE164(business.ownerPhone) || business.ownerPhone });
+  }
+
+  // Nobody is paged twice for the same emergency
+  const seen = new Set();
+  return people.filter(person => {
+    if (seen.has(person.phone)) {
+      return false;
+    }
+    seen.add(person.phone);
+    return true;
+  });
+}
+
+/**
+ * Pages one person in an escalation's chain
+ * @param {object} escalation - Escalation
+ * @param {number} position - Index into the chain
+ * @param {object} business - Business context
+ * @returns {Promise<object>} Created step
+ */
+async function pageStep(escalation, position, business) {
+  const person = escalation.chain[position];
+  const nextEscalationAt = Math.floor(Date.now() / 1000) + config.escalation.ackMinutes * 60;
+
+  const step = addEscalationStep(
+    escalation.id,
+    { position, contactName: person.name, phone: person.phone },
+    nextEscalationAt
+  );
+
+  const result = await sendEscalationPage(escalation, {
+    phone: person.phone,
+    previousName: position > 0 ? escalation.chain[position - 1].name : null,
+    ackUrl: buildAckUrl(step.id),
+  }, business);
+
+  if (result.outboxId) {
+    setStepOutboxId(step.id, result.outboxId);
+  }
+
+  logger.info('Escalation page sent', {
+    escalationId: escalation.id,
+    position,
+    contact: person.name,
+    success: result.success,
+  });
+
+  return step;
+}
+
+/**
+ * Starts paging the escalation chain for an emergency call. A call only
+ * escalates once, however many times this is called for it.
+ * @param {object} leadData - Lead data for the emergency call
+ * @param {object} business - Business context the call belongs to
+ * @returns {Promise<object|null>} Escalation, or null if none was started
+ */
+export async function startEscalation(leadData, business) {
+  const chain = buildEscalationChain(business);
+
+  if (chain.length === 0) {
+    logger.warn('No one to page for emergency', { callId: leadData.callId, businessId: business.id });
+    return null;
+  }
+
+  const escalation = createEscalation({
+    businessId: business.id,
+    callId: leadData.callId,
+    callerName: leadData.callerName,
+    phoneNumber: leadData.phoneNumber,
+    serviceAddress: leadData.serviceAddress,
+    issueDescription: leadData.issueDescription,
+    chain,
+  });
+
+  if (!escalation) {
+    logger.info('Escalation already started for call', { callId: leadData.callId });
+    return null;
+  }
+
+  await pageStep(escalation, 0, business);
+
+  return getEscalationById(escalation.id);
+}
+
+/**
+ * Moves an escalation whose current page timed out on to the next person,
+ * or marks it exhausted after the last one
+ * @param {number} id - Escalation ID
+ */
+async function escalate(id) {
+  const escalation = getEscalationById(id);
+
+  if (!escalation || escalation.status !== 'active') {
+    return;
+  }
+
+  timeOutSteps(id);
+
+  const next = escalation.currentPosition + 1;
+
+  if (next >= escalation.chain.length) {
+    exhaustEscalation(id);
+    logger.warn('Escalation exhausted: nobody acknowledged', {
+      escalationId: id,
+      callId: escalation.callId,
+    });
+    return;
+  }
+
+  await pageStep(escalation, next, getBusinessContext(escalation.businessId));
+}
+
+/**
+ * Escalates every page that wasn't acknowledged in time
+ * @returns {Promise<number>} Number of escalations checked
+ */
+export async function processEscalations() {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+
+  try {
+    const ids = getDueEscalationIds();
+
+    for (const id of ids) {
+      await escalate(id);
+    }
+
+    return ids.length;
+  } catch (error) {
+    logger.error('Failed to process escalations', error);
+    return 0;
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Starts the background worker that escalates unacknowledged pages
+ */
+export function startEscalationWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(processEscalations, CHECK_INTERVAL_MS);
+  workerTimer.unref();
+
+  logger.info('Escalation worker started', { ackMinutes: config.escalation.ackMinutes });
+
+  processEscalations();
+}
+
+/**
+ * Stops the background worker
+ */
+export function stopEscalationWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Acknowledges the active escalation a phone number was paged for (the
+ * person replied "ACK" to the page)
+ * @param {string} phone - Phone number the reply came from
+ * @returns {object|null} Acknowledged escalation, or null if none was waiting
+ */
+export function acknowledgeByPhone(phone) {
+  const step = findActiveStepByPhone(toE164(phone) || phone);
+
+  if (!step) {
+    return null;
+  }
+
+  return acknowledgeEscalation(step.escalationId, {
+    stepId: step.id,
+    by: step.contactName || step.phone,
+    via: 'sms',
+  });
+}
+
+/**
+ * Acknowledges an escalation from a signed link
+ * @param {number} stepId - Step ID from the link
+ * @param {string} signature - Signature from the link
+ * @returns {{ success: boolean, escalation?: object, step?: object, error?: string }}
+ */
+export function acknowledgeByLink(stepId, signature) {
+  if (!verifyAckSignature(stepId, signature)) {
+    return { success: false, error: 'This link is not valid.' };
+  }
+
+  const step = getEscalationStepById(stepId);
+
+  if (!step) {
+    return { success: false, error: 'This link is not valid.' };
+  }
+
+  const escalation = acknowledgeEscalation(step.escalationId, {
+    stepId: step.id,
+    by: step.contactName || step.phone,
+    via: 'link',
+  });
+
+  if (!escalation) {
+    const existing = getEscalationById(step.escalationId);
+    return {
+      success: false,
+      step,
+      error: existing?.status === 'acknowledged'
+        ? `${existing.acknowledgedBy} already acknowledged this emergency.`
+        : 'This emergency is no longer waiting for a response.',
+    };
+  }
+
+  return { success: true, escalation, step };
+}
+
+export default {
+  verifyAckSignature,
+  buildEscalationChain,
+  startEscalation,
+  processEscalations,
+  startEscalationWorker,
+  stopEscalationWorker,
+  acknowledgeByPhone,
+  acknowledgeByLink,
+};
@@ -0,0 +1,153 @@
+import logger from '../utils/logger.js';
+import { resolveBusinessForCall } from './business.service.js';
+import { detectEmergencyInSegments, splitTranscript } from './emergency.service.js';
+import { startEscalation } from './escalation.service.js';
+
+// Severities that page the escalation chain while the caller is still on
+// the line. Anything less waits for the call to end.
+const LIVE_ALERT_SEVERITIES = ['critical'];
+
+// Calls that send no events for this long are assumed over and forgotten
+const STALE_AFTER_MS = 2 * 60 * 60 * 1000;
+
+// Calls in progress, by Vapi call ID
+const calls = new Map();
+
+/**
+ * Gets the state kept for a call in progress, starting it on the first event
+ * @param {object} call - Vapi call object
+ * @returns {object} Call state
+ */
+function getCallState(call) {
+  let state = calls.get(call.id);
+
+  if (!state) {
+    forgetStaleCalls();
+
+    state = {
+      business: resolveBusinessForCall(call),
+      customerNumber: call.customer?.number || null,
+      // Final transcripts, and how many of them have been checked
+      transcript: [],
+      checked: 0,
+      alerted: false,
+      lastEventAt: Date.now(),
+    };
+    calls.set(call.id, state);
+  }
+
+  state.lastEventAt = Date.now();
+  return state;
+}
+
+/**
+ * Drops calls whose end was never reported
+ */
+function forgetStaleCalls() {
+  const cutoff = Date.now() - STALE_AFTER_MS;
+
+  for (const [callId, state] of calls) {
+    if (state.lastEventAt < cutoff) {
+      calls.delete(callId);
+    }
+  }
+}
+
+/**
+ * Runs emergency detection over what was said, and pages the escalation
+ * chain the first time something critical comes up
+ * @param {string} callId - Vapi call ID
+ * @param {object} state - Call state
+ * @param {object[]} segments - Segments to check
+ */
+function checkSegments(callId, state, segments) {
+  if (state.alerted || segments.length === 0) {
+    return;
+  }
+
+  const result = detectEmergencyInSegments(segments, state.business.id);
+
+  if (!LIVE_ALERT_SEVERITIES.includes(result.severity)) {
+    return;
+  }
+
+  state.alerted = true;
+
+  const said = segments
+    .filter(segment => segment.speaker === 'caller')
+    .map(segment => segment.text.trim())
+    .join(' ');
+
+  logger.warn('Emergency detected during call', {
+    callId,
+    businessId: state.business.id,
+    severity: result.severity,
+    keywordsFound: result.keywords,
+  });
+
+  // escalations.call_id is unique, so the call-ended webhook won't page again
+  startEscalation({
+    callId,
+    callerName: null,
+    phoneNumber: state.customerNumber,
+    serviceAddress: null,
+    issueDescription: said
+      ? `Caller is still on the line and said: "${said}"`
+      : `Caller is still on the line (${result.keywords.join(', ')})`,
+  }, state.business).catch(error => {
+    logger.error('Failed to start emergency escalation during call', error);
+  });
+}
+
+/**
+ * Records a transcript event. Only final transcripts are used; partial
+ * ones are repeated in full once the speaker finishes.
+ * @param {object} call - Vapi call object
+ * @param {object} message - Transcript message: role, transcriptType and transcript
+ */
+export function recordTranscript(call, message) {
+  if (message.transcriptType && message.transcriptType !== 'final') {
+    return;
+  }
+
+  const text = String(message.transcript || '').trim();
+
+  if (!text) {
+    return;
+  }
+
+  const state = getCallState(call);
+  state.transcript.push({ speaker: message.role === 'user' ? 'caller' : 'assistant', text });
+
+  const unchecked = state.transcript.slice(state.checked);
+  state.checked = state.transcript.length;
+  checkSegments(call.id, state, unchecked);
+}
+
+/**
+ * Records a conversation-update event, which carries everything said so far
+ * @param {object} call - Vapi call object
+ * @param {object[]} messages - Vapi messages (or OpenAI-style conversation)
+ */
+export function recordConversation(call, messages) {
+  const state = getCallState(call);
+
+  // Messages are merged differently from transcript events and can grow
+  // between updates, so the whole conversation is checked every time.
+  // state.alerted keeps that from paging twice.
+  checkSegments(call.id, state, splitTranscript(null, messages));
+}
+
+/**
+ * Forgets a call once it has ended
+ * @param {string} callId - Vapi call ID
+ */
+export function endCall(callId) {
+  calls.delete(callId);
+}
+
+export default {
+  recordTranscript,
+  recordConversation,
+  endCall,
+};
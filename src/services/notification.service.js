@@ -1,131 +1,427 @@
-import twilio from 'twilio';
-import { Resend } from 'resend';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import { formatSMS, formatEmail } from './summary.service.js';
+import { toE164 } from '../utils/phone.js';
+import { getDefaultBusinessContext } from './business.service.js';
+import { isOpenAt, getNextOpening } from './business-hours.service.js';
+import { getChannel, getChannelsForLeadType } from './channels/index.js';
+import { canText } from './consent.service.js';
+import { getOnCallTechnician } from './on-call.service.js';
+import { renderMessage, renderEmail } from './template.service.js';
+import {
+  enqueueMessage,
+  claimMessage,
+  markMessageSent,
+  markMessageFailed,
+  markMessageDead,
+} from '../db/repositories/outbox.repository.js';
+import { holdDigestItem } from '../db/repositories/digest.repository.js';
+import {
+  formatRescheduleSMS,
+  formatRescheduleEmail,
+  formatRescheduleRequestSMS,
+  formatEscalationSMS,
+} from './summary.service.js';
 
-// Lazy-initialized clients (initialized on first use)
-let twilioClient = null;
-let resend = null;
+// Message template used for each lead type
+const LEAD_TEMPLATES = { emergency: 'emergency', booked: 'booked', normal: 'lead' };
 
 /**
- * Gets or creates Twilio client
- * @returns {object} Twilio client
+ * Text and email formatters for each notification event. Leads and
+ * cancellations use the business's message templates. JSON channels get
+ * the raw data instead.
  */
-function getTwilioClient() {
-  if (!twilioClient) {
-    twilioClient = twilio(config.twilio.accountSid, config.twilio.authToken);
+const FORMATTERS = {
+  lead: {
+    text: (data, business) => renderMessage(LEAD_TEMPLATES[getLeadType(data)], 'sms', data, business),
+    email: (data, business) => renderEmail(LEAD_TEMPLATES[getLeadType(data)], data, business),
+  },
+  cancellation: {
+    text: (data, business) => renderMessage('cancelled', 'sms', data, business),
+    email: (data, business) => renderEmail('cancelled', data, business),
+  },
+  reschedule: { text: formatRescheduleSMS, email: formatRescheduleEmail },
+  rescheduleRequest: { text: formatRescheduleRequestSMS },
+};
+
+// Outbox kinds texted to customers rather than staff. These are never
+// sent to a number that opted out, even when queued before the opt-out.
+const CUSTOMER_KINDS = ['customer-cancellation', 'booking-confirmation', 'reminder'];
+
+/**
+ * Works out which channel routing a lead uses
+ * @param {object} leadData - Lead data
+ * @returns {'emergency'|'booked'|'normal'} Lead type
+ */
+export function getLeadType(leadData) {
+  if (leadData.isEmergency) {
+    return 'emergency';
   }
-  return twilioClient;
+  return leadData.appointment ? 'booked' : 'normal';
 }
 
 /**
- * Gets or creates Resend client
- * @returns {Resend} Resend client
+ * Formats an event for a channel's content type
+ * @param {object} channel - Notification channel
+ * @param {string} event - 'lead', 'cancellation', 'reschedule' or 'rescheduleRequest'
+ * @param {object} data - Lead or appointment data, with companyName
+ * @param {object} business - Business context whose templates are used
+ * @returns {{ subject?: string, body: string, html?: string, senderName?: string }}
  */
-function getResendClient() {
-  if (!resend) {
-    resend = new Resend(config.resend.apiKey);
+function buildMessage(channel, event, data, business) {
+  switch (channel.contentType) {
+    case 'email': {
+      const content = FORMATTERS[event].email(data, business);
+      return { subject: content.subject, body: content.text, html: content.html, senderName: data.companyName };
+    }
+    case 'json':
+      return { body: JSON.stringify({ event, data }) };
+    default:
+      return { body: FORMATTERS[event].text(data, business) };
   }
-  return resend;
 }
 
 /**
- * Sends an SMS notification
- * @param {object} leadData - The lead data to send
- * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ * Schedules the next attempt for a failed message: base delay doubled for
+ * each attempt already made
+ * @param {number} attempts - Attempts made so far, including the one that failed
+ * @returns {number} Timestamp (seconds) of the next attempt
  */
-export async function sendSMS(leadData) {
-  try {
-    const message = formatSMS(leadData);
+function nextAttemptAt(attempts) {
+  const delay = config.notifications.retryBaseSeconds * 2 ** (attempts - 1);
+  return Math.floor(Date.now() / 1000) + delay;
+}
 
-    const result = await getTwilioClient().messages.create({
-      body: message,
-      from: config.twilio.phoneNumber,
-      to: config.notifications.ownerPhone,
-    });
+/**
+ * Delivers an outbox message and records the outcome. Failures are retried
+ * with backoff by the outbox worker until the attempt limit, then parked
+ * as dead letters.
+ * @param {number} id - Outbox message ID
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string, outboxId: number, status: string }>}
+ */
+export async function deliverOutboxMessage(id) {
+  const message = claimMessage(id);
 
-    logger.info('SMS sent successfully', {
-      messageId: result.sid,
-      to: config.notifications.ownerPhone,
-      isEmergency: leadData.isEmergency,
-    });
+  if (!message) {
+    return { success: false, error: 'Message is not waiting to be sent', outboxId: id, status: null };
+  }
 
-    return { success: true, messageId: result.sid };
-  } catch (error) {
-    logger.error('Failed to send SMS', error);
-    return { success: false, error: error.message };
+  if (CUSTOMER_KINDS.includes(message.kind) && !canText(message.recipient)) {
+    logger.info('Customer text blocked: number opted out', { outboxId: message.id, kind: message.kind });
+    markMessageDead(message.id, 'Customer opted out of texts');
+    return { success: false, error: 'Customer opted out of texts', outboxId: message.id, status: 'dead' };
+  }
+
+  const logMetadata = { outboxId: message.id, kind: message.kind, attempt: message.attempts + 1 };
+  const channel = getChannel(message.channel);
+
+  const result = channel
+    ? await channel.send(message, logMetadata)
+    : { success: false, error: `Unknown notification channel: ${message.channel}` };
+
+  const attempts = message.attempts + 1;
+  let updated;
+
+  if (result.success) {
+    updated = markMessageSent(message.id, result.messageId);
+  } else if (attempts >= config.notifications.maxAttempts) {
+    updated = markMessageDead(message.id, result.error);
+  } else {
+    updated = markMessageFailed(message.id, result.error, nextAttemptAt(attempts));
   }
+
+  return { ...result, outboxId: message.id, status: updated?.status || null };
 }
 
 /**
- * Sends an email notification
- * @param {object} leadData - The lead data to send
+ * Writes a message to the outbox and makes the first delivery attempt
+ * right away, so a failure is retried even if the process restarts
+ * @param {object} message - Outbox message data
+ * @returns {Promise<object>} Result of the first attempt
+ */
+async function queueAndDeliver(message) {
+  const queued = enqueueMessage(message);
+  return deliverOutboxMessage(queued.id);
+}
+
+/**
+ * Queues a text to a customer, unless their number opted out
+ * @param {object} message - Outbox message data; kind must be one of CUSTOMER_KINDS
+ * @returns {Promise<object>} Result of the first attempt
+ */
+async function sendCustomerSMS(message) {
+  if (!canText(message.recipient)) {
+    logger.info('Customer text not sent: number opted out', { kind: message.kind, callId: message.callId });
+    return { success: false, error: 'Customer opted out of texts', optedOut: true };
+  }
+
+  return queueAndDeliver({ ...message, channel: 'sms' });
+}
+
+/**
+ * Formats an event for a channel and queues it to the business's recipient
+ * on that channel
+ * @param {object} channel - Notification channel
+ * @param {object} notification - What to send
+ * @param {string} notification.event - 'lead', 'cancellation', 'reschedule' or 'rescheduleRequest'
+ * @param {string} notification.kind - Outbox kind shown in the admin panel
+ * @param {object} notification.data - Lead or appointment data
+ * @param {object} notification.business - Business context
+ * @param {object|null} [notification.onCall] - Technician on call, for channels that page them
  * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
  */
-export async function sendEmail(leadData) {
+async function sendToChannel(channel, { event, kind, data, business, onCall = null }) {
   try {
-    const { subject, text, html } = formatEmail(leadData);
-
-    const result = await getResendClient().emails.send({
-      from: `${config.business.companyName} <leads@${config.business.companyName.toLowerCase().replace(/\s+/g, '')}.com>`,
-      to: config.notifications.ownerEmail,
-      subject,
-      text,
-      html,
-    });
+    const recipient = channel.getRecipient(business, onCall);
 
-    logger.info('Email sent successfully', {
-      messageId: result.id,
-      to: config.notifications.ownerEmail,
-      isEmergency: leadData.isEmergency,
-    });
+    if (!recipient) {
+      logger.error(`No ${channel.name} recipient configured`, { businessId: business.id, kind, callId: data.callId });
+      return { success: false, error: `No ${channel.name} recipient configured` };
+    }
 
-    return { success: true, messageId: result.id };
+    return await queueAndDeliver({
+      ...buildMessage(channel, event, { ...data, companyName: business.companyName }, business),
+      channel: channel.name,
+      recipient,
+      kind,
+      callId: data.callId,
+      businessId: business.id,
+    });
   } catch (error) {
-    logger.error('Failed to send email', error);
+    logger.error(`Failed to send ${channel.name} notification`, error);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Sends all notifications (SMS and Email)
+ * Holds a lead text for the digest sent when the business next opens
+ * @param {object} leadData - Lead data
+ * @param {object} business - Business context
+ * @param {DateTime} sendAt - When the business opens
+ * @returns {{ success: boolean, held: boolean, digestItemId: number, sendAt: string }}
+ */
+function holdForDigest(leadData, business, sendAt) {
+  const item = holdDigestItem({
+    businessId: business.id,
+    callId: leadData.callId,
+    callerName: leadData.callerName,
+    phoneNumber: leadData.phoneNumber,
+    issueDescription: leadData.issueDescription,
+    appointmentTime: leadData.appointment?.displayTime,
+    sendAt: Math.floor(sendAt.toSeconds()),
+  });
+
+  return { success: true, held: true, digestItemId: item.id, sendAt: item.sendAt };
+}
+
+/**
+ * Sends a lead notification to every channel configured for its lead type
+ * (NOTIFY_EMERGENCY_CHANNELS, NOTIFY_BOOKED_CHANNELS, NOTIFY_NORMAL_CHANNELS).
+ * Texts go to whoever is on call, or the owner when no one is. No text is
+ * sent for an emergency that already paged someone during the call, and
+ * other texts wait for the opening digest when the business is closed
+ * (AFTER_HOURS_TEXTS).
  * @param {object} leadData - The lead data to send
- * @returns {Promise<{ sms: object, email: object }>}
+ * @param {object} [business] - Business context whose owner is notified
+ * @returns {Promise<object>} Result per channel name
  */
-export async function sendAllNotifications(leadData) {
+export async function sendAllNotifications(leadData, business = getDefaultBusinessContext()) {
+  const leadType = getLeadType(leadData);
+  // Whoever was paged during the call already has a text about it
+  const channels = getChannelsForLeadType(leadType)
+    .filter(channel => !(leadData.alertedDuringCall && channel.name === 'sms'));
+  const onCall = getOnCallTechnician(business);
+  const holdTextsUntil = leadType !== 'emergency' && config.notifications.afterHoursTexts === 'digest'
+    && !isOpenAt(business)
+    ? getNextOpening(business)
+    : null;
+
   logger.info('Sending notifications', {
     callId: leadData.callId,
-    isEmergency: leadData.isEmergency,
+    businessId: business.id,
+    leadType,
+    channels: channels.map(channel => channel.name),
+    onCall: onCall?.name || null,
+    holdTextsUntil: holdTextsUntil?.toISO() || null,
   });
 
-  // Send both notifications in parallel
-  const [smsResult, emailResult] = await Promise.all([
-    sendSMS(leadData),
-    sendEmail(leadData),
-  ]);
+  const kind = leadData.isEmergency ? 'emergency-lead' : 'lead';
 
-  const results = {
-    sms: smsResult,
-    email: emailResult,
-  };
+  const settled = await Promise.all(
+    channels.map(channel => (channel.name === 'sms' && holdTextsUntil
+      ? holdForDigest(leadData, business, holdTextsUntil)
+      : sendToChannel(channel, { event: 'lead', kind, data: leadData, business, onCall })))
+  );
 
-  // Log overall result
-  if (smsResult.success && emailResult.success) {
+  const results = Object.fromEntries(channels.map((channel, i) => [channel.name, settled[i]]));
+  const failed = Object.keys(results).filter(name => !results[name].success);
+
+  if (channels.length === 0) {
+    logger.warn('No notification channels configured for lead type', { callId: leadData.callId, leadType });
+  } else if (failed.length === 0) {
     logger.info('All notifications sent successfully', { callId: leadData.callId });
   } else {
-    logger.warn('Some notifications failed', {
-      callId: leadData.callId,
-      smsSuccess: smsResult.success,
-      emailSuccess: emailResult.success,
-    });
+    logger.warn('Some notifications failed', { callId: leadData.callId, failed });
   }
 
   return results;
 }
 
+/**
+ * Sends an appointment change to the owner on the channels configured for
+ * booked leads
+ * @param {string} event - 'cancellation' or 'reschedule'
+ * @param {object} appointment - Appointment data
+ * @param {object} business - Business context
+ * @returns {Promise<object>} Result per channel name
+ */
+async function sendAppointmentUpdate(event, appointment, business) {
+  const channels = getChannelsForLeadType('booked');
+
+  const settled = await Promise.all(
+    channels.map(channel => sendToChannel(channel, { event, kind: event, data: appointment, business }))
+  );
+
+  return Object.fromEntries(channels.map((channel, i) => [channel.name, settled[i]]));
+}
+
+/**
+ * Notifies the owner (on the booked-lead channels) and the customer (SMS,
+ * unless they opted out) that an appointment was cancelled
+ * @param {object} appointment - Cancelled appointment with displayTime
+ * @param {object} [business] - Business context the appointment belongs to
+ * @returns {Promise<{ owner: object, customerSms: object }>}
+ */
+export async function sendCancellationNotifications(appointment, business = getDefaultBusinessContext()) {
+  logger.info('Sending cancellation notifications', { appointmentId: appointment.id });
+
+  const customerPhone = toE164(appointment.phoneNumber);
+
+  const [owner, customerSms] = await Promise.all([
+    sendAppointmentUpdate('cancellation', appointment, business),
+    customerPhone
+      ? sendCustomerSMS({
+        recipient: customerPhone,
+        body: renderMessage('cancelled', 'customerSms', appointment, business),
+        kind: 'customer-cancellation',
+        callId: appointment.callId,
+        businessId: business.id,
+      })
+      : Promise.resolve({ success: false, error: 'No valid customer phone number' }),
+  ]);
+
+  const failed = Object.keys(owner).filter(name => !owner[name].success);
+
+  if (failed.length > 0 || !customerSms.success) {
+    logger.warn('Some cancellation notifications failed', {
+      appointmentId: appointment.id,
+      failedOwnerChannels: failed,
+      customerSmsSuccess: customerSms.success,
+    });
+  }
+
+  return { owner, customerSms };
+}
+
+/**
+ * Notifies the owner (on the booked-lead channels) that an appointment was moved
+ * @param {object} appointment - Rescheduled appointment with displayTime and previousDisplayTime
+ * @param {object} [business] - Business context the appointment belongs to
+ * @returns {Promise<{ owner: object }>}
+ */
+export async function sendRescheduleNotifications(appointment, business = getDefaultBusinessContext()) {
+  logger.info('Sending reschedule notifications', { appointmentId: appointment.id });
+
+  const owner = await sendAppointmentUpdate('reschedule', appointment, business);
+  const failed = Object.keys(owner).filter(name => !owner[name].success);
+
+  if (failed.length > 0) {
+    logger.warn('Some reschedule notifications failed', {
+      appointmentId: appointment.id,
+      failedOwnerChannels: failed,
+    });
+  }
+
+  return { owner };
+}
+
+/**
+ * Texts whoever is on call (or the owner) that a customer wants to move
+ * their appointment, so they can call back with new times
+ * @param {object} appointment - Appointment with displayTime
+ * @param {object} [business] - Business context the appointment belongs to
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+export async function sendRescheduleRequest(appointment, business = getDefaultBusinessContext()) {
+  return sendToChannel(getChannel('sms'), {
+    event: 'rescheduleRequest',
+    kind: 'reschedule-request',
+    data: appointment,
+    business,
+    onCall: getOnCallTechnician(business),
+  });
+}
+
+/**
+ * Texts one person in an emergency escalation chain. Pages always go by SMS
+ * so the person can reply ACK.
+ * @param {object} escalation - Escalation being paged
+ * @param {object} page - Who to page
+ * @param {string} page.phone - Phone number to text
+ * @param {string|null} [page.previousName] - Who didn't acknowledge before them
+ * @param {string|null} [page.ackUrl] - Signed acknowledgement link
+ * @param {object} [business] - Business context the escalation belongs to
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string, outboxId: number }>}
+ */
+export async function sendEscalationPage(escalation, page, business = getDefaultBusinessContext()) {
+  return queueAndDeliver({
+    channel: 'sms',
+    recipient: page.phone,
+    body: formatEscalationSMS({ ...escalation, companyName: business.companyName }, page),
+    kind: 'escalation',
+    callId: escalation.callId,
+    businessId: business.id,
+  });
+}
+
+/**
+ * Sends a sample lead through one channel so its setup can be checked
+ * @param {string} name - Channel name
+ * @param {object} [business] - Business context whose recipient is used
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+export async function sendTestNotification(name, business = getDefaultBusinessContext()) {
+  const channel = getChannel(name);
+
+  if (!channel) {
+    return { success: false, error: `Unknown notification channel: ${name}` };
+  }
+
+  if (!channel.isConfigured()) {
+    return { success: false, error: `The ${name} channel is not configured` };
+  }
+
+  const sample = {
+    callerName: 'Test Caller',
+    phoneNumber: '+15555550100',
+    serviceAddress: '123 Test Street',
+    issueDescription: 'This is a test notification',
+    isEmergency: false,
+    emergencyKeywords: [],
+    callId: null,
+    timestamp: new Date().toISOString(),
+    appointment: null,
+  };
+
+  return sendToChannel(channel, { event: 'lead', kind: 'test', data: sample, business });
+}
+
 export default {
-  sendSMS,
-  sendEmail,
+  getLeadType,
+  deliverOutboxMessage,
   sendAllNotifications,
+  sendCancellationNotifications,
+  sendRescheduleNotifications,
+  sendRescheduleRequest,
+  sendEscalationPage,
+  sendTestNotification,
 };
@@ -0,0 +1,86 @@
+import { DateTime } from 'luxon';
+import logger from '../utils/logger.js';
+import { getRotation, getActiveOverride } from '../db/repositories/on-call.repository.js';
+
+/**
+ * Parses a local date and time in a business's timezone
+ * @param {string} value - "YYYY-MM-DD HH:MM" or "YYYY-MM-DDTHH:MM"
+ * @param {string} timezone - IANA timezone
+ * @returns {DateTime|null} Parsed time or null if invalid
+ */
+export function parseLocalDateTime(value, timezone) {
+  if (!value) {
+    return null;
+  }
+
+  const parsed = DateTime.fromISO(String(value).trim().replace(' ', 'T'), { zone: timezone });
+  return parsed.isValid ? parsed : null;
+}
+
+/**
+ * Works out who is on call for a business: an override covering the
+ * moment wins, otherwise the weekly rotation decides
+ * @param {object} business - Business context
+ * @param {DateTime} [at] - Moment to check (defaults to now)
+ * @returns {{ id: number, name: string, phone: string, source: string, until: string|null }|null}
+ *   On-call technician, or null when no one is scheduled
+ */
+export function getOnCallTechnician(business, at = DateTime.now()) {
+  const timezone = business.calendar.timezone;
+  const override = getActiveOverride(business.id, Math.floor(at.toSeconds()));
+
+  if (override) {
+    return {
+      id: override.technicianId,
+      name: override.technicianName,
+      phone: override.technicianPhone,
+      source: 'override',
+      until: override.endsAt,
+    };
+  }
+
+  const rotation = getRotation(business.id);
+
+  if (!rotation || rotation.technicians.length === 0) {
+    return null;
+  }
+
+  const start = DateTime.fromISO(rotation.startsAt, { zone: timezone });
+  const local = at.setZone(timezone);
+
+  if (!start.isValid) {
+    logger.warn('On-call rotation has an invalid start', { businessId: business.id, startsAt: rotation.startsAt });
+    return null;
+  }
+
+  if (local < start) {
+    return null;
+  }
+
+  // Handoffs happen at the same local time each week, across DST changes
+  const weeks = Math.floor(local.diff(start, 'weeks').weeks);
+  const technician = rotation.technicians[weeks % rotation.technicians.length];
+
+  return {
+    id: technician.id,
+    name: technician.name,
+    phone: technician.phone,
+    source: 'rotation',
+    until: start.plus({ weeks: weeks + 1 }).toUTC().toISO(),
+  };
+}
+
+/**
+ * Gets the first name to use when talking about a technician
+ * @param {string} name - Full name
+ * @returns {string} First name
+ */
+export function getFirstName(name) {
+  return String(name || '').trim().split(/\s+/)[0];
+}
+
+export default {
+  parseLocalDateTime,
+  getOnCallTechnician,
+  getFirstName,
+};
@@ -0,0 +1,111 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { deliverOutboxMessage } from './notification.service.js';
+import {
+  getDueMessageIds,
+  getMessageById,
+  requeueMessage,
+  resetInterruptedMessages,
+} from '../db/repositories/outbox.repository.js';
+
+let workerTimer = null;
+let isProcessing = false;
+
+/**
+ * Delivers every outbox message whose next attempt is due
+ * @returns {Promise<number>} Number of messages attempted
+ */
+export async function processOutbox() {
+  // A slow provider can make a run outlast the interval; don't overlap runs
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+
+  try {
+    const ids = getDueMessageIds();
+
+    for (const id of ids) {
+      const result = await deliverOutboxMessage(id);
+
+      if (!result.success && result.status) {
+        logger.warn('Notification retry failed', {
+          outboxId: id,
+          status: result.status,
+          error: result.error,
+        });
+      }
+    }
+
+    return ids.length;
+  } catch (error) {
+    logger.error('Failed to process notification outbox', error);
+    return 0;
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Starts the background worker that retries failed notifications
+ */
+export function startOutboxWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  // Anything mid-delivery when the process last stopped gets another try
+  resetInterruptedMessages();
+
+  const intervalMs = config.notifications.workerIntervalSeconds * 1000;
+  workerTimer = setInterval(processOutbox, intervalMs);
+  workerTimer.unref();
+
+  logger.info('Notification outbox worker started', {
+    intervalSeconds: config.notifications.workerIntervalSeconds,
+    maxAttempts: config.notifications.maxAttempts,
+  });
+
+  processOutbox();
+}
+
+/**
+ * Stops the background worker
+ */
+export function stopOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Manually resends a dead (or waiting) message now, with a fresh set of retries
+ * @param {number} id - Outbox message ID
+ * @returns {Promise<object>} { success, message } or { success: false, error }
+ */
+export async function resendMessage(id) {
+  const requeued = requeueMessage(id);
+
+  if (!requeued) {
+    return { success: false, error: 'Only failed messages can be resent' };
+  }
+
+  logger.info('Notification resend requested', { outboxId: id });
+
+  const result = await deliverOutboxMessage(id);
+
+  return {
+    success: result.success,
+    error: result.error,
+    message: getMessageById(id),
+  };
+}
+
+export default {
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  resendMessage,
+};
@@ -0,0 +1,200 @@
+import logger from '../utils/logger.js';
+import { toE164 } from '../utils/phone.js';
+import { getBusinessContext } from './business.service.js';
+import { canText } from './consent.service.js';
+import { formatAppointmentTime } from './booking.service.js';
+import { deliverOutboxMessage } from './notification.service.js';
+import { renderMessage } from './template.service.js';
+import { getAppointmentById } from '../db/repositories/appointment.repository.js';
+import {
+  scheduleReminders,
+  getDueReminders,
+  queueReminder,
+  skipReminder,
+} from '../db/repositories/reminder.repository.js';
+
+// How often to look for texts that are due
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Reminders before an appointment, latest first
+const REMINDERS = [
+  { kind: 'reminder_24h', hoursBefore: 24 },
+  { kind: 'reminder_2h', hoursBefore: 2 },
+];
+
+let workerTimer = null;
+let isProcessing = false;
+
+/**
+ * Schedules the customer's confirmation and reminder texts for a booked
+ * appointment, or moves the reminders when it is rescheduled, then sends
+ * whatever is due right away
+ * @param {object} appointment - Booked appointment
+ * @param {object} [options] - Scheduling options
+ * @param {boolean} [options.confirm=true] - Also send a booking confirmation
+ * @returns {object[]} The appointment's reminders
+ */
+export function scheduleAppointmentMessages(appointment, { confirm = true } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const reminders = REMINDERS.map(({ kind, hoursBefore }) => {
+    const sendAt = appointment.startTime - hoursBefore * 3600;
+    return sendAt > now
+      ? { kind, sendAt }
+      : { kind, sendAt, skipReason: 'Booked too close to the appointment' };
+  });
+
+  if (confirm) {
+    reminders.unshift({ kind: 'confirmation', sendAt: now });
+  }
+
+  const scheduled = scheduleReminders(appointment.id, reminders);
+
+  processReminders().catch(error => {
+    logger.error('Failed to send appointment texts', error);
+  });
+
+  return scheduled;
+}
+
+/**
+ * Works out why a due reminder shouldn't be sent, if it shouldn't
+ * @param {object} reminder - Due reminder
+ * @param {object|null} appointment - Its appointment
+ * @param {string|null} phone - Customer's E.164 number
+ * @returns {string|null} Skip reason, or null to send
+ */
+function getSkipReason(reminder, appointment, phone) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!appointment || appointment.status !== 'booked') {
+    return 'Appointment was cancelled';
+  }
+
+  if (appointment.startTime <= now) {
+    return 'Appointment already started';
+  }
+
+  if (!phone) {
+    return 'No valid customer phone number';
+  }
+
+  if (!canText(phone)) {
+    return 'Customer opted out';
+  }
+
+  // After downtime, only the latest reminder that is due goes out
+  const index = REMINDERS.findIndex(({ kind }) => kind === reminder.kind);
+  const superseded = REMINDERS.slice(index + 1)
+    .some(({ hoursBefore }) => appointment.startTime - hoursBefore * 3600 <= now);
+
+  if (index !== -1 && superseded) {
+    return 'A later reminder is already due';
+  }
+
+  return null;
+}
+
+/**
+ * Sends one due reminder through the notification outbox
+ * @param {object} reminder - Due reminder
+ */
+async function sendReminder(reminder) {
+  const appointment = getAppointmentById(reminder.appointmentId);
+  const phone = toE164(appointment?.phoneNumber);
+  const skipReason = getSkipReason(reminder, appointment, phone);
+
+  if (skipReason) {
+    skipReminder(reminder.id, skipReason);
+    return;
+  }
+
+  const business = getBusinessContext(appointment.businessId);
+  const body = renderMessage('reminder', reminder.kind, {
+    ...appointment,
+    displayTime: formatAppointmentTime(appointment, business),
+  }, business);
+
+  const queued = queueReminder(reminder.id, {
+    channel: 'sms',
+    recipient: phone,
+    body,
+    kind: reminder.kind === 'confirmation' ? 'booking-confirmation' : 'reminder',
+    callId: appointment.callId,
+    businessId: business.id,
+  });
+
+  if (!queued) {
+    return;
+  }
+
+  const result = await deliverOutboxMessage(queued.id);
+
+  logger.info('Appointment text sent', {
+    appointmentId: appointment.id,
+    kind: reminder.kind,
+    outboxId: queued.id,
+    success: result.success,
+  });
+}
+
+/**
+ * Sends every confirmation and reminder that is due. Failed deliveries
+ * are retried by the outbox worker.
+ * @returns {Promise<number>} Number of reminders handled
+ */
+export async function processReminders() {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+
+  try {
+    const reminders = getDueReminders();
+
+    for (const reminder of reminders) {
+      await sendReminder(reminder);
+    }
+
+    return reminders.length;
+  } catch (error) {
+    logger.error('Failed to process appointment reminders', error);
+    return 0;
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Starts the background worker that sends due reminders
+ */
+export function startReminderWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(processReminders, CHECK_INTERVAL_MS);
+  workerTimer.unref();
+
+  logger.info('Appointment reminder worker started');
+
+  processReminders();
+}
+
+/**
+ * Stops the background worker
+ */
+export function stopReminderWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default {
+  scheduleAppointmentMessages,
+  processReminders,
+  startReminderWorker,
+  stopReminderWorker,
+};
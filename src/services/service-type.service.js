@@ -0,0 +1,91 @@
+import { DateTime } from 'luxon';
+import { getServiceTypes } from '../db/repositories/service-type.repository.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Longest job that can be booked as one appointment
+const MAX_DURATION_MINUTES = 12 * 60;
+
+// Longest buffer before or after a job
+const MAX_BUFFER_MINUTES = 4 * 60;
+
+/**
+ * Checks that a service type makes sense before it is saved
+ * @param {object} serviceType - Service type fields
+ * @param {object[]} others - The business's other service types
+ * @returns {string|null} Problem with the service type, or null if it's valid
+ */
+export function validateServiceType(serviceType, others) {
+  if (!serviceType.name) {
+    return 'name is required';
+  }
+
+  if (serviceType.name.length > 100) {
+    return 'name must be 100 characters or fewer';
+  }
+
+  if (others.some(other => other.name.toLowerCase() === serviceType.name.toLowerCase())) {
+    return `There is already a service called ${serviceType.name}`;
+  }
+
+  if (serviceType.description && serviceType.description.length > 500) {
+    return 'description must be 500 characters or fewer';
+  }
+
+  const { durationMinutes, bufferBeforeMinutes, bufferAfterMinutes } = serviceType;
+
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > MAX_DURATION_MINUTES) {
+    return `durationMinutes must be a whole number of minutes from 5 to ${MAX_DURATION_MINUTES}`;
+  }
+
+  for (const buffer of [bufferBeforeMinutes, bufferAfterMinutes]) {
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > MAX_BUFFER_MINUTES) {
+      return `Buffers must be a whole number of minutes from 0 to ${MAX_BUFFER_MINUTES}`;
+    }
+  }
+
+  if (serviceType.allowedDays) {
+    if (serviceType.allowedDays.length === 0
+      || serviceType.allowedDays.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+      return 'allowedDays must be weekday numbers from 1 (Monday) to 7 (Sunday)';
+    }
+  }
+
+  for (const field of ['earliestStart', 'latestEnd']) {
+    if (serviceType[field] && !TIME_PATTERN.test(serviceType[field])) {
+      return `${field} must be in HH:MM format`;
+    }
+  }
+
+  if (serviceType.earliestStart && serviceType.latestEnd) {
+    const window = DateTime.fromFormat(serviceType.latestEnd, 'HH:mm')
+      .diff(DateTime.fromFormat(serviceType.earliestStart, 'HH:mm'), 'minutes').minutes;
+
+    if (window < durationMinutes) {
+      return 'The job doesn\'t fit between earliestStart and latestEnd';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds one of a business's service types by name, ignoring case
+ * @param {object} business - Business context
+ * @param {string} name - Service type name, e.g. as the assistant gave it
+ * @returns {object|null} Service type, or null if there's no such service
+ */
+export function findServiceType(business, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+
+  if (!wanted || !business.id) {
+    return null;
+  }
+
+  return getServiceTypes(business.id).find(serviceType => serviceType.name.toLowerCase() === wanted) || null;
+}
+
+export default {
+  validateServiceType,
+  findServiceType,
+};
@@ -1,186 +1,161 @@
 import config from '../config/index.js';
+import { escapeHtml } from '../utils/html.js';
 
 /**
- * Formats lead data for SMS notification
- * @param {object} leadData - The lead data
- * @returns {string} Formatted SMS message
+ * Gets the company name to show in a message
+ * @param {object} data - Lead or appointment data, optionally with companyName
+ * @returns {string} The business's name, or the configured company name
  */
-export function formatSMS(leadData) {
-  const {
-    callerName = 'Unknown',
-    phoneNumber = 'Not provided',
-    serviceAddress = 'Not provided',
-    issueDescription = 'Not provided',
-    isEmergency = false,
-    timestamp,
-    appointment = null,
-  } = leadData;
-
-  const formattedTime = timestamp
-    ? new Date(timestamp).toLocaleString('en-US', {
-        dateStyle: 'short',
-        timeStyle: 'short',
-      })
-    : new Date().toLocaleString('en-US', {
-        dateStyle: 'short',
-        timeStyle: 'short',
-      });
-
-  let message = `📞 NEW LEAD - ${config.business.companyName}\n\n`;
-  message += `Name: ${callerName}\n`;
-  message += `Phone: ${phoneNumber}\n`;
-  message += `Address: ${serviceAddress}\n`;
-  message += `Issue: ${issueDescription}\n\n`;
-
-  if (appointment) {
-    message += `📅 APPOINTMENT BOOKED\n`;
-    message += `${appointment.displayTime}\n\n`;
-  }
-
-  if (isEmergency) {
-    message += `🚨 EMERGENCY - CALL BACK ASAP\n`;
-  } else if (!appointment) {
-    message += `Priority: Normal\n`;
-  }
+function getCompanyName(data) {
+  return data.companyName || config.business.companyName;
+}
 
-  message += `\nReceived: ${formattedTime}`;
+/**
+ * Formats an appointment reschedule for the owner's SMS
+ * @param {object} appointment - Rescheduled appointment with displayTime and previousDisplayTime
+ * @returns {string} Formatted SMS message
+ */
+export function formatRescheduleSMS(appointment) {
+  let message = `🔁 APPOINTMENT RESCHEDULED - ${getCompanyName(appointment)}\n\n`;
+  message += `Name: ${appointment.callerName}\n`;
+  message += `Phone: ${appointment.phoneNumber}\n`;
+  message += `Address: ${appointment.serviceAddress || 'Not provided'}\n\n`;
+  message += `Was: ${appointment.previousDisplayTime}\n`;
+  message += `Now: ${appointment.displayTime}`;
 
   return message;
 }
 
 /**
- * Formats lead data for email notification
- * @param {object} leadData - The lead data
+ * Formats an appointment reschedule for the owner's email
+ * @param {object} appointment - Rescheduled appointment with displayTime and previousDisplayTime
  * @returns {{ subject: string, text: string, html: string }}
  */
-export function formatEmail(leadData) {
-  const {
-    callerName = 'Unknown',
-    phoneNumber = 'Not provided',
-    email = 'Not provided',
-    serviceAddress = 'Not provided',
-    issueDescription = 'Not provided',
-    isEmergency = false,
-    emergencyKeywords = [],
-    timestamp,
-    duration,
-    appointment = null,
-  } = leadData;
-
-  const formattedTime = timestamp
-    ? new Date(timestamp).toLocaleString('en-US', {
-        dateStyle: 'full',
-        timeStyle: 'short',
-      })
-    : new Date().toLocaleString('en-US', {
-        dateStyle: 'full',
-        timeStyle: 'short',
-      });
-
-  // Subject line
-  const subject = isEmergency
-    ? `🚨 EMERGENCY - New Lead from ${callerName}`
-    : `New Lead from ${callerName}`;
-
-  // Plain text version
-  let text = `New lead received via voice AI:\n\n`;
-  text += `CONTACT INFO\n`;
-  text += `------------\n`;
-  text += `Name: ${callerName}\n`;
-  text += `Phone: ${phoneNumber}\n`;
-  text += `Email: ${email}\n`;
-  text += `Address: ${serviceAddress}\n\n`;
-  text += `ISSUE\n`;
-  text += `-----\n`;
-  text += `${issueDescription}\n\n`;
-
-  if (isEmergency) {
-    text += `⚠️ This has been flagged as a potential EMERGENCY.\n`;
-    if (emergencyKeywords.length > 0) {
-      text += `Keywords detected: ${emergencyKeywords.join(', ')}\n`;
-    }
-    text += `Please call back immediately.\n\n`;
-  }
+export function formatRescheduleEmail(appointment) {
+  const { callerName, phoneNumber, displayTime, previousDisplayTime } = appointment;
+  const serviceAddress = appointment.serviceAddress || 'Not provided';
+  const issueDescription = appointment.issueDescription || 'Not provided';
 
-  if (appointment) {
-    text += `APPOINTMENT SCHEDULED\n`;
-    text += `---------------------\n`;
-    text += `Date/Time: ${appointment.displayTime}\n`;
-    text += `Address: ${serviceAddress}\n\n`;
-  }
+  const subject = `Appointment Rescheduled - ${callerName}, now ${displayTime}`;
 
-  text += `---\n`;
-  text += `Call received: ${formattedTime}\n`;
-  if (duration) {
-    text += `Call duration: ${duration} seconds\n`;
-  }
+  let text = `An appointment has been rescheduled:\n\n`;
+  text += `Name: ${callerName}\n`;
+  text += `Phone: ${phoneNumber}\n`;
+  text += `Address: ${serviceAddress}\n`;
+  text += `Issue: ${issueDescription}\n\n`;
+  text += `Was: ${previousDisplayTime}\n`;
+  text += `Now: ${displayTime}\n`;
 
-  // HTML version
-  let html = `
+  const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #333;">New Lead Received</h2>
+      <h2 style="color: #333;">Appointment Rescheduled</h2>
 
-      ${isEmergency ? `
-        <div style="background-color: #fee2e2; border: 1px solid #ef4444; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
-          <h3 style="color: #dc2626; margin: 0 0 8px 0;">⚠️ EMERGENCY</h3>
-          <p style="margin: 0; color: #991b1b;">This call has been flagged as a potential emergency. Please call back immediately.</p>
-          ${emergencyKeywords.length > 0 ? `<p style="margin: 8px 0 0 0; color: #991b1b;"><strong>Keywords detected:</strong> ${emergencyKeywords.join(', ')}</p>` : ''}
-        </div>
-      ` : ''}
+      <div style="background-color: #ecfdf5; border: 1px solid #10b981; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr>
+            <td style="padding: 8px 0; color: #065f46; width: 100px;">Now:</td>
+            <td style="padding: 8px 0; color: #065f46; font-weight: 600;">${escapeHtml(displayTime)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px 0; color: #065f46;">Was:</td>
+            <td style="padding: 8px 0; color: #065f46; text-decoration: line-through;">${escapeHtml(previousDisplayTime)}</td>
+          </tr>
+        </table>
+      </div>
 
       <div style="background-color: #f9fafb; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
-        <h3 style="color: #374151; margin: 0 0 12px 0;">Contact Information</h3>
         <table style="width: 100%; border-collapse: collapse;">
           <tr>
             <td style="padding: 8px 0; color: #6b7280; width: 100px;">Name:</td>
-            <td style="padding: 8px 0; color: #111827; font-weight: 500;">${callerName}</td>
+            <td style="padding: 8px 0; color: #111827; font-weight: 500;">${escapeHtml(callerName)}</td>
           </tr>
           <tr>
             <td style="padding: 8px 0; color: #6b7280;">Phone:</td>
-            <td style="padding: 8px 0; color: #111827;"><a href="tel:${phoneNumber}" style="color: #2563eb;">${phoneNumber}</a></td>
+            <td style="padding: 8px 0; color: #111827;"><a href="tel:${escapeHtml(phoneNumber)}" style="color: #2563eb;">${escapeHtml(phoneNumber)}</a></td>
           </tr>
           <tr>
-            <td style="padding: 8px 0; color: #6b7280;">Email:</td>
-            <td style="padding: 8px 0; color: #111827;">${email !== 'Not provided' ? `<a href="mailto:${email}" style="color: #2563eb;">${email}</a>` : email}</td>
+            <td style="padding: 8px 0; color: #6b7280;">Address:</td>
+            <td style="padding: 8px 0; color: #111827;">${escapeHtml(serviceAddress)}</td>
           </tr>
           <tr>
-            <td style="padding: 8px 0; color: #6b7280;">Address:</td>
-            <td style="padding: 8px 0; color: #111827;">${serviceAddress}</td>
+            <td style="padding: 8px 0; color: #6b7280;">Issue:</td>
+            <td style="padding: 8px 0; color: #111827;">${escapeHtml(issueDescription)}</td>
           </tr>
         </table>
       </div>
-
-      <div style="background-color: #f9fafb; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
-        <h3 style="color: #374151; margin: 0 0 12px 0;">Issue Description</h3>
-        <p style="margin: 0; color: #111827; line-height: 1.5;">${issueDescription}</p>
-      </div>
-
-      ${appointment ? `
-        <div style="background-color: #ecfdf5; border: 1px solid #10b981; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
-          <h3 style="color: #047857; margin: 0 0 12px 0;">📅 Appointment Scheduled</h3>
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr>
-              <td style="padding: 8px 0; color: #065f46; width: 100px;">Date/Time:</td>
-              <td style="padding: 8px 0; color: #065f46; font-weight: 600;">${appointment.displayTime}</td>
-            </tr>
-            <tr>
-              <td style="padding: 8px 0; color: #065f46;">Address:</td>
-              <td style="padding: 8px 0; color: #065f46;">${serviceAddress}</td>
-            </tr>
-          </table>
-        </div>
-      ` : ''}
-
-      <div style="border-top: 1px solid #e5e7eb; padding-top: 16px; color: #6b7280; font-size: 14px;">
-        <p style="margin: 0;">Call received: ${formattedTime}</p>
-        ${duration ? `<p style="margin: 4px 0 0 0;">Call duration: ${duration} seconds</p>` : ''}
-      </div>
     </div>
   `;
 
   return { subject, text, html };
 }
 
+/**
+ * Formats the text sent to the owner when a customer asks to move their appointment
+ * @param {object} appointment - Appointment with displayTime
+ * @returns {string} Formatted SMS message
+ */
+export function formatRescheduleRequestSMS(appointment) {
+  let message = `🔁 RESCHEDULE REQUEST - ${getCompanyName(appointment)}\n\n`;
+  message += `Name: ${appointment.callerName}\n`;
+  message += `Phone: ${appointment.phoneNumber}\n`;
+  message += `Booked: ${appointment.displayTime}\n\n`;
+  message += 'The customer texted RESCHEDULE. Call them to pick a new time.';
+
+  return message;
+}
+
+/**
+ * Formats the page sent to each person in an emergency escalation chain
+ * @param {object} escalation - Escalation with companyName
+ * @param {object} page - Who is being paged
+ * @param {string|null} page.previousName - Who didn't acknowledge before them, if anyone
+ * @param {string|null} page.ackUrl - Signed acknowledgement link, if links are enabled
+ * @returns {string} Formatted SMS message
+ */
+export function formatEscalationSMS(escalation, { previousName = null, ackUrl = null } = {}) {
+  let message = `🚨 EMERGENCY - ${getCompanyName(escalation)}\n\n`;
+
+  if (previousName) {
+    message += `Escalated: ${previousName} hasn't responded\n\n`;
+  }
+
+  message += `Name: ${escalation.callerName || 'Unknown'}\n`;
+  message += `Phone: ${escalation.phoneNumber || 'Not provided'}\n`;
+  message += `Address: ${escalation.serviceAddress || 'Not provided'}\n`;
+  message += `Issue: ${escalation.issueDescription || 'Not provided'}\n\n`;
+  message += 'Reply ACK to take this call.';
+
+  if (ackUrl) {
+    message += `\nOr acknowledge here: ${ackUrl}`;
+  }
+
+  return message;
+}
+
+/**
+ * Formats the text that replaces lead alerts held while the business was closed
+ * @param {object} digest - Digest data
+ * @param {string} [digest.companyName] - Business name
+ * @param {object[]} digest.items - Held leads, oldest first
+ * @returns {string} Formatted SMS message
+ */
+export function formatLeadDigestSMS({ companyName, items }) {
+  const count = items.length === 1 ? '1 call' : `${items.length} calls`;
+  let message = `🌙 WHILE YOU WERE CLOSED - ${getCompanyName({ companyName })}\n\n`;
+  message += `${count} came in after hours:\n`;
+
+  items.forEach((item, index) => {
+    message += `\n${index + 1}. ${item.callerName || 'Unknown'} - ${item.phoneNumber || 'No number'}\n`;
+    message += `${item.issueDescription || 'No details'}\n`;
+
+    if (item.appointmentTime) {
+      message += `Booked: ${item.appointmentTime}\n`;
+    }
+  });
+
+  return message.trimEnd();
+}
+
 /**
  * Creates a simple summary object from lead data
  * @param {object} leadData - The lead data
@@ -195,15 +170,21 @@ export function createSummary(leadData) {
     issueDescription: leadData.issueDescription || 'Not provided',
     isEmergency: leadData.isEmergency || false,
     emergencyKeywords: leadData.emergencyKeywords || [],
+    emergencySeverity: leadData.emergencySeverity || null,
+    alertedDuringCall: leadData.alertedDuringCall || false,
     callId: leadData.callId,
     timestamp: leadData.timestamp || new Date().toISOString(),
     duration: leadData.duration || null,
     appointment: leadData.appointment || null,
+    companyName: leadData.companyName || null,
   };
 }
 
 export default {
-  formatSMS,
-  formatEmail,
+  formatRescheduleSMS,
+  formatRescheduleEmail,
+  formatRescheduleRequestSMS,
+  formatEscalationSMS,
+  formatLeadDigestSMS,
   createSummary,
 };
@@ -0,0 +1,517 @@
+import { DateTime } from 'luxon';
+import { htmlToText } from '../utils/html.js';
+import { renderTemplate, parseTemplate } from '../utils/template.js';
+import { getDefaultBusinessContext } from './business.service.js';
+import {
+  getStoredTemplate,
+  getStoredTemplates,
+  saveTemplate,
+  deleteTemplate,
+} from '../db/repositories/template.repository.js';
+
+// Longest template body accepted from the admin panel
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/**
+ * Message parts a type can have. Only emailHtml is HTML, so only its
+ * {{values}} are HTML-escaped.
+ */
+const PARTS = {
+  sms: { label: 'Staff text', html: false },
+  emailSubject: { label: 'Email subject', html: false },
+  emailHtml: { label: 'Email body (HTML)', html: true },
+  customerSms: { label: 'Customer text', html: false },
+  confirmation: { label: 'Booking confirmation text', html: false },
+  reminder_24h: { label: 'Day-before reminder text', html: false },
+  reminder_2h: { label: 'Two-hour reminder text', html: false },
+};
+
+const LEAD_FIELDS = [
+  'companyName', 'callerName', 'phoneNumber', 'email', 'serviceAddress', 'issueDescription',
+  'isEmergency', 'emergencyKeywords', 'emergencySeverity', 'appointment.displayTime',
+  'receivedAt', 'receivedAtLong', 'duration',
+];
+
+const APPOINTMENT_FIELDS = [
+  'companyName', 'callerName', 'phoneNumber', 'serviceAddress', 'issueDescription',
+  'displayTime', 'cancellationReason',
+];
+
+const REMINDER_FIELDS = ['companyName', 'customerName', 'displayTime', 'serviceAddress'];
+
+/**
+ * Message types owners can reword, their parts and the values their
+ * templates can use
+ */
+export const MESSAGE_TYPES = {
+  lead: { label: 'New lead', parts: ['sms', 'emailSubject', 'emailHtml'], fields: LEAD_FIELDS },
+  emergency: { label: 'Emergency lead', parts: ['sms', 'emailSubject', 'emailHtml'], fields: LEAD_FIELDS },
+  booked: { label: 'Booked lead', parts: ['sms', 'emailSubject', 'emailHtml'], fields: LEAD_FIELDS },
+  cancelled: {
+    label: 'Cancelled appointment',
+    parts: ['sms', 'emailSubject', 'emailHtml', 'customerSms'],
+    fields: APPOINTMENT_FIELDS,
+  },
+  reminder: {
+    label: 'Customer confirmation and reminders',
+    parts: ['confirmation', 'reminder_24h', 'reminder_2h'],
+    fields: REMINDER_FIELDS,
+  },
+};
+
+const LEAD_SMS_DETAILS = `Name: {{callerName}}
+Phone: {{phoneNumber}}
+Address: {{serviceAddress}}
+Issue: {{issueDescription}}
+`;
+
+const EMAIL_START = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333;">New Lead Received</h2>
+`;
+
+const EMAIL_EMERGENCY = `  <div style="background-color: #fee2e2; border: 1px solid #ef4444; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
+    <h3 style="color: #dc2626; margin: 0 0 8px 0;">⚠️ EMERGENCY</h3>
+    <p style="margin: 0; color: #991b1b;">This call has been flagged as a potential emergency. Please call back immediately.</p>
+    {{#emergencyKeywords}}
+    <p style="margin: 8px 0 0 0; color: #991b1b;"><strong>Keywords detected:</strong> {{emergencyKeywords}}</p>
+    {{/emergencyKeywords}}
+  </div>
+`;
+
+const EMAIL_LEAD_DETAILS = `  <div style="background-color: #f9fafb; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
+    <h3 style="color: #374151; margin: 0 0 12px 0;">Contact Information</h3>
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <td style="padding: 8px 0; color: #6b7280; width: 100px;">Name:</td>
+        <td style="padding: 8px 0; color: #111827; font-weight: 500;">{{callerName}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #6b7280;">Phone:</td>
+        <td style="padding: 8px 0; color: #111827;"><a href="tel:{{phoneNumber}}" style="color: #2563eb;">{{phoneNumber}}</a></td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #6b7280;">Email:</td>
+        <td style="padding: 8px 0; color: #111827;">{{#email}}<a href="mailto:{{email}}" style="color: #2563eb;">{{email}}</a>{{/email}}{{^email}}Not provided{{/email}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #6b7280;">Address:</td>
+        <td style="padding: 8px 0; color: #111827;">{{serviceAddress}}</td>
+      </tr>
+    </table>
+  </div>
+
+  <div style="background-color: #f9fafb; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
+    <h3 style="color: #374151; margin: 0 0 12px 0;">Issue Description</h3>
+    <p style="margin: 0; color: #111827; line-height: 1.5;">{{issueDescription}}</p>
+  </div>
+`;
+
+const EMAIL_APPOINTMENT = `  <div style="background-color: #ecfdf5; border: 1px solid #10b981; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
+    <h3 style="color: #047857; margin: 0 0 12px 0;">📅 Appointment Scheduled</h3>
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <td style="padding: 8px 0; color: #065f46; width: 100px;">Date/Time:</td>
+        <td style="padding: 8px 0; color: #065f46; font-weight: 600;">{{appointment.displayTime}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #065f46;">Address:</td>
+        <td style="padding: 8px 0; color: #065f46;">{{serviceAddress}}</td>
+      </tr>
+    </table>
+  </div>
+`;
+
+const EMAIL_END = `  <div style="border-top: 1px solid #e5e7eb; padding-top: 16px; color: #6b7280; font-size: 14px;">
+    <p style="margin: 0;">Call received: {{receivedAtLong}}</p>
+    {{#duration}}
+    <p style="margin: 4px 0 0 0;">Call duration: {{duration}} seconds</p>
+    {{/duration}}
+  </div>
+</div>
+`;
+
+/**
+ * Built-in wording for every message part, used until a business edits it
+ */
+export const DEFAULT_TEMPLATES = {
+  lead: {
+    sms: `📞 NEW LEAD - {{companyName}}
+
+${LEAD_SMS_DETAILS}
+Priority: Normal
+
+Received: {{receivedAt}}`,
+    emailSubject: 'New Lead from {{callerName}}',
+    emailHtml: EMAIL_START + '\n' + EMAIL_LEAD_DETAILS + '\n' + EMAIL_END,
+  },
+  emergency: {
+    sms: `📞 NEW LEAD - {{companyName}}
+
+${LEAD_SMS_DETAILS}
+{{#appointment}}
+📅 APPOINTMENT BOOKED
+{{displayTime}}
+
+{{/appointment}}
+🚨 EMERGENCY - CALL BACK ASAP
+
+Received: {{receivedAt}}`,
+    emailSubject: '🚨 EMERGENCY - New Lead from {{callerName}}',
+    emailHtml: EMAIL_START + '\n' + EMAIL_EMERGENCY + '\n' + EMAIL_LEAD_DETAILS + '\n'
+      + '  {{#appointment}}\n' + EMAIL_APPOINTMENT + '  {{/appointment}}\n\n' + EMAIL_END,
+  },
+  booked: {
+    sms: `📞 NEW LEAD - {{companyName}}
+
+${LEAD_SMS_DETAILS}
+📅 APPOINTMENT BOOKED
+{{appointment.displayTime}}
+
+Received: {{receivedAt}}`,
+    emailSubject: 'New Lead from {{callerName}}',
+    emailHtml: EMAIL_START + '\n' + EMAIL_LEAD_DETAILS + '\n' + EMAIL_APPOINTMENT + '\n' + EMAIL_END,
+  },
+  cancelled: {
+    sms: `❌ APPOINTMENT CANCELLED - {{companyName}}
+
+Name: {{callerName}}
+Phone: {{phoneNumber}}
+Address: {{serviceAddress}}
+Was: {{displayTime}}
+{{#cancellationReason}}
+
+Reason: {{cancellationReason}}
+{{/cancellationReason}}`,
+    emailSubject: 'Appointment Cancelled - {{callerName}}, {{displayTime}}',
+    emailHtml: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333;">Appointment Cancelled</h2>
+
+  <div style="background-color: #fef3c7; border: 1px solid #f59e0b; border-radius: 8px; padding: 16px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <td style="padding: 8px 0; color: #92400e; width: 100px;">Was:</td>
+        <td style="padding: 8px 0; color: #92400e; font-weight: 600;">{{displayTime}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #92400e;">Name:</td>
+        <td style="padding: 8px 0; color: #92400e;">{{callerName}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #92400e;">Phone:</td>
+        <td style="padding: 8px 0; color: #92400e;"><a href="tel:{{phoneNumber}}" style="color: #2563eb;">{{phoneNumber}}</a></td>
+      </tr>
+      <tr>
+        <td style="padding: 8px 0; color: #92400e;">Address:</td>
+        <td style="padding: 8px 0; color: #92400e;">{{serviceAddress}}</td>
+      </tr>
+      {{#cancellationReason}}
+      <tr>
+        <td style="padding: 8px 0; color: #92400e;">Reason:</td>
+        <td style="padding: 8px 0; color: #92400e;">{{cancellationReason}}</td>
+      </tr>
+      {{/cancellationReason}}
+    </table>
+  </div>
+
+  <div style="border-top: 1px solid #e5e7eb; padding-top: 16px; color: #6b7280; font-size: 14px;">
+    <p style="margin: 0;">Issue: {{issueDescription}}</p>
+    <p style="margin: 4px 0 0 0;">The calendar event has been removed.</p>
+  </div>
+</div>
+`,
+    customerSms: '{{companyName}}: Your appointment on {{displayTime}} has been cancelled. '
+      + 'Call us anytime to book a new time.',
+  },
+  reminder: {
+    confirmation: '{{companyName}}: You\'re booked for {{displayTime}} at {{serviceAddress}}. '
+      + 'Reply CONFIRM to confirm, CANCEL to cancel or RESCHEDULE to change the time. Reply STOP to opt out.',
+    reminder_24h: '{{companyName}}: Reminder, your appointment is tomorrow, {{displayTime}}. '
+      + 'Reply CONFIRM to confirm, CANCEL to cancel or RESCHEDULE to change the time.',
+    reminder_2h: '{{companyName}}: Reminder, we\'ll see you soon. Your appointment is {{displayTime}}. '
+      + 'Reply RESCHEDULE if you need to change the time.',
+  },
+};
+
+/**
+ * Sample data for previews, by message type
+ */
+const SAMPLES = {
+  lead: {
+    callerName: 'Jane Smith',
+    phoneNumber: '+15555550100',
+    email: 'jane@example.com',
+    serviceAddress: '123 Main Street',
+    issueDescription: 'Kitchen sink is draining slowly',
+    isEmergency: false,
+    emergencyKeywords: [],
+    timestamp: '2024-03-14T15:30:00.000Z',
+    duration: 184,
+    appointment: null,
+  },
+  emergency: {
+    callerName: 'Jane Smith',
+    phoneNumber: '+15555550100',
+    email: null,
+    serviceAddress: '123 Main Street',
+    issueDescription: 'Water is pouring through the ceiling',
+    isEmergency: true,
+    emergencyKeywords: ['flooding', 'burst pipe'],
+    emergencySeverity: 'high',
+    timestamp: '2024-03-14T15:30:00.000Z',
+    duration: 126,
+    appointment: null,
+  },
+  booked: {
+    callerName: 'Jane Smith',
+    phoneNumber: '+15555550100',
+    email: 'jane@example.com',
+    serviceAddress: '123 Main Street',
+    issueDescription: 'Water heater making a banging noise',
+    isEmergency: false,
+    emergencyKeywords: [],
+    timestamp: '2024-03-14T15:30:00.000Z',
+    duration: 243,
+    appointment: { displayTime: 'Friday, March 15 at 10:00 AM' },
+  },
+  cancelled: {
+    callerName: 'Jane Smith',
+    phoneNumber: '+15555550100',
+    serviceAddress: '123 Main Street',
+    issueDescription: 'Water heater making a banging noise',
+    displayTime: 'Friday, March 15 at 10:00 AM',
+    cancellationReason: 'Customer replied CANCEL by text',
+  },
+  reminder: {
+    callerName: 'Jane Smith',
+    serviceAddress: '123 Main Street',
+    displayTime: 'Friday, March 15 at 10:00 AM',
+  },
+};
+
+/**
+ * Checks that a message type has a part
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @returns {boolean}
+ */
+export function isTemplatePart(type, part) {
+  return Boolean(MESSAGE_TYPES[type]?.parts.includes(part));
+}
+
+/**
+ * Formats when a call came in, in the business's timezone
+ * @param {string} [timestamp] - ISO timestamp, or now if missing
+ * @param {object} business - Business context
+ * @param {string} format - Luxon format
+ * @returns {string} Formatted time
+ */
+function formatReceived(timestamp, business, format) {
+  const time = timestamp ? DateTime.fromISO(timestamp) : DateTime.now();
+  return time.setZone(business.calendar.timezone).toFormat(format);
+}
+
+/**
+ * Builds the values a message template can use
+ * @param {string} type - Message type
+ * @param {object} data - Lead or appointment data
+ * @param {object} business - Business context
+ * @returns {object} Template values
+ */
+function buildValues(type, data, business) {
+  const companyName = business.companyName;
+
+  if (type === 'reminder') {
+    return {
+      companyName,
+      customerName: data.callerName,
+      displayTime: data.displayTime,
+      serviceAddress: data.serviceAddress,
+    };
+  }
+
+  if (type === 'cancelled') {
+    // Database rows hold null rather than undefined for missing fields
+    return {
+      companyName,
+      callerName: data.callerName,
+      phoneNumber: data.phoneNumber,
+      serviceAddress: data.serviceAddress || 'Not provided',
+      issueDescription: data.issueDescription || 'Not provided',
+      displayTime: data.displayTime,
+      cancellationReason: data.cancellationReason || null,
+    };
+  }
+
+  return {
+    companyName,
+    callerName: data.callerName || 'Unknown',
+    phoneNumber: data.phoneNumber || 'Not provided',
+    email: data.email || null,
+    serviceAddress: data.serviceAddress || 'Not provided',
+    issueDescription: data.issueDescription || 'Not provided',
+    isEmergency: Boolean(data.isEmergency),
+    emergencyKeywords: (data.emergencyKeywords || []).join(', '),
+    emergencySeverity: data.emergencySeverity || null,
+    appointment: data.appointment ? { displayTime: data.appointment.displayTime } : null,
+    receivedAt: formatReceived(data.timestamp, business, 'M/d/yy, h:mm a'),
+    receivedAtLong: formatReceived(data.timestamp, business, 'cccc, LLLL d, yyyy \'at\' h:mm a'),
+    duration: data.duration || null,
+  };
+}
+
+/**
+ * Gets the template a business uses for one message part
+ * @param {number} businessId - Business ID
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @returns {string} Template text
+ */
+export function getTemplate(businessId, type, part) {
+  return getStoredTemplate(businessId, type, part)?.body ?? DEFAULT_TEMPLATES[type][part];
+}
+
+/**
+ * Renders one message part with a business's template
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @param {object} data - Lead or appointment data
+ * @param {object} [business] - Business context
+ * @returns {string} Rendered text
+ */
+export function renderMessage(type, part, data, business = getDefaultBusinessContext()) {
+  return renderTemplate(getTemplate(business.id, type, part), buildValues(type, data, business), {
+    html: PARTS[part].html,
+  }).trim();
+}
+
+/**
+ * Renders the email for a message type. The plain-text part is made from
+ * the HTML.
+ * @param {string} type - Message type
+ * @param {object} data - Lead or appointment data
+ * @param {object} [business] - Business context
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderEmail(type, data, business = getDefaultBusinessContext()) {
+  const html = renderMessage(type, 'emailHtml', data, business);
+
+  return {
+    subject: renderMessage(type, 'emailSubject', data, business).replace(/\s+/g, ' '),
+    text: htmlToText(html),
+    html,
+  };
+}
+
+/**
+ * Lists every message part with the template a business uses for it
+ * @param {number} businessId - Business ID
+ * @returns {object[]} Message types with their parts
+ */
+export function listTemplates(businessId) {
+  const stored = new Map(getStoredTemplates(businessId).map(template => [
+    `${template.type}:${template.part}`,
+    template,
+  ]));
+
+  return Object.entries(MESSAGE_TYPES).map(([type, { label, parts, fields }]) => ({
+    type,
+    label,
+    fields,
+    parts: parts.map(part => {
+      const template = stored.get(`${type}:${part}`);
+
+      return {
+        part,
+        label: PARTS[part].label,
+        html: PARTS[part].html,
+        body: template?.body ?? DEFAULT_TEMPLATES[type][part],
+        defaultBody: DEFAULT_TEMPLATES[type][part],
+        customized: Boolean(template),
+        updatedAt: template?.updatedAt || null,
+        updatedBy: template?.updatedBy || null,
+      };
+    }),
+  }));
+}
+
+/**
+ * Checks template text submitted for a message part
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @param {*} body - Template text
+ * @returns {string|null} Problem with it, or null if it's usable
+ */
+export function validateTemplateBody(type, part, body) {
+  if (!isTemplatePart(type, part)) {
+    return 'Unknown message template';
+  }
+
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Template text is required';
+  }
+
+  if (body.length > MAX_TEMPLATE_LENGTH) {
+    return `Templates can be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  try {
+    parseTemplate(body);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Saves a business's wording for a message part
+ * @param {number} businessId - Business ID
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @param {string} body - Template text, already validated
+ * @param {string} [updatedBy] - Who edited it
+ * @returns {object} Saved template
+ */
+export function updateTemplate(businessId, type, part, body, updatedBy = null) {
+  return saveTemplate({ businessId, type, part, body, updatedBy });
+}
+
+/**
+ * Puts a message part back to its built-in wording
+ * @param {number} businessId - Business ID
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @returns {boolean} Whether the business had edited it
+ */
+export function resetTemplate(businessId, type, part) {
+  return deleteTemplate(businessId, type, part);
+}
+
+/**
+ * Renders template text against sample data, for previewing an edit
+ * before it's saved
+ * @param {string} type - Message type
+ * @param {string} part - Message part
+ * @param {string} body - Template text, already validated
+ * @param {object} business - Business context
+ * @returns {{ output: string, html: boolean, text?: string }} Rendered preview
+ */
+export function previewTemplate(type, part, body, business) {
+  const { html } = PARTS[part];
+  const output = renderTemplate(body, buildValues(type, SAMPLES[type], business), { html }).trim();
+
+  return html ? { output, html, text: htmlToText(output) } : { output, html };
+}
+
+export default {
+  MESSAGE_TYPES,
+  DEFAULT_TEMPLATES,
+  isTemplatePart,
+  getTemplate,
+  renderMessage,
+  renderEmail,
+  listTemplates,
+  validateTemplateBody,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate,
+};
@@ -0,0 +1,133 @@
+import logger from '../utils/logger.js';
+import { toE164 } from '../utils/phone.js';
+import { getOnCallTechnician, getFirstName } from './on-call.service.js';
+import {
+  createTransfer,
+  getTransfersForCall,
+  markTransferForwarded,
+  failPendingTransfers,
+} from '../db/repositories/transfer.repository.js';
+
+// Vapi's endedReason when the assistant handed the call to another number.
+// It only means the number was dialed: voicemail or no answer look the same.
+const FORWARDED_REASON = 'assistant-forwarded-call';
+
+// What the assistant is told when there is no one (left) to transfer to
+const FALLBACK_MESSAGE = 'No one is available to take the call right now. '
+  + 'Get the caller\'s name, callback number, address and what is happening, '
+  + 'and tell them someone will call them back as soon as possible.';
+
+/**
+ * Builds the list of people an emergency call can be transferred to, in
+ * order: whoever is on call, then the owner
+ * @param {object} business - Business context
+ * @returns {{ name: string, phone: string }[]} Transfer targets
+ */
+export function getTransferTargets(business) {
+  const onCall = getOnCallTechnician(business);
+  const targets = [];
+
+  if (onCall) {
+    targets.push({ name: onCall.name, phone: onCall.phone });
+  }
+
+  const ownerPhone = toE164(business.ownerPhone);
+  if (ownerPhone && !targets.some(target => target.phone === ownerPhone)) {
+    targets.push({ name: 'Owner', phone: ownerPhone });
+  }
+
+  return targets;
+}
+
+/**
+ * Picks the next person to transfer a call to and records the attempt.
+ * Asking again means the last transfer didn't connect, so it moves on down
+ * the list; once everyone has been tried the assistant is told to take a
+ * message instead.
+ * @param {object} call - Vapi call object
+ * @param {object} business - Business context
+ * @param {string} [reason] - Why the assistant asked for a transfer
+ * @returns {{ success: boolean, destination?: object, message?: string }}
+ */
+export function requestTransfer(call, business, reason) {
+  const failed = failPendingTransfers(call.id, 'Caller came back to the assistant');
+  const attempts = getTransfersForCall(call.id);
+
+  if (failed > 0) {
+    logger.warn('Call transfer did not connect', { callId: call.id, attempt: attempts.length });
+  }
+
+  const target = getTransferTargets(business)
+    .find(candidate => !attempts.some(attempt => attempt.phone === candidate.phone));
+
+  if (!target) {
+    logger.warn('No one left to transfer call to', {
+      callId: call.id,
+      businessId: business.id,
+      attempts: attempts.length,
+    });
+    return { success: false, message: FALLBACK_MESSAGE };
+  }
+
+  createTransfer({
+    businessId: business.id,
+    callId: call.id,
+    position: attempts.length,
+    contactName: target.name,
+    phone: target.phone,
+    reason,
+  });
+
+  logger.info('Transferring call', {
+    callId: call.id,
+    businessId: business.id,
+    attempt: attempts.length + 1,
+    contact: target.name,
+  });
+
+  const who = target.name === 'Owner' ? 'someone who can help' : getFirstName(target.name);
+
+  return {
+    success: true,
+    destination: {
+      type: 'number',
+      number: target.phone,
+      message: `I'm connecting you with ${who} now. Please stay on the line.`,
+    },
+  };
+}
+
+/**
+ * Records how a call's transfers ended once the call is over
+ * @param {object} call - Vapi call object with endedReason
+ * @returns {{ attempts: number, forwarded: object|null }|null} Outcome, or null if no transfer was tried
+ */
+export function recordTransferOutcome(call) {
+  const attempts = getTransfersForCall(call.id);
+
+  if (attempts.length === 0) {
+    return null;
+  }
+
+  if (call.endedReason === FORWARDED_REASON) {
+    markTransferForwarded(call.id, 'Call forwarded; not confirmed answered');
+  }
+  failPendingTransfers(call.id, `Call ended: ${call.endedReason || 'unknown'}`);
+
+  // Read back rather than trusting this run, so a retried webhook agrees
+  const forwarded = getTransfersForCall(call.id).find(attempt => attempt.status === 'forwarded') || null;
+
+  logger.info('Call transfer outcome', {
+    callId: call.id,
+    attempts: attempts.length,
+    forwardedTo: forwarded?.contactName || null,
+  });
+
+  return { attempts: attempts.length, forwarded };
+}
+
+export default {
+  getTransferTargets,
+  requestTransfer,
+  recordTransferOutcome,
+};
@@ -0,0 +1,136 @@
+import { DateTime } from 'luxon';
+
+/**
+ * How a closure repeats: not at all, every year on the same date, every
+ * year on the same weekday of the month (e.g. 4th Thursday of November),
+ * or every year on the month's last such weekday (e.g. last Monday of May)
+ */
+export const RECURRENCES = ['none', 'yearly-date', 'yearly-weekday', 'yearly-last-weekday'];
+
+/**
+ * Finds the day a closure starts in a given year
+ * @param {object} closure - Closure with startDate and recurrence
+ * @param {number} year - Year to look in
+ * @param {string} zone - Business timezone
+ * @returns {DateTime|null} Start of the closure's first day that year, or null if it doesn't happen then
+ */
+function getOccurrenceStart(closure, year, zone) {
+  const first = DateTime.fromISO(closure.startDate, { zone });
+
+  if (!first.isValid || year < first.year) {
+    return null;
+  }
+
+  switch (closure.recurrence) {
+    case 'yearly-date': {
+      // A Feb 29 closure only happens in leap years
+      const date = DateTime.fromObject({ year, month: first.month, day: first.day }, { zone });
+      return date.isValid ? date : null;
+    }
+    case 'yearly-weekday': {
+      const nth = Math.ceil(first.day / 7);
+      const monthStart = DateTime.fromObject({ year, month: first.month, day: 1 }, { zone });
+      const firstMatch = monthStart.plus({ days: (first.weekday - monthStart.weekday + 7) % 7 });
+      return firstMatch.plus({ weeks: nth - 1 });
+    }
+    case 'yearly-last-weekday': {
+      const monthEnd = DateTime.fromObject({ year, month: first.month, day: 1 }, { zone }).endOf('month').startOf('day');
+      return monthEnd.minus({ days: (monthEnd.weekday - first.weekday + 7) % 7 });
+    }
+    default:
+      return year === first.year ? first : null;
+  }
+}
+
+/**
+ * Counts the extra days a closure lasts after its first day
+ * @param {object} closure - Closure with startDate and endDate
+ * @returns {number} Days after the first (0 for a single day)
+ */
+function getExtraDays(closure) {
+  const start = DateTime.fromISO(closure.startDate);
+  const end = DateTime.fromISO(closure.endDate || closure.startDate);
+  return Math.max(0, Math.round(end.diff(start, 'days').days));
+}
+
+/**
+ * Gets the closures that cover a day
+ * @param {object[]} closures - Closures
+ * @param {DateTime} date - Day, in the business timezone
+ * @returns {object[]} Closures covering it
+ */
+export function getClosuresOn(closures, date) {
+  const day = date.startOf('day');
+
+  return closures.filter(closure => {
+    // A closure that started late last year can run into this one
+    for (const year of [day.year - 1, day.year]) {
+      const start = getOccurrenceStart(closure, year, day.zone);
+
+      if (start && day >= start && day <= start.plus({ days: getExtraDays(closure) })) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Gets the periods of a day the business is closed. A closure without
+ * times covers the whole day; one with times covers that window on each of
+ * its days.
+ * @param {object[]} closures - Closures
+ * @param {DateTime} date - Day, in the business timezone
+ * @returns {{ start: DateTime, end: DateTime, closure: object }[]} Closed periods
+ */
+export function getClosedWindows(closures, date) {
+  const day = date.startOf('day');
+
+  return getClosuresOn(closures, day).map(closure => {
+    if (!closure.startTime || !closure.endTime) {
+      return { start: day, end: day.plus({ days: 1 }), closure };
+    }
+
+    const [startHour, startMinute] = closure.startTime.split(':').map(Number);
+    const [endHour, endMinute] = closure.endTime.split(':').map(Number);
+
+    return {
+      start: day.set({ hour: startHour, minute: startMinute }),
+      end: day.set({ hour: endHour, minute: endMinute }),
+      closure,
+    };
+  });
+}
+
+/**
+ * Checks whether a closure covers whole days
+ * @param {object} closure - Closure
+ * @returns {boolean}
+ */
+export function isAllDay(closure) {
+  return !closure.startTime || !closure.endTime;
+}
+
+/**
+ * Turns the BUSINESS_HOLIDAYS list into closures: YYYY-MM-DD is closed
+ * that day, MM-DD on that date every year
+ * @param {string[]} holidays - Holiday dates
+ * @returns {object[]} Closures
+ */
+export function parseHolidayList(holidays = []) {
+  return holidays
+    .map(holiday => (/^\d{2}-\d{2}$/.test(holiday)
+      // 2000 was a leap year, so 02-29 is a valid start
+      ? { name: 'a holiday', startDate: `2000-${holiday}`, recurrence: 'yearly-date' }
+      : { name: 'a holiday', startDate: holiday, recurrence: 'none' }))
+    .filter(closure => DateTime.fromISO(closure.startDate).isValid)
+    .map(closure => ({ ...closure, endDate: closure.startDate, startTime: null, endTime: null }));
+}
+
+export default {
+  RECURRENCES,
+  getClosuresOn,
+  getClosedWindows,
+  isAllDay,
+  parseHolidayList,
+};
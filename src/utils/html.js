@@ -0,0 +1,50 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+/**
+ * Escapes text for use in HTML content or attribute values. Everything a
+ * caller said (names, addresses, issues, emails) goes through this before
+ * it reaches an email or page.
+ * @param {*} value - Value to escape; null and undefined become ''
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Converts rendered HTML email content to a plain-text alternative
+ * @param {string} html - HTML
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Line breaks come from the markup, not the source's formatting
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|table)>/gi, '\n\n')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/td>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default {
+  escapeHtml,
+  htmlToText,
+};
@@ -0,0 +1,132 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Undoes iCalendar TEXT escaping (\n, \, \; \\)
+ * @param {string} value - Escaped value
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Splits a content line into its name, parameters and value, e.g.
+ * DTSTART;TZID=America/New_York:20261126T090000
+ * @param {string} line - Unfolded content line
+ * @returns {{ name: string, params: object, value: string }|null} Property, or null if it isn't one
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Reads the events from an iCalendar (.ics) file. Only what closures need
+ * is kept: UID, SUMMARY, STATUS, DTSTART, DTEND and RRULE.
+ * @param {string} text - File contents
+ * @returns {{ uid: string|null, summary: string|null, status: string|null,
+ *   start: object|null, end: object|null, rrule: object|null }[]} Events
+ */
+export function parseICalendar(text) {
+  // Long lines are folded onto following lines that start with a space or tab
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      event = { uid: null, summary: null, status: null, start: null, end: null, rrule: null };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (event) {
+        events.push(event);
+      }
+      event = null;
+    } else if (event) {
+      switch (property.name) {
+        case 'UID':
+          event.uid = property.value.trim();
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(property.value).trim();
+          break;
+        case 'STATUS':
+          event.status = property.value.trim().toUpperCase();
+          break;
+        case 'DTSTART':
+          event.start = { value: property.value.trim(), params: property.params };
+          break;
+        case 'DTEND':
+          event.end = { value: property.value.trim(), params: property.params };
+          break;
+        case 'RRULE':
+          event.rrule = Object.fromEntries(property.value.split(';')
+            .map(part => part.split('='))
+            .map(([key, value]) => [key.toUpperCase(), value || '']));
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Reads a DTSTART or DTEND value
+ * @param {{ value: string, params: object }} property - Date property
+ * @param {string} zone - Timezone for times without one (and the zone the result is in)
+ * @returns {{ allDay: boolean, dateTime: DateTime }|null} Date, or null if it can't be read
+ */
+export function parseICalDate(property, zone) {
+  if (!property) {
+    return null;
+  }
+
+  const { value, params } = property;
+
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = DateTime.fromFormat(value, 'yyyyMMdd', { zone });
+    return date.isValid ? { allDay: true, dateTime: date } : null;
+  }
+
+  const utc = value.endsWith('Z');
+  const sourceZone = utc ? 'utc' : (params.TZID || zone);
+  const dateTime = DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone: sourceZone });
+
+  return dateTime.isValid ? { allDay: false, dateTime: dateTime.setZone(zone) } : null;
+}
+
+export default {
+  parseICalendar,
+  parseICalDate,
+};
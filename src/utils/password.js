@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Hash in the form "scrypt$<salt>$<hash>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+};
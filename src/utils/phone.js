@@ -0,0 +1,50 @@
+/**
+ * Strips a phone number down to its digits
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string} Digits only
+ */
+function digitsOnly(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * Converts a phone number to E.164 format, assuming US numbers
+ * when no country code is given
+ * @param {string} phoneNumber - Phone number as spoken or dialed
+ * @returns {string|null} E.164 number or null if it can't be parsed
+ */
+export function toE164(phoneNumber) {
+  const digits = digitsOnly(phoneNumber);
+
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return `+${digits}`;
+  }
+
+  if (String(phoneNumber).trim().startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether two phone numbers refer to the same line
+ * (e.g. "(555) 123-4567" and "+15551234567")
+ * @param {string} a - First phone number
+ * @param {string} b - Second phone number
+ * @returns {boolean}
+ */
+export function phoneNumbersMatch(a, b) {
+  const normalizedA = toE164(a);
+  const normalizedB = toE164(b);
+  return !!normalizedA && normalizedA === normalizedB;
+}
+
+export default {
+  toE164,
+  phoneNumbersMatch,
+};
@@ -0,0 +1,160 @@
+import { escapeHtml } from './html.js';
+
+// Mustache-style tags: {{{raw}}}, {{name}}, {{#section}}, {{^inverted}}, {{/section}}
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Parses a template into a tree of text, variable and section nodes
+ * @param {string} template - Template text
+ * @returns {object[]} Nodes
+ * @throws {Error} If a section isn't opened and closed properly
+ */
+export function parseTemplate(template) {
+  const text = String(template);
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [tag, rawName, sigil, name] = match;
+    const parent = stack[stack.length - 1];
+    let textEnd = match.index;
+    let tagEnd = match.index + tag.length;
+
+    // A section tag alone on its line takes the whole line with it, so
+    // {{#name}} and {{/name}} can sit on lines of their own
+    if (sigil) {
+      const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+      const restOfLine = text.slice(tagEnd).match(/^[ \t]*(\r?\n|$)/);
+
+      if (restOfLine && lineStart >= lastIndex && /^[ \t]*$/.test(text.slice(lineStart, match.index))) {
+        textEnd = lineStart;
+        tagEnd += restOfLine[0].length;
+      }
+    }
+
+    if (textEnd > lastIndex) {
+      parent.children.push({ type: 'text', value: text.slice(lastIndex, textEnd) });
+    }
+    lastIndex = tagEnd;
+
+    if (rawName) {
+      parent.children.push({ type: 'variable', name: rawName, raw: true });
+    } else if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (parent === root || parent.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'variable', name, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Section {{#${stack[stack.length - 1].name}}} is never closed`);
+  }
+
+  if (lastIndex < text.length) {
+    root.children.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Checks that a template parses
+ * @param {string} template - Template text
+ * @returns {string|null} Problem with the template, or null if it's valid
+ */
+export function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Looks up a dotted name, e.g. "appointment.displayTime"
+ * @param {object[]} scopes - Values to search, innermost first
+ * @param {string} name - Name to look up
+ * @returns {*} Value, or undefined if not found
+ */
+function lookup(scopes, name) {
+  const [first, ...rest] = name.split('.');
+  const scope = scopes.find(candidate => candidate && typeof candidate === 'object' && first in candidate);
+
+  return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope?.[first]);
+}
+
+/**
+ * Checks whether a section value counts as shown
+ * @param {*} value - Section value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Renders parsed nodes
+ * @param {object[]} nodes - Parsed nodes
+ * @param {object[]} scopes - Values, innermost first
+ * @param {Function} escape - Escapes {{variables}}
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    const value = lookup(scopes, node.name);
+
+    if (node.type === 'variable') {
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return node.raw ? String(value) : escape(String(value));
+    }
+
+    if (node.inverted) {
+      return isTruthy(value) ? '' : renderNodes(node.children, scopes, escape);
+    }
+
+    if (!isTruthy(value)) {
+      return '';
+    }
+
+    // Lists repeat the section once per item
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => renderNodes(node.children, [item, ...scopes], escape)).join('');
+  }).join('');
+}
+
+/**
+ * Renders a Mustache-style template: {{name}} inserts a value (escaped),
+ * {{{name}}} inserts it unescaped, {{#name}}...{{/name}} shows a block when
+ * the value is set (once per item for lists) and {{^name}}...{{/name}}
+ * when it isn't. Missing values render empty.
+ * @param {string} template - Template text
+ * @param {object} values - Values by name
+ * @param {object} [options] - Render options
+ * @param {boolean} [options.html=false] - HTML-escape {{name}} values
+ * @returns {string} Rendered text
+ * @throws {Error} If the template doesn't parse
+ */
+export function renderTemplate(template, values, { html = false } = {}) {
+  return renderNodes(parseTemplate(template), [values], html ? escapeHtml : String);
+}
+
+export default {
+  parseTemplate,
+  validateTemplate,
+  renderTemplate,
+};
@@ -1,26 +1,68 @@
 import { DateTime } from 'luxon';
 import config from '../config/index.js';
+import { getClosedWindows } from './closures.js';
+import { getOpenIntervals } from './weekly-hours.js';
+
+// Longest gap between slot starts for a service type, so long jobs can
+// start on any hour instead of only every few hours
+const MAX_SERVICE_STEP_MINUTES = 60;
+
+/**
+ * Narrows a day's open periods to the days and hours a service type can be
+ * booked
+ * @param {{ start: DateTime, end: DateTime }[]} intervals - Open periods
+ * @param {object|null} service - Service type
+ * @param {DateTime} day - Day, in the business timezone
+ * @returns {{ start: DateTime, end: DateTime }[]} Periods the service can be booked in
+ */
+function limitToService(intervals, service, day) {
+  if (!service) {
+    return intervals;
+  }
+
+  if (service.allowedDays && !service.allowedDays.includes(day.weekday)) {
+    return [];
+  }
+
+  const at = time => {
+    const [hour, minute] = time.split(':').map(Number);
+    return day.set({ hour, minute });
+  };
+  const earliest = service.earliestStart ? at(service.earliestStart) : null;
+  const latest = service.latestEnd ? at(service.latestEnd) : null;
+
+  return intervals
+    .map(({ start, end }) => ({
+      start: earliest ? DateTime.max(start, earliest) : start,
+      end: latest ? DateTime.min(end, latest) : end,
+    }))
+    .filter(({ start, end }) => start < end);
+}
 
 /**
  * Generates available time slots for a given date range
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
  * @param {object[]} busyPeriods - Array of busy periods from Google Calendar
+ * @param {object} [settings] - Calendar settings (a business's, or the global config), including its weekly hours
+ * @param {object[]} [closures] - Holidays and other closures (see utils/closures.js)
+ * @param {object|null} [service] - Service type whose length, buffers and allowed days/hours to use
  * @returns {object[]} Available time slots
  */
-export function generateTimeSlots(startDate, endDate, busyPeriods = []) {
+export function generateTimeSlots(
+  startDate,
+  endDate,
+  busyPeriods = [],
+  settings = config.calendar,
+  closures = [],
+  service = null
+) {
   const slots = [];
-  const {
-    appointmentDuration,
-    businessHoursStart,
-    businessHoursEnd,
-    businessDays,
-    timezone,
-  } = config.calendar;
-
-  // Parse business hours
-  const [startHour, startMinute] = businessHoursStart.split(':').map(Number);
-  const [endHour, endMinute] = businessHoursEnd.split(':').map(Number);
+  const { timezone } = settings;
+  const duration = service ? service.durationMinutes : settings.appointmentDuration;
+  const step = service ? Math.min(duration, MAX_SERVICE_STEP_MINUTES) : duration;
+  const bufferBefore = service?.bufferBeforeMinutes || 0;
+  const bufferAfter = service?.bufferAfterMinutes || 0;
 
   // Convert busy periods to DateTime objects for easier comparison
   const busyIntervals = busyPeriods.map(period => ({
@@ -33,23 +75,26 @@ export function generateTimeSlots(startDate, endDate, busyPeriods = []) {
   const lastDate = DateTime.fromJSDate(endDate, { zone: timezone }).endOf('day');
 
   while (currentDate <= lastDate) {
-    // Check if this is a business day (1=Monday, 7=Sunday in Luxon)
-    if (businessDays.includes(currentDate.weekday)) {
-      // Generate slots for this day
-      let slotStart = currentDate.set({ hour: startHour, minute: startMinute, second: 0 });
-      const dayEnd = currentDate.set({ hour: endHour, minute: endMinute, second: 0 });
+    // Closures block slots like busy periods; all-day ones cover the whole day
+    const closedWindows = getClosedWindows(closures, currentDate);
+    const intervals = limitToService(getOpenIntervals(settings, currentDate), service, currentDate);
+
+    // Generate slots for each period the business is open that day
+    for (const { start, end } of intervals) {
+      let slotStart = start;
 
-      while (slotStart.plus({ minutes: appointmentDuration }) <= dayEnd) {
-        const slotEnd = slotStart.plus({ minutes: appointmentDuration });
+      while (slotStart.plus({ minutes: duration }) <= end) {
+        const slotEnd = slotStart.plus({ minutes: duration });
 
         // Check if slot is in the future (at least 1 hour from now)
         const minStartTime = DateTime.now().setZone(timezone).plus({ hours: 1 });
 
         if (slotStart >= minStartTime) {
-          // Check if slot overlaps with any busy period
-          const isAvailable = !busyIntervals.some(busy =>
-            (slotStart < busy.end && slotEnd > busy.start)
-          );
+          // Check if slot overlaps with any closure, or its buffers with any busy period
+          const blockedStart = slotStart.minus({ minutes: bufferBefore });
+          const blockedEnd = slotEnd.plus({ minutes: bufferAfter });
+          const isAvailable = !closedWindows.some(closed => slotStart < closed.end && slotEnd > closed.start)
+            && !busyIntervals.some(busy => blockedStart < busy.end && blockedEnd > busy.start);
 
           if (isAvailable) {
             slots.push({
@@ -65,7 +110,7 @@ export function generateTimeSlots(startDate, endDate, busyPeriods = []) {
         }
 
         // Move to next slot
-        slotStart = slotStart.plus({ minutes: appointmentDuration });
+        slotStart = slotStart.plus({ minutes: step });
       }
     }
 
@@ -120,12 +165,12 @@ export function filterByDate(slots, dateStr) {
 /**
  * Parses natural language date references
  * @param {string} input - Natural language date (e.g., "tomorrow", "next monday")
+ * @param {string} [timezone] - Timezone "today" is relative to
  * @returns {string|null} Date in YYYY-MM-DD format or null
  */
-export function parseNaturalDate(input) {
+export function parseNaturalDate(input, timezone = config.calendar.timezone) {
   if (!input) return null;
 
-  const { timezone } = config.calendar;
   const now = DateTime.now().setZone(timezone);
   const lower = input.toLowerCase().trim();
 
@@ -73,6 +73,12 @@ export const functionCallSchema = z.object({
   }),
   call: z.object({
     id: z.string(),
+    phoneNumber: z.object({
+      number: z.string().optional(),
+    }).optional(),
+    customer: z.object({
+      number: z.string().optional(),
+    }).optional(),
   }),
 });
 
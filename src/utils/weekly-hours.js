@@ -0,0 +1,89 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Builds regular hours from the single window in the calendar settings
+ * (BUSINESS_HOURS_START/END on each of BUSINESS_DAYS)
+ * @param {object} calendar - Calendar settings
+ * @returns {object} Schedule
+ */
+function getDefaultSchedule(calendar) {
+  return {
+    id: null,
+    name: 'Regular hours',
+    startsOn: null,
+    endsOn: null,
+    intervals: calendar.businessDays.map(weekday => ({
+      weekday,
+      startTime: calendar.businessHoursStart,
+      endTime: calendar.businessHoursEnd,
+    })),
+  };
+}
+
+/**
+ * Gets the regular hours: the schedule without dates, or the single window
+ * in the calendar settings if the business hasn't set one up
+ * @param {object} calendar - Calendar settings (a business's, or the global config)
+ * @returns {object} Schedule
+ */
+export function getRegularSchedule(calendar) {
+  return (calendar.hours || []).find(schedule => !schedule.startsOn) || getDefaultSchedule(calendar);
+}
+
+/**
+ * Gets the hours that apply on a day: seasonal hours covering it, or else
+ * the regular hours
+ * @param {object} calendar - Calendar settings (a business's, or the global config)
+ * @param {DateTime} date - Day, in the business timezone
+ * @returns {object} Schedule
+ */
+export function getScheduleOn(calendar, date) {
+  const day = date.toFormat('yyyy-MM-dd');
+  const seasonal = (calendar.hours || [])
+    .find(schedule => schedule.startsOn && schedule.startsOn <= day && schedule.endsOn >= day);
+
+  return seasonal || getRegularSchedule(calendar);
+}
+
+/**
+ * Gets the periods a business is open on a day, before any closures
+ * @param {object} calendar - Calendar settings (a business's, or the global config)
+ * @param {DateTime} date - Day, in the business timezone
+ * @returns {{ start: DateTime, end: DateTime }[]} Open periods, earliest first
+ */
+export function getOpenIntervals(calendar, date) {
+  const day = date.startOf('day');
+
+  return getScheduleOn(calendar, day).intervals
+    .filter(interval => interval.weekday === day.weekday)
+    .map(interval => {
+      const [startHour, startMinute] = interval.startTime.split(':').map(Number);
+      const [endHour, endMinute] = interval.endTime.split(':').map(Number);
+
+      return {
+        start: day.set({ hour: startHour, minute: startMinute }),
+        end: day.set({ hour: endHour, minute: endMinute }),
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds open periods that overlap on the same day
+ * @param {{ weekday: number, startTime: string, endTime: string }[]} intervals - Open periods
+ * @returns {object|null} The later of the first overlapping pair, or null
+ */
+export function findOverlappingInterval(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.weekday - b.weekday || a.startTime.localeCompare(b.startTime));
+
+  return sorted.find((interval, index) => index > 0
+    && sorted[index - 1].weekday === interval.weekday
+    && sorted[index - 1].endTime > interval.startTime) || null;
+}
+
+export default {
+  getRegularSchedule,
+  getScheduleOn,
+  getOpenIntervals,
+  findOverlappingInterval,
+};
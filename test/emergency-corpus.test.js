@@ -0,0 +1,33 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The database path is read when first connecting, so set it before loading the app
+const dataDir = mkdtempSync(join(tmpdir(), 'voice-lead-capture-test-'));
+process.env.DATABASE_PATH = join(dataDir, 'test.db');
+
+const { default: logger } = await import('../src/utils/logger.js');
+const { initializeDatabase, closeDatabase } = await import('../src/db/database.js');
+const { runEmergencyCorpus } = await import('../src/services/emergency.service.js');
+
+before(async () => {
+  logger.silent = true;
+  await initializeDatabase();
+});
+
+after(() => {
+  closeDatabase();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the seeded shared rules give every corpus transcript its expected severity', () => {
+  const { failed, results } = runEmergencyCorpus(null);
+
+  const misjudged = results
+    .filter(result => !result.passed)
+    .map(result => `${result.name}: expected ${result.expected || 'none'}, got ${result.actual || 'none'}`);
+
+  assert.equal(failed, 0, misjudged.join('\n'));
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Config is read when first imported, so set it up before loading the app
+const dataDir = mkdtempSync(join(tmpdir(), 'voice-lead-capture-test-'));
+Object.assign(process.env, {
+  DATABASE_PATH: join(dataDir, 'test.db'),
+  NOTIFY_EMERGENCY_CHANNELS: 'slack,webhook',
+  SLACK_WEBHOOK_URL: 'https://hooks.slack.test/services/T000/B000/XXX',
+  NOTIFICATION_WEBHOOK_URL: 'https://crm.test/leads',
+});
+
+const { default: logger } = await import('../src/utils/logger.js');
+const { escapeHtml } = await import('../src/utils/html.js');
+const { initializeDatabase, closeDatabase } = await import('../src/db/database.js');
+const { getDefaultBusinessContext } = await import('../src/services/business.service.js');
+const { renderEmail } = await import('../src/services/template.service.js');
+const { formatRescheduleEmail } = await import('../src/services/summary.service.js');
+const { sendAllNotifications } = await import('../src/services/notification.service.js');
+
+// A call transcribed as markup, the way it would reach every renderer
+const HOSTILE_CALLER = {
+  callerName: '<script>alert("name")</script>',
+  issueDescription: 'Leak under the sink" onerror="alert(1)',
+  serviceAddress: 'Smith & Sons <b>Plumbing</b>, 12 Main St',
+  email: '"><img src=x onerror=alert(1)>@example.com',
+  phoneNumber: '+15555550123',
+};
+
+let business;
+
+before(async () => {
+  logger.silent = true;
+  await initializeDatabase();
+  business = getDefaultBusinessContext();
+});
+
+after(() => {
+  closeDatabase();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Checks that none of the hostile caller details made it into HTML as markup
+ * @param {string} html - Rendered HTML
+ */
+function assertNoInjectedMarkup(html) {
+  assert.ok(!html.includes('<script>'), 'script tag was not escaped');
+  assert.ok(!html.includes('<img'), 'img tag was not escaped');
+  assert.ok(!html.includes('<b>Plumbing'), 'b tag was not escaped');
+  assert.ok(!html.includes('" onerror="'), 'attribute breakout was not escaped');
+  assert.ok(!/Smith & Sons/.test(html), 'ampersand was not escaped');
+}
+
+test('escapeHtml escapes every character that can start markup or end an attribute', () => {
+  assert.equal(escapeHtml('<script>alert("x")</script>'), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+  assert.equal(escapeHtml('" onerror="alert(1)'), '&quot; onerror=&quot;alert(1)');
+  assert.equal(escapeHtml('\' onmouseover=\'x'), '&#39; onmouseover=&#39;x');
+  assert.equal(escapeHtml('Smith & Sons'), 'Smith &amp; Sons');
+  assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+});
+
+test('escapeHtml turns missing values into empty text', () => {
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+for (const type of ['lead', 'emergency', 'booked']) {
+  test(`${type} email escapes the caller's name, issue, address and email`, () => {
+    const email = renderEmail(type, {
+      ...HOSTILE_CALLER,
+      isEmergency: type === 'emergency',
+      emergencyKeywords: ['flood*'],
+      appointment: type === 'booked' ? { displayTime: 'Monday, October 26 at 9:00 AM' } : null,
+      timestamp: '2026-10-19T15:00:00.000Z',
+    }, business);
+
+    assertNoInjectedMarkup(email.html);
+    assert.ok(email.html.includes('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;'));
+    assert.ok(email.html.includes('Leak under the sink&quot; onerror=&quot;alert(1)'));
+    assert.ok(email.html.includes('Smith &amp; Sons &lt;b&gt;Plumbing&lt;/b&gt;, 12 Main St'));
+    assert.ok(email.html.includes('&quot;&gt;&lt;img src=x onerror=alert(1)&gt;@example.com'));
+
+    // The plain-text part shows what the caller said, not entities
+    assert.ok(email.text.includes(HOSTILE_CALLER.callerName));
+    assert.ok(email.text.includes(HOSTILE_CALLER.serviceAddress));
+  });
+}
+
+test('cancellation email escapes the caller\'s details and reason', () => {
+  const email = renderEmail('cancelled', {
+    ...HOSTILE_CALLER,
+    displayTime: 'Monday, October 26 at 9:00 AM',
+    cancellationReason: '<a href="https://evil.example">click</a>',
+  }, business);
+
+  assertNoInjectedMarkup(email.html);
+  assert.ok(!email.html.includes('<a href="https://evil.example">'));
+  assert.ok(email.html.includes('&lt;a href=&quot;https://evil.example&quot;&gt;click&lt;/a&gt;'));
+});
+
+test('reschedule email escapes the caller\'s details', () => {
+  const email = formatRescheduleEmail({
+    ...HOSTILE_CALLER,
+    displayTime: 'Tuesday, October 27 at 1:00 PM',
+    previousDisplayTime: 'Monday, October 26 at 9:00 AM',
+  });
+
+  assertNoInjectedMarkup(email.html);
+  assert.ok(email.html.includes('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;'));
+});
+
+test('Slack and webhook notifications carry hostile caller details safely', async () => {
+  const requests = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, body: options.body });
+    return new Response('ok', { status: 200 });
+  };
+
+  try {
+    const results = await sendAllNotifications({
+      ...HOSTILE_CALLER,
+      isEmergency: true,
+      emergencyKeywords: ['flood*'],
+      emergencySeverity: 'high',
+      callId: 'hostile-call',
+      timestamp: '2026-10-19T15:00:00.000Z',
+    }, business);
+
+    assert.equal(results.slack.success, true);
+    assert.equal(results.webhook.success, true);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  // Slack reads <...> as links and mentions, so only its markup characters are escaped
+  const slack = JSON.parse(requests.find(request => request.url.startsWith('https://hooks.slack.test')).body);
+  assert.ok(!slack.text.includes('<script>'));
+  assert.ok(!slack.text.includes('<b>'));
+  assert.ok(slack.text.includes('&lt;script&gt;alert("name")&lt;/script&gt;'));
+  assert.ok(slack.text.includes('Smith &amp; Sons &lt;b&gt;Plumbing&lt;/b&gt;'));
+
+  // The webhook is JSON for other systems, so the details arrive exactly as said
+  const webhook = JSON.parse(requests.find(request => request.url === 'https://crm.test/leads').body);
+  assert.equal(webhook.event, 'lead');
+  assert.equal(webhook.data.callerName, HOSTILE_CALLER.callerName);
+  assert.equal(webhook.data.issueDescription, HOSTILE_CALLER.issueDescription);
+  assert.equal(webhook.data.serviceAddress, HOSTILE_CALLER.serviceAddress);
+  assert.equal(webhook.data.email, HOSTILE_CALLER.email);
+});